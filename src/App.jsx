@@ -1,102 +1,701 @@
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { PieChart, Pie, Cell, BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, LineChart, Line, CartesianGrid, Legend } from 'recharts';
-import { Building2, Car, DollarSign, Home, Store, Ruler, TrendingUp, Calendar, Percent, ArrowUpRight, ArrowDownRight, Map, Layers } from 'lucide-react';
+import { Building2, Car, DollarSign, Home, Store, Ruler, TrendingUp, Calendar, Percent, ArrowUpRight, ArrowDownRight, Map, Layers, FolderOpen, AlertTriangle, Loader2, Columns, Landmark, Clock, Link, Check, FileText, MapPin, GanttChart, Move } from 'lucide-react';
+import { LANGUAGES, useI18n } from './i18n';
+import { ProjectFileError, fetchProject, fetchProjectManifest, readProjectFile } from './lib/projectFile';
+import { RENT_BASES, compareRentalStrategies, computeIncome, summarizeUnits } from './lib/projectModel';
+import { RENTAL_STRATEGIES } from './lib/shortStay';
+import { projectCashFlows } from './lib/cashflow';
+import { investmentMetrics } from './lib/finance';
+import { DEFAULT_FINANCING, amortizationSchedule, leveredMetrics } from './lib/financing';
+import { readViewState, viewUrl } from './lib/urlState';
+import { floorPlanModel, unitSpaceSequence } from './lib/floorPlan';
+import { SITE_GRID, SITE_HANDLES, applyMassing, massingOf, moveSiteHandle, siteLayout, withParkingCapacity } from './lib/sitePlan';
+import { DEFAULT_PARKING_RULE, requiredParking } from './lib/parking';
+import { evaluateZoning } from './lib/zoning';
+import { siteDxf } from './lib/planExport';
+import { loadActuals, saveActuals } from './lib/costTracking';
+import { loadSchedule, projectionTimeline, saveSchedule } from './lib/schedule';
+import { DEFAULT_ALERT_DAYS, LEASE_STATUSES, isoDate, loadRentRoll, reconcileRentRoll, rentRollSummary, saveRentRoll } from './lib/rentRoll';
+import { baselineAssumptions, evaluateScenario, loadScenarios, projectFileScenarios, saveScenarios } from './lib/scenarios';
+import { costSheet, projectionSheet, rentRollSheet, scenarioSheet, unitSheet } from './lib/projectSheets';
+import ComparisonView from './components/ComparisonView';
+import OpexPanel from './components/OpexPanel';
+import FinancingPanel from './components/FinancingPanel';
+import CashFlowPanel from './components/CashFlowPanel';
+import CostTrackingPanel from './components/CostTrackingPanel';
+import ShortStayPanel from './components/ShortStayPanel';
+import MonteCarloPanel from './components/MonteCarloPanel';
+import SensitivityPanel from './components/SensitivityPanel';
+import ScenarioPanel, { SCENARIO_COLORS } from './components/ScenarioPanel';
+import ReportView from './components/ReportView';
+import UnitDetails from './components/UnitDetails';
+import RentRollPanel from './components/RentRollPanel';
+import SchedulePanel from './components/SchedulePanel';
+import FloorPlan, { PlanSpaces } from './components/FloorPlan';
+import SpreadsheetPanel from './components/SpreadsheetPanel';
+import ZoningChecks from './components/ZoningChecks';
+import MassingPanel from './components/MassingPanel';
+import ParkingPanel from './components/ParkingPanel';
+import PlanViewer, { screenScale } from './components/PlanViewer';
 
 // Main Dashboard Component
-// This is the primary component that renders the entire building project dashboard
+// Loads the project file at startup (or from the file picker) and renders the dashboard for it
 export default function App() {
+  const { t, dir } = useI18n();
+  const [project, setProject] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [compareMode, setCompareMode] = useState(false);
+  const [compareOptions, setCompareOptions] = useState([]);
+
+  // Load the project named in ?project= or the first one listed in public/projects/index.json
+  useEffect(() => {
+    const requested = new URLSearchParams(window.location.search).get('project');
+    const load = async () => {
+      const url = requested || (await fetchProjectManifest())[0];
+      setProject(await fetchProject(url));
+    };
+    load().catch((err) => setLoadError(err));
+  }, []);
+
+  const openProjectFile = async (file) => {
+    try {
+      setProject(await readProjectFile(file));
+      setLoadError(null);
+    } catch (err) {
+      setLoadError(err);
+    }
+  };
+
+  // Adds options to the comparison, replacing any already loaded with the same id
+  const addCompareOptions = (loaded) => setCompareOptions((prev) => [
+    ...prev.filter((p) => !loaded.some((l) => l.id === p.id)),
+    ...loaded
+  ]);
+
+  // The first time comparison is enabled, every bundled project file is loaded
+  const toggleCompareMode = async () => {
+    const enabling = !compareMode;
+    setCompareMode(enabling);
+    if (enabling && compareOptions.length === 0) {
+      try {
+        const urls = await fetchProjectManifest();
+        addCompareOptions(await Promise.all(urls.map(fetchProject)));
+      } catch (err) {
+        setLoadError(err);
+      }
+    }
+  };
+
+  const openCompareFiles = async (files) => {
+    try {
+      addCompareOptions(await Promise.all(files.map(readProjectFile)));
+    } catch (err) {
+      setLoadError(err);
+    }
+  };
+
+  if (!project) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 p-4 md:p-6 flex items-center justify-center" dir={dir}>
+        {loadError ? (
+          <div className="max-w-2xl w-full space-y-4">
+            <ProjectErrors error={loadError} />
+            <div className="flex gap-2">
+              <ProjectFileButton onOpen={openProjectFile} />
+              <LanguageSwitch />
+            </div>
+          </div>
+        ) : (
+          <div className="flex items-center gap-3 text-gray-500">
+            <Loader2 className="w-5 h-5 animate-spin" />
+            <span>{t('app.loading')}</span>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  // Keying by project id resets the simulator state when another project is opened
+  return (
+    <Dashboard
+      key={project.id}
+      project={project}
+      loadError={loadError}
+      onOpenFile={openProjectFile}
+      onDismissError={() => setLoadError(null)}
+      comparison={compareMode ? [project, ...compareOptions.filter((p) => p.id !== project.id)] : null}
+      onToggleCompare={toggleCompareMode}
+      onAddCompareFiles={openCompareFiles}
+      onRemoveCompareOption={(id) => setCompareOptions((prev) => prev.filter((p) => p.id !== id))}
+    />
+  );
+}
+
+// Interface language and, in Arabic, the choice between Latin and Arabic-Indic digits
+function LanguageSwitch() {
+  const { t, lang, setLang, arabicDigits, setArabicDigits } = useI18n();
+  const button = 'px-3 py-2 font-medium transition-all whitespace-nowrap';
+
+  return (
+    <div className="flex items-center gap-2">
+      <div className="flex rounded-lg border border-gray-200 bg-white overflow-hidden" role="group" aria-label={t('app.language')}>
+        {Object.entries(LANGUAGES).map(([id, language]) => (
+          <button
+            key={id}
+            onClick={() => setLang(id)}
+            lang={id}
+            aria-pressed={lang === id}
+            className={`${button} ${lang === id ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-50'}`}
+          >
+            {language.label}
+          </button>
+        ))}
+      </div>
+      {lang === 'ar' && (
+        <button
+          onClick={() => setArabicDigits(!arabicDigits)}
+          aria-pressed={arabicDigits}
+          title={t('app.arabicDigits')}
+          className={`${button} rounded-lg border ${arabicDigits ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-600 hover:bg-gray-50 border-gray-200'}`}
+        >
+          ١٢٣
+        </button>
+      )}
+    </div>
+  );
+}
+
+// File picker button for loading project files from disk
+// With `multiple`, onOpen receives an array of files instead of a single file
+function ProjectFileButton({ onOpen, multiple = false, label }) {
+  const { t } = useI18n();
+  const inputRef = useRef(null);
+
+  return (
+    <>
+      <button
+        onClick={() => inputRef.current.click()}
+        className="flex items-center gap-2 px-4 py-2 rounded-lg font-medium bg-white text-gray-600 hover:bg-gray-50 border border-gray-200 transition-all whitespace-nowrap"
+      >
+        <FolderOpen className="w-4 h-4" />
+        {label || t('app.openFile')}
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".json,application/json"
+        multiple={multiple}
+        className="hidden"
+        onChange={(e) => {
+          if (e.target.files.length > 0) onOpen(multiple ? [...e.target.files] : e.target.files[0]);
+          e.target.value = '';
+        }}
+      />
+    </>
+  );
+}
+
+// Lists project file problems in the interface language with the other
+// language's text underneath
+function ProjectErrors({ error, onDismiss }) {
+  const { t, lang } = useI18n();
+  const other = lang === 'ar' ? 'en' : 'ar';
+  const issues = error instanceof ProjectFileError
+    ? error.issues
+    : [{ path: '', ar: error.message, en: error.message }];
+
+  return (
+    <div className="bg-red-50 border border-red-200 rounded-xl p-5">
+      <div className="flex items-start justify-between gap-3 mb-3">
+        <div className="flex items-center gap-2 text-red-700">
+          <AlertTriangle className="w-5 h-5" />
+          <h3 className="font-semibold">{t('projectErrors.title')}</h3>
+        </div>
+        {onDismiss && (
+          <button onClick={onDismiss} className="text-sm text-red-600 hover:text-red-800">{t('common.close')}</button>
+        )}
+      </div>
+      {error.source && <p className="text-xs text-red-500 mb-3" dir="ltr">{error.source}</p>}
+      <ul className="space-y-2 text-sm">
+        {issues.map((item, i) => (
+          <li key={i} className="p-2 bg-white rounded border border-red-100">
+            {item.path && <code className="text-xs text-red-500 block" dir="ltr">{item.path}</code>}
+            <p className="text-red-800">{item[lang]}</p>
+            {item[other] !== item[lang] && <p className="text-red-600 text-xs" dir={LANGUAGES[other].dir}>{item[other]}</p>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Rent input for a unit type: amount plus basis (per unit monthly or per m² yearly)
+// The amount is at the project's reference rate, before the market index and roof premium
+function UnitRentInput({ unit, category, project, onChange }) {
+  const { t } = useI18n();
+  const rateKey = category === 'commercial' ? 'commercialRate' : 'residentialRate';
+  return (
+    <div className="flex justify-between items-center gap-2">
+      <span className="text-gray-500">{t('units.baseRent')}</span>
+      <div className="flex items-center gap-1">
+        <input
+          type="number"
+          min="0"
+          step="50"
+          value={unit.rent ?? project.rates[rateKey]}
+          onChange={(e) => onChange({ rent: Math.max(0, parseFloat(e.target.value) || 0) })}
+          className="w-20 px-2 py-1 border border-gray-200 rounded"
+        />
+        <select
+          value={unit.rentBasis}
+          onChange={(e) => onChange({ rentBasis: e.target.value })}
+          className="px-1 py-1 border border-gray-200 rounded bg-white text-xs"
+        >
+          {RENT_BASES.map((basis) => (
+            <option key={basis} value={basis}>{t(`rentBasis.${basis}`)}</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+}
+
+// Rental strategy of a residential unit type, with the nightly rate when leased by the night
+function UnitStrategyInput({ unit, onChange }) {
+  const { t } = useI18n();
+  return (
+    <div className="flex justify-between items-center gap-2">
+      <span className="text-gray-500">{t('units.strategy')}</span>
+      <div className="flex items-center gap-1">
+        {unit.strategy === 'daily' && (
+          <input
+            type="number"
+            min="0"
+            step="10"
+            value={unit.nightlyRate ?? 0}
+            onChange={(e) => onChange({ nightlyRate: Math.max(0, parseFloat(e.target.value) || 0) })}
+            className="w-20 px-2 py-1 border border-gray-200 rounded"
+            title={t('units.nightlyRate')}
+          />
+        )}
+        <select
+          value={unit.strategy}
+          onChange={(e) => onChange({ strategy: e.target.value })}
+          className="px-1 py-1 border border-gray-200 rounded bg-white text-xs"
+        >
+          {RENTAL_STRATEGIES.map((id) => (
+            <option key={id} value={id}>{id === 'daily' ? `${t(`rentalStrategy.${id}`)} (${t('units.perNight')})` : t(`rentalStrategy.${id}`)}</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+}
+
+// Switches the plans between coloring units by type and by leasing status
+function PlanColoring({ value, onChange }) {
+  const { t } = useI18n();
+  const option = (id, label) => (
+    <button
+      onClick={() => onChange(id)}
+      className={`px-3 py-1 rounded-lg ${value === id ? 'bg-violet-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+    >
+      {label}
+    </button>
+  );
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <span className="text-gray-500">{t('planColoring.label')}</span>
+      {option('type', t('planColoring.byType'))}
+      {option('status', t('planColoring.byStatus'))}
+      {value === 'status' && Object.entries(LEASE_STATUSES).map(([id, status]) => (
+        <span key={id} className="flex items-center gap-1 text-xs text-gray-600">
+          <span className="w-3 h-3 rounded" style={{ backgroundColor: status.color }} />
+          {t(`leaseStatus.${id}`)}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// Opens the floor plans with the unit type's first drawn unit selected
+function UnitPlanButton({ onClick }) {
+  const { t } = useI18n();
+  return (
+    <button
+      onClick={(e) => {
+        e.stopPropagation();
+        onClick();
+      }}
+      className="p-1 rounded text-gray-400 hover:text-violet-600"
+      title={t('units.showInPlans')}
+    >
+      <MapPin className="w-4 h-4" />
+    </button>
+  );
+}
+
+// Dashboard tabs; the id is also the URL path of the tab and the key of its label
+const TABS = [
+  { id: 'siteplan', icon: Map },
+  { id: 'floors', icon: Layers },
+  { id: 'overview', icon: Building2 },
+  { id: 'schedule', icon: GanttChart },
+  { id: 'financial', icon: DollarSign },
+  { id: 'units', icon: Home },
+  { id: 'simulator', icon: TrendingUp }
+];
+
+// Building fill on the site plan and selector color of each floor, in floor order
+const FLOOR_STYLES = [
+  { fill: '#bfdbfe', button: 'bg-blue-600' },
+  { fill: '#bbf7d0', button: 'bg-green-600' },
+  { fill: '#fde68a', button: 'bg-amber-600' },
+  { fill: '#ddd6fe', button: 'bg-purple-600' },
+  { fill: '#fbcfe8', button: 'bg-pink-600' }
+];
+
+// Parts of the site plan the viewer can hide (data-layer groups)
+const SITE_PLAN_LAYERS = ['streets', 'neighbors', 'corridors', 'parking', 'dimensions', 'legend'];
+
+// Dashboard for one loaded project
+// Every figure shown comes from the project file (see docs/project-file.md)
+// When `comparison` holds several projects, the overview, financial and units
+// tabs show them side by side instead of the single-project view
+function Dashboard({
+  project: loadedProject, loadError, onOpenFile, onDismissError,
+  comparison, onToggleCompare, onAddCompareFiles, onRemoveCompareOption
+}) {
+  const { t, format, dir } = useI18n();
+  // View defaults; the address bar can override them (see lib/urlState.js)
+  const viewDefaults = {
+    tab: TABS[0].id,
+    floor: loadedProject.floors[0].id,
+    occupancy: loadedProject.rates.occupancy,
+    commercialRate: loadedProject.rates.commercialRate,
+    residentialRate: loadedProject.rates.residentialRate
+  };
+  const viewOptions = { tabs: TABS.map((t) => t.id), floors: loadedProject.floors.map((f) => f.id) };
+  const [initialView] = useState(() => ({ ...viewDefaults, ...readViewState(window.location, viewOptions) }));
+
   // State management for interactive features
-  const [activeTab, setActiveTab] = useState('siteplan');
-  const [occupancyRate, setOccupancyRate] = useState(85);
-  const [commercialRate, setCommercialRate] = useState(1200);
-  const [residentialRate, setResidentialRate] = useState(1800);
-  const [selectedFloor, setSelectedFloor] = useState('ground');
+  const [activeTab, setActiveTab] = useState(initialView.tab);
+  const [occupancyRate, setOccupancyRate] = useState(initialView.occupancy);
+  const [commercialRate, setCommercialRate] = useState(initialView.commercialRate);
+  const [residentialRate, setResidentialRate] = useState(initialView.residentialRate);
+  const [discountRate, setDiscountRate] = useState(loadedProject.rates.discountRate);
+  const [roofPremium, setRoofPremium] = useState(loadedProject.rates.roofPremium);
+  const [units, setUnits] = useState(loadedProject.units);
+  const [costs, setCosts] = useState(loadedProject.costs);
+  const [rentRollRecords, setRentRollRecords] = useState(() => loadRentRoll(loadedProject.id) ?? loadedProject.rentRoll);
+  const [savedSchedule, setSavedSchedule] = useState(() => loadSchedule(loadedProject.id));
+  const [actuals, setActuals] = useState(() => loadActuals(loadedProject.id) ?? loadedProject.actuals);
+  const [alertDays, setAlertDays] = useState(DEFAULT_ALERT_DAYS);
+  const [planColoring, setPlanColoring] = useState('type');
+  const [opexItems, setOpexItems] = useState(loadedProject.opex);
+  const [cashflowAssumptions, setCashflowAssumptions] = useState(loadedProject.cashflow);
+  const [shortStay, setShortStay] = useState(loadedProject.shortStay);
+  const [financing, setFinancing] = useState(
+    loadedProject.financing || { ...DEFAULT_FINANCING, loanAmount: Math.round(loadedProject.costs.total * 0.5) }
+  );
+  const [selectedFloor, setSelectedFloor] = useState(initialView.floor);
   const [hoveredArea, setHoveredArea] = useState(null);
+  const [hoveredCheck, setHoveredCheck] = useState(null);
+  // Site plan editor: the edited massing (null while it matches the file) and the edge being dragged
+  const [massing, setMassing] = useState(null);
+  const [siteEditing, setSiteEditing] = useState(false);
+  const [siteDrag, setSiteDrag] = useState(null);
+  const [parkingLayout, setParkingLayout] = useState(loadedProject.parkingLayout);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  const [selectedUnit, setSelectedUnit] = useState(null);
+  const [hoveredUnit, setHoveredUnit] = useState(null);
+
+  // Keep the address bar in sync with the view: changing tab or floor adds a
+  // history entry, slider moves only replace the current one
+  useEffect(() => {
+    const view = { tab: activeTab, floor: selectedFloor, occupancy: occupancyRate, commercialRate, residentialRate };
+    const url = viewUrl(view, viewDefaults, window.location);
+    const current = window.location.pathname + window.location.search + window.location.hash;
+    if (url === current) return;
+
+    const shown = { ...viewDefaults, ...readViewState(window.location, viewOptions) };
+    if (shown.tab !== activeTab || shown.floor !== selectedFloor) {
+      window.history.pushState(null, '', url);
+    } else {
+      window.history.replaceState(null, '', url);
+    }
+  }, [activeTab, selectedFloor, occupancyRate, commercialRate, residentialRate]);
+
+  // Back/forward restore the view stored in the address bar
+  useEffect(() => {
+    const onPopState = () => {
+      const view = { ...viewDefaults, ...readViewState(window.location, viewOptions) };
+      setActiveTab(view.tab);
+      setSelectedFloor(view.floor);
+      setOccupancyRate(view.occupancy);
+      setCommercialRate(view.commercialRate);
+      setResidentialRate(view.residentialRate);
+    };
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  const copyViewLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch {
+      window.prompt(t('app.copyLinkPrompt'), window.location.href);
+    }
+  };
+
+  // Saved scenarios (localStorage), seeded from the project file on first use
+  const [baseline] = useState(() => baselineAssumptions(loadedProject, financing));
+  const [scenarios, setScenarios] = useState(
+    () => loadScenarios(loadedProject.id, baseline, loadedProject) ?? projectFileScenarios(loadedProject, baseline)
+  );
+  const [comparedScenarios, setComparedScenarios] = useState(() => scenarios.map((s) => s.id));
+  const updateScenarios = (list) => {
+    setScenarios(list);
+    saveScenarios(loadedProject.id, list);
+  };
+  const captureAssumptions = () => ({
+    rates: { occupancy: occupancyRate, commercialRate, residentialRate, discountRate, roofPremium },
+    units,
+    opex: opexItems,
+    cashflow: cashflowAssumptions,
+    shortStay,
+    financing
+  });
+  const applyScenario = ({ assumptions }) => {
+    setOccupancyRate(assumptions.rates.occupancy);
+    setCommercialRate(assumptions.rates.commercialRate);
+    setResidentialRate(assumptions.rates.residentialRate);
+    setDiscountRate(assumptions.rates.discountRate);
+    setRoofPremium(assumptions.rates.roofPremium);
+    setUnits(assumptions.units);
+    setOpexItems(assumptions.opex);
+    setCashflowAssumptions(assumptions.cashflow);
+    setShortStay(assumptions.shortStay);
+    setFinancing(assumptions.financing);
+  };
+
+  // Commitments and payments recorded against the cost breakdown
+  const updateActuals = (edited) => {
+    setActuals(edited);
+    saveActuals(loadedProject.id, edited);
+  };
+
+  // Construction schedule edited in the browser, or the project file's
+  const schedule = savedSchedule ?? loadedProject.schedule;
+  const updateSchedule = (edited) => {
+    setSavedSchedule(edited);
+    saveSchedule(loadedProject.id, edited);
+  };
+
+  // The project as edited on the dashboard (unit rents and strategies, imported
+  // units and costs, roof premium, short-stay settings, construction schedule,
+  // parking layout, massing drawn in the site plan editor) with one rent roll
+  // record per unit of the current unit types
+  const unmassedProject = withParkingCapacity({
+    ...loadedProject,
+    units,
+    costs,
+    shortStay,
+    schedule,
+    parkingLayout,
+    rates: { ...loadedProject.rates, roofPremium }
+  });
+  const massedProject = withParkingCapacity(applyMassing(unmassedProject, massing));
+  const project = { ...massedProject, rentRoll: reconcileRentRoll(rentRollRecords, massedProject) };
+  const fileMassing = massingOf(loadedProject.building);
+  const updateMassing = (edited) => setMassing(
+    Object.keys(fileMassing).every((key) => edited[key] === fileMassing[key]) ? null : edited
+  );
+  const updateRentRoll = (records) => {
+    setRentRollRecords(records);
+    saveRentRoll(loadedProject.id, records);
+  };
+  const importSheets = (imported) => {
+    if (imported.units) setUnits(imported.units);
+    if (imported.costs) setCosts(imported.costs);
+    if (imported.rentRoll) updateRentRoll(imported.rentRoll);
+  };
+  const today = isoDate(new Date());
+  const rentRollStatus = rentRollSummary(project.rentRoll, today, alertDays);
+  // Plan spaces filled by leasing status when the plans are colored by status
+  const statusColors = planColoring === 'status'
+    ? Object.fromEntries(project.rentRoll.map((r) => [r.id, LEASE_STATUSES[r.status].color]))
+    : null;
+  const updateUnit = (category, id, changes) => setUnits({
+    ...units,
+    [category]: units[category].map((u) => (u.id === id ? { ...u, ...changes } : u))
+  });
+
+  const floorArea = (id) => project.floors.find((f) => f.id === id)?.area || 0;
 
   // Project financial and dimensional data
-  // These values are based on the engineering office (A) proposal
   const projectData = {
-    totalCost: 1650000,      // Total development cost in SAR (excluding land)
-    landValue: 0,            // Land value not included
-    buildingDimensions: { width: 16, depth: 25 },
-    totalArea: 1000,         // Total built area in m²
-    groundFloor: 400,        // Ground floor area in m²
-    firstFloor: 400,         // First floor area in m²
-    annex: 200,              // Annex area in m²
-    northCorridor: 7,        // North corridor width in meters
-    southCorridor: 2,        // South corridor width in meters
-    parking: 30,             // Number of parking spaces
-    setback: 22              // Rear setback in meters
+    totalCost: project.costs.total,               // Total development cost in SAR (excluding land)
+    landValue: project.land.value,                // Land value (0 when not included)
+    buildingDimensions: { width: project.building.width, depth: project.building.depth },
+    totalArea: summarizeUnits(project).totalArea,  // Total built area in m²
+    groundFloor: floorArea('ground'),             // Ground floor area in m²
+    firstFloor: floorArea('first'),               // First floor area in m²
+    annex: floorArea('annex'),                    // Annex area in m²
+    northCorridor: project.building.northCorridor,  // North corridor width in meters
+    southCorridor: project.building.southCorridor,  // South corridor width in meters
+    parking: project.building.parking,            // Number of parking spaces
+    setback: project.building.rearSetback         // Rear setback in meters
   };
 
   // Land parcel dimensions
   const landData = {
-    width: 25,               // East-West dimension in meters
-    depth: 50.44,            // North-South dimension in meters
-    buildingWidth: 16,
-    buildingDepth: 25,
-    northCorridorWidth: 7,
-    southCorridorWidth: 2,
-    rearSetback: 22,
-    eastFrontage: 50,        // Eastern frontage
-    westFrontage: 20         // Western frontage
+    width: project.land.width,                    // East-West dimension in meters
+    depth: project.land.depth,                    // North-South dimension in meters
+    eastFrontage: project.land.eastFrontage,      // Eastern frontage
+    westFrontage: project.land.westFrontage       // Western frontage
   };
-
-  // Unit configurations for commercial and residential spaces
-  const units = {
-    commercial: [
-      { type: 'محل زاوي', count: 1, area: 50, depth: 15 },
-      { type: 'محل وسط', count: 2, area: 45, depth: 15 }
-    ],
-    residential: [
-      { type: 'جناح حشو', count: 6, area: 35 },
-      { type: 'جناح زاوية', count: 4, area: 27.5 },
-      { type: 'استوديو ملحق', count: 5, area: 32, hasRoof: true }
-    ]
+  const streets = project.land.streets;
+  const site = siteLayout(project);
+  const zoningChecks = evaluateZoning(project, site);
+  const parkingRule = project.zoning?.parking || DEFAULT_PARKING_RULE;
+  // Floors the interface has a name for (ground, first, annex) use it; others show their name from the file
+  const floorLabel = (floor) => {
+    const key = `sitePlan.floors.${floor.id}`;
+    const label = t(key);
+    return label === key ? floor.name : label;
   };
 
   // Calculate unit totals
-  const totalCommercialUnits = units.commercial.reduce((sum, u) => sum + u.count, 0);
-  const totalResidentialUnits = units.residential.reduce((sum, u) => sum + u.count, 0);
-  const totalUnits = totalCommercialUnits + totalResidentialUnits;
+  const {
+    totalCommercialUnits, totalResidentialUnits, totalUnits, totalCommercialArea, totalResidentialArea
+  } = summarizeUnits(project);
 
-  const totalCommercialArea = units.commercial.reduce((sum, u) => sum + (u.count * u.area), 0);
+  const unitsOnFloor = (id) => [...units.commercial, ...units.residential].filter((u) => u.floor === id);
+  const unitCountOnFloor = (id) => unitsOnFloor(id).reduce((sum, u) => sum + u.count, 0);
 
   // Income calculations based on occupancy and rates
-  const monthlyCommercialIncome = totalCommercialArea * (commercialRate / 12) * (occupancyRate / 100);
-  const monthlyResidentialIncome = totalResidentialUnits * residentialRate * (occupancyRate / 100);
-  const totalMonthlyIncome = monthlyCommercialIncome + monthlyResidentialIncome;
-  const annualIncome = totalMonthlyIncome * 12;
-  const annualYield = (annualIncome / projectData.totalCost) * 100;
+  // Yield and payback are on net operating income (gross rent less operating expenses)
+  const rates = { occupancy: occupancyRate, commercialRate, residentialRate };
+  const income = computeIncome(project, rates, opexItems);
+  // Area, units, parking and returns of the file's massing and the edited one
+  const massingFigures = (p, result) => ({
+    floorArea: summarizeUnits(p).totalArea,
+    units: summarizeUnits(p).totalUnits,
+    parking: p.building.parking,
+    cost: p.costs.total,
+    annualNOI: result.annualNOI,
+    annualYield: result.annualYield,
+    paybackYears: result.paybackYears
+  });
+  const {
+    monthlyCommercialIncome, monthlyResidentialIncome, totalMonthlyIncome, annualIncome,
+    annualNOI, grossYield, annualYield, paybackYears
+  } = income;
 
   // Data for visualization charts
-  const areaDistribution = [
-    { name: 'الدور الأرضي', value: projectData.groundFloor, color: '#3B82F6' },
-    { name: 'الدور الأول', value: projectData.firstFloor, color: '#10B981' },
-    { name: 'الملحق', value: projectData.annex, color: '#F59E0B' }
-  ];
+  const floorColors = ['#3B82F6', '#10B981', '#F59E0B', '#8B5CF6', '#EC4899'];
+  const areaDistribution = project.floors.map((floor, i) => ({
+    name: floor.name, value: floor.area, color: floorColors[i % floorColors.length]
+  }));
 
-  const incomeDistribution = [
-    { name: 'تجاري', value: monthlyCommercialIncome, color: '#8B5CF6' },
-    { name: 'سكني', value: monthlyResidentialIncome, color: '#EC4899' }
-  ];
+  const floorRowHover = ['hover:bg-blue-50', 'hover:bg-green-50', 'hover:bg-amber-50'];
 
+  // Income per unit type: purple shades for commercial, pink shades for residential
+  const typeColors = {
+    commercial: ['#8B5CF6', '#A78BFA', '#6D28D9', '#C4B5FD'],
+    residential: ['#EC4899', '#F472B6', '#BE185D', '#F9A8D4']
+  };
+  const incomeDistribution = ['commercial', 'residential'].flatMap((category) => income.unitIncome
+    .filter((u) => u.category === category)
+    .map((u, i) => ({ name: u.type, value: u.monthlyIncome, color: typeColors[category][i % typeColors[category].length] })));
+  const rentOf = (id) => income.unitIncome.find((u) => u.id === id).monthlyRent;
+  const strategyOf = (id) => income.unitIncome.find((u) => u.id === id).strategy;
+
+  // Unit selected on the plans or in the Units tab: { floorId, spaceId, unitId },
+  // or just { unitId } when picked from a unit type card
+  const selectUnit = (selection) => {
+    setSelectedUnit(selection);
+    if (activeTab === 'siteplan' && selection?.floorId && selection.floorId !== selectedFloor) setSelectedFloor(selection.floorId);
+  };
+  const showUnitInPlans = (unitId) => {
+    setSelectedUnit(unitSpaceSequence(project).find((s) => s.unitId === unitId) || { unitId });
+    setActiveTab('floors');
+  };
+  const shownUnit = hoveredUnit || selectedUnit;
+  const unitDetails = shownUnit && (
+    <UnitDetails
+      project={project}
+      selection={shownUnit}
+      income={income}
+      occupancy={occupancyRate}
+      today={today}
+      onSelect={selectUnit}
+      onShowInUnits={() => setActiveTab('units')}
+    />
+  );
+
+  // Bring the selected unit type's card into view when the Units tab opens
+  useEffect(() => {
+    if (activeTab !== 'units' || !selectedUnit) return;
+    document.querySelector(`[data-unit-card="${selectedUnit.unitId}"]`)?.scrollIntoView?.({ block: 'center', behavior: 'smooth' });
+  }, [activeTab]);
+
+  // Residential units are grouped by the floor they sit on
   const unitMix = [
-    { name: 'محلات تجارية', count: totalCommercialUnits, color: '#3B82F6' },
-    { name: 'أجنحة دور أول', count: 10, color: '#10B981' },
-    { name: 'أجنحة ملحق', count: 5, color: '#F59E0B' }
+    { name: t('overview.mix.shops'), count: totalCommercialUnits, color: floorColors[0] },
+    ...project.floors
+      .map((floor, i) => ({
+        name: t('overview.mix.suites', { floor: floor.name }),
+        count: units.residential.filter((u) => u.floor === floor.id).reduce((sum, u) => sum + u.count, 0),
+        color: floorColors[i % floorColors.length]
+      }))
+      .filter((row) => row.count > 0)
   ];
 
-  // 10-year financial projection with 3% annual growth
-  const projectionData = Array.from({ length: 10 }, (_, i) => {
-    const year = i + 1;
-    const growthRate = 1 + (0.03 * i);
-    return {
-      year: `السنة ${year}`,
-      income: Math.round(annualIncome * growthRate),
-      cumulative: Math.round(annualIncome * ((Math.pow(1.03, year) - 1) / 0.03))
-    };
+  // Multi-year cash flow projection (escalation, occupancy ramp-up and renewals);
+  // with a construction schedule the years run from the start of construction
+  const projection = projectCashFlows(project, rates, opexItems, cashflowAssumptions);
+  const timeline = schedule ? projectionTimeline(schedule) : null;
+
+  // Levered returns after debt service; without financing the equity is the full cost.
+  // The loan is drawn when construction starts and repaid after the grace period.
+  const totalInvestment = projectData.totalCost + projectData.landValue;
+  const loanSchedule = financing.enabled ? amortizationSchedule(financing) : [];
+  const levered = leveredMetrics({
+    investment: totalInvestment,
+    loanAmount: financing.enabled ? financing.loanAmount : 0,
+    schedule: loanSchedule,
+    yearlyIncome: projection.map((row) => row.noi),
+    repaymentStart: timeline ? timeline.constructionStart + financing.graceMonths : 0,
+    firstFullYear: projection.findIndex((row) => row.months === 12)
+  });
+
+  // Unlevered investment metrics on the projected income (cost includes land value)
+  const investment = investmentMetrics({
+    investment: totalInvestment,
+    yearlyIncome: projection.map((row) => row.noi),
+    discountRate: discountRate / 100,
+    yearlyDebtService: levered.debtService
   });
+  // Saved scenarios evaluated on their own assumptions with the dashboard's
+  // costs, schedule, parking layout and massing; the compared ones are overlaid
+  // on the projection chart as cumulative NOI lines
+  const scenarioResults = Object.fromEntries(scenarios.map((s) => [s.id, evaluateScenario(unmassedProject, s, massing)]));
+  const scenarioLines = scenarios
+    .map((s, i) => ({ ...s, color: SCENARIO_COLORS[i % SCENARIO_COLORS.length] }))
+    .filter((s) => comparedScenarios.includes(s.id));
+  const projectionData = projection.map((row, i) => ({
+    ...row,
+    label: row.calendarYear ? format.year(row.calendarYear) : t('common.yearN', { year: row.year }),
+    discountedCumulative: Math.round(investment.cumulativeDiscounted[i + 1]),
+    levered: Math.round(levered.yearlyCashFlow[i]),
+    ...Object.fromEntries(scenarioLines.map((s) => [s.id, scenarioResults[s.id].projection[i]?.cumulative]))
+  }));
 
   // Reusable StatCard component for displaying key metrics
   const StatCard = ({ icon: Icon, title, value, subtitle, trend, color = "blue" }) => {
@@ -116,7 +715,7 @@ export default function App() {
           {trend && (
             <div className={`flex items-center text-sm ${trend > 0 ? 'text-green-600' : 'text-red-600'}`}>
               {trend > 0 ? <ArrowUpRight className="w-4 h-4" /> : <ArrowDownRight className="w-4 h-4" />}
-              {Math.abs(trend)}%
+              {format.percent(Math.abs(trend), 0)}
             </div>
           )}
         </div>
@@ -129,96 +728,191 @@ export default function App() {
     );
   };
 
-  // Interactive Site Plan Component
-  // This component renders an SVG visualization of the land plot and building
-  const SitePlan = () => {
-    const scale = 8;  // pixels per meter for scaling
+  // Interactive Site Plan
+  // This renders an SVG visualization of the land plot and building. It is called
+  // as a function rather than used as a component, so the SVG is not remounted
+  // on every render and keyboard focus stays on the selected unit.
+  // The drawing keeps north up and west left in both languages; only the text
+  // direction follows the interface language. Every position and label comes
+  // from the layout computed in lib/sitePlan.js, and elements that break a
+  // zoning rule (lib/zoning.js) are outlined in red.
+  const renderSitePlan = () => {
+    const { land, building, northCorridor, southCorridor, parking, parkingLayout: { stalls, aisles } } = site;
+    // Pixels per meter: 8, or less so that large plots still fit
+    const scale = Math.max(1, Math.min(8, Math.floor(480 / Math.max(land.width, land.depth))));
     const streetWidth = 40;
-    const svgWidth = 700;
-    const svgHeight = 600;
     const padding = 60;
+    // Legend labels sit after their swatch whichever way the text runs
+    const legendAnchor = dir === 'rtl' ? 'end' : 'start';
+    const m = format.length;
     
     // Calculate positions for all elements
     const landX = padding + streetWidth + 20;
     const landY = padding + streetWidth;
-    const landW = landData.width * scale;
-    const landH = landData.depth * scale;
-    
-    const buildingX = landX + (landData.northCorridorWidth * scale);
-    const buildingY = landY;
-    const buildingW = landData.buildingWidth * scale;
-    const buildingH = landData.buildingDepth * scale;
+    const landW = land.width * scale;
+    const landH = land.depth * scale;
+    const X = (x) => landX + x * scale;
+    const Y = (y) => landY + y * scale;
+
+    const buildingX = X(building.x);
+    const buildingY = Y(building.y);
+    const buildingW = building.width * scale;
+    const buildingH = building.depth * scale;
     
-    const parkingY = buildingY + buildingH;
-    const parkingH = landData.rearSetback * scale;
+    const parkingY = Y(parking.y);
+    const parkingH = parking.depth * scale;
+    const legendY = landY + landH + streetWidth + 15;
+    const svgWidth = landX + landW + 130;
+    const svgHeight = legendY + 100;
+    const selectedPlan = floorPlanModel(project, selectedFloor);
+    const floorStyle = FLOOR_STYLES[Math.max(0, project.floors.findIndex((f) => f.id === selectedFloor)) % FLOOR_STYLES.length];
+
+    // Units of the selected floor, summarized on the building
+    const commercialOnFloor = units.commercial.filter((u) => u.floor === selectedFloor);
+    const residentialOnFloor = units.residential.filter((u) => u.floor === selectedFloor);
+    const shopDepth = commercialOnFloor[0]?.depth;
+
+    // Zoning: elements to outline, and the one picked in the checks below
+    const failing = new Set(zoningChecks.filter((c) => !c.pass).map((c) => c.element));
+    const focused = zoningChecks.find((c) => c.id === hoveredCheck);
+    const marked = (element) => failing.has(element) || focused?.element === element;
+    const markColor = (element) => (failing.has(element) ? '#dc2626' : '#16a34a');
+    // Editor: draggable edges, moved with the pointer or the arrow keys
+    const editing = siteEditing && !showReport;
+    const current = massingOf(project.building);
+    const startDrag = (handle) => (e) => {
+      e.preventDefault();
+      const svg = e.currentTarget.ownerSVGElement;
+      svg.setPointerCapture?.(e.pointerId);
+      // Screen pixels per meter, as the drawing is zoomed and fitted to its box
+      const pixels = scale * screenScale(svg);
+      setSiteDrag({ handle, start: current, x: e.clientX, y: e.clientY, pixels });
+    };
+    const drag = (e) => {
+      if (!siteDrag) return;
+      const delta = SITE_HANDLES[siteDrag.handle] === 'x' ? e.clientX - siteDrag.x : e.clientY - siteDrag.y;
+      updateMassing(moveSiteHandle(siteDrag.start, siteDrag.handle, delta / siteDrag.pixels, project.land));
+    };
+    const nudge = (handle) => (e) => {
+      const steps = SITE_HANDLES[handle] === 'x' ? { ArrowLeft: -1, ArrowRight: 1 } : { ArrowUp: -1, ArrowDown: 1 };
+      if (!(e.key in steps)) return;
+      e.preventDefault();
+      updateMassing(moveSiteHandle(current, handle, steps[e.key] * SITE_GRID, project.land));
+    };
+    const grip = 8;
+    const handles = [
+      { id: 'building', x: buildingX, y: buildingY, width: buildingW, height: buildingH, cursor: 'move', value: building.x },
+      { id: 'buildingWest', x: buildingX - grip/2, y: buildingY, width: grip, height: buildingH, cursor: 'ew-resize', value: building.width },
+      { id: 'buildingEast', x: buildingX + buildingW - grip/2, y: buildingY, width: grip, height: buildingH, cursor: 'ew-resize', value: building.width },
+      { id: 'southCorridor', x: X(southCorridor.x + southCorridor.width) - grip/2, y: Y(southCorridor.y), width: grip, height: southCorridor.depth * scale, cursor: 'ew-resize', value: southCorridor.width },
+      { id: 'buildingSouth', x: buildingX, y: buildingY + buildingH - grip/2, width: buildingW, height: grip, cursor: 'ns-resize', value: building.depth },
+      { id: 'parkingSouth', x: X(parking.x), y: parkingY + parkingH - grip/2, width: parking.width * scale, height: grip, cursor: 'ns-resize', value: parking.depth }
+    ];
+    const dragged = siteDrag && handles.find((h) => h.id === siteDrag.handle);
+
+    // Strip of land the building must keep clear on one side
+    const setbackZone = (side, limit) => ({
+      north: { x: building.x, y: 0, width: building.width, depth: limit },
+      south: { x: building.x, y: land.depth - limit, width: building.width, depth: limit },
+      west: { x: 0, y: building.y, width: limit, depth: building.depth },
+      east: { x: land.width - limit, y: building.y, width: limit, depth: building.depth }
+    })[side];
 
     return (
       <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
         <div className="flex items-center justify-between mb-4">
           <div className="flex items-center gap-3">
             <Map className="w-5 h-5 text-blue-600" />
-            <h3 className="font-semibold text-gray-800">مخطط الموقع العام</h3>
+            <h3 className="font-semibold text-gray-800">{t('sitePlan.title')}</h3>
           </div>
-          <div className="flex gap-2">
+          <div className="flex items-center gap-2">
             <span className="px-3 py-1 bg-blue-100 text-blue-700 rounded-full text-xs">
-              المقياس: 1 سم = {scale} م
+              {t('sitePlan.scale', { scale })}
             </span>
+            <button
+              onClick={() => setSiteEditing(!siteEditing)}
+              aria-pressed={siteEditing}
+              className={`no-print flex items-center gap-1 px-3 py-1 rounded-full text-xs transition-colors ${
+                siteEditing ? 'bg-violet-600 text-white' : 'bg-violet-50 text-violet-700 hover:bg-violet-100'
+              }`}
+            >
+              <Move className="w-3.5 h-3.5" />
+              {t(siteEditing ? 'sitePlan.editor.done' : 'sitePlan.editor.edit')}
+            </button>
           </div>
         </div>
         
-        <div className="overflow-auto">
-          <svg width={svgWidth} height={svgHeight} className="mx-auto" style={{ direction: 'ltr' }}>
-            {/* Background */}
-            <rect x="0" y="0" width={svgWidth} height={svgHeight} fill="#f8fafc" />
-            
-            {/* North Street - شارع العشرين */}
+        <PlanViewer
+          width={svgWidth}
+          height={svgHeight}
+          scale={scale}
+          layers={SITE_PLAN_LAYERS}
+          exportName={`${project.id}-site-plan`}
+          dxf={() => siteDxf(project, selectedPlan)}
+          svgProps={{
+            className: siteDrag ? 'select-none' : '',
+            direction: dir,
+            onPointerMove: editing ? drag : undefined,
+            onPointerUp: () => setSiteDrag(null),
+            onPointerCancel: () => setSiteDrag(null)
+          }}
+        >
+          {/* Background */}
+          <rect x="0" y="0" width={svgWidth} height={svgHeight} fill="#f8fafc" />
+          
+          <g data-layer="streets">
+            {/* North Street */}
             <rect x={landX - 20} y={padding - streetWidth} width={landW + 40} height={streetWidth} fill="#94a3b8" />
             <text x={landX + landW/2} y={padding - streetWidth/2 + 5} textAnchor="middle" fill="white" fontSize="14" fontWeight="bold">
-              شارع العشرين (20م)
+              {streets.north.name} ({m(streets.north.width)})
             </text>
             <text x={landX + landW/2} y={padding - streetWidth/2 + 20} textAnchor="middle" fill="#e2e8f0" fontSize="10">
-              الشمال ↑
+              {t('sitePlan.north')}
             </text>
 
-            {/* South Street - شارع الخمسين */}
+            {/* South Street */}
             <rect x={landX - 20} y={landY + landH} width={landW + 40} height={streetWidth} fill="#64748b" />
             <text x={landX + landW/2} y={landY + landH + streetWidth/2 + 5} textAnchor="middle" fill="white" fontSize="14" fontWeight="bold">
-              شارع الخمسين (50م)
+              {streets.south.name} ({m(streets.south.width)})
             </text>
             <text x={landX + landW/2} y={landY + landH + streetWidth/2 + 20} textAnchor="middle" fill="#e2e8f0" fontSize="10">
-              الجنوب ↓
+              {t('sitePlan.south')}
             </text>
+          </g>
 
+          <g data-layer="neighbors">
             {/* West Neighbor */}
             <rect x={padding - 10} y={landY} width={streetWidth} height={landH} fill="#e2e8f0" stroke="#cbd5e1" />
             <text x={padding + 10} y={landY + landH/2} textAnchor="middle" fill="#64748b" fontSize="12" transform={`rotate(-90, ${padding + 10}, ${landY + landH/2})`}>
-              جار (غرب)
+              {t('sitePlan.westNeighbor')}
             </text>
 
             {/* East Neighbor */}
             <rect x={landX + landW + 10} y={landY} width={streetWidth} height={landH} fill="#e2e8f0" stroke="#cbd5e1" />
             <text x={landX + landW + 30} y={landY + landH/2} textAnchor="middle" fill="#64748b" fontSize="12" transform={`rotate(90, ${landX + landW + 30}, ${landY + landH/2})`}>
-              جار (شرق)
+              {t('sitePlan.eastNeighbor')}
             </text>
-
-            {/* Land Plot Boundary */}
-            <rect 
-              x={landX} 
-              y={landY} 
-              width={landW} 
-              height={landH} 
-              fill="#fef3c7" 
-              stroke="#f59e0b" 
-              strokeWidth="2"
-              strokeDasharray="5,5"
-            />
-            
-            {/* North Corridor - 7m wide */}
+          </g>
+
+          {/* Land Plot Boundary */}
+          <rect 
+            x={landX} 
+            y={landY} 
+            width={landW} 
+            height={landH} 
+            fill="#fef3c7" 
+            stroke="#f59e0b" 
+            strokeWidth="2"
+            strokeDasharray="5,5"
+          />
+          
+          {/* North Corridor */}
+          <g data-layer="corridors">
             <rect 
-              x={landX} 
-              y={landY} 
-              width={landData.northCorridorWidth * scale} 
-              height={buildingH} 
+              x={X(northCorridor.x)} 
+              y={Y(northCorridor.y)} 
+              width={northCorridor.width * scale} 
+              height={northCorridor.depth * scale} 
               fill="#dbeafe" 
               stroke="#3b82f6" 
               strokeWidth="1"
@@ -226,91 +920,104 @@ export default function App() {
               onMouseLeave={() => setHoveredArea(null)}
               className="cursor-pointer"
             />
-            <text x={landX + (landData.northCorridorWidth * scale)/2} y={landY + buildingH/2 - 10} textAnchor="middle" fill="#1e40af" fontSize="10" fontWeight="bold">
-              الممر الشمالي
-            </text>
-            <text x={landX + (landData.northCorridorWidth * scale)/2} y={landY + buildingH/2 + 5} textAnchor="middle" fill="#1e40af" fontSize="11">
-              7م
-            </text>
-            <text x={landX + (landData.northCorridorWidth * scale)/2} y={landY + buildingH/2 + 20} textAnchor="middle" fill="#3b82f6" fontSize="9">
-              (مدخل السكان)
-            </text>
-
-            {/* Main Building */}
-            <rect 
-              x={buildingX} 
-              y={buildingY} 
-              width={buildingW} 
-              height={buildingH} 
-              fill={selectedFloor === 'ground' ? '#bfdbfe' : selectedFloor === 'first' ? '#bbf7d0' : '#fde68a'}
-              stroke="#1e40af" 
-              strokeWidth="3"
-              onMouseEnter={() => setHoveredArea('building')}
-              onMouseLeave={() => setHoveredArea(null)}
-              className="cursor-pointer transition-colors"
-            />
-            
-            {/* Floor-specific content */}
-            {selectedFloor === 'ground' && (
-              <>
-                <line x1={buildingX} y1={buildingY + 15*scale} x2={buildingX + buildingW} y2={buildingY + 15*scale} stroke="#1e40af" strokeWidth="1" strokeDasharray="3,3" />
-                <rect x={buildingX + 2} y={buildingY + 2} width={buildingW/3 - 4} height={15*scale - 4} fill="#93c5fd" stroke="#2563eb" rx="2" />
-                <rect x={buildingX + buildingW/3 + 2} y={buildingY + 2} width={buildingW/3 - 4} height={15*scale - 4} fill="#93c5fd" stroke="#2563eb" rx="2" />
-                <rect x={buildingX + 2*buildingW/3 + 2} y={buildingY + 2} width={buildingW/3 - 4} height={15*scale - 4} fill="#93c5fd" stroke="#2563eb" rx="2" />
-                <text x={buildingX + buildingW/2} y={buildingY + 7*scale} textAnchor="middle" fill="#1e40af" fontSize="11" fontWeight="bold">
-                  3 محلات تجارية
+            {northCorridor.width > 0 && (
+              <g pointerEvents="none">
+                <text x={X(northCorridor.x + northCorridor.width/2)} y={Y(northCorridor.depth/2) - 10} textAnchor="middle" fill="#1e40af" fontSize="10" fontWeight="bold">
+                  {t('sitePlan.northCorridor')}
                 </text>
-                <text x={buildingX + buildingW/2} y={buildingY + 9*scale} textAnchor="middle" fill="#1e40af" fontSize="9">
-                  (عمق 15م)
+                <text x={X(northCorridor.x + northCorridor.width/2)} y={Y(northCorridor.depth/2) + 5} textAnchor="middle" fill="#1e40af" fontSize="11">
+                  {m(northCorridor.width)}
                 </text>
-              </>
-            )}
-            
-            {selectedFloor === 'first' && (
-              <>
-                {[0, 1, 2, 3, 4].map((row) => (
-                  <line key={row} x1={buildingX} y1={buildingY + (row * 5)*scale} x2={buildingX + buildingW} y2={buildingY + (row * 5)*scale} stroke="#16a34a" strokeWidth="1" strokeDasharray="2,2" />
-                ))}
-                <line x1={buildingX + buildingW/2} y1={buildingY} x2={buildingX + buildingW/2} y2={buildingY + buildingH} stroke="#16a34a" strokeWidth="1" strokeDasharray="2,2" />
-                <text x={buildingX + buildingW/2} y={buildingY + buildingH/2 - 5} textAnchor="middle" fill="#166534" fontSize="11" fontWeight="bold">
-                  10 أجنحة سكنية
-                </text>
-                <text x={buildingX + buildingW/2} y={buildingY + buildingH/2 + 10} textAnchor="middle" fill="#166534" fontSize="9">
-                  (6 حشو + 4 زاوية)
+                <text x={X(northCorridor.x + northCorridor.width/2)} y={Y(northCorridor.depth/2) + 20} textAnchor="middle" fill="#3b82f6" fontSize="9">
+                  {t('sitePlan.residentsEntrance')}
                 </text>
-              </>
+              </g>
             )}
-
-            {selectedFloor === 'annex' && (
-              <>
-                <text x={buildingX + buildingW/2} y={buildingY + buildingH/2 - 5} textAnchor="middle" fill="#92400e" fontSize="11" fontWeight="bold">
-                  5 أجنحة ملحق
+          </g>
+
+          {/* Main Building */}
+          <rect 
+            x={buildingX} 
+            y={buildingY} 
+            width={buildingW} 
+            height={buildingH} 
+            fill={floorStyle.fill}
+            stroke="#1e40af" 
+            strokeWidth="3"
+            onMouseEnter={() => setHoveredArea('building')}
+            onMouseLeave={() => setHoveredArea(null)}
+            className="cursor-pointer transition-colors"
+          />
+          
+          {/* Floor-specific content: the selected floor's plan (see components/FloorPlan.jsx) */}
+          {selectedPlan && (
+            <PlanSpaces
+              project={project}
+              floorId={selectedFloor}
+              model={selectedPlan}
+              scale={scale}
+              x={buildingX}
+              y={buildingY}
+              labels={false}
+              selection={selectedUnit}
+              onSelect={selectUnit}
+              onHover={setHoveredUnit}
+              statusColors={statusColors}
+            />
+          )}
+          {commercialOnFloor.length > 0 && (
+            <g pointerEvents="none">
+              <text x={buildingX + buildingW/2} y={buildingY + Math.min(shopDepth ?? building.depth, building.depth) * scale / 2 - 6} textAnchor="middle" fill="#1e40af" fontSize="11" fontWeight="bold">
+                {t('sitePlan.shops', { count: unitCountOnFloor(selectedFloor) })}
+              </text>
+              {shopDepth !== undefined && (
+                <text x={buildingX + buildingW/2} y={buildingY + Math.min(shopDepth, building.depth) * scale / 2 + 10} textAnchor="middle" fill="#1e40af" fontSize="9">
+                  {t('sitePlan.shopDepth', { depth: m(shopDepth) })}
                 </text>
-                <text x={buildingX + buildingW/2} y={buildingY + buildingH/2 + 10} textAnchor="middle" fill="#92400e" fontSize="9">
-                  (مع أسطح خاصة)
+              )}
+            </g>
+          )}
+          
+          {commercialOnFloor.length === 0 && residentialOnFloor.length > 0 && (
+            <g pointerEvents="none">
+              <text x={buildingX + buildingW/2} y={buildingY + buildingH/2 - 5} textAnchor="middle" fill="#166534" fontSize="11" fontWeight="bold">
+                {t(selectedFloor === 'annex' ? 'sitePlan.annexSuites' : 'sitePlan.residentialSuites', { count: unitCountOnFloor(selectedFloor) })}
+              </text>
+              <text x={buildingX + buildingW/2} y={buildingY + buildingH/2 + 10} textAnchor="middle" fill="#166534" fontSize="9">
+                ({residentialOnFloor.map((u) => `${format.number(u.count)} ${u.type}`).join(' + ')})
+              </text>
+              {residentialOnFloor.some((u) => u.hasRoof) && (
+                <text x={buildingX + buildingW/2} y={buildingY + buildingH/2 + 24} textAnchor="middle" fill="#92400e" fontSize="9">
+                  {t('sitePlan.privateRoofs')}
                 </text>
-              </>
-            )}
+              )}
+            </g>
+          )}
 
-            {/* South Corridor - 2m */}
+          {/* South Corridor */}
+          <g data-layer="corridors">
             <rect 
-              x={buildingX + buildingW} 
-              y={buildingY} 
-              width={landData.southCorridorWidth * scale} 
-              height={buildingH} 
+              x={X(southCorridor.x)} 
+              y={Y(southCorridor.y)} 
+              width={southCorridor.width * scale} 
+              height={southCorridor.depth * scale} 
               fill="#fce7f3" 
               stroke="#ec4899" 
               strokeWidth="1"
             />
-            <text x={buildingX + buildingW + (landData.southCorridorWidth * scale)/2} y={buildingY + buildingH/2} textAnchor="middle" fill="#be185d" fontSize="8" transform={`rotate(90, ${buildingX + buildingW + (landData.southCorridorWidth * scale)/2}, ${buildingY + buildingH/2})`}>
-              ممر جنوبي 2م (تمديدات)
-            </text>
+            {southCorridor.width > 0 && (
+              <text x={X(southCorridor.x + southCorridor.width/2)} y={Y(southCorridor.depth/2)} textAnchor="middle" fill="#be185d" fontSize="8" transform={`rotate(90, ${X(southCorridor.x + southCorridor.width/2)}, ${Y(southCorridor.depth/2)})`}>
+                {t('sitePlan.southCorridor', { width: m(southCorridor.width) })}
+              </text>
+            )}
+          </g>
 
-            {/* Parking Area */}
+          {/* Parking Area */}
+          <g data-layer="parking">
             <rect 
-              x={landX} 
+              x={X(parking.x)} 
               y={parkingY} 
-              width={landW} 
+              width={parking.width * scale} 
               height={parkingH} 
               fill="#dcfce7" 
               stroke="#22c55e" 
@@ -319,266 +1026,316 @@ export default function App() {
               onMouseLeave={() => setHoveredArea(null)}
               className="cursor-pointer"
             />
-            
-            {/* Parking Grid - 3 rows of 10 spaces */}
-            {Array.from({ length: 10 }).map((_, i) => (
-              <rect 
-                key={`p1-${i}`}
-                x={landX + 10 + (i * (landW - 20) / 10)} 
-                y={parkingY + 20} 
-                width={(landW - 20) / 10 - 5} 
-                height={40} 
-                fill="#86efac" 
-                stroke="#22c55e"
-                rx="2"
+          
+            {/* Parking layout packed by lib/parking.js: aisles, stalls, accessible stalls */}
+            {aisles.map((aisle, i) => (
+              <rect
+                key={`aisle-${i}`}
+                x={X(aisle.x)}
+                y={Y(aisle.y)}
+                width={aisle.width * scale}
+                height={aisle.depth * scale}
+                fill="#f1f5f9"
+                pointerEvents="none"
               />
             ))}
-            {Array.from({ length: 10 }).map((_, i) => (
-              <rect 
-                key={`p2-${i}`}
-                x={landX + 10 + (i * (landW - 20) / 10)} 
-                y={parkingY + 80} 
-                width={(landW - 20) / 10 - 5} 
-                height={40} 
-                fill="#86efac" 
-                stroke="#22c55e"
-                rx="2"
+            {stalls.map((stall, i) => (
+              <polygon
+                key={`stall-${i}`}
+                data-stall={stall.accessible ? 'accessible' : 'standard'}
+                points={stall.points.map(([x, y]) => `${X(x)},${Y(y)}`).join(' ')}
+                fill={stall.accessible ? '#93c5fd' : '#86efac'}
+                stroke={stall.accessible ? '#2563eb' : '#22c55e'}
+                strokeLinejoin="round"
+                pointerEvents="none"
               />
             ))}
-            {Array.from({ length: 10 }).map((_, i) => (
-              <rect 
-                key={`p3-${i}`}
-                x={landX + 10 + (i * (landW - 20) / 10)} 
-                y={parkingY + 140} 
-                width={(landW - 20) / 10 - 5} 
-                height={40} 
-                fill="#86efac" 
-                stroke="#22c55e"
-                rx="2"
+          
+            {parkingH > 0 && (
+              <g pointerEvents="none" stroke="white" strokeWidth="3" paintOrder="stroke">
+                <text x={X(parking.x + parking.width/2)} y={parkingY + parkingH/2 - 4} textAnchor="middle" fill="#166534" fontSize="12" fontWeight="bold">
+                  {t('sitePlan.rearParking')}
+                </text>
+                <text x={X(parking.x + parking.width/2)} y={parkingY + parkingH/2 + 14} textAnchor="middle" fill="#166534" fontSize="11">
+                  {t('sitePlan.parkingSpaces', { count: projectData.parking, setback: m(parking.depth) })}
+                </text>
+              </g>
+            )}
+          </g>
+
+          {/* Zoning: required setback strips and elements that break a rule */}
+          {zoningChecks.filter((c) => c.rule === 'setback' && marked(c.element)).map((check) => {
+            const zone = setbackZone(check.side, check.limit);
+            return (
+              <rect
+                key={check.id}
+                data-violation={check.pass ? undefined : check.element}
+                x={X(zone.x)}
+                y={Y(zone.y)}
+                width={Math.max(2, zone.width * scale)}
+                height={Math.max(2, zone.depth * scale)}
+                fill={markColor(check.element)}
+                fillOpacity="0.25"
+                stroke={markColor(check.element)}
+                strokeWidth="2"
+                strokeDasharray="6,3"
+                pointerEvents="none"
               />
-            ))}
-            
-            <text x={landX + landW/2} y={parkingY + parkingH/2 + 30} textAnchor="middle" fill="#166534" fontSize="12" fontWeight="bold">
-              المواقف الخلفية
-            </text>
-            <text x={landX + landW/2} y={parkingY + parkingH/2 + 50} textAnchor="middle" fill="#166534" fontSize="11">
-              30 موقف (ارتداد 22م)
+            );
+          })}
+          {['building', 'parking'].filter(marked).map((element) => {
+            const area = element === 'building' ? building : parking;
+            return (
+              <rect
+                key={element}
+                data-violation={failing.has(element) ? element : undefined}
+                x={X(area.x) - 3}
+                y={Y(area.y) - 3}
+                width={area.width * scale + 6}
+                height={area.depth * scale + 6}
+                fill="none"
+                stroke={markColor(element)}
+                strokeWidth="3"
+                strokeDasharray="8,4"
+                rx="3"
+                pointerEvents="none"
+              />
+            );
+          })}
+
+          {/* Editor handles; the building itself slides sideways */}
+          {editing && handles.map((handle) => (
+            <rect
+              key={handle.id}
+              data-handle={handle.id}
+              x={handle.x}
+              y={handle.y}
+              width={handle.width}
+              height={handle.height}
+              fill={handle.id === 'building' ? 'transparent' : '#7c3aed'}
+              fillOpacity={handle.id === 'building' ? undefined : siteDrag?.handle === handle.id ? 0.9 : 0.5}
+              stroke={handle.id === 'building' ? '#7c3aed' : 'none'}
+              strokeDasharray="4,3"
+              tabIndex={0}
+              aria-label={t(`sitePlan.editor.handles.${handle.id}`, { value: m(handle.value) })}
+              style={{ cursor: handle.cursor, touchAction: 'none' }}
+              className="outline-none focus:stroke-violet-900"
+              onPointerDown={startDrag(handle.id)}
+              onKeyDown={nudge(handle.id)}
+            />
+          ))}
+          {dragged && (
+            <text
+              x={dragged.x + dragged.width/2}
+              y={dragged.y + dragged.height/2}
+              textAnchor="middle"
+              dominantBaseline="middle"
+              fill="#5b21b6"
+              fontSize="13"
+              fontWeight="bold"
+              stroke="white"
+              strokeWidth="4"
+              paintOrder="stroke"
+              pointerEvents="none"
+            >
+              {m(dragged.value)}
             </text>
+          )}
 
-            {/* Dimension Lines */}
+          {/* Dimension Lines */}
+          <g data-layer="dimensions">
             <line x1={landX} y1={landY - 15} x2={landX + landW} y2={landY - 15} stroke="#f59e0b" strokeWidth="2" />
             <text x={landX + landW/2} y={landY - 25} textAnchor="middle" fill="#d97706" fontSize="12" fontWeight="bold">
-              25م (عرض الأرض)
+              {t('sitePlan.landWidth', { width: m(land.width) })}
             </text>
 
             <line x1={landX - 15} y1={landY} x2={landX - 15} y2={landY + landH} stroke="#f59e0b" strokeWidth="2" />
             <text x={landX - 25} y={landY + landH/2} textAnchor="middle" fill="#d97706" fontSize="11" fontWeight="bold" transform={`rotate(-90, ${landX - 25}, ${landY + landH/2})`}>
-              50.44م (عمق الأرض)
+              {t('sitePlan.landDepth', { depth: m(land.depth) })}
             </text>
 
             <line x1={buildingX} y1={buildingY + buildingH + 15} x2={buildingX + buildingW} y2={buildingY + buildingH + 15} stroke="#1e40af" strokeWidth="2" />
             <text x={buildingX + buildingW/2} y={buildingY + buildingH + 30} textAnchor="middle" fill="#1e40af" fontSize="11" fontWeight="bold">
-              16م (عرض العمارة)
+              {t('sitePlan.buildingWidth', { width: m(building.width) })}
             </text>
 
             <line x1={buildingX + buildingW + 25} y1={buildingY} x2={buildingX + buildingW + 25} y2={buildingY + buildingH} stroke="#1e40af" strokeWidth="2" />
             <text x={buildingX + buildingW + 40} y={buildingY + buildingH/2} textAnchor="middle" fill="#1e40af" fontSize="11" fontWeight="bold" transform={`rotate(90, ${buildingX + buildingW + 40}, ${buildingY + buildingH/2})`}>
-              25م (عمق العمارة)
+              {t('sitePlan.buildingDepth', { depth: m(building.depth) })}
             </text>
-
-            {/* North Arrow Compass */}
-            <g transform={`translate(${svgWidth - 60}, 40)`}>
-              <circle cx="20" cy="20" r="25" fill="white" stroke="#1e40af" strokeWidth="2" />
-              <polygon points="20,5 15,25 20,20 25,25" fill="#1e40af" />
-              <text x="20" y="42" textAnchor="middle" fill="#1e40af" fontSize="12" fontWeight="bold">N</text>
-              <text x="20" y="54" textAnchor="middle" fill="#64748b" fontSize="9">شمال</text>
-            </g>
-
-            {/* Legend */}
-            <g transform={`translate(20, ${svgHeight - 100})`}>
-              <rect x="0" y="0" width="180" height="90" fill="white" stroke="#e2e8f0" rx="5" />
-              <text x="90" y="18" textAnchor="middle" fill="#374151" fontSize="11" fontWeight="bold">دليل الألوان</text>
-              
-              <rect x="10" y="28" width="15" height="12" fill="#bfdbfe" stroke="#1e40af" />
-              <text x="30" y="38" fill="#374151" fontSize="9">العمارة</text>
-              
-              <rect x="90" y="28" width="15" height="12" fill="#dbeafe" stroke="#3b82f6" />
-              <text x="110" y="38" fill="#374151" fontSize="9">الممرات</text>
-              
-              <rect x="10" y="48" width="15" height="12" fill="#dcfce7" stroke="#22c55e" />
-              <text x="30" y="58" fill="#374151" fontSize="9">المواقف</text>
-              
-              <rect x="90" y="48" width="15" height="12" fill="#fef3c7" stroke="#f59e0b" strokeDasharray="2,2" />
-              <text x="110" y="58" fill="#374151" fontSize="9">حدود الأرض</text>
-              
-              <rect x="10" y="68" width="15" height="12" fill="#94a3b8" />
-              <text x="30" y="78" fill="#374151" fontSize="9">الشوارع</text>
-              
-              <rect x="90" y="68" width="15" height="12" fill="#e2e8f0" stroke="#cbd5e1" />
-              <text x="110" y="78" fill="#374151" fontSize="9">الجيران</text>
-            </g>
-          </svg>
-        </div>
+          </g>
+
+          {/* North Arrow Compass */}
+          <g transform={`translate(${svgWidth - 60}, 40)`}>
+            <circle cx="20" cy="20" r="25" fill="white" stroke="#1e40af" strokeWidth="2" />
+            <polygon points="20,5 15,25 20,20 25,25" fill="#1e40af" />
+            <text x="20" y="42" textAnchor="middle" fill="#1e40af" fontSize="12" fontWeight="bold">N</text>
+            <text x="20" y="54" textAnchor="middle" fill="#64748b" fontSize="9">{t('sitePlan.compassNorth')}</text>
+          </g>
+
+          {/* Legend */}
+          <g data-layer="legend" transform={`translate(20, ${legendY})`}>
+            <rect x="0" y="0" width="180" height="90" fill="white" stroke="#e2e8f0" rx="5" />
+            <text x="90" y="18" textAnchor="middle" fill="#374151" fontSize="11" fontWeight="bold">{t('sitePlan.legend.title')}</text>
+            
+            <rect x="10" y="28" width="15" height="12" fill="#bfdbfe" stroke="#1e40af" />
+            <text x="30" y="38" textAnchor={legendAnchor} fill="#374151" fontSize="9">{t('sitePlan.legend.building')}</text>
+            
+            <rect x="90" y="28" width="15" height="12" fill="#dbeafe" stroke="#3b82f6" />
+            <text x="110" y="38" textAnchor={legendAnchor} fill="#374151" fontSize="9">{t('sitePlan.legend.corridors')}</text>
+            
+            <rect x="10" y="48" width="15" height="12" fill="#dcfce7" stroke="#22c55e" />
+            <text x="30" y="58" textAnchor={legendAnchor} fill="#374151" fontSize="9">{t('sitePlan.legend.parking')}</text>
+            
+            <rect x="90" y="48" width="15" height="12" fill="#fef3c7" stroke="#f59e0b" strokeDasharray="2,2" />
+            <text x="110" y="58" textAnchor={legendAnchor} fill="#374151" fontSize="9">{t('sitePlan.legend.land')}</text>
+            
+            <rect x="10" y="68" width="15" height="12" fill="#94a3b8" />
+            <text x="30" y="78" textAnchor={legendAnchor} fill="#374151" fontSize="9">{t('sitePlan.legend.streets')}</text>
+            
+            <rect x="90" y="68" width="15" height="12" fill="#e2e8f0" stroke="#cbd5e1" />
+            <text x="110" y="78" textAnchor={legendAnchor} fill="#374151" fontSize="9">{t('sitePlan.legend.neighbors')}</text>
+          </g>
+        </PlanViewer>
 
         {/* Floor Selector Buttons */}
-        <div className="mt-4 flex justify-center gap-3">
-          <button
-            onClick={() => setSelectedFloor('ground')}
-            className={`px-4 py-2 rounded-lg font-medium transition-all ${
-              selectedFloor === 'ground'
-                ? 'bg-blue-600 text-white'
-                : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
-            }`}
-          >
-            الدور الأرضي (تجاري)
-          </button>
-          <button
-            onClick={() => setSelectedFloor('first')}
-            className={`px-4 py-2 rounded-lg font-medium transition-all ${
-              selectedFloor === 'first'
-                ? 'bg-green-600 text-white'
-                : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
-            }`}
-          >
-            الدور الأول (سكني)
-          </button>
-          <button
-            onClick={() => setSelectedFloor('annex')}
-            className={`px-4 py-2 rounded-lg font-medium transition-all ${
-              selectedFloor === 'annex'
-                ? 'bg-amber-600 text-white'
-                : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
-            }`}
-          >
-            الملحق
-          </button>
+        <div className="mt-4 flex flex-wrap justify-center gap-3">
+          {project.floors.map((floor, i) => (
+            <button
+              key={floor.id}
+              onClick={() => setSelectedFloor(floor.id)}
+              className={`px-4 py-2 rounded-lg font-medium transition-all ${
+                selectedFloor === floor.id
+                  ? `${FLOOR_STYLES[i % FLOOR_STYLES.length].button} text-white`
+                  : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+              }`}
+            >
+              {floorLabel(floor)}
+            </button>
+          ))}
         </div>
 
         {/* Hover Information Tooltip */}
         {hoveredArea && (
           <div className="mt-4 p-3 bg-blue-50 rounded-lg text-sm text-blue-800">
-            {hoveredArea === 'building' && 'العمارة: 16م × 25م = 400م² لكل دور'}
-            {hoveredArea === 'northCorridor' && 'الممر الشمالي: 7م عرض - مدخل هادئ ومستقل للسكان، يعطي انطباعاً فندقياً'}
-            {hoveredArea === 'parking' && 'المواقف الخلفية: 30 موقف في ارتداد 22م - كافية لمنع الوقوف أمام المحلات'}
+            {hoveredArea === 'building' && t('sitePlan.hover.building', {
+              width: m(building.width),
+              depth: m(building.depth),
+              area: format.area(building.width * building.depth)
+            })}
+            {hoveredArea === 'northCorridor' && t('sitePlan.hover.northCorridor', { width: m(northCorridor.width) })}
+            {hoveredArea === 'parking' && t('sitePlan.hover.parking', { count: projectData.parking, setback: m(parking.depth) })}
           </div>
         )}
+
+        {editing && (
+          <MassingPanel
+            fileMassing={fileMassing}
+            massing={current}
+            before={massingFigures(unmassedProject, computeIncome(unmassedProject, rates, opexItems))}
+            after={massingFigures(project, income)}
+            onReset={() => setMassing(null)}
+          />
+        )}
+
+        <ZoningChecks checks={zoningChecks} onHover={setHoveredCheck} />
       </div>
     );
   };
 
-  // Floor Plan Component for individual floor layouts
-  const FloorPlan = ({ floor }) => {
-    const scale = 10;
-    const buildingW = 16 * scale;
-    const buildingH = 25 * scale;
-    const padding = 40;
-
+  // Printable report of the current state, shown instead of the dashboard
+  if (showReport) {
     return (
-      <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
-        <div className="flex items-center gap-3 mb-4">
-          <Layers className="w-5 h-5 text-purple-600" />
-          <h3 className="font-semibold text-gray-800">
-            {floor === 'ground' ? 'مسقط الدور الأرضي' : floor === 'first' ? 'مسقط الدور الأول' : 'مسقط الملحق'}
-          </h3>
-        </div>
-
-        <svg width={buildingW + padding * 2} height={buildingH + padding * 2} className="mx-auto">
-          <rect x={padding} y={padding} width={buildingW} height={buildingH} fill="white" stroke="#1e40af" strokeWidth="3" />
-
-          {floor === 'ground' && (
-            <>
-              <line x1={padding} y1={padding + 15*scale} x2={padding + buildingW} y2={padding + 15*scale} stroke="#1e40af" strokeWidth="2" />
-              
-              <rect x={padding + 2} y={padding + 2} width={buildingW/3 - 4} height={15*scale - 4} fill="#dbeafe" stroke="#3b82f6" strokeWidth="1" />
-              <text x={padding + buildingW/6} y={padding + 7*scale} textAnchor="middle" fill="#1e40af" fontSize="10" fontWeight="bold">محل 1</text>
-              <text x={padding + buildingW/6} y={padding + 9*scale} textAnchor="middle" fill="#3b82f6" fontSize="9">50م²</text>
-
-              <rect x={padding + buildingW/3 + 2} y={padding + 2} width={buildingW/3 - 4} height={15*scale - 4} fill="#dbeafe" stroke="#3b82f6" strokeWidth="1" />
-              <text x={padding + buildingW/2} y={padding + 7*scale} textAnchor="middle" fill="#1e40af" fontSize="10" fontWeight="bold">محل 2</text>
-              <text x={padding + buildingW/2} y={padding + 9*scale} textAnchor="middle" fill="#3b82f6" fontSize="9">45م²</text>
-
-              <rect x={padding + 2*buildingW/3 + 2} y={padding + 2} width={buildingW/3 - 4} height={15*scale - 4} fill="#dbeafe" stroke="#3b82f6" strokeWidth="1" />
-              <text x={padding + 5*buildingW/6} y={padding + 7*scale} textAnchor="middle" fill="#1e40af" fontSize="10" fontWeight="bold">محل 3</text>
-              <text x={padding + 5*buildingW/6} y={padding + 9*scale} textAnchor="middle" fill="#3b82f6" fontSize="9">45م²</text>
-
-              <rect x={padding + 2} y={padding + 15*scale + 2} width={buildingW - 4} height={10*scale - 4} fill="#f3f4f6" stroke="#9ca3af" strokeWidth="1" />
-              <text x={padding + buildingW/2} y={padding + 20*scale} textAnchor="middle" fill="#6b7280" fontSize="10">خدمات ومستودعات</text>
-
-              <text x={padding - 25} y={padding + 7.5*scale} textAnchor="middle" fill="#1e40af" fontSize="10" transform={`rotate(-90, ${padding - 25}, ${padding + 7.5*scale})`}>15م</text>
-              <text x={padding + buildingW/2} y={padding + buildingH + 20} textAnchor="middle" fill="#1e40af" fontSize="10">16م</text>
-            </>
-          )}
-
-          {floor === 'first' && (
-            <>
-              <rect x={padding + buildingW/2 - 10} y={padding} width={20} height={buildingH} fill="#fef3c7" stroke="#f59e0b" strokeWidth="1" />
-              <text x={padding + buildingW/2} y={padding + buildingH/2} textAnchor="middle" fill="#d97706" fontSize="8" transform={`rotate(90, ${padding + buildingW/2}, ${padding + buildingH/2})`}>ممر 2م</text>
-
-              {[0, 1, 2, 3, 4].map((i) => (
-                <React.Fragment key={`left-${i}`}>
-                  <rect x={padding + 2} y={padding + 2 + i * 5 * scale} width={buildingW/2 - 14} height={5*scale - 4} fill="#dcfce7" stroke="#22c55e" strokeWidth="1" />
-                  <text x={padding + buildingW/4 - 5} y={padding + 2.5*scale + i * 5 * scale} textAnchor="middle" fill="#166534" fontSize="9">
-                    {i < 3 ? `جناح حشو ${35}م²` : `جناح زاوية ${27.5}م²`}
-                  </text>
-                </React.Fragment>
-              ))}
-
-              {[0, 1, 2, 3, 4].map((i) => (
-                <React.Fragment key={`right-${i}`}>
-                  <rect x={padding + buildingW/2 + 12} y={padding + 2 + i * 5 * scale} width={buildingW/2 - 14} height={5*scale - 4} fill="#dcfce7" stroke="#22c55e" strokeWidth="1" />
-                  <text x={padding + 3*buildingW/4 + 5} y={padding + 2.5*scale + i * 5 * scale} textAnchor="middle" fill="#166534" fontSize="9">
-                    {i < 3 ? `جناح حشو ${35}م²` : `جناح زاوية ${27.5}م²`}
-                  </text>
-                </React.Fragment>
-              ))}
-            </>
-          )}
-
-          {floor === 'annex' && (
-            <>
-              {[0, 1, 2, 3, 4].map((i) => (
-                <React.Fragment key={`annex-${i}`}>
-                  <rect x={padding + 2 + i * (buildingW/5)} y={padding + 2} width={buildingW/5 - 4} height={buildingH * 0.6} fill="#fef3c7" stroke="#f59e0b" strokeWidth="1" />
-                  <text x={padding + buildingW/10 + i * (buildingW/5)} y={padding + buildingH * 0.3} textAnchor="middle" fill="#92400e" fontSize="9">جناح {i+1}</text>
-                  <text x={padding + buildingW/10 + i * (buildingW/5)} y={padding + buildingH * 0.4} textAnchor="middle" fill="#b45309" fontSize="8">32م²</text>
-                  
-                  <rect x={padding + 2 + i * (buildingW/5)} y={padding + buildingH * 0.6 + 5} width={buildingW/5 - 4} height={buildingH * 0.35} fill="#fde68a" stroke="#f59e0b" strokeWidth="1" strokeDasharray="3,3" />
-                  <text x={padding + buildingW/10 + i * (buildingW/5)} y={padding + buildingH * 0.8} textAnchor="middle" fill="#92400e" fontSize="8">سطح خاص</text>
-                </React.Fragment>
-              ))}
-            </>
-          )}
-        </svg>
-      </div>
+      <ReportView
+        report={{
+          project,
+          date: format.date(today),
+          totals: summarizeUnits(project),
+          rates: { ...rates, discountRate, roofPremium },
+          income,
+          investment,
+          projection,
+          cashflow: cashflowAssumptions,
+          scenarios: scenarios
+            .filter((s) => comparedScenarios.includes(s.id))
+            .map((scenario) => ({ scenario, result: scenarioResults[scenario.id] }))
+        }}
+        sitePlan={renderSitePlan()}
+        floorPlans={project.floors.map((floor) => ({ floor, element: <FloorPlan project={project} floor={floor} /> }))}
+        onClose={() => setShowReport(false)}
+      />
     );
-  };
+  }
+
+  const compareFilesButton = <ProjectFileButton onOpen={onAddCompareFiles} multiple label={t('app.addCompareOption')} />;
 
   // Main component render
   return (
-    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 p-4 md:p-6" dir="rtl">
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 p-4 md:p-6" dir={dir}>
       {/* Header Section */}
-      <div className="mb-6">
+      <div className="mb-6 flex flex-wrap items-center justify-between gap-3">
         <div className="flex items-center gap-3 mb-2">
           <div className="p-2 bg-blue-600 rounded-lg">
             <Building2 className="w-6 h-6 text-white" />
           </div>
           <div>
-            <h1 className="text-2xl font-bold text-gray-900">مشروع إنشاء عمارة - الخيار (أ)</h1>
-            <p className="text-sm text-gray-500">لوحة التحكم والمخططات التفصيلية</p>
+            <h1 className="text-2xl font-bold text-gray-900">{t('app.title', { name: project.name })}</h1>
+            <p className="text-sm text-gray-500">{t('app.subtitle')}</p>
           </div>
         </div>
+        <div className="flex flex-wrap gap-2">
+          <LanguageSwitch />
+          <button
+            onClick={onToggleCompare}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg font-medium transition-all whitespace-nowrap ${
+              comparison
+                ? 'bg-blue-600 text-white'
+                : 'bg-white text-gray-600 hover:bg-gray-50 border border-gray-200'
+            }`}
+          >
+            <Columns className="w-4 h-4" />
+            {t('app.compare')}
+          </button>
+          <button
+            onClick={copyViewLink}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg font-medium transition-all whitespace-nowrap bg-white text-gray-600 hover:bg-gray-50 border border-gray-200"
+            title={t('app.copyLinkTitle')}
+          >
+            {linkCopied ? <Check className="w-4 h-4 text-green-600" /> : <Link className="w-4 h-4" />}
+            {linkCopied ? t('app.linkCopied') : t('app.copyLink')}
+          </button>
+          <button
+            onClick={() => setShowReport(true)}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg font-medium transition-all whitespace-nowrap bg-white text-gray-600 hover:bg-gray-50 border border-gray-200"
+          >
+            <FileText className="w-4 h-4" />
+            {t('app.report')}
+          </button>
+          <ProjectFileButton onOpen={onOpenFile} />
+        </div>
       </div>
 
+      {loadError && (
+        <div className="mb-6">
+          <ProjectErrors error={loadError} onDismiss={onDismissError} />
+        </div>
+      )}
+
+      {rentRollStatus.expiring.length + rentRollStatus.expired.length > 0 && (
+        <button
+          onClick={() => setActiveTab('units')}
+          className="mb-6 w-full flex items-center gap-2 p-3 bg-amber-50 border border-amber-200 rounded-xl text-sm text-amber-800 hover:bg-amber-100"
+        >
+          <AlertTriangle className="w-4 h-4" />
+          {rentRollStatus.expired.length > 0 && t('app.expiredLeases', { count: rentRollStatus.expired.length })}
+          {t('app.expiringLeases', { count: rentRollStatus.expiring.length, days: alertDays })}
+          <span className="ms-auto text-amber-600">{t('app.showRentRoll')}</span>
+        </button>
+      )}
+
       {/* Navigation Tabs */}
       <div className="flex gap-2 mb-6 overflow-x-auto pb-2">
-        {[
-          { id: 'siteplan', label: 'مخطط الموقع', icon: Map },
-          { id: 'floors', label: 'المساقط', icon: Layers },
-          { id: 'overview', label: 'نظرة عامة', icon: Building2 },
-          { id: 'financial', label: 'التحليل المالي', icon: DollarSign },
-          { id: 'units', label: 'الوحدات', icon: Home },
-          { id: 'simulator', label: 'محاكي الدخل', icon: TrendingUp }
-        ].map(tab => (
+        {TABS.map(tab => (
           <button
             key={tab.id}
             onClick={() => setActiveTab(tab.id)}
@@ -589,7 +1346,7 @@ export default function App() {
             }`}
           >
             <tab.icon className="w-4 h-4" />
-            {tab.label}
+            {t(`tabs.${tab.id}`)}
           </button>
         ))}
       </div>
@@ -597,47 +1354,59 @@ export default function App() {
       {/* Site Plan Tab */}
       {activeTab === 'siteplan' && (
         <div className="space-y-6">
-          <SitePlan />
+          {renderSitePlan()}
+          <PlanColoring value={planColoring} onChange={setPlanColoring} />
+          {unitDetails}
+
+          <ParkingPanel
+            settings={parkingLayout}
+            onChange={setParkingLayout}
+            layout={site.parkingLayout}
+            required={requiredParking(summarizeUnits(project), parkingRule)}
+            rule={parkingRule}
+            ruleFromZoning={Boolean(project.zoning?.parking)}
+            declared={project.building.declaredParking}
+          />
           
           <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
             <div className="bg-white rounded-xl p-4 shadow-sm border border-gray-100">
-              <p className="text-sm text-gray-500">مساحة الأرض</p>
-              <p className="text-xl font-bold text-amber-600">{Math.round(landData.width * landData.depth)} م²</p>
-              <p className="text-xs text-gray-400">25م × 50.44م</p>
+              <p className="text-sm text-gray-500">{t('sitePlan.landArea')}</p>
+              <p className="text-xl font-bold text-amber-600">{format.area(Math.round(landData.width * landData.depth))}</p>
+              <p className="text-xs text-gray-400">{format.length(landData.width)} × {format.length(landData.depth)}</p>
             </div>
             <div className="bg-white rounded-xl p-4 shadow-sm border border-gray-100">
-              <p className="text-sm text-gray-500">الواجهة الشرقية</p>
-              <p className="text-xl font-bold text-blue-600">50م شرقاً</p>
-              <p className="text-xs text-gray-400">نافذة تجارية</p>
+              <p className="text-sm text-gray-500">{t('sitePlan.eastFrontage')}</p>
+              <p className="text-xl font-bold text-blue-600">{t('sitePlan.eastward', { length: format.length(landData.eastFrontage) })}</p>
+              <p className="text-xs text-gray-400">{t('sitePlan.commercialWindow')}</p>
             </div>
             <div className="bg-white rounded-xl p-4 shadow-sm border border-gray-100">
-              <p className="text-sm text-gray-500">الواجهة الغربية</p>
-              <p className="text-xl font-bold text-green-600">20م غرباً</p>
-              <p className="text-xs text-gray-400">مدخل سكني</p>
+              <p className="text-sm text-gray-500">{t('sitePlan.westFrontage')}</p>
+              <p className="text-xl font-bold text-green-600">{t('sitePlan.westward', { length: format.length(landData.westFrontage) })}</p>
+              <p className="text-xs text-gray-400">{t('sitePlan.residentialEntrance')}</p>
             </div>
             <div className="bg-white rounded-xl p-4 shadow-sm border border-gray-100">
-              <p className="text-sm text-gray-500">العمق</p>
-              <p className="text-xl font-bold text-purple-600">50.44م</p>
-              <p className="text-xs text-gray-400">شمال-جنوب</p>
+              <p className="text-sm text-gray-500">{t('sitePlan.depth')}</p>
+              <p className="text-xl font-bold text-purple-600">{format.length(landData.depth)}</p>
+              <p className="text-xs text-gray-400">{t('sitePlan.northSouth')}</p>
             </div>
           </div>
 
           <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
-            <h3 className="font-semibold text-gray-800 mb-4">الشوارع المحيطة</h3>
+            <h3 className="font-semibold text-gray-800 mb-4">{t('sitePlan.streets')}</h3>
             <div className="grid md:grid-cols-2 gap-4">
-              <div className="p-4 bg-slate-50 rounded-lg border-r-4 border-slate-500">
+              <div className="p-4 bg-slate-50 rounded-lg border-s-4 border-slate-500">
                 <div className="flex items-center gap-2 mb-2">
                   <span className="text-lg">↑</span>
-                  <span className="font-semibold">شارع العشرين (شمال)</span>
+                  <span className="font-semibold">{t('sitePlan.northStreet', { name: streets.north.name })}</span>
                 </div>
-                <p className="text-sm text-gray-600">عرض 20م - الواجهة السكنية تطل عليه، يخدم كمدخل هادئ للسكان عبر الممر الشمالي 7م</p>
+                <p className="text-sm text-gray-600">{t('sitePlan.streetWidth', { width: format.length(streets.north.width) })}{streets.north.description && ` - ${streets.north.description}`}</p>
               </div>
-              <div className="p-4 bg-gray-100 rounded-lg border-r-4 border-gray-600">
+              <div className="p-4 bg-gray-100 rounded-lg border-s-4 border-gray-600">
                 <div className="flex items-center gap-2 mb-2">
                   <span className="text-lg">↓</span>
-                  <span className="font-semibold">شارع الخمسين (جنوب)</span>
+                  <span className="font-semibold">{t('sitePlan.southStreet', { name: streets.south.name })}</span>
                 </div>
-                <p className="text-sm text-gray-600">عرض 50م - الواجهة التجارية الرئيسية، حركة مرور عالية، رؤية ممتازة للمحلات</p>
+                <p className="text-sm text-gray-600">{t('sitePlan.streetWidth', { width: format.length(streets.south.width) })}{streets.south.description && ` - ${streets.south.description}`}</p>
               </div>
             </div>
           </div>
@@ -647,54 +1416,55 @@ export default function App() {
       {/* Floor Plans Tab */}
       {activeTab === 'floors' && (
         <div className="space-y-6">
+          <PlanColoring value={planColoring} onChange={setPlanColoring} />
+          {unitDetails}
           <div className="grid md:grid-cols-3 gap-6">
-            <FloorPlan floor="ground" />
-            <FloorPlan floor="first" />
-            <FloorPlan floor="annex" />
+            {project.floors.map((floor) => (
+              <FloorPlan
+                key={floor.id}
+                project={project}
+                floor={floor}
+                selection={selectedUnit}
+                onSelect={selectUnit}
+                onHover={setHoveredUnit}
+                statusColors={statusColors}
+              />
+            ))}
           </div>
 
           <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
-            <h3 className="font-semibold text-gray-800 mb-4">ملخص الأدوار</h3>
+            <h3 className="font-semibold text-gray-800 mb-4">{t('floors.summary')}</h3>
             <div className="overflow-x-auto">
               <table className="w-full text-sm">
                 <thead>
                   <tr className="border-b border-gray-200">
-                    <th className="text-right py-3 px-4 font-semibold text-gray-600">الدور</th>
-                    <th className="text-right py-3 px-4 font-semibold text-gray-600">الاستخدام</th>
-                    <th className="text-right py-3 px-4 font-semibold text-gray-600">المساحة</th>
-                    <th className="text-right py-3 px-4 font-semibold text-gray-600">عدد الوحدات</th>
-                    <th className="text-right py-3 px-4 font-semibold text-gray-600">ملاحظات</th>
+                    <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('floors.floor')}</th>
+                    <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('floors.use')}</th>
+                    <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('floors.area')}</th>
+                    <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('floors.unitCount')}</th>
+                    <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('floors.notes')}</th>
                   </tr>
                 </thead>
                 <tbody>
-                  <tr className="border-b border-gray-100 hover:bg-blue-50">
-                    <td className="py-3 px-4 font-medium">الأرضي</td>
-                    <td className="py-3 px-4">تجاري</td>
-                    <td className="py-3 px-4">400 م²</td>
-                    <td className="py-3 px-4">3 محلات</td>
-                    <td className="py-3 px-4 text-gray-500">عمق 15م لكل محل</td>
-                  </tr>
-                  <tr className="border-b border-gray-100 hover:bg-green-50">
-                    <td className="py-3 px-4 font-medium">الأول</td>
-                    <td className="py-3 px-4">سكني</td>
-                    <td className="py-3 px-4">400 م²</td>
-                    <td className="py-3 px-4">10 أجنحة</td>
-                    <td className="py-3 px-4 text-gray-500">جناحين بعمق 7م لكل منهما + ممر 2م</td>
-                  </tr>
-                  <tr className="hover:bg-amber-50">
-                    <td className="py-3 px-4 font-medium">الملحق</td>
-                    <td className="py-3 px-4">سكني</td>
-                    <td className="py-3 px-4">200 م²</td>
-                    <td className="py-3 px-4">5 أجنحة</td>
-                    <td className="py-3 px-4 text-gray-500">كل وحدة بسطح خاص</td>
-                  </tr>
+                  {project.floors.map((floor, i) => {
+                    const isCommercial = units.commercial.some((u) => u.floor === floor.id);
+                    return (
+                      <tr key={floor.id} className={`${i < project.floors.length - 1 ? 'border-b border-gray-100 ' : ''}${floorRowHover[i % floorRowHover.length]}`}>
+                        <td className="py-3 px-4 font-medium">{floor.shortName}</td>
+                        <td className="py-3 px-4">{floor.use}</td>
+                        <td className="py-3 px-4">{format.area(floor.area)}</td>
+                        <td className="py-3 px-4">{t(isCommercial ? 'floors.shops' : 'floors.suites', { count: unitCountOnFloor(floor.id) })}</td>
+                        <td className="py-3 px-4 text-gray-500">{floor.notes}</td>
+                      </tr>
+                    );
+                  })}
                 </tbody>
                 <tfoot>
                   <tr className="bg-gray-50 font-semibold">
-                    <td className="py-3 px-4">الإجمالي</td>
-                    <td className="py-3 px-4">مختلط</td>
-                    <td className="py-3 px-4">1,000 م²</td>
-                    <td className="py-3 px-4">18 وحدة</td>
+                    <td className="py-3 px-4">{t('common.total')}</td>
+                    <td className="py-3 px-4">{t('floors.mixed')}</td>
+                    <td className="py-3 px-4">{format.area(projectData.totalArea)}</td>
+                    <td className="py-3 px-4">{t('common.unitCount', { count: totalUnits })}</td>
                     <td className="py-3 px-4"></td>
                   </tr>
                 </tfoot>
@@ -705,60 +1475,71 @@ export default function App() {
       )}
 
       {/* Overview Tab */}
-      {activeTab === 'overview' && (
+      {activeTab === 'overview' && comparison && (
+        <ComparisonView
+          section="overview"
+          options={comparison}
+          rates={rates}
+          cashflow={cashflowAssumptions}
+          onRemove={onRemoveCompareOption}
+          actions={compareFilesButton}
+        />
+      )}
+
+      {activeTab === 'overview' && !comparison && (
         <div className="space-y-6">
           <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-            <StatCard icon={DollarSign} title="تكلفة التطوير" value="1.65 مليون" subtitle="غير شامل قيمة الأرض" color="blue" />
-            <StatCard icon={Ruler} title="إجمالي المسطحات" value="1,000 م²" subtitle="أرضي + أول + ملحق" color="green" />
-            <StatCard icon={Home} title="إجمالي الوحدات" value={`${totalUnits} وحدة`} subtitle={`${totalCommercialUnits} تجاري + ${totalResidentialUnits} سكني`} color="purple" />
-            <StatCard icon={Car} title="المواقف" value="30 موقف" subtitle="ارتداد 22م" color="amber" />
+            <StatCard icon={DollarSign} title={t('overview.developmentCost')} value={t('common.millions', { value: format.number(projectData.totalCost / 1000000, { maximumFractionDigits: 2 }) })} subtitle={projectData.landValue ? t('overview.landValueExtra', { value: format.currency(projectData.landValue) }) : t('overview.excludingLand')} color="blue" />
+            <StatCard icon={Ruler} title={t('overview.totalArea')} value={format.area(projectData.totalArea)} subtitle={project.floors.map((f) => f.shortName).join(' + ')} color="green" />
+            <StatCard icon={Home} title={t('overview.totalUnits')} value={t('common.unitCount', { count: totalUnits })} subtitle={t('overview.unitSplit', { commercial: totalCommercialUnits, residential: totalResidentialUnits })} color="purple" />
+            <StatCard icon={Car} title={t('overview.parking')} value={t('overview.parkingSpaces', { count: projectData.parking })} subtitle={t('overview.setback', { setback: format.length(projectData.setback) })} color="amber" />
           </div>
 
           <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
-            <h3 className="font-semibold text-gray-800 mb-4">أبعاد المبنى</h3>
+            <h3 className="font-semibold text-gray-800 mb-4">{t('overview.buildingDimensions')}</h3>
             <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
               <div className="text-center p-4 bg-blue-50 rounded-lg">
-                <p className="text-3xl font-bold text-blue-600">16م</p>
-                <p className="text-sm text-gray-600 mt-1">العرض</p>
+                <p className="text-3xl font-bold text-blue-600">{format.length(projectData.buildingDimensions.width)}</p>
+                <p className="text-sm text-gray-600 mt-1">{t('overview.width')}</p>
               </div>
               <div className="text-center p-4 bg-green-50 rounded-lg">
-                <p className="text-3xl font-bold text-green-600">25م</p>
-                <p className="text-sm text-gray-600 mt-1">العمق</p>
+                <p className="text-3xl font-bold text-green-600">{format.length(projectData.buildingDimensions.depth)}</p>
+                <p className="text-sm text-gray-600 mt-1">{t('overview.depth')}</p>
               </div>
               <div className="text-center p-4 bg-purple-50 rounded-lg">
-                <p className="text-3xl font-bold text-purple-600">7م</p>
-                <p className="text-sm text-gray-600 mt-1">الممر الشمالي</p>
+                <p className="text-3xl font-bold text-purple-600">{format.length(projectData.northCorridor)}</p>
+                <p className="text-sm text-gray-600 mt-1">{t('overview.northCorridor')}</p>
               </div>
               <div className="text-center p-4 bg-amber-50 rounded-lg">
-                <p className="text-3xl font-bold text-amber-600">2م</p>
-                <p className="text-sm text-gray-600 mt-1">الممر الجنوبي</p>
+                <p className="text-3xl font-bold text-amber-600">{format.length(projectData.southCorridor)}</p>
+                <p className="text-sm text-gray-600 mt-1">{t('overview.southCorridor')}</p>
               </div>
             </div>
           </div>
 
           <div className="grid md:grid-cols-2 gap-6">
             <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
-              <h3 className="font-semibold text-gray-800 mb-4">توزيع المسطحات</h3>
+              <h3 className="font-semibold text-gray-800 mb-4">{t('overview.areaDistribution')}</h3>
               <ResponsiveContainer width="100%" height={250}>
                 <PieChart>
-                  <Pie data={areaDistribution} cx="50%" cy="50%" innerRadius={60} outerRadius={100} paddingAngle={2} dataKey="value" label={({ name, value }) => `${name}: ${value}م²`}>
+                  <Pie data={areaDistribution} cx="50%" cy="50%" innerRadius={60} outerRadius={100} paddingAngle={2} dataKey="value" label={({ name, value }) => `${name}: ${format.area(value)}`}>
                     {areaDistribution.map((entry, index) => (
                       <Cell key={`cell-${index}`} fill={entry.color} />
                     ))}
                   </Pie>
-                  <Tooltip formatter={(value) => `${value} م²`} />
+                  <Tooltip formatter={(value) => format.area(value)} />
                 </PieChart>
               </ResponsiveContainer>
             </div>
 
             <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
-              <h3 className="font-semibold text-gray-800 mb-4">مزيج الوحدات</h3>
+              <h3 className="font-semibold text-gray-800 mb-4">{t('overview.unitMix')}</h3>
               <ResponsiveContainer width="100%" height={250}>
                 <BarChart data={unitMix} layout="vertical">
-                  <XAxis type="number" />
+                  <XAxis type="number" tickFormatter={(v) => format.number(v)} />
                   <YAxis type="category" dataKey="name" width={100} />
-                  <Tooltip />
-                  <Bar dataKey="count" radius={[0, 4, 4, 0]}>
+                  <Tooltip formatter={(value) => format.number(value)} />
+                  <Bar dataKey="count" name={t('overview.unitMixCount')} radius={[0, 4, 4, 0]}>
                     {unitMix.map((entry, index) => (
                       <Cell key={`cell-${index}`} fill={entry.color} />
                     ))}
@@ -769,18 +1550,9 @@ export default function App() {
           </div>
 
           <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
-            <h3 className="font-semibold text-gray-800 mb-4">مميزات التصميم</h3>
+            <h3 className="font-semibold text-gray-800 mb-4">{t('overview.features')}</h3>
             <div className="grid md:grid-cols-2 gap-3">
-              {[
-                'الواجهة التجارية بانحناء انسيابي يزيد زاوية الرؤية',
-                'فصل حركة السكان عن المتسوقين',
-                'ممر 7م يعطي انطباعاً فندقياً',
-                'تمديدات السباكة والتكييف في الارتداد للصيانة السهلة',
-                'شرفات غائرة للظل والخصوصية',
-                'أبواب الوحدات غير متقابلة للخصوصية',
-                'أسطح خاصة لوحدات الملحق',
-                'مواقف خلفية كافية (30 موقف)'
-              ].map((feature, i) => (
+              {project.features.map((feature, i) => (
                 <div key={i} className="flex items-start gap-2 p-3 bg-gray-50 rounded-lg">
                   <div className="w-2 h-2 bg-blue-500 rounded-full mt-2 flex-shrink-0"></div>
                   <span className="text-sm text-gray-700">{feature}</span>
@@ -791,133 +1563,202 @@ export default function App() {
         </div>
       )}
 
+      {/* Schedule Tab */}
+      {activeTab === 'schedule' && (
+        <SchedulePanel
+          project={project}
+          schedule={schedule}
+          onChange={updateSchedule}
+          onReset={() => updateSchedule(null)}
+          isEdited={savedSchedule !== null}
+          today={today}
+          financing={financing}
+        />
+      )}
+
       {/* Financial Tab */}
-      {activeTab === 'financial' && (
+      {activeTab === 'financial' && comparison && (
+        <ComparisonView
+          section="financial"
+          options={comparison}
+          rates={rates}
+          cashflow={cashflowAssumptions}
+          onRemove={onRemoveCompareOption}
+          actions={compareFilesButton}
+        />
+      )}
+
+      {activeTab === 'financial' && !comparison && (
         <div className="space-y-6">
           <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-            <StatCard icon={DollarSign} title="الدخل الشهري المتوقع" value={`${Math.round(totalMonthlyIncome).toLocaleString()} ريال`} subtitle={`بنسبة إشغال ${occupancyRate}%`} color="green" />
-            <StatCard icon={Calendar} title="الدخل السنوي" value={`${Math.round(annualIncome).toLocaleString()} ريال`} color="blue" />
-            <StatCard icon={Percent} title="العائد السنوي" value={`${annualYield.toFixed(1)}%`} subtitle="من تكلفة التطوير" color="purple" trend={annualYield > 8 ? 12 : -5} />
-            <StatCard icon={TrendingUp} title="فترة الاسترداد" value={`${(projectData.totalCost / annualIncome).toFixed(1)} سنة`} color="amber" />
+            <StatCard icon={DollarSign} title={t('financial.monthlyIncome')} value={format.currency(totalMonthlyIncome)} subtitle={t('financial.atOccupancy', { occupancy: format.percent(occupancyRate, 0) })} color="green" />
+            <StatCard icon={Calendar} title={t('financial.annualNoi')} value={format.currency(annualNOI)} subtitle={t('financial.gross', { value: format.currency(annualIncome) })} color="blue" />
+            <StatCard icon={Percent} title={t('financial.netYield')} value={format.percent(annualYield)} subtitle={t('financial.grossYield', { value: format.percent(grossYield) })} color="purple" trend={annualYield > 8 ? 12 : -5} />
+            <StatCard icon={TrendingUp} title={t('financial.payback')} value={Number.isFinite(paybackYears) ? t('common.years', { value: format.number(paybackYears, 1) }) : '—'} subtitle={t('financial.onNoi')} color="amber" />
+          </div>
+
+          <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
+            <div className="flex justify-between mb-2">
+              <label className="text-sm font-medium text-gray-700">{t('financial.discountRate')}</label>
+              <span className="text-sm font-bold text-blue-600">{format.percent(discountRate)}</span>
+            </div>
+            <input
+              type="range"
+              min="0"
+              max="20"
+              step="0.5"
+              value={discountRate}
+              onChange={(e) => setDiscountRate(parseFloat(e.target.value))}
+              className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+            />
+            <div className="flex justify-between text-xs text-gray-400 mt-1">
+              <span>{format.percent(0, 0)}</span>
+              <span>{format.percent(20, 0)}</span>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <StatCard icon={DollarSign} title={t('financial.npv')} value={format.currency(investment.npv)} subtitle={t('financial.npvBasis', { rate: format.percent(discountRate), count: projection.length })} color={investment.npv >= 0 ? 'green' : 'amber'} />
+            <StatCard icon={Percent} title={t('financial.irr')} value={investment.irr === null ? '—' : format.percent(investment.irr * 100)} subtitle={t('financial.beforeFinancing')} color="purple" />
+            <StatCard icon={Clock} title={t('financial.discountedPayback')} value={investment.discountedPayback === null ? t('financial.moreThanYears', { count: projection.length }) : t('common.years', { value: format.number(investment.discountedPayback, 1) })} color="blue" />
+            <StatCard icon={Landmark} title={t('financial.dscr')} value={investment.dscr === null ? '—' : `${format.number(investment.dscr, 2)}x`} subtitle={financing.enabled ? t('financial.dscrBasis', { value: format.currency(levered.debtService.find((d) => d > 0) || 0) }) : t('financial.noFinancing')} color="amber" />
           </div>
 
           <div className="grid md:grid-cols-2 gap-6">
             <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
-              <h3 className="font-semibold text-gray-800 mb-4">توزيع الدخل الشهري</h3>
+              <h3 className="font-semibold text-gray-800 mb-4">{t('financial.incomeDistribution')}</h3>
               <ResponsiveContainer width="100%" height={250}>
                 <PieChart>
-                  <Pie data={incomeDistribution} cx="50%" cy="50%" innerRadius={60} outerRadius={100} paddingAngle={2} dataKey="value" label={({ name, value }) => `${name}: ${Math.round(value).toLocaleString()}`}>
+                  <Pie data={incomeDistribution} cx="50%" cy="50%" innerRadius={60} outerRadius={100} paddingAngle={2} dataKey="value" label={({ name, value }) => `${name}: ${format.number(value)}`}>
                     {incomeDistribution.map((entry, index) => (
                       <Cell key={`cell-${index}`} fill={entry.color} />
                     ))}
                   </Pie>
-                  <Tooltip formatter={(value) => `${Math.round(value).toLocaleString()} ريال`} />
+                  <Tooltip formatter={(value) => format.currency(value)} />
                 </PieChart>
               </ResponsiveContainer>
               <div className="mt-4 space-y-2">
                 <div className="flex justify-between items-center p-2 bg-purple-50 rounded">
-                  <span className="text-sm">الدخل التجاري</span>
-                  <span className="font-semibold text-purple-600">{Math.round(monthlyCommercialIncome).toLocaleString()} ريال</span>
+                  <span className="text-sm">{t('financial.commercialIncome')}</span>
+                  <span className="font-semibold text-purple-600">{format.currency(monthlyCommercialIncome)}</span>
                 </div>
                 <div className="flex justify-between items-center p-2 bg-pink-50 rounded">
-                  <span className="text-sm">الدخل السكني</span>
-                  <span className="font-semibold text-pink-600">{Math.round(monthlyResidentialIncome).toLocaleString()} ريال</span>
+                  <span className="text-sm">{t('financial.residentialIncome')}</span>
+                  <span className="font-semibold text-pink-600">{format.currency(monthlyResidentialIncome)}</span>
                 </div>
               </div>
             </div>
 
             <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
-              <h3 className="font-semibold text-gray-800 mb-4">التوقعات لـ 10 سنوات</h3>
+              <h3 className="font-semibold text-gray-800 mb-4">{t('financial.projectionTitle', { count: projection.length })}</h3>
               <ResponsiveContainer width="100%" height={300}>
                 <LineChart data={projectionData}>
                   <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="year" fontSize={10} />
-                  <YAxis fontSize={10} tickFormatter={(v) => `${(v/1000).toFixed(0)}k`} />
-                  <Tooltip formatter={(value) => `${value.toLocaleString()} ريال`} />
+                  <XAxis dataKey="label" fontSize={10} />
+                  <YAxis fontSize={10} tickFormatter={(v) => t('common.thousandsShort', { value: format.number(v / 1000) })} />
+                  <Tooltip formatter={(value) => format.currency(value)} />
                   <Legend />
-                  <Line type="monotone" dataKey="income" name="الدخل السنوي" stroke="#3B82F6" strokeWidth={2} />
-                  <Line type="monotone" dataKey="cumulative" name="الدخل التراكمي" stroke="#10B981" strokeWidth={2} />
+                  <Line type="monotone" dataKey="income" name={t('financial.lines.income')} stroke="#3B82F6" strokeWidth={2} />
+                  <Line type="monotone" dataKey="noi" name={t('financial.lines.noi')} stroke="#8B5CF6" strokeWidth={2} />
+                  <Line type="monotone" dataKey="cumulative" name={t('financial.lines.cumulative')} stroke="#10B981" strokeWidth={2} />
+                  <Line type="monotone" dataKey="discountedCumulative" name={t('financial.lines.discountedCumulative')} stroke="#F59E0B" strokeWidth={2} strokeDasharray="5 5" />
+                  {financing.enabled && (
+                    <Line type="monotone" dataKey="levered" name={t('financial.lines.levered')} stroke="#EF4444" strokeWidth={2} />
+                  )}
+                  {scenarioLines.map((s) => (
+                    <Line key={s.id} type="monotone" dataKey={s.id} name={t('financial.lines.scenario', { name: s.name })} stroke={s.color} strokeWidth={1.5} strokeDasharray="3 3" dot={false} />
+                  ))}
                 </LineChart>
               </ResponsiveContainer>
             </div>
           </div>
 
-          <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
-            <h3 className="font-semibold text-gray-800 mb-4">تفصيل التكاليف المتوقعة</h3>
-            <div className="overflow-x-auto">
-              <table className="w-full text-sm">
-                <thead>
-                  <tr className="border-b border-gray-200">
-                    <th className="text-right py-3 px-4 font-semibold text-gray-600">البند</th>
-                    <th className="text-right py-3 px-4 font-semibold text-gray-600">التكلفة التقريبية</th>
-                    <th className="text-right py-3 px-4 font-semibold text-gray-600">النسبة</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {[
-                    { item: 'الهيكل الإنشائي', cost: 500000, percent: 30 },
-                    { item: 'التشطيبات الداخلية', cost: 400000, percent: 24 },
-                    { item: 'الكهرباء والسباكة', cost: 250000, percent: 15 },
-                    { item: 'التكييف', cost: 200000, percent: 12 },
-                    { item: 'الواجهات', cost: 150000, percent: 9 },
-                    { item: 'المصاعد والدرج', cost: 100000, percent: 6 },
-                    { item: 'احتياطي', cost: 50000, percent: 4 }
-                  ].map((row, i) => (
-                    <tr key={i} className="border-b border-gray-100 hover:bg-gray-50">
-                      <td className="py-3 px-4">{row.item}</td>
-                      <td className="py-3 px-4 font-medium">{row.cost.toLocaleString()} ريال</td>
-                      <td className="py-3 px-4">
-                        <div className="flex items-center gap-2">
-                          <div className="w-20 h-2 bg-gray-200 rounded-full overflow-hidden">
-                            <div className="h-full bg-blue-500 rounded-full" style={{ width: `${row.percent}%` }}></div>
-                          </div>
-                          <span className="text-gray-500">{row.percent}%</span>
-                        </div>
-                      </td>
-                    </tr>
-                  ))}
-                </tbody>
-                <tfoot>
-                  <tr className="bg-gray-50 font-semibold">
-                    <td className="py-3 px-4">الإجمالي</td>
-                    <td className="py-3 px-4">1,650,000 ريال</td>
-                    <td className="py-3 px-4">100%</td>
-                  </tr>
-                </tfoot>
-              </table>
-            </div>
-          </div>
+          <CostTrackingPanel costs={project.costs} actuals={actuals} onChange={updateActuals} today={today} />
+
+          <CashFlowPanel assumptions={cashflowAssumptions} onChange={setCashflowAssumptions} rows={projection} />
+
+          <OpexPanel items={opexItems} onChange={setOpexItems} income={income} />
+
+          <FinancingPanel
+            financing={financing}
+            onChange={setFinancing}
+            totalCost={projectData.totalCost}
+            schedule={loanSchedule}
+            levered={levered}
+          />
+
+          <SpreadsheetPanel
+            project={project}
+            sheets={[
+              { id: 'units', sheet: unitSheet(project, income) },
+              { id: 'costs', sheet: costSheet(project) },
+              { id: 'rent-roll', sheet: rentRollSheet(project) },
+              { id: 'projection', sheet: projectionSheet(projection) },
+              { id: 'scenarios', sheet: scenarioSheet(scenarios.map((scenario) => ({ scenario, result: scenarioResults[scenario.id] }))) }
+            ]}
+            onImport={importSheets}
+          />
         </div>
       )}
 
       {/* Units Tab */}
-      {activeTab === 'units' && (
+      {activeTab === 'units' && comparison && (
+        <ComparisonView
+          section="units"
+          options={comparison}
+          rates={rates}
+          cashflow={cashflowAssumptions}
+          onRemove={onRemoveCompareOption}
+          actions={compareFilesButton}
+        />
+      )}
+
+      {activeTab === 'units' && !comparison && (
         <div className="space-y-6">
+          <RentRollPanel
+            project={project}
+            records={project.rentRoll}
+            onChange={updateRentRoll}
+            summary={rentRollStatus}
+            projected={{ occupancy: occupancyRate, monthlyIncome: totalMonthlyIncome }}
+            alertDays={alertDays}
+            onAlertDaysChange={setAlertDays}
+          />
+
           <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
             <div className="flex items-center gap-3 mb-4">
               <Store className="w-5 h-5 text-blue-600" />
-              <h3 className="font-semibold text-gray-800">الوحدات التجارية</h3>
-              <span className="px-2 py-1 bg-blue-100 text-blue-700 rounded-full text-xs font-medium">{totalCommercialUnits} وحدات</span>
+              <h3 className="font-semibold text-gray-800">{t('units.commercial')}</h3>
+              <span className="px-2 py-1 bg-blue-100 text-blue-700 rounded-full text-xs font-medium">{t('common.unitCount', { count: totalCommercialUnits })}</span>
             </div>
             <div className="grid md:grid-cols-3 gap-4">
-              {units.commercial.map((unit, i) => (
-                <div key={i} className="p-4 border border-gray-200 rounded-lg hover:border-blue-300 transition-colors">
+              {units.commercial.map((unit) => (
+                <div
+                  key={unit.id}
+                  data-unit-card={unit.id}
+                  onClick={() => setSelectedUnit({ unitId: unit.id })}
+                  className={`p-4 border rounded-lg transition-colors ${selectedUnit?.unitId === unit.id ? 'border-violet-500 ring-2 ring-violet-200' : 'border-gray-200 hover:border-blue-300'}`}
+                >
                   <div className="flex justify-between items-start mb-3">
                     <span className="font-medium text-gray-800">{unit.type}</span>
-                    <span className="px-2 py-0.5 bg-blue-50 text-blue-600 rounded text-xs">{unit.count}x</span>
+                    <div className="flex items-center gap-2">
+                      <UnitPlanButton onClick={() => showUnitInPlans(unit.id)} />
+                      <span className="px-2 py-0.5 bg-blue-50 text-blue-600 rounded text-xs">{format.number(unit.count)}x</span>
+                    </div>
                   </div>
                   <div className="space-y-2 text-sm">
                     <div className="flex justify-between">
-                      <span className="text-gray-500">المساحة</span>
-                      <span className="font-medium">{unit.area} م²</span>
+                      <span className="text-gray-500">{t('units.area')}</span>
+                      <span className="font-medium">{format.area(unit.area)}</span>
                     </div>
                     <div className="flex justify-between">
-                      <span className="text-gray-500">العمق</span>
-                      <span className="font-medium">{unit.depth} م</span>
+                      <span className="text-gray-500">{t('units.depth')}</span>
+                      <span className="font-medium">{format.length(unit.depth)}</span>
                     </div>
+                    <UnitRentInput unit={unit} category="commercial" project={project} onChange={(changes) => updateUnit('commercial', unit.id, changes)} />
                     <div className="flex justify-between">
-                      <span className="text-gray-500">الإيجار المتوقع</span>
-                      <span className="font-medium text-green-600">{Math.round(unit.area * commercialRate / 12).toLocaleString()} ريال/شهر</span>
+                      <span className="text-gray-500">{t('units.expectedRent')}</span>
+                      <span className="font-medium text-green-600">{t('common.perMonth', { value: format.currency(rentOf(unit.id)) })}</span>
                     </div>
                   </div>
                 </div>
@@ -925,7 +1766,7 @@ export default function App() {
             </div>
             <div className="mt-4 p-3 bg-blue-50 rounded-lg">
               <p className="text-sm text-blue-800">
-                <strong>الشريحة المستهدفة:</strong> بوفية، بقالة، مغسلة - أنشطة تخدم السكان والمارة
+                <strong>{t('units.commercialTargetLabel')}</strong> {t('units.commercialTarget')}
               </p>
             </div>
           </div>
@@ -933,60 +1774,82 @@ export default function App() {
           <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
             <div className="flex items-center gap-3 mb-4">
               <Home className="w-5 h-5 text-green-600" />
-              <h3 className="font-semibold text-gray-800">الوحدات السكنية</h3>
-              <span className="px-2 py-1 bg-green-100 text-green-700 rounded-full text-xs font-medium">{totalResidentialUnits} وحدة</span>
+              <h3 className="font-semibold text-gray-800">{t('units.residential')}</h3>
+              <span className="px-2 py-1 bg-green-100 text-green-700 rounded-full text-xs font-medium">{t('common.unitCount', { count: totalResidentialUnits })}</span>
             </div>
             <div className="grid md:grid-cols-3 gap-4">
-              {units.residential.map((unit, i) => (
-                <div key={i} className="p-4 border border-gray-200 rounded-lg hover:border-green-300 transition-colors">
+              {units.residential.map((unit) => (
+                <div
+                  key={unit.id}
+                  data-unit-card={unit.id}
+                  onClick={() => setSelectedUnit({ unitId: unit.id })}
+                  className={`p-4 border rounded-lg transition-colors ${selectedUnit?.unitId === unit.id ? 'border-violet-500 ring-2 ring-violet-200' : 'border-gray-200 hover:border-green-300'}`}
+                >
                   <div className="flex justify-between items-start mb-3">
                     <span className="font-medium text-gray-800">{unit.type}</span>
-                    <span className="px-2 py-0.5 bg-green-50 text-green-600 rounded text-xs">{unit.count}x</span>
+                    <div className="flex items-center gap-2">
+                      <UnitPlanButton onClick={() => showUnitInPlans(unit.id)} />
+                      <span className="px-2 py-0.5 bg-green-50 text-green-600 rounded text-xs">{format.number(unit.count)}x</span>
+                    </div>
                   </div>
                   <div className="space-y-2 text-sm">
                     <div className="flex justify-between">
-                      <span className="text-gray-500">المساحة</span>
-                      <span className="font-medium">{unit.area} م²</span>
+                      <span className="text-gray-500">{t('units.area')}</span>
+                      <span className="font-medium">{format.area(unit.area)}</span>
                     </div>
+                    <UnitRentInput unit={unit} category="residential" project={project} onChange={(changes) => updateUnit('residential', unit.id, changes)} />
+                    <UnitStrategyInput unit={unit} onChange={(changes) => updateUnit('residential', unit.id, changes)} />
                     <div className="flex justify-between">
-                      <span className="text-gray-500">الإيجار الشهري</span>
-                      <span className="font-medium text-green-600">{residentialRate.toLocaleString()} ريال</span>
+                      <span className="text-gray-500">{strategyOf(unit.id) === 'daily' ? t('units.averageMonthlyRevenue') : t('units.monthlyRent')}</span>
+                      <span className="font-medium text-green-600">{format.currency(rentOf(unit.id))}</span>
                     </div>
                     {unit.hasRoof && (
                       <div className="flex items-center gap-1 text-amber-600">
                         <span>✨</span>
-                        <span>سطح خاص</span>
+                        <span>{t('units.privateRoof', { premium: format.percent(roofPremium, 0) })}</span>
                       </div>
                     )}
                   </div>
                 </div>
               ))}
             </div>
+            <div className="mt-4 flex items-center gap-3 text-sm">
+              <label className="text-gray-600">{t('units.roofPremium')}</label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={roofPremium}
+                onChange={(e) => setRoofPremium(Math.max(0, parseFloat(e.target.value) || 0))}
+                className="w-20 px-2 py-1 border border-gray-200 rounded"
+              />
+              <span className="text-gray-500">%</span>
+            </div>
             <div className="mt-4 p-3 bg-green-50 rounded-lg">
               <p className="text-sm text-green-800">
-                <strong>نمط التأجير:</strong> شهري ويومي - مرونة في استهداف شرائح مختلفة
+                <strong>{t('units.strategyNoteLabel')}</strong> {t('units.strategyNote')}
               </p>
             </div>
           </div>
 
           <div className="bg-gradient-to-r from-blue-600 to-purple-600 rounded-xl p-6 text-white">
-            <h3 className="font-semibold mb-4">ملخص الوحدات</h3>
+            <h3 className="font-semibold mb-4">{t('units.summary')}</h3>
             <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
               <div className="text-center">
-                <p className="text-3xl font-bold">{totalUnits}</p>
-                <p className="text-blue-100 text-sm">إجمالي الوحدات</p>
+                <p className="text-3xl font-bold">{format.number(totalUnits)}</p>
+                <p className="text-blue-100 text-sm">{t('units.totalUnits')}</p>
               </div>
               <div className="text-center">
-                <p className="text-3xl font-bold">{totalCommercialArea + 15 * totalResidentialUnits}</p>
-                <p className="text-blue-100 text-sm">م² قابلة للتأجير</p>
+                <p className="text-3xl font-bold">{format.number(totalCommercialArea + totalResidentialArea, { maximumFractionDigits: 1 })}</p>
+                <p className="text-blue-100 text-sm">{t('units.leasableArea')}</p>
               </div>
               <div className="text-center">
-                <p className="text-3xl font-bold">{Math.round(totalMonthlyIncome).toLocaleString()}</p>
-                <p className="text-blue-100 text-sm">ريال/شهر</p>
+                <p className="text-3xl font-bold">{format.number(totalMonthlyIncome)}</p>
+                <p className="text-blue-100 text-sm">{t('units.sarPerMonth')}</p>
               </div>
               <div className="text-center">
-                <p className="text-3xl font-bold">{annualYield.toFixed(1)}%</p>
-                <p className="text-blue-100 text-sm">عائد سنوي</p>
+                <p className="text-3xl font-bold">{format.percent(annualYield)}</p>
+                <p className="text-blue-100 text-sm">{t('units.netAnnualYield')}</p>
               </div>
             </div>
           </div>
@@ -997,14 +1860,14 @@ export default function App() {
       {activeTab === 'simulator' && (
         <div className="space-y-6">
           <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
-            <h3 className="font-semibold text-gray-800 mb-4">محاكي الدخل التفاعلي</h3>
-            <p className="text-sm text-gray-500 mb-6">قم بتعديل المتغيرات لرؤية تأثيرها على العائد</p>
+            <h3 className="font-semibold text-gray-800 mb-4">{t('simulator.title')}</h3>
+            <p className="text-sm text-gray-500 mb-6">{t('simulator.hint')}</p>
             
             <div className="space-y-6">
               <div>
                 <div className="flex justify-between mb-2">
-                  <label className="text-sm font-medium text-gray-700">نسبة الإشغال</label>
-                  <span className="text-sm font-bold text-blue-600">{occupancyRate}%</span>
+                  <label className="text-sm font-medium text-gray-700">{t('simulator.occupancy')}</label>
+                  <span className="text-sm font-bold text-blue-600">{format.percent(occupancyRate, 0)}</span>
                 </div>
                 <input
                   type="range"
@@ -1015,15 +1878,15 @@ export default function App() {
                   className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
                 />
                 <div className="flex justify-between text-xs text-gray-400 mt-1">
-                  <span>50%</span>
-                  <span>100%</span>
+                  <span>{format.percent(50, 0)}</span>
+                  <span>{format.percent(100, 0)}</span>
                 </div>
               </div>
 
               <div>
                 <div className="flex justify-between mb-2">
-                  <label className="text-sm font-medium text-gray-700">إيجار المتر التجاري (سنوياً)</label>
-                  <span className="text-sm font-bold text-purple-600">{commercialRate} ريال</span>
+                  <label className="text-sm font-medium text-gray-700">{t('simulator.commercialRate')}</label>
+                  <span className="text-sm font-bold text-purple-600">{format.currency(commercialRate)}</span>
                 </div>
                 <input
                   type="range"
@@ -1035,15 +1898,15 @@ export default function App() {
                   className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
                 />
                 <div className="flex justify-between text-xs text-gray-400 mt-1">
-                  <span>800 ريال</span>
-                  <span>2000 ريال</span>
+                  <span>{format.currency(800)}</span>
+                  <span>{format.currency(2000)}</span>
                 </div>
               </div>
 
               <div>
                 <div className="flex justify-between mb-2">
-                  <label className="text-sm font-medium text-gray-700">إيجار الوحدة السكنية (شهرياً)</label>
-                  <span className="text-sm font-bold text-pink-600">{residentialRate} ريال</span>
+                  <label className="text-sm font-medium text-gray-700">{t('simulator.residentialRate')}</label>
+                  <span className="text-sm font-bold text-pink-600">{format.currency(residentialRate)}</span>
                 </div>
                 <input
                   type="range"
@@ -1055,86 +1918,78 @@ export default function App() {
                   className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
                 />
                 <div className="flex justify-between text-xs text-gray-400 mt-1">
-                  <span>1200 ريال</span>
-                  <span>3000 ريال</span>
+                  <span>{format.currency(1200)}</span>
+                  <span>{format.currency(3000)}</span>
                 </div>
               </div>
             </div>
+            <p className="text-xs text-gray-400 mt-4">
+              {t('simulator.marketIndexNote', {
+                commercial: format.number(loadedProject.rates.commercialRate),
+                residential: format.number(loadedProject.rates.residentialRate)
+              })}
+            </p>
           </div>
 
           <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
             <div className="bg-gradient-to-br from-green-500 to-green-600 rounded-xl p-5 text-white">
-              <p className="text-green-100 text-sm">الدخل الشهري</p>
-              <p className="text-2xl font-bold mt-1">{Math.round(totalMonthlyIncome).toLocaleString()}</p>
-              <p className="text-green-100 text-xs mt-1">ريال</p>
+              <p className="text-green-100 text-sm">{t('simulator.monthlyIncome')}</p>
+              <p className="text-2xl font-bold mt-1">{format.number(totalMonthlyIncome)}</p>
+              <p className="text-green-100 text-xs mt-1">{t('common.sar')}</p>
             </div>
             <div className="bg-gradient-to-br from-blue-500 to-blue-600 rounded-xl p-5 text-white">
-              <p className="text-blue-100 text-sm">الدخل السنوي</p>
-              <p className="text-2xl font-bold mt-1">{Math.round(annualIncome).toLocaleString()}</p>
-              <p className="text-blue-100 text-xs mt-1">ريال</p>
+              <p className="text-blue-100 text-sm">{t('simulator.annualNoi')}</p>
+              <p className="text-2xl font-bold mt-1">{format.number(annualNOI)}</p>
+              <p className="text-blue-100 text-xs mt-1">{t('simulator.sarGross', { value: format.number(annualIncome) })}</p>
             </div>
             <div className="bg-gradient-to-br from-purple-500 to-purple-600 rounded-xl p-5 text-white">
-              <p className="text-purple-100 text-sm">العائد السنوي</p>
-              <p className="text-2xl font-bold mt-1">{annualYield.toFixed(1)}%</p>
-              <p className="text-purple-100 text-xs mt-1">من التكلفة</p>
+              <p className="text-purple-100 text-sm">{t('simulator.annualYield')}</p>
+              <p className="text-2xl font-bold mt-1">{format.percent(annualYield)}</p>
+              <p className="text-purple-100 text-xs mt-1">{t('simulator.netOfCost')}</p>
             </div>
             <div className="bg-gradient-to-br from-amber-500 to-amber-600 rounded-xl p-5 text-white">
-              <p className="text-amber-100 text-sm">الاسترداد</p>
-              <p className="text-2xl font-bold mt-1">{(projectData.totalCost / annualIncome).toFixed(1)}</p>
-              <p className="text-amber-100 text-xs mt-1">سنة</p>
+              <p className="text-amber-100 text-sm">{t('simulator.payback')}</p>
+              <p className="text-2xl font-bold mt-1">{Number.isFinite(paybackYears) ? format.number(paybackYears, 1) : '—'}</p>
+              <p className="text-amber-100 text-xs mt-1">{t('simulator.years')}</p>
             </div>
           </div>
 
-          <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
-            <h3 className="font-semibold text-gray-800 mb-4">سيناريوهات مقارنة</h3>
-            <div className="overflow-x-auto">
-              <table className="w-full text-sm">
-                <thead>
-                  <tr className="border-b border-gray-200">
-                    <th className="text-right py-3 px-4 font-semibold text-gray-600">السيناريو</th>
-                    <th className="text-right py-3 px-4 font-semibold text-gray-600">الإشغال</th>
-                    <th className="text-right py-3 px-4 font-semibold text-gray-600">الدخل الشهري</th>
-                    <th className="text-right py-3 px-4 font-semibold text-gray-600">العائد</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {[
-                    { name: 'متحفظ', occ: 70, commRate: 1000, resRate: 1500 },
-                    { name: 'متوسط', occ: 85, commRate: 1200, resRate: 1800 },
-                    { name: 'متفائل', occ: 95, commRate: 1500, resRate: 2200 }
-                  ].map((scenario, i) => {
-                    const commIncome = totalCommercialArea * (scenario.commRate / 12) * (scenario.occ / 100);
-                    const resIncome = totalResidentialUnits * scenario.resRate * (scenario.occ / 100);
-                    const total = commIncome + resIncome;
-                    const yld = ((total * 12) / projectData.totalCost) * 100;
-                    return (
-                      <tr key={i} className="border-b border-gray-100 hover:bg-gray-50">
-                        <td className="py-3 px-4 font-medium">{scenario.name}</td>
-                        <td className="py-3 px-4">{scenario.occ}%</td>
-                        <td className="py-3 px-4">{Math.round(total).toLocaleString()} ريال</td>
-                        <td className="py-3 px-4">
-                          <span className={`px-2 py-1 rounded text-xs font-medium ${
-                            yld > 10 ? 'bg-green-100 text-green-700' : 
-                            yld > 7 ? 'bg-yellow-100 text-yellow-700' : 
-                            'bg-red-100 text-red-700'
-                          }`}>
-                            {yld.toFixed(1)}%
-                          </span>
-                        </td>
-                      </tr>
-                    );
-                  })}
-                </tbody>
-              </table>
-            </div>
-          </div>
+          <ShortStayPanel
+            settings={shortStay}
+            onChange={setShortStay}
+            strategies={compareRentalStrategies(project, rates, opexItems)}
+          />
+
+          <ScenarioPanel
+            projectId={loadedProject.id}
+            scenarios={scenarios}
+            onChange={updateScenarios}
+            selected={comparedScenarios}
+            onSelectedChange={setComparedScenarios}
+            results={scenarioResults}
+            baseline={baseline}
+            project={unmassedProject}
+            capture={captureAssumptions}
+            onApply={applyScenario}
+          />
+
+          <SensitivityPanel
+            state={{ project, rates, opexItems, cashflow: cashflowAssumptions, discountRate }}
+          />
+
+          <MonteCarloPanel
+            project={project}
+            opexItems={opexItems}
+            cashflow={cashflowAssumptions}
+            discountRate={discountRate}
+          />
         </div>
       )}
 
       {/* Footer */}
       <div className="mt-8 text-center text-sm text-gray-400">
-        <p>البيانات مبنية على الفكرة التصميمية من المكتب الهندسي (أ)</p>
-        <p className="mt-1">الأرقام تقديرية وتحتاج للتحقق من السوق المحلي</p>
+        <p>{t('app.footerSource', { source: project.office || project.name })}</p>
+        <p className="mt-1">{t('app.footerNote')}</p>
       </div>
     </div>
   );
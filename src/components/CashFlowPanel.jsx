@@ -0,0 +1,149 @@
+import React from 'react';
+import { Calendar, Plus, Trash2 } from 'lucide-react';
+import { MAX_HORIZON, MIN_HORIZON } from '../lib/cashflow';
+import { useI18n } from '../i18n';
+
+const CATEGORIES = ['commercial', 'residential'];
+
+// Cash flow assumptions editor and the year-by-year table
+// assumptions: see DEFAULT_CASHFLOW in lib/cashflow.js, rows: projectCashFlows() result
+export default function CashFlowPanel({ assumptions, onChange, rows }) {
+  const { t, format } = useI18n();
+  const update = (changes) => onChange({ ...assumptions, ...changes });
+  const number = (value, fallback = 0) => (Number.isFinite(parseFloat(value)) ? parseFloat(value) : fallback);
+  const field = 'w-20 px-2 py-1 border border-gray-200 rounded';
+
+  const setRampYear = (i, value) => update({
+    rampUp: assumptions.rampUp.map((v, j) => (j === i ? Math.min(100, Math.max(0, number(value))) : v))
+  });
+
+  return (
+    <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
+      <div className="flex items-center gap-3 mb-4">
+        <Calendar className="w-5 h-5 text-blue-600" />
+        <h3 className="font-semibold text-gray-800">{t('cashFlow.title')}</h3>
+      </div>
+
+      <div className="mb-6">
+        <div className="flex justify-between mb-2">
+          <label className="text-sm font-medium text-gray-700">{t('cashFlow.horizon')}</label>
+          <span className="text-sm font-bold text-blue-600">{t('cashFlow.years', { count: assumptions.horizonYears })}</span>
+        </div>
+        <input
+          type="range"
+          min={MIN_HORIZON}
+          max={MAX_HORIZON}
+          value={assumptions.horizonYears}
+          onChange={(e) => update({ horizonYears: parseInt(e.target.value) })}
+          className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+        />
+        <div className="flex justify-between text-xs text-gray-400 mt-1">
+          <span>{t('cashFlow.years', { count: MIN_HORIZON })}</span>
+          <span>{t('cashFlow.years', { count: MAX_HORIZON })}</span>
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-4 mb-6 text-sm">
+        <div className="p-3 bg-gray-50 rounded-lg space-y-2">
+          <p className="font-medium text-gray-700">{t('cashFlow.escalation')}</p>
+          {CATEGORIES.map((id) => (
+            <label key={id} className="flex items-center justify-between gap-2">
+              <span className="text-gray-500">{t(`cashFlow.categories.${id}`)}</span>
+              <span className="flex items-center gap-1">
+                <input type="number" step="0.5" value={assumptions.escalation[id]} className={field}
+                  onChange={(e) => update({ escalation: { ...assumptions.escalation, [id]: number(e.target.value) } })} />%
+              </span>
+            </label>
+          ))}
+          <label className="flex items-center justify-between gap-2">
+            <span className="text-gray-500">{t('cashFlow.opexEscalation')}</span>
+            <span className="flex items-center gap-1">
+              <input type="number" step="0.5" value={assumptions.opexEscalation} className={field}
+                onChange={(e) => update({ opexEscalation: number(e.target.value) })} />%
+            </span>
+          </label>
+        </div>
+
+        <div className="p-3 bg-gray-50 rounded-lg space-y-2">
+          <p className="font-medium text-gray-700">{t('cashFlow.renewal')}</p>
+          <label className="flex items-center justify-between gap-2">
+            <span className="text-gray-500">{t('cashFlow.renewalEvery')}</span>
+            <input type="number" min="1" value={assumptions.renewal.everyYears} className={field}
+              onChange={(e) => update({ renewal: { ...assumptions.renewal, everyYears: Math.max(1, parseInt(e.target.value) || 1) } })} />
+          </label>
+          {CATEGORIES.map((id) => (
+            <label key={id} className="flex items-center justify-between gap-2">
+              <span className="text-gray-500">{t(`cashFlow.categories.${id}`)}</span>
+              <span className="flex items-center gap-1">
+                <input type="number" step="0.5" value={assumptions.renewal.step[id]} className={field}
+                  onChange={(e) => update({ renewal: { ...assumptions.renewal, step: { ...assumptions.renewal.step, [id]: number(e.target.value) } } })} />%
+              </span>
+            </label>
+          ))}
+        </div>
+
+        <div className="p-3 bg-gray-50 rounded-lg space-y-2">
+          <p className="font-medium text-gray-700">{t('cashFlow.rampUp')}</p>
+          <p className="text-xs text-gray-400">{t('cashFlow.rampUpHint')}</p>
+          {assumptions.rampUp.map((value, i) => (
+            <div key={i} className="flex items-center justify-between gap-2">
+              <span className="text-gray-500">{t('common.yearN', { year: i + 1 })}</span>
+              <span className="flex items-center gap-1">
+                <input type="number" min="0" max="100" value={value} className={field} onChange={(e) => setRampYear(i, e.target.value)} />%
+                <button onClick={() => update({ rampUp: assumptions.rampUp.filter((_, j) => j !== i) })}
+                  className="p-1 rounded text-gray-400 hover:text-red-600" title={t('cashFlow.removeYear')}>
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </span>
+            </div>
+          ))}
+          {assumptions.rampUp.length < 5 && (
+            <button onClick={() => update({ rampUp: [...assumptions.rampUp, 100] })}
+              className="flex items-center gap-1 text-xs text-blue-600 hover:text-blue-800">
+              <Plus className="w-3 h-3" />
+              {t('cashFlow.addYear')}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto max-h-96">
+        <table className="w-full text-sm">
+          <thead className="sticky top-0 bg-white">
+            <tr className="border-b border-gray-200">
+              <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('cashFlow.columns.year')}</th>
+              <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('cashFlow.columns.occupancy')}</th>
+              <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('cashFlow.columns.commercial')}</th>
+              <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('cashFlow.columns.residential')}</th>
+              <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('cashFlow.columns.income')}</th>
+              <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('cashFlow.columns.opex')}</th>
+              <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('cashFlow.columns.noi')}</th>
+              <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('cashFlow.columns.cumulative')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.year} className="border-b border-gray-100 hover:bg-gray-50">
+                <td className="py-2 px-4 font-medium">
+                  {row.calendarYear ? format.year(row.calendarYear) : format.number(row.year)}
+                  {row.months < 12 && (
+                    <span className="block text-xs font-normal text-gray-400">
+                      {row.months > 0 ? t('cashFlow.operatingMonths', { count: row.months }) : t('cashFlow.construction')}
+                    </span>
+                  )}
+                </td>
+                <td className="py-2 px-4">{format.percent(row.occupancy, 0)}</td>
+                <td className="py-2 px-4">{format.number(row.commercial)}</td>
+                <td className="py-2 px-4">{format.number(row.residential)}</td>
+                <td className="py-2 px-4">{format.number(row.income)}</td>
+                <td className="py-2 px-4 text-red-600">{format.number(row.opex)}</td>
+                <td className="py-2 px-4 font-medium text-green-700">{format.number(row.noi)}</td>
+                <td className="py-2 px-4">{format.number(row.cumulative)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
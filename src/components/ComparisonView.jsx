@@ -0,0 +1,148 @@
+import React from 'react';
+import { Columns, Trophy, X } from 'lucide-react';
+import { computeIncome, summarizeUnits } from '../lib/projectModel';
+import { projectCashFlows } from '../lib/cashflow';
+import { useI18n } from '../i18n';
+
+// Metric rows shown for each dashboard tab, labelled comparison.rows.<id>.
+// `better` marks which direction wins ('high' or 'low'); rows without it are
+// informative only. `format(value, i18n)` gets the current language's helpers.
+const currency = (v, { format }) => format.currency(v);
+const area = (v, { format }) => format.area(v);
+const units = (v, { t }) => t('common.unitCount', { count: v });
+
+const SECTIONS = {
+  overview: [
+    { id: 'totalArea', value: (m) => m.totalArea, format: area, better: 'high' },
+    { id: 'totalUnits', value: (m) => m.totalUnits, format: units, better: 'high' },
+    { id: 'unitMix', value: (m) => m.unitMix },
+    { id: 'parking', value: (m) => m.parking, format: (v, { t }) => t('overview.parkingSpaces', { count: v }), better: 'high' },
+    { id: 'totalCost', value: (m) => m.totalCost, format: currency, better: 'low' }
+  ],
+  financial: [
+    { id: 'totalCost', value: (m) => m.totalCost, format: currency, better: 'low' },
+    { id: 'monthlyIncome', value: (m) => m.totalMonthlyIncome, format: currency, better: 'high' },
+    { id: 'annualIncome', value: (m) => m.annualIncome, format: currency, better: 'high' },
+    { id: 'annualNoi', value: (m) => m.annualNOI, format: currency, better: 'high' },
+    { id: 'annualYield', value: (m) => m.annualYield, format: (v, { format }) => format.percent(v), better: 'high' },
+    {
+      id: 'payback',
+      value: (m) => m.paybackYears,
+      format: (v, { t, format }) => (Number.isFinite(v) ? t('common.years', { value: format.number(v, 1) }) : '—'),
+      better: 'low'
+    },
+    { id: 'cumulative', value: (m) => m.cumulative, format: currency, better: 'high' }
+  ],
+  units: [
+    { id: 'commercialUnits', value: (m) => m.totalCommercialUnits, format: units, better: 'high' },
+    { id: 'residentialUnits', value: (m) => m.totalResidentialUnits, format: units, better: 'high' },
+    { id: 'unitMix', value: (m) => m.unitMix },
+    { id: 'commercialArea', value: (m) => m.totalCommercialArea, format: area, better: 'high' },
+    { id: 'residentialArea', value: (m) => m.totalResidentialArea, format: area, better: 'high' },
+    { id: 'monthlyIncome', value: (m) => m.totalMonthlyIncome, format: currency, better: 'high' }
+  ]
+};
+
+// Computes every comparison metric for one option
+function optionMetrics(project, rates, cashflow, { t, format }) {
+  const income = computeIncome(project, rates);
+  const projection = projectCashFlows(project, rates, project.opex, cashflow);
+  const unitTypes = [...project.units.commercial, ...project.units.residential];
+
+  return {
+    ...summarizeUnits(project),
+    ...income,
+    totalCost: project.costs.total,
+    parking: project.building.parking,
+    cumulative: projection[projection.length - 1].cumulative,
+    unitMix: unitTypes.map((u) => `${format.number(u.count)} ${u.type}`).join(t('common.listSeparator'))
+  };
+}
+
+// Index set of the winning options for a row (ties share the win)
+function winners(values, better) {
+  if (!better || values.length < 2) return new Set();
+  const best = better === 'high' ? Math.max(...values) : Math.min(...values);
+  return new Set(values.map((v, i) => (v === best ? i : -1)).filter((i) => i >= 0));
+}
+
+// Side-by-side comparison of several design options for one dashboard tab
+// Every option is computed with the same simulator rates and cash flow assumptions
+export default function ComparisonView({ section, options, rates, cashflow, onRemove, actions }) {
+  const i18n = useI18n();
+  const { t, format } = i18n;
+  const metrics = options.map((project) => optionMetrics(project, rates, cashflow, i18n));
+  const rows = SECTIONS[section];
+
+  return (
+    <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-3">
+          <Columns className="w-5 h-5 text-blue-600" />
+          <div>
+            <h3 className="font-semibold text-gray-800">{t('app.compare')}</h3>
+            <p className="text-xs text-gray-500">
+              {t('comparison.assumptions', {
+                occupancy: format.percent(rates.occupancy, 0),
+                commercial: format.number(rates.commercialRate),
+                residential: format.number(rates.residentialRate),
+                horizon: cashflow.horizonYears
+              })}
+            </p>
+          </div>
+        </div>
+        {actions}
+      </div>
+
+      {options.length < 2 && (
+        <p className="mb-4 p-3 bg-amber-50 rounded-lg text-sm text-amber-800">
+          {t('comparison.addAnother')}
+        </p>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200">
+              <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('comparison.metric')}</th>
+              {options.map((project, i) => (
+                <th key={project.id} className="text-start py-3 px-4 font-semibold text-gray-600 min-w-[10rem]">
+                  <div className="flex items-center justify-between gap-2">
+                    <div>
+                      <p className="text-gray-800">{project.name}</p>
+                      {project.office && <p className="text-xs font-normal text-gray-400">{project.office}</p>}
+                    </div>
+                    {i > 0 && (
+                      <button onClick={() => onRemove(project.id)} className="p-1 rounded text-gray-400 hover:text-red-600 hover:bg-red-50" title={t('comparison.remove')}>
+                        <X className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => {
+              const values = metrics.map(row.value);
+              const best = winners(values, row.better);
+              return (
+                <tr key={row.id} className="border-b border-gray-100 hover:bg-gray-50">
+                  <td className="py-3 px-4 font-medium">{t(`comparison.rows.${row.id}`)}</td>
+                  {values.map((value, i) => (
+                    <td key={options[i].id} className={`py-3 px-4 ${best.has(i) ? 'bg-green-50 text-green-700 font-semibold' : ''}`}>
+                      <div className="flex items-center gap-1">
+                        {best.has(i) && <Trophy className="w-4 h-4 flex-shrink-0" />}
+                        <span className={row.format ? '' : 'text-xs text-gray-600'}>{row.format ? row.format(value, i18n) : value}</span>
+                      </div>
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
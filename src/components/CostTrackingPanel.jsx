@@ -0,0 +1,229 @@
+import React, { useState } from 'react';
+import { AlertTriangle, Plus, Receipt, Trash2 } from 'lucide-react';
+import { ENTRY_KINDS, costTracking } from '../lib/costTracking';
+import { useI18n } from '../i18n';
+
+// Variance is green under budget and red over it
+function Variance({ value }) {
+  const { format } = useI18n();
+  if (Math.round(value) === 0) return <span className="text-gray-400">{format.number(0)}</span>;
+  return (
+    <span className={value > 0 ? 'text-green-600' : 'text-red-600'}>
+      {value > 0 ? '+' : '−'}{format.number(Math.abs(value))}
+    </span>
+  );
+}
+
+// Budget vs actual for the cost breakdown: commitments and paid invoices per
+// cost item, remaining budget, forecast at completion and variance
+// actuals: { entries: [{ id, item, kind, date, supplier, description, amount }],
+// closed: [cost item names] }, onChange(actuals): saves the edits
+export default function CostTrackingPanel({ costs, actuals, onChange, today }) {
+  const { t, format } = useI18n();
+  const blankEntry = { item: costs.items[0].item, kind: 'payment', date: today, supplier: '', description: '', amount: '' };
+  const [draft, setDraft] = useState(blankEntry);
+  const [filter, setFilter] = useState('all');
+  const tracking = costTracking(costs, actuals);
+  const { totals } = tracking;
+
+  const amount = parseFloat(draft.amount);
+  const canAdd = Number.isFinite(amount) && amount > 0 && draft.date;
+  const addEntry = () => {
+    onChange({ ...actuals, entries: [...actuals.entries, { ...draft, id: `entry-${Date.now()}`, amount }] });
+    setDraft({ ...blankEntry, item: draft.item, kind: draft.kind });
+  };
+  const removeEntry = (id) => onChange({ ...actuals, entries: actuals.entries.filter((e) => e.id !== id) });
+  const toggleClosed = (item) => onChange({
+    ...actuals,
+    closed: actuals.closed.includes(item) ? actuals.closed.filter((i) => i !== item) : [...actuals.closed, item]
+  });
+
+  const shown = actuals.entries
+    .filter((e) => filter === 'all' || e.item === filter)
+    .sort((a, b) => b.date.localeCompare(a.date));
+  const input = 'px-2 py-1 border border-gray-200 rounded';
+  const th = 'text-start py-3 px-3 font-semibold text-gray-600';
+  const ofBudget = (value) => t('costTracking.ofBudget', { percent: format.percent(totals.budget > 0 ? (value / totals.budget) * 100 : 0, 0) });
+
+  return (
+    <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
+      <div className="flex items-center gap-3 mb-4">
+        <Receipt className="w-5 h-5 text-blue-600" />
+        <h3 className="font-semibold text-gray-800">{t('costTracking.title')}</h3>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-4 text-sm">
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-gray-500">{t('costTracking.budget')}</p>
+          <p className="text-lg font-bold text-gray-900">{format.currency(totals.budget)}</p>
+        </div>
+        <div className="p-3 bg-amber-50 rounded-lg">
+          <p className="text-gray-500">{t('costTracking.committed')}</p>
+          <p className="text-lg font-bold text-amber-700">{format.currency(totals.committed)}</p>
+          <p className="text-xs text-gray-400">{ofBudget(totals.committed)}</p>
+        </div>
+        <div className="p-3 bg-blue-50 rounded-lg">
+          <p className="text-gray-500">{t('costTracking.spent')}</p>
+          <p className="text-lg font-bold text-blue-700">{format.currency(totals.spent)}</p>
+          <p className="text-xs text-gray-400">{ofBudget(totals.spent)}</p>
+        </div>
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-gray-500">{t('costTracking.remainingBudget')}</p>
+          <p className={`text-lg font-bold ${totals.remaining < 0 ? 'text-red-600' : 'text-gray-900'}`}>{format.currency(totals.remaining)}</p>
+        </div>
+        <div className={`p-3 rounded-lg ${totals.variance < 0 ? 'bg-red-50' : 'bg-green-50'}`}>
+          <p className="text-gray-500">{t('costTracking.forecast')}</p>
+          <p className={`text-lg font-bold ${totals.variance < 0 ? 'text-red-700' : 'text-green-700'}`}>{format.currency(totals.forecast)}</p>
+          <p className="text-xs text-gray-500">{t('costTracking.variance')} <Variance value={totals.variance} /> {t('common.sar')}</p>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200">
+              <th className={th}>{t('costTracking.columns.item')}</th>
+              <th className={th}>{t('costTracking.columns.budget')}</th>
+              <th className={th}>{t('costTracking.columns.percent')}</th>
+              <th className={th}>{t('costTracking.columns.committed')}</th>
+              <th className={th}>{t('costTracking.columns.spent')}</th>
+              <th className={th}>{t('costTracking.columns.remaining')}</th>
+              <th className={th}>{t('costTracking.columns.forecast')}</th>
+              <th className={th}>{t('costTracking.columns.variance')}</th>
+              <th className={th}>{t('costTracking.columns.closed')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {tracking.rows.map((row) => (
+              <tr key={row.item} className="border-b border-gray-100 hover:bg-gray-50">
+                <td className="py-3 px-3">{row.item}</td>
+                <td className="py-3 px-3 font-medium">{format.number(row.budget)}</td>
+                <td className="py-3 px-3">
+                  <div className="flex items-center gap-2">
+                    <div className="w-16 h-2 bg-gray-200 rounded-full overflow-hidden">
+                      <div className="h-full bg-blue-500 rounded-full" style={{ width: `${row.percent}%` }}></div>
+                    </div>
+                    <span className="text-gray-500">{format.percent(row.percent)}</span>
+                  </div>
+                </td>
+                <td className="py-3 px-3">{format.number(row.committed)}</td>
+                <td className="py-3 px-3">
+                  {format.number(row.spent)}
+                  {row.budget > 0 && (
+                    <div className="w-16 h-1.5 mt-1 bg-gray-200 rounded-full overflow-hidden">
+                      <div className={`h-full rounded-full ${row.spent > row.budget ? 'bg-red-500' : 'bg-green-500'}`} style={{ width: `${Math.min(100, (row.spent / row.budget) * 100)}%` }}></div>
+                    </div>
+                  )}
+                </td>
+                <td className={`py-3 px-3 ${row.remaining < 0 ? 'text-red-600' : ''}`}>{format.number(row.remaining)}</td>
+                <td className="py-3 px-3">{format.number(row.forecast)}</td>
+                <td className="py-3 px-3"><Variance value={row.variance} /></td>
+                <td className="py-3 px-3">
+                  <input type="checkbox" checked={row.closed} onChange={() => toggleClosed(row.item)} title={t('costTracking.closedHint')} />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr className="bg-gray-50 font-semibold">
+              <td className="py-3 px-3">{t('common.total')}</td>
+              <td className="py-3 px-3">{format.currency(totals.budget)}</td>
+              <td className="py-3 px-3">{format.percent(totals.percent, 0)}</td>
+              <td className="py-3 px-3">{format.number(totals.committed)}</td>
+              <td className="py-3 px-3">{format.number(totals.spent)}</td>
+              <td className="py-3 px-3">{format.number(totals.remaining)}</td>
+              <td className="py-3 px-3">{format.number(totals.forecast)}</td>
+              <td className="py-3 px-3"><Variance value={totals.variance} /></td>
+              <td className="py-3 px-3" />
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+      <p className="mt-2 text-xs text-gray-400">
+        {t('costTracking.note')}
+      </p>
+
+      <div className="mt-6">
+        <h4 className="font-medium text-gray-700 mb-3">{t('costTracking.record')}</h4>
+        <div className="flex flex-wrap items-end gap-2 text-sm">
+          <select value={draft.item} onChange={(e) => setDraft({ ...draft, item: e.target.value })} className={input} aria-label={t('costTracking.columns.item')}>
+            {costs.items.map((row) => <option key={row.item} value={row.item}>{row.item}</option>)}
+          </select>
+          <select value={draft.kind} onChange={(e) => setDraft({ ...draft, kind: e.target.value })} className={input} aria-label={t('costTracking.columns.kind')}>
+            {ENTRY_KINDS.map((id) => <option key={id} value={id}>{t(`entryKind.${id}`)}</option>)}
+          </select>
+          <input type="date" value={draft.date} onChange={(e) => setDraft({ ...draft, date: e.target.value })} className={input} aria-label={t('costTracking.columns.date')} />
+          <input value={draft.supplier} onChange={(e) => setDraft({ ...draft, supplier: e.target.value })} placeholder={t('costTracking.supplierPlaceholder')} className={input} />
+          <input value={draft.description} onChange={(e) => setDraft({ ...draft, description: e.target.value })} placeholder={t('costTracking.descriptionPlaceholder')} className={input} />
+          <input type="number" min="0" value={draft.amount} onChange={(e) => setDraft({ ...draft, amount: e.target.value })} placeholder={t('costTracking.columns.amount')} className={`${input} w-32`} />
+          <button
+            onClick={addEntry}
+            disabled={!canAdd}
+            className="flex items-center gap-1 px-3 py-1 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-40"
+          >
+            <Plus className="w-4 h-4" />
+            {t('costTracking.add')}
+          </button>
+        </div>
+      </div>
+
+      {tracking.unmatched.length > 0 && (
+        <div className="mt-4 flex items-center gap-2 p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+          <AlertTriangle className="w-4 h-4 shrink-0" />
+          {t('costTracking.unmatched', {
+            count: tracking.unmatched.length,
+            items: [...new Set(tracking.unmatched.map((e) => e.item))].join(t('common.listSeparator'))
+          })}
+        </div>
+      )}
+
+      {actuals.entries.length > 0 && (
+        <div className="mt-4">
+          <div className="flex items-center gap-2 mb-2 text-sm">
+            <span className="text-gray-500">{t('costTracking.entries')}</span>
+            <select value={filter} onChange={(e) => setFilter(e.target.value)} className={input}>
+              <option value="all">{t('costTracking.allItems')}</option>
+              {costs.items.map((row) => <option key={row.item} value={row.item}>{row.item}</option>)}
+            </select>
+          </div>
+          <div className="overflow-x-auto max-h-80">
+            <table className="w-full text-sm">
+              <thead className="sticky top-0 bg-white">
+                <tr className="border-b border-gray-200">
+                  <th className={th}>{t('costTracking.columns.date')}</th>
+                  <th className={th}>{t('costTracking.columns.item')}</th>
+                  <th className={th}>{t('costTracking.columns.kind')}</th>
+                  <th className={th}>{t('costTracking.columns.supplier')}</th>
+                  <th className={th}>{t('costTracking.columns.description')}</th>
+                  <th className={th}>{t('costTracking.columns.amount')}</th>
+                  <th className="py-3 px-3" />
+                </tr>
+              </thead>
+              <tbody>
+                {shown.map((entry) => (
+                  <tr key={entry.id} className="border-b border-gray-100 hover:bg-gray-50">
+                    <td className="py-2 px-3 whitespace-nowrap">{format.date(entry.date)}</td>
+                    <td className="py-2 px-3">{entry.item}</td>
+                    <td className="py-2 px-3">
+                      <span className={`px-2 py-0.5 rounded-full text-xs ${entry.kind === 'payment' ? 'bg-blue-100 text-blue-700' : 'bg-amber-100 text-amber-700'}`}>
+                        {t(`entryKind.${entry.kind}`)}
+                      </span>
+                    </td>
+                    <td className="py-2 px-3">{entry.supplier}</td>
+                    <td className="py-2 px-3 text-gray-500">{entry.description}</td>
+                    <td className="py-2 px-3 font-medium">{format.currency(entry.amount)}</td>
+                    <td className="py-2 px-3">
+                      <button onClick={() => removeEntry(entry.id)} className="p-1 rounded text-gray-400 hover:text-red-600" title={t('costTracking.removeEntry')}>
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import { Landmark } from 'lucide-react';
+import { FINANCING_TYPES, REPAYMENT_TYPES } from '../lib/financing';
+import { useI18n } from '../i18n';
+
+// Financing inputs, levered results and the month-by-month amortization table
+// financing: current config, totalCost: amount to finance against,
+// schedule: amortizationSchedule() rows, levered: leveredMetrics() result
+export default function FinancingPanel({ financing, onChange, totalCost, schedule, levered }) {
+  const { t, format } = useI18n();
+  const [showSchedule, setShowSchedule] = useState(false);
+  const update = (changes) => onChange({ ...financing, ...changes });
+  const loanShare = totalCost > 0 ? Math.round((financing.loanAmount / totalCost) * 100) : 0;
+
+  const field = 'w-full px-2 py-1 border border-gray-200 rounded bg-white';
+
+  return (
+    <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-3">
+          <Landmark className="w-5 h-5 text-amber-600" />
+          <h3 className="font-semibold text-gray-800">{t('financing.title')}</h3>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+          <input type="checkbox" checked={financing.enabled} onChange={(e) => update({ enabled: e.target.checked })} />
+          {t('financing.enable')}
+        </label>
+      </div>
+
+      {!financing.enabled && (
+        <p className="text-sm text-gray-500">{t('financing.equityOnly')}</p>
+      )}
+
+      {financing.enabled && (
+        <>
+          <div className="mb-6">
+            <div className="flex justify-between mb-2">
+              <label className="text-sm font-medium text-gray-700">{t('financing.loanShare')}</label>
+              <span className="text-sm font-bold text-amber-600">
+                {t('financing.split', { loan: format.percent(loanShare, 0), equity: format.percent(100 - loanShare, 0) })}
+              </span>
+            </div>
+            <input
+              type="range"
+              min="0"
+              max="80"
+              step="5"
+              value={loanShare}
+              onChange={(e) => update({ loanAmount: Math.round(totalCost * parseInt(e.target.value) / 100) })}
+              className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+            />
+            <div className="flex justify-between text-xs text-gray-400 mt-1">
+              <span>{t('financing.loanAmount', { value: format.currency(financing.loanAmount) })}</span>
+              <span>{format.percent(80, 0)}</span>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6 text-sm">
+            <label className="space-y-1">
+              <span className="text-gray-500">{t('financing.type')}</span>
+              <select value={financing.type} onChange={(e) => update({ type: e.target.value })} className={field}>
+                {FINANCING_TYPES.map((id) => <option key={id} value={id}>{t(`financingType.${id}`)}</option>)}
+              </select>
+            </label>
+            <label className="space-y-1">
+              <span className="text-gray-500">{financing.type === 'murabaha' ? t('financing.profitRate') : t('financing.interestRate')}</span>
+              <input type="number" min="0" max="30" step="0.25" value={financing.annualRate}
+                onChange={(e) => update({ annualRate: Math.max(0, parseFloat(e.target.value) || 0) })} className={field} />
+            </label>
+            <label className="space-y-1">
+              <span className="text-gray-500">{t('financing.tenor')}</span>
+              <input type="number" min="1" max="30" value={financing.tenorYears}
+                onChange={(e) => update({ tenorYears: Math.max(1, parseInt(e.target.value) || 1) })} className={field} />
+            </label>
+            <label className="space-y-1">
+              <span className="text-gray-500">{t('financing.grace')}</span>
+              <input type="number" min="0" max={financing.tenorYears * 12 - 1} value={financing.graceMonths}
+                onChange={(e) => update({ graceMonths: Math.min(financing.tenorYears * 12 - 1, Math.max(0, parseInt(e.target.value) || 0)) })} className={field} />
+            </label>
+            <label className="space-y-1">
+              <span className="text-gray-500">{t('financing.repayment')}</span>
+              {/* Murabaha always repays equal principal with profit on the original amount (lib/financing.js) */}
+              <select value={financing.type === 'murabaha' ? 'murabaha' : financing.repayment} disabled={financing.type === 'murabaha'}
+                onChange={(e) => update({ repayment: e.target.value })} className={`${field} disabled:bg-gray-50 disabled:text-gray-400`}>
+                {financing.type === 'murabaha'
+                  ? <option value="murabaha">{t('financing.murabahaRepayment')}</option>
+                  : REPAYMENT_TYPES.map((id) => <option key={id} value={id}>{t(`repaymentType.${id}`)}</option>)}
+              </select>
+            </label>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+            <div className="p-3 bg-amber-50 rounded-lg">
+              <p className="text-xs text-gray-500">{t('financing.equity')}</p>
+              <p className="font-bold text-amber-700">{format.currency(levered.equity)}</p>
+              <p className="text-xs text-gray-400">{t('financing.equityHint')}</p>
+            </div>
+            <div className="p-3 bg-amber-50 rounded-lg">
+              <p className="text-xs text-gray-500">{t('financing.installment')}</p>
+              <p className="font-bold text-amber-700">{format.currency(levered.monthlyInstallment)}</p>
+              <p className="text-xs text-gray-400">{t('financing.totalProfit', { value: format.currency(levered.totalProfit) })}</p>
+            </div>
+            <div className="p-3 bg-green-50 rounded-lg">
+              <p className="text-xs text-gray-500">{t('financing.cashOnCash')}</p>
+              <p className="font-bold text-green-700">{levered.cashOnCash === null ? '—' : format.percent(levered.cashOnCash)}</p>
+              <p className="text-xs text-gray-400">
+                {t('financing.equityIrr', { value: levered.leveredIrr === null ? '—' : format.percent(levered.leveredIrr * 100) })}
+              </p>
+            </div>
+            <div className="p-3 bg-green-50 rounded-lg">
+              <p className="text-xs text-gray-500">{t('financing.equityPayback')}</p>
+              <p className="font-bold text-green-700">
+                {levered.equityPayback === null
+                  ? t('financial.moreThanYears', { count: levered.yearlyCashFlow.length })
+                  : t('common.years', { value: format.number(levered.equityPayback, 1) })}
+              </p>
+              <p className="text-xs text-gray-400">{t('financing.afterDebtService')}</p>
+            </div>
+          </div>
+
+          <button onClick={() => setShowSchedule(!showSchedule)} className="text-sm text-blue-600 hover:text-blue-800">
+            {showSchedule ? t('financing.hideSchedule') : t('financing.showSchedule', { count: schedule.length })}
+          </button>
+
+          {showSchedule && (
+            <div className="mt-3 max-h-96 overflow-auto border border-gray-100 rounded-lg">
+              <table className="w-full text-sm">
+                <thead className="sticky top-0 bg-gray-50">
+                  <tr className="border-b border-gray-200">
+                    <th className="text-start py-2 px-3 font-semibold text-gray-600">{t('financing.columns.month')}</th>
+                    <th className="text-start py-2 px-3 font-semibold text-gray-600">{t('financing.columns.opening')}</th>
+                    <th className="text-start py-2 px-3 font-semibold text-gray-600">{t('financing.columns.payment')}</th>
+                    <th className="text-start py-2 px-3 font-semibold text-gray-600">{financing.type === 'murabaha' ? t('financing.columns.profit') : t('financing.columns.interest')}</th>
+                    <th className="text-start py-2 px-3 font-semibold text-gray-600">{t('financing.columns.principal')}</th>
+                    <th className="text-start py-2 px-3 font-semibold text-gray-600">{t('financing.columns.closing')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {schedule.map((row) => (
+                    <tr key={row.month} className={`border-b border-gray-100 ${row.phase === 'grace' ? 'bg-amber-50' : ''}`}>
+                      <td className="py-1 px-3">
+                        {format.number(row.month)}
+                        {row.phase === 'grace' && <span className="text-xs text-amber-600"> {t('financing.graceMark')}</span>}
+                      </td>
+                      <td className="py-1 px-3">{format.number(row.opening)}</td>
+                      <td className="py-1 px-3 font-medium">{format.number(row.payment)}</td>
+                      <td className="py-1 px-3">{format.number(row.profit)}</td>
+                      <td className="py-1 px-3">{format.number(row.principal)}</td>
+                      <td className="py-1 px-3">{format.number(row.closing)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,184 @@
+import React, { useRef } from 'react';
+import { AlertTriangle, CheckCircle, Layers } from 'lucide-react';
+import { floorPlanModel } from '../lib/floorPlan';
+import { floorDxf } from '../lib/planExport';
+import { useI18n } from '../i18n';
+import PlanViewer from './PlanViewer';
+
+// Fill and outline of each kind of space; units are colored by category
+const SPACE_STYLES = {
+  commercial: { fill: '#dbeafe', stroke: '#3b82f6', text: '#1e40af' },
+  residential: { fill: '#dcfce7', stroke: '#22c55e', text: '#166534' },
+  roof: { fill: '#fde68a', stroke: '#f59e0b', text: '#92400e', dash: '3,3' },
+  corridor: { fill: '#fef3c7', stroke: '#f59e0b', text: '#d97706' },
+  core: { fill: '#e5e7eb', stroke: '#9ca3af', text: '#4b5563' },
+  service: { fill: '#f3f4f6', stroke: '#9ca3af', text: '#6b7280' }
+};
+
+const styleOf = (space, project) => {
+  if (space.kind !== 'unit') return SPACE_STYLES[space.kind];
+  return project.units.commercial.some((u) => u.id === space.unit) ? SPACE_STYLES.commercial : SPACE_STYLES.residential;
+};
+
+const SELECTED_STROKE = '#7c3aed';
+
+// Parts of a floor plan the viewer can hide (data-layer groups)
+const FLOOR_PLAN_LAYERS = ['labels', 'dimensions'];
+
+// The spaces of a floor plan model drawn at `scale` pixels per meter, with the
+// building's top-left corner at (x, y); shared by the floor plans and the site plan.
+// With onSelect, spaces that belong to a unit are clickable and focusable: arrow
+// keys move between the floor's units, Escape clears the selection.
+// selection: { floorId, spaceId, unitId } or null; onHover(selection or null)
+// statusColors: { [space id]: color } to fill units by leasing status instead of type
+export function PlanSpaces({
+  project, floorId, model, scale, x = 0, y = 0, labels = true, selection, onSelect, onHover, statusColors
+}) {
+  const { t, format } = useI18n();
+  const groupRef = useRef(null);
+  const units = model.spaces.filter((space) => space.unit);
+  const selectionOf = (space) => ({ floorId, spaceId: space.id, unitId: space.unit });
+
+  const onKeyDown = (e, space) => {
+    const i = units.indexOf(space);
+    const step = { ArrowDown: 1, ArrowRight: 1, ArrowUp: -1, ArrowLeft: -1 }[e.key];
+    if (step) {
+      e.preventDefault();
+      const next = units[(i + step + units.length) % units.length];
+      groupRef.current.querySelector(`[data-space="${next.id}"]`)?.focus();
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      onSelect(selectionOf(space));
+    } else if (e.key === 'Escape') {
+      onSelect(null);
+    }
+  };
+
+  return (
+    <g ref={groupRef}>
+      {model.spaces.map((space) => {
+        const status = space.kind === 'unit' && statusColors?.[space.id];
+        const style = status ? { ...styleOf(space, project), fill: status, stroke: status } : styleOf(space, project);
+        const interactive = Boolean(onSelect && space.unit);
+        const isSelected = selection?.floorId === floorId && selection?.spaceId === space.id;
+        const isSameUnit = Boolean(space.unit) && selection?.unitId === space.unit;
+        const [cx, cy] = [x + space.centroid[0] * scale, y + space.centroid[1] * scale];
+        const xs = space.points.map((p) => p[0]);
+        const ys = space.points.map((p) => p[1]);
+        // Tall narrow spaces get their labels along the long side
+        const vertical = (Math.max(...xs) - Math.min(...xs)) * scale < 40 && Math.max(...ys) - Math.min(...ys) > Math.max(...xs) - Math.min(...xs);
+        const title = space.label || space.unitType?.type || t(`spaceKind.${space.kind}`);
+        return (
+          <g key={space.id}>
+            <polygon
+              points={space.points.map(([px, py]) => `${x + px * scale},${y + py * scale}`).join(' ')}
+              fill={isSelected ? '#ddd6fe' : style.fill}
+              fillOpacity={status && !isSelected ? 0.45 : undefined}
+              stroke={isSelected || isSameUnit ? SELECTED_STROKE : space.mismatch ? '#dc2626' : style.stroke}
+              strokeWidth={isSelected ? 3 : isSameUnit || space.mismatch ? 2 : 1}
+              strokeDasharray={isSelected ? undefined : style.dash}
+              {...(interactive && {
+                'data-space': space.id,
+                tabIndex: 0,
+                role: 'button',
+                'aria-label': `${title}${space.unitType ? ` - ${space.unitType.type}` : ''}`,
+                'aria-pressed': isSelected,
+                className: 'cursor-pointer outline-none hover:opacity-80 focus:opacity-80',
+                onClick: () => onSelect(selectionOf(space)),
+                onFocus: () => onSelect(selectionOf(space)),
+                onKeyDown: (e) => onKeyDown(e, space),
+                onMouseEnter: () => onHover?.(selectionOf(space)),
+                onMouseLeave: () => onHover?.(null)
+              })}
+            >
+              <title>{`${title} - ${format.area(space.area)}${space.unitType ? ` (${space.unitType.type})` : ''}`}</title>
+            </polygon>
+            {labels && (
+              <g data-layer="labels" transform={vertical ? `rotate(-90, ${cx}, ${cy})` : undefined} pointerEvents="none">
+                <text x={cx} y={cy - 2} textAnchor="middle" fill={space.mismatch ? '#dc2626' : style.text} fontSize="9" fontWeight="bold">
+                  {space.mismatch ? `⚠ ${title}` : title}
+                </text>
+                <text x={cx} y={cy + 9} textAnchor="middle" fill={style.text} fontSize="8">{format.area(space.area)}</text>
+              </g>
+            )}
+          </g>
+        );
+      })}
+    </g>
+  );
+}
+
+// To-scale drawing of one floor from its `plan` in the project file, with the
+// areas computed from the geometry and any disagreement with the unit table
+// selection, onSelect, onHover: see PlanSpaces
+export default function FloorPlan({ project, floor, selection, onSelect, onHover, statusColors }) {
+  const { t, format, lang, dir } = useI18n();
+  const model = floorPlanModel(project, floor.id);
+  const scale = 10;
+  const padding = 40;
+  const width = project.building.width * scale;
+  const depth = project.building.depth * scale;
+
+  return (
+    <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
+      <div className="flex items-center gap-3 mb-4">
+        <Layers className="w-5 h-5 text-purple-600" />
+        <h3 className="font-semibold text-gray-800">{t('floorPlan.title', { floor: floor.name })}</h3>
+      </div>
+
+      {model ? (
+        <>
+          <PlanViewer
+            width={width + padding * 2}
+            height={depth + padding * 2}
+            scale={scale}
+            layers={FLOOR_PLAN_LAYERS}
+            exportName={`${project.id}-${floor.id}`}
+            dxf={() => floorDxf(project, model)}
+            svgProps={{ direction: dir }}
+          >
+            <rect x={padding} y={padding} width={width} height={depth} fill="white" />
+            <PlanSpaces
+              project={project}
+              floorId={floor.id}
+              model={model}
+              scale={scale}
+              x={padding}
+              y={padding}
+              selection={selection}
+              onSelect={onSelect}
+              onHover={onHover}
+              statusColors={statusColors}
+            />
+            <rect x={padding} y={padding} width={width} height={depth} fill="none" stroke="#1e40af" strokeWidth="3" />
+            <g data-layer="dimensions">
+              <text x={padding + width / 2} y={padding + depth + 20} textAnchor="middle" fill="#1e40af" fontSize="10">{format.length(project.building.width)}</text>
+              <text x={padding - 20} y={padding + depth / 2} textAnchor="middle" fill="#1e40af" fontSize="10" transform={`rotate(-90, ${padding - 20}, ${padding + depth / 2})`}>
+                {format.length(project.building.depth)}
+              </text>
+            </g>
+          </PlanViewer>
+
+          {model.issues.length > 0 ? (
+            <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg text-xs text-red-700">
+              <div className="flex items-center gap-2 font-semibold mb-1">
+                <AlertTriangle className="w-4 h-4" />
+                {t('floorPlan.mismatch')}
+              </div>
+              <ul className="space-y-1 list-disc ps-4">
+                {model.issues.map((item, i) => <li key={i}>{item[lang]}</li>)}
+              </ul>
+            </div>
+          ) : (
+            <p className="mt-3 flex items-center gap-2 text-xs text-green-700">
+              <CheckCircle className="w-4 h-4" />
+              {t('floorPlan.matches', { area: format.area(model.enclosedArea) })}
+            </p>
+          )}
+        </>
+      ) : (
+        <p className="py-10 text-center text-sm text-gray-400">{t('floorPlan.noPlan')}</p>
+      )}
+    </div>
+  );
+}
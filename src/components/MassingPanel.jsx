@@ -0,0 +1,80 @@
+import React from 'react';
+import { RotateCcw } from 'lucide-react';
+import { useI18n } from '../i18n';
+
+const DIMENSIONS = ['northCorridor', 'width', 'southCorridor', 'depth', 'rearSetback'];
+
+// Figures recalculated for the edited massing; `better` is the direction of an improvement
+const FIGURES = [
+  { id: 'floorArea', format: (v, { format }) => format.area(v, 0), better: 'higher' },
+  { id: 'units', format: (v, { format }) => format.number(v), better: 'higher' },
+  { id: 'parking', format: (v, { format }) => format.number(v), better: 'higher' },
+  { id: 'cost', format: (v, { format }) => format.currency(Math.round(v)), better: 'lower' },
+  { id: 'annualNOI', format: (v, { format }) => format.currency(Math.round(v)), better: 'higher' },
+  { id: 'annualYield', format: (v, { format }) => format.percent(v, 2), better: 'higher' },
+  { id: 'paybackYears', format: (v, i18n) => (Number.isFinite(v) ? i18n.t('common.years', { value: i18n.format.number(v, 1) }) : '—'), better: 'lower' }
+];
+
+// Dimensions of the massing being edited on the site plan, and the file's
+// figures next to those of the edited design
+// before / after: { floorArea, units, parking, cost, annualNOI, annualYield, paybackYears }
+export default function MassingPanel({ fileMassing, massing, before, after, onReset }) {
+  const i18n = useI18n();
+  const { t, format } = i18n;
+  const changed = DIMENSIONS.some((key) => massing[key] !== fileMassing[key]);
+
+  return (
+    <div className="no-print mt-4 p-4 bg-violet-50 border border-violet-100 rounded-lg text-sm">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <p className="text-violet-800">{t('massing.hint')}</p>
+        <button
+          onClick={onReset}
+          disabled={!changed}
+          className="flex items-center gap-1 px-3 py-1 rounded-lg text-xs bg-white border border-violet-200 text-violet-700 hover:bg-violet-100 disabled:opacity-40"
+        >
+          <RotateCcw className="w-3.5 h-3.5" />
+          {t('massing.reset')}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-2 mb-3">
+        {DIMENSIONS.map((key) => (
+          <div key={key} data-dimension={key} className="bg-white rounded-lg p-2 text-center">
+            <p className="text-xs text-gray-500">{t(`massing.dimensions.${key}`)}</p>
+            <p className={`font-bold ${massing[key] !== fileMassing[key] ? 'text-violet-700' : 'text-gray-800'}`}>
+              {format.length(massing[key])}
+            </p>
+          </div>
+        ))}
+      </div>
+
+      <table className="w-full text-xs bg-white rounded-lg overflow-hidden">
+        <thead>
+          <tr className="bg-violet-100 text-violet-900">
+            <th className="p-2 text-start">{t('massing.figure')}</th>
+            <th className="p-2 text-start">{t('massing.file')}</th>
+            <th className="p-2 text-start">{t('massing.edited')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {FIGURES.map((figure) => {
+            const from = before[figure.id];
+            const to = after[figure.id];
+            const improved = figure.better === 'higher' ? to > from : to < from;
+            const tone = Math.abs(to - from) < 1e-9 || (!Number.isFinite(to) && !Number.isFinite(from))
+              ? 'text-gray-800'
+              : improved ? 'text-green-700' : 'text-red-700';
+            return (
+              <tr key={figure.id} data-figure={figure.id} className="border-t border-gray-100">
+                <td className="p-2 text-gray-600">{t(`massing.figures.${figure.id}`)}</td>
+                <td className="p-2">{figure.format(from, i18n)}</td>
+                <td className={`p-2 font-medium ${tone}`}>{figure.format(to, i18n)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <p className="mt-2 text-xs text-gray-500">{t('massing.note')}</p>
+    </div>
+  );
+}
@@ -0,0 +1,209 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { BarChart, Bar, Cell, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { Dices, Loader2 } from 'lucide-react';
+import { RISK_VARIABLES, RUN_COUNTS, defaultDistributions, histogram, probabilityBelow, summarize } from '../lib/monteCarlo';
+import MonteCarloWorker from '../workers/monteCarlo.worker.js?worker';
+import { useI18n } from '../i18n';
+
+// Result metrics, labelled monteCarlo.metrics.<key> with the axis unit in
+// monteCarlo.units.<key>; the formatters get the current language's helpers
+const METRICS = [
+  {
+    key: 'yields',
+    format: (v, { format }) => format.percent(v),
+    axis: (v, { format }) => format.number(v, 1),
+    color: '#8B5CF6'
+  },
+  {
+    key: 'npvs',
+    format: (v, { format }) => format.currency(v),
+    axis: (v, { format }) => format.number(v / 1000),
+    color: '#3B82F6'
+  },
+  {
+    key: 'paybacks',
+    format: (v, { t, format }) => t('common.years', { value: format.number(v, 1) }),
+    axis: (v, { format }) => format.number(v, 1),
+    color: '#F59E0B'
+  }
+];
+
+const formatValue = (metric, value, i18n) => (value === null || !Number.isFinite(value)
+  ? i18n.t('monteCarlo.noPayback')
+  : metric.format(value, i18n));
+
+// Probabilistic mode of the simulator: triangular distributions for the uncertain
+// inputs, runs in a Web Worker, P10/P50/P90 and histograms of the results
+export default function MonteCarloPanel({ project, opexItems, cashflow, discountRate }) {
+  const i18n = useI18n();
+  const { t, format } = i18n;
+  const [distributions, setDistributions] = useState(() => defaultDistributions(project));
+  const [runs, setRuns] = useState(RUN_COUNTS[1]);
+  const [targetYield, setTargetYield] = useState(8);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  const setBound = (key, bound, value) => setDistributions({
+    ...distributions,
+    [key]: { ...distributions[key], [bound]: parseFloat(value) || 0 }
+  });
+  const invalid = Object.values(distributions).some(({ min, mode, max }) => !(min <= mode && mode <= max));
+
+  const run = () => {
+    workerRef.current?.terminate();
+    const worker = new MonteCarloWorker();
+    workerRef.current = worker;
+    setProgress(0);
+    setError(null);
+    const stop = () => {
+      setProgress(null);
+      worker.terminate();
+      workerRef.current = null;
+    };
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        setProgress(data.done);
+        return;
+      }
+      if (data.type === 'done') setResult({ ...data.result, runs });
+      if (data.type === 'error') setError(data.message);
+      stop();
+    };
+    // The worker failed to load or threw outside its own error handling, or a
+    // message could not be read: report it instead of spinning forever
+    worker.onerror = (event) => {
+      event.preventDefault();
+      setError(event.message || t('monteCarlo.workerStopped'));
+      stop();
+    };
+    worker.onmessageerror = () => {
+      setError(t('monteCarlo.workerStopped'));
+      stop();
+    };
+    worker.postMessage({ project, opexItems, cashflow, discountRate, distributions, runs });
+  };
+
+  const summaries = useMemo(() => result && {
+    yields: summarize(result.yields),
+    npvs: summarize(result.npvs),
+    paybacks: summarize(result.paybacks)
+  }, [result]);
+  const histograms = useMemo(() => result && {
+    yields: histogram(result.yields),
+    npvs: histogram(result.npvs),
+    paybacks: histogram(result.paybacks)
+  }, [result]);
+
+  const field = 'w-24 px-2 py-1 border border-gray-200 rounded';
+
+  return (
+    <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
+      <div className="flex items-center gap-3 mb-2">
+        <Dices className="w-5 h-5 text-purple-600" />
+        <h3 className="font-semibold text-gray-800">{t('monteCarlo.title')}</h3>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">{t('monteCarlo.hint')}</p>
+
+      <div className="overflow-x-auto mb-4">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200">
+              <th className="text-start py-2 px-3 font-semibold text-gray-600">{t('monteCarlo.columns.variable')}</th>
+              <th className="text-start py-2 px-3 font-semibold text-gray-600">{t('monteCarlo.columns.min')}</th>
+              <th className="text-start py-2 px-3 font-semibold text-gray-600">{t('monteCarlo.columns.mode')}</th>
+              <th className="text-start py-2 px-3 font-semibold text-gray-600">{t('monteCarlo.columns.max')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {RISK_VARIABLES.map((key) => {
+              const { min, mode, max } = distributions[key];
+              const rowInvalid = !(min <= mode && mode <= max);
+              return (
+                <tr key={key} className={`border-b border-gray-100 ${rowInvalid ? 'bg-red-50' : ''}`}>
+                  <td className="py-2 px-3">
+                    {t(`riskVariable.${key}.label`)} <span className="text-xs text-gray-400">({t(`riskVariable.${key}.unit`)})</span>
+                  </td>
+                  {['min', 'mode', 'max'].map((bound) => (
+                    <td key={bound} className="py-2 px-3">
+                      <input type="number" value={distributions[key][bound]} className={field}
+                        onChange={(e) => setBound(key, bound, e.target.value)} />
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 mb-6 text-sm">
+        <label className="flex items-center gap-2">
+          <span className="text-gray-600">{t('monteCarlo.runs')}</span>
+          <select value={runs} onChange={(e) => setRuns(parseInt(e.target.value))} className="px-2 py-1 border border-gray-200 rounded bg-white">
+            {RUN_COUNTS.map((count) => <option key={count} value={count}>{format.number(count)}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          <span className="text-gray-600">{t('monteCarlo.targetYield')}</span>
+          <input type="number" step="0.5" value={targetYield} className="w-20 px-2 py-1 border border-gray-200 rounded"
+            onChange={(e) => setTargetYield(parseFloat(e.target.value) || 0)} />%
+        </label>
+        <button
+          onClick={run}
+          disabled={invalid || progress !== null}
+          className="flex items-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50"
+        >
+          {progress !== null && <Loader2 className="w-4 h-4 animate-spin" />}
+          {progress !== null ? t('monteCarlo.running', { percent: format.percent((progress / runs) * 100, 0) }) : t('monteCarlo.run')}
+        </button>
+        {invalid && <span className="text-red-600">{t('monteCarlo.invalid')}</span>}
+        {error && <span className="text-red-600">{t('monteCarlo.failed', { error })}</span>}
+      </div>
+
+      {result && (
+        <>
+          <div className="p-4 mb-4 rounded-lg bg-purple-50 text-purple-900">
+            {t('monteCarlo.probabilityBelow', { target: format.percent(targetYield) })}{' '}
+            <span className="font-bold text-lg">{format.percent(probabilityBelow(result.yields, targetYield) * 100)}</span>
+            <span className="text-xs text-purple-600"> {t('monteCarlo.ofRuns', { count: result.runs })}</span>
+          </div>
+
+          <div className="grid md:grid-cols-3 gap-4">
+            {METRICS.map((metric) => (
+              <div key={metric.key} className="p-3 border border-gray-100 rounded-lg">
+                <p className="font-medium text-gray-700 mb-2">{t(`monteCarlo.metrics.${metric.key}`)}</p>
+                <div className="grid grid-cols-3 gap-2 text-center text-xs mb-3">
+                  {['p10', 'p50', 'p90'].map((p) => (
+                    <div key={p} className="p-2 bg-gray-50 rounded">
+                      <p className="text-gray-500">{p.toUpperCase()}</p>
+                      <p className="font-bold text-gray-800">{formatValue(metric, summaries[metric.key][p], i18n)}</p>
+                    </div>
+                  ))}
+                </div>
+                <ResponsiveContainer width="100%" height={160}>
+                  <BarChart data={histograms[metric.key]}>
+                    <XAxis dataKey="from" tickFormatter={(v) => metric.axis(v, i18n)} tick={{ fontSize: 10 }} />
+                    <YAxis tick={{ fontSize: 10 }} width={35} />
+                    <Tooltip
+                      labelFormatter={(from) => `${metric.axis(from, i18n)} ${t(`monteCarlo.units.${metric.key}`)}`}
+                      formatter={(count) => [format.number(count), t('monteCarlo.runsLabel')]}
+                    />
+                    <Bar dataKey="count">
+                      {histograms[metric.key].map((bin, i) => (
+                        <Cell key={i} fill={metric.key === 'yields' && bin.to <= targetYield ? '#EF4444' : metric.color} />
+                      ))}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
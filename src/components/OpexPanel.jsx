@@ -0,0 +1,117 @@
+import React from 'react';
+import { Plus, Receipt, Trash2 } from 'lucide-react';
+import { OPEX_BASES } from '../lib/opex';
+import { useI18n } from '../i18n';
+
+// Editable operating expense items with a gross vs net operating income summary
+// income: result of computeIncome() for the current items
+export default function OpexPanel({ items, onChange, income }) {
+  const { t, format } = useI18n();
+  const updateItem = (id, changes) => onChange(items.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+  const removeItem = (id) => onChange(items.filter((item) => item.id !== id));
+  const addItem = () => onChange([
+    ...items,
+    { id: `opex-${Date.now()}`, item: t('opex.newItem'), basis: 'fixed', amount: 0 }
+  ]);
+
+  const costById = Object.fromEntries(income.opexRows.map((row) => [row.id, row.annualCost]));
+  const opexRatio = income.annualIncome > 0 ? (income.annualOpex / income.annualIncome) * 100 : 0;
+
+  return (
+    <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
+      <div className="flex items-center gap-3 mb-4">
+        <Receipt className="w-5 h-5 text-red-500" />
+        <h3 className="font-semibold text-gray-800">{t('opex.title')}</h3>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-4 mb-6">
+        <div className="p-4 bg-blue-50 rounded-lg">
+          <p className="text-sm text-blue-800 font-semibold mb-2">{t('opex.grossIncome')}</p>
+          <div className="space-y-1 text-sm">
+            <div className="flex justify-between"><span className="text-gray-600">{t('opex.monthly')}</span><span className="font-medium">{format.currency(income.totalMonthlyIncome)}</span></div>
+            <div className="flex justify-between"><span className="text-gray-600">{t('opex.yearly')}</span><span className="font-medium">{format.currency(income.annualIncome)}</span></div>
+            <div className="flex justify-between"><span className="text-gray-600">{t('opex.yield')}</span><span className="font-medium">{format.percent(income.grossYield)}</span></div>
+          </div>
+        </div>
+        <div className="p-4 bg-green-50 rounded-lg">
+          <p className="text-sm text-green-800 font-semibold mb-2">{t('opex.noi')}</p>
+          <div className="space-y-1 text-sm">
+            <div className="flex justify-between"><span className="text-gray-600">{t('opex.monthly')}</span><span className="font-medium">{format.currency(income.monthlyNOI)}</span></div>
+            <div className="flex justify-between"><span className="text-gray-600">{t('opex.yearly')}</span><span className="font-medium">{format.currency(income.annualNOI)}</span></div>
+            <div className="flex justify-between"><span className="text-gray-600">{t('opex.yield')}</span><span className="font-medium">{format.percent(income.annualYield)}</span></div>
+          </div>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200">
+              <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('opex.columns.item')}</th>
+              <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('opex.columns.basis')}</th>
+              <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('opex.columns.amount')}</th>
+              <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('opex.columns.annualCost')}</th>
+              <th className="py-3 px-4"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((item) => (
+              <tr key={item.id} className="border-b border-gray-100 hover:bg-gray-50">
+                <td className="py-2 px-4">
+                  <input
+                    value={item.item}
+                    onChange={(e) => updateItem(item.id, { item: e.target.value })}
+                    className="w-full px-2 py-1 border border-gray-200 rounded"
+                  />
+                </td>
+                <td className="py-2 px-4">
+                  <select
+                    value={item.basis}
+                    onChange={(e) => updateItem(item.id, { basis: e.target.value })}
+                    className="px-2 py-1 border border-gray-200 rounded bg-white"
+                  >
+                    {OPEX_BASES.map((basis) => (
+                      <option key={basis} value={basis}>{t(`opexBasis.${basis}.label`)}</option>
+                    ))}
+                  </select>
+                </td>
+                <td className="py-2 px-4">
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="number"
+                      min="0"
+                      value={item.amount}
+                      onChange={(e) => updateItem(item.id, { amount: Math.max(0, parseFloat(e.target.value) || 0) })}
+                      className="w-24 px-2 py-1 border border-gray-200 rounded"
+                    />
+                    <span className="text-xs text-gray-400 whitespace-nowrap">{OPEX_BASES.includes(item.basis) && t(`opexBasis.${item.basis}.unit`)}</span>
+                  </div>
+                </td>
+                <td className="py-2 px-4 font-medium">{format.currency(costById[item.id] || 0)}</td>
+                <td className="py-2 px-4">
+                  <button onClick={() => removeItem(item.id)} className="p-1 rounded text-gray-400 hover:text-red-600 hover:bg-red-50" title={t('opex.removeItem')}>
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr className="bg-gray-50 font-semibold">
+              <td className="py-3 px-4">{t('common.total')}</td>
+              <td className="py-3 px-4 text-gray-500 font-normal">{t('opex.ofGrossIncome', { percent: format.percent(opexRatio) })}</td>
+              <td className="py-3 px-4"></td>
+              <td className="py-3 px-4">{format.currency(income.annualOpex)}</td>
+              <td className="py-3 px-4"></td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+
+      <button onClick={addItem} className="mt-4 flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium bg-gray-100 text-gray-600 hover:bg-gray-200 transition-all">
+        <Plus className="w-4 h-4" />
+        {t('opex.addItem')}
+      </button>
+    </div>
+  );
+}
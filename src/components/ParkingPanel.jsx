@@ -0,0 +1,112 @@
+import React from 'react';
+import { Accessibility, Car } from 'lucide-react';
+import { DEFAULT_AISLES, PARKING_ANGLES } from '../lib/parking';
+import { useI18n } from '../i18n';
+
+// Stall and aisle settings of the parking layout, its capacity and the parking
+// required by the unit mix
+// settings: project.parkingLayout, layout: layoutParking() result,
+// required: spaces required, rule: { perUnit, retailAreaPerSpace } it comes from,
+// ruleFromZoning: false when the default standard is used, declared: spaces
+// stated in the project file (or null)
+export default function ParkingPanel({ settings, onChange, layout, required, rule, ruleFromZoning, declared }) {
+  const { t, format } = useI18n();
+  const update = (changes) => onChange({ ...settings, ...changes });
+  const number = (value) => Math.max(0, parseFloat(value) || 0);
+  const field = 'w-20 px-2 py-1 border border-gray-200 rounded';
+  const meets = layout.capacity >= required;
+
+  const lengths = [
+    { key: 'stallWidth', min: 2, step: 0.1 },
+    { key: 'stallDepth', min: 4, step: 0.1 },
+    { key: 'aisleWidth', min: 2.5, step: 0.1 },
+    { key: 'accessibleAisle', min: 0, step: 0.1 }
+  ];
+
+  return (
+    <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
+      <div className="flex items-center gap-3 mb-2">
+        <Car className="w-5 h-5 text-green-600" />
+        <h3 className="font-semibold text-gray-800">{t('parking.title')}</h3>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">{t('parking.hint')}</p>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+        <span className="text-gray-600">{t('parking.angle')}</span>
+        {PARKING_ANGLES.map((angle) => (
+          <button
+            key={angle}
+            onClick={() => update({ angle, aisleWidth: DEFAULT_AISLES[angle] })}
+            aria-pressed={settings.angle === angle}
+            className={`px-3 py-1 rounded-lg transition-colors ${
+              settings.angle === angle ? 'bg-green-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+            }`}
+          >
+            {format.number(angle)}°
+          </button>
+        ))}
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-3 mb-6 text-sm">
+        {lengths.map(({ key, min, step }) => (
+          <label key={key} className="flex items-center justify-between gap-2 p-3 bg-gray-50 rounded-lg">
+            <span className="text-gray-600">{t(`parking.${key}`)}</span>
+            <span className="flex items-center gap-1">
+              <input type="number" min={min} step={step} value={settings[key]} className={field}
+                onChange={(e) => update({ [key]: Math.max(min, number(e.target.value)) })} />{t('parking.meters')}
+            </span>
+          </label>
+        ))}
+        <label className="flex items-center justify-between gap-2 p-3 bg-gray-50 rounded-lg">
+          <span className="text-gray-600">{t('parking.accessiblePercent')}</span>
+          <span className="flex items-center gap-1">
+            <input type="number" min="0" max="100" step="0.5" value={settings.accessiblePercent} className={field}
+              onChange={(e) => update({ accessiblePercent: Math.min(100, number(e.target.value)) })} />%
+          </span>
+        </label>
+        <label className="flex items-center justify-between gap-2 p-3 bg-gray-50 rounded-lg">
+          <span className="text-gray-600">{t('parking.accessibleMin')}</span>
+          <input type="number" min="0" step="1" value={settings.accessibleMin} className={field}
+            onChange={(e) => update({ accessibleMin: Math.round(number(e.target.value)) })} />
+        </label>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div data-parking="capacity" className="p-3 bg-green-50 rounded-lg">
+          <p className="text-sm text-gray-500">{t('parking.capacity')}</p>
+          <p className="text-xl font-bold text-green-700">{format.number(layout.capacity)}</p>
+          <p className="text-xs text-gray-400">{t('parking.rows', { count: layout.rows })}</p>
+        </div>
+        <div data-parking="required" className={`p-3 rounded-lg ${meets ? 'bg-gray-50' : 'bg-red-50'}`}>
+          <p className="text-sm text-gray-500">{t('parking.required')}</p>
+          <p className={`text-xl font-bold ${meets ? 'text-gray-800' : 'text-red-700'}`}>{format.number(required)}</p>
+          <p className="text-xs text-gray-400">
+            {t(ruleFromZoning ? 'parking.zoningRule' : 'parking.defaultRule', {
+              perUnit: rule.perUnit ?? 0,
+              area: rule.retailAreaPerSpace ? format.area(rule.retailAreaPerSpace, 0) : '—'
+            })}
+          </p>
+        </div>
+        <div data-parking="accessible" className="p-3 bg-blue-50 rounded-lg">
+          <p className="flex items-center gap-1 text-sm text-gray-500">
+            <Accessibility className="w-4 h-4" />
+            {t('parking.accessible')}
+          </p>
+          <p className={`text-xl font-bold ${layout.accessible < layout.accessibleRequired ? 'text-red-700' : 'text-blue-700'}`}>
+            {format.number(layout.accessible)} / {format.number(layout.accessibleRequired)}
+          </p>
+          <p className="text-xs text-gray-400">{t('parking.accessibleNote')}</p>
+        </div>
+        <div data-parking="balance" className={`p-3 rounded-lg ${meets ? 'bg-green-50' : 'bg-red-50'}`}>
+          <p className="text-sm text-gray-500">{t('parking.balance')}</p>
+          <p className={`text-xl font-bold ${meets ? 'text-green-700' : 'text-red-700'}`}>
+            {t(meets ? 'parking.surplus' : 'parking.shortfall', { count: Math.abs(layout.capacity - required) })}
+          </p>
+          {declared !== null && declared !== layout.capacity && (
+            <p className="text-xs text-amber-600">{t('parking.declared', { count: declared })}</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,313 @@
+import React, { useEffect, useId, useRef, useState } from 'react';
+import { Download, Hand, Layers, Maximize, Ruler, Trash2, ZoomIn, ZoomOut } from 'lucide-react';
+import { embeddedFonts, planSvg, svgToPng } from '../lib/planExport';
+import { useI18n } from '../i18n';
+
+const MAX_ZOOM = 8;
+const ZOOM_STEP = 1.5;
+// Pointer travel (screen pixels) before a press on the drawing becomes a pan
+const PAN_THRESHOLD = 4;
+
+// Screen pixels per drawing pixel of a viewer's svg, for the current zoom and
+// the box the drawing is fitted into
+export function screenScale(svg) {
+  const [, , w, h] = (svg.getAttribute('viewBox') || '').split(' ').map(Number);
+  const box = svg.getBoundingClientRect();
+  return Math.min(box.width / w, box.height / h) || 1;
+}
+
+// Drawing coordinates of a point on the screen
+function toDrawing(svg, clientX, clientY) {
+  const [x, y, w, h] = svg.getAttribute('viewBox').split(' ').map(Number);
+  const box = svg.getBoundingClientRect();
+  const s = screenScale(svg);
+  // The drawing is centered in its box when the box has another shape
+  const offsetX = (box.width - w * s) / 2;
+  const offsetY = (box.height - h * s) / 2;
+  return [x + (clientX - box.left - offsetX) / s, y + (clientY - box.top - offsetY) / s];
+}
+
+function download(data, type, fileName) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Some browsers start the download after click() returns; freeing the URL
+  // at once can cancel it
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Length of an open polyline and area of the closed polygon (shoelace), in drawing pixels
+function measure(points) {
+  let length = 0;
+  let area = 0;
+  points.forEach(([x, y], i) => {
+    if (i > 0) length += Math.hypot(x - points[i - 1][0], y - points[i - 1][1]);
+    const [nx, ny] = points[(i + 1) % points.length];
+    area += x * ny - nx * y;
+  });
+  return { length, area: Math.abs(area) / 2 };
+}
+
+// Zoomable, pannable frame for a plan drawn in a `width` × `height` svg at
+// `scale` pixels per meter. It fills the width of its container; the wheel,
+// a pinch or the buttons zoom, dragging pans, and the measure tool reports
+// distances and areas in meters. Elements of the drawing tagged
+// data-layer="<id>" are hidden with the toggles for the `layers` ids.
+// svgProps: extra attributes and handlers for the svg (direction, editor drags)
+// exportName: file name for the SVG and PNG exports (none without it),
+// dxf(): DXF text of the plan for the DXF export (see lib/planExport.js)
+export default function PlanViewer({ width, height, scale, layers = [], svgProps = {}, exportName, dxf, children }) {
+  const { t, format } = useI18n();
+  const id = `plan-${useId().replace(/:/g, '')}`;
+  const svgRef = useRef(null);
+  const [view, setView] = useState({ x: 0, y: 0, w: width });
+  const [tool, setTool] = useState('pan');
+  const [points, setPoints] = useState([]);
+  const [hidden, setHidden] = useState([]);
+  const [showLayers, setShowLayers] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [exportFailed, setExportFailed] = useState(false);
+  // Pointers down on the drawing and the gesture they started
+  const pointers = useRef(new Map());
+  const gesture = useRef(null);
+  const panned = useRef(false);
+
+  const aspect = height / width;
+  const zoom = width / view.w;
+
+  // Keeps the view inside the drawing, at most MAX_ZOOM times closer
+  const clampView = ({ x, y, w }) => {
+    const vw = Math.min(width, Math.max(width / MAX_ZOOM, w));
+    const vh = vw * aspect;
+    return {
+      x: Math.min(Math.max(0, x), width - vw),
+      y: Math.min(Math.max(0, y), height - vh),
+      w: vw
+    };
+  };
+
+  // Zooms by `factor` keeping the drawing point (px, py) where it is on screen
+  const zoomAt = (from, factor, px, py) => {
+    const next = clampView({ ...from, w: from.w / factor });
+    const ratio = next.w / from.w;
+    return clampView({ x: px - (px - from.x) * ratio, y: py - (py - from.y) * ratio, w: next.w });
+  };
+  const zoomBy = (factor) => setView((v) => zoomAt(v, factor, v.x + v.w / 2, v.y + (v.w * aspect) / 2));
+  const fit = () => setView({ x: 0, y: 0, w: width });
+
+  // The drawing changes size when the design does: start again from the whole drawing
+  useEffect(fit, [width, height]);
+
+  // React's wheel listener is passive, so the page would scroll as well
+  useEffect(() => {
+    const svg = svgRef.current;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const [px, py] = toDrawing(svg, e.clientX, e.clientY);
+      setView((v) => zoomAt(v, Math.exp(-e.deltaY / 300), px, py));
+    };
+    svg.addEventListener('wheel', onWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', onWheel);
+  });
+
+  const startGesture = () => {
+    const [a, b] = [...pointers.current.values()];
+    gesture.current = b
+      ? { kind: 'pinch', view, distance: Math.hypot(a.x - b.x, a.y - b.y), center: toDrawing(svgRef.current, (a.x + b.x) / 2, (a.y + b.y) / 2) }
+      : { kind: 'pan', view, x: a.x, y: a.y, moving: false };
+  };
+
+  const onPointerDown = (e) => {
+    svgProps.onPointerDown?.(e);
+    panned.current = false;
+    // Editor handles take the pointer for themselves
+    if (e.defaultPrevented || tool !== 'pan' || e.button > 0) return;
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    startGesture();
+  };
+
+  const onPointerMove = (e) => {
+    svgProps.onPointerMove?.(e);
+    if (!pointers.current.has(e.pointerId)) return;
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const g = gesture.current;
+    if (g.kind === 'pinch') {
+      const [a, b] = [...pointers.current.values()];
+      setView(zoomAt(g.view, Math.hypot(a.x - b.x, a.y - b.y) / (g.distance || 1), ...g.center));
+      return;
+    }
+    const dx = e.clientX - g.x;
+    const dy = e.clientY - g.y;
+    if (!g.moving && Math.hypot(dx, dy) < PAN_THRESHOLD) return;
+    if (!g.moving) {
+      g.moving = true;
+      panned.current = true;
+      svgRef.current.setPointerCapture?.(e.pointerId);
+    }
+    const s = screenScale(svgRef.current);
+    setView(clampView({ x: g.view.x - dx / s, y: g.view.y - dy / s, w: g.view.w }));
+  };
+
+  const onPointerUp = (e) => {
+    svgProps[e.type === 'pointercancel' ? 'onPointerCancel' : 'onPointerUp']?.(e);
+    if (!pointers.current.delete(e.pointerId)) return;
+    if (pointers.current.size > 0) startGesture();
+    else gesture.current = null;
+  };
+
+  // A pan ends with a click on whatever is under the pointer; the measure
+  // tool takes clicks instead of the plan
+  const onClickCapture = (e) => {
+    if (panned.current) {
+      e.stopPropagation();
+      panned.current = false;
+    } else if (tool === 'measure') {
+      e.stopPropagation();
+      setPoints([...points, toDrawing(svgRef.current, e.clientX, e.clientY)]);
+    }
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'Escape' && points.length > 0) setPoints([]);
+    else if (e.key === '+' || e.key === '=') zoomBy(ZOOM_STEP);
+    else if (e.key === '-') zoomBy(1 / ZOOM_STEP);
+    else if (e.key === '0') fit();
+  };
+
+  const toggleLayer = (layer) => setHidden(hidden.includes(layer) ? hidden.filter((l) => l !== layer) : [...hidden, layer]);
+  const chooseTool = (next) => {
+    setTool(next);
+    setPoints([]);
+  };
+
+  const exportAs = async (kind) => {
+    setExporting(true);
+    setExportFailed(false);
+    try {
+      if (kind === 'dxf') {
+        download(dxf(), 'application/dxf', `${exportName}.dxf`);
+      } else {
+        const markup = planSvg(svgRef.current, width, height, await embeddedFonts());
+        if (kind === 'svg') download(markup, 'image/svg+xml', `${exportName}.svg`);
+        else download(await svgToPng(markup, width, height), 'image/png', `${exportName}.png`);
+      }
+    } catch {
+      setExportFailed(true);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const measured = measure(points);
+  const button = 'p-1.5 rounded-lg text-gray-600 hover:bg-gray-100 disabled:opacity-40';
+  const active = 'p-1.5 rounded-lg bg-blue-600 text-white';
+  // Marks keep their size on screen whatever the zoom
+  const mark = 1 / zoom;
+
+  return (
+    <div className="relative">
+      <div className="no-print flex flex-wrap items-center gap-1 mb-2 text-xs">
+        <button onClick={() => zoomBy(ZOOM_STEP)} disabled={zoom >= MAX_ZOOM} className={button} title={t('planViewer.zoomIn')} aria-label={t('planViewer.zoomIn')}>
+          <ZoomIn className="w-4 h-4" />
+        </button>
+        <button onClick={() => zoomBy(1 / ZOOM_STEP)} disabled={zoom <= 1} className={button} title={t('planViewer.zoomOut')} aria-label={t('planViewer.zoomOut')}>
+          <ZoomOut className="w-4 h-4" />
+        </button>
+        <button onClick={fit} className={button} title={t('planViewer.fit')} aria-label={t('planViewer.fit')}>
+          <Maximize className="w-4 h-4" />
+        </button>
+        <span data-plan-zoom className="px-1 text-gray-500 tabular-nums">{format.percent(zoom * 100, 0)}</span>
+        <span className="mx-1 h-5 border-s border-gray-200" />
+        <button onClick={() => chooseTool('pan')} aria-pressed={tool === 'pan'} className={tool === 'pan' ? active : button} title={t('planViewer.pan')} aria-label={t('planViewer.pan')}>
+          <Hand className="w-4 h-4" />
+        </button>
+        <button onClick={() => chooseTool('measure')} aria-pressed={tool === 'measure'} className={tool === 'measure' ? active : button} title={t('planViewer.measure')} aria-label={t('planViewer.measure')}>
+          <Ruler className="w-4 h-4" />
+        </button>
+        {layers.length > 0 && (
+          <button onClick={() => setShowLayers(!showLayers)} aria-expanded={showLayers} className={showLayers ? active : button} title={t('planViewer.layers')} aria-label={t('planViewer.layers')}>
+            <Layers className="w-4 h-4" />
+          </button>
+        )}
+        {tool === 'measure' && (
+          <span data-plan-measure className="flex items-center gap-2 ms-2 px-2 py-1 bg-amber-50 text-amber-800 rounded-lg">
+            {points.length < 2
+              ? t('planViewer.measureHint')
+              : t(points.length > 2 ? 'planViewer.distanceArea' : 'planViewer.distance', {
+                length: format.length(measured.length / scale),
+                area: format.area(measured.area / (scale * scale))
+              })}
+            {points.length > 0 && (
+              <button onClick={() => setPoints([])} className="text-amber-700 hover:text-amber-900" title={t('planViewer.clear')} aria-label={t('planViewer.clear')}>
+                <Trash2 className="w-3.5 h-3.5" />
+              </button>
+            )}
+          </span>
+        )}
+        {exportName && (
+          <span className="flex items-center gap-1 ms-auto text-gray-600">
+            <Download className="w-4 h-4" aria-hidden="true" />
+            {['svg', 'png', ...(dxf ? ['dxf'] : [])].map((kind) => (
+              <button
+                key={kind}
+                data-plan-export={kind}
+                onClick={() => exportAs(kind)}
+                disabled={exporting}
+                className="px-2 py-1 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-40"
+                title={t(`planViewer.export.${kind}`)}
+              >
+                {kind.toUpperCase()}
+              </button>
+            ))}
+          </span>
+        )}
+      </div>
+      {exportFailed && <p className="no-print mb-2 text-xs text-red-600">{t('planViewer.export.failed')}</p>}
+
+      {showLayers && (
+        <div className="no-print flex flex-wrap gap-3 mb-2 p-2 bg-gray-50 rounded-lg text-xs text-gray-700">
+          {layers.map((layer) => (
+            <label key={layer} className="flex items-center gap-1 cursor-pointer">
+              <input type="checkbox" data-plan-layer={layer} checked={!hidden.includes(layer)} onChange={() => toggleLayer(layer)} />
+              {t(`planViewer.layerNames.${layer}`)}
+            </label>
+          ))}
+        </div>
+      )}
+
+      <svg
+        {...svgProps}
+        id={id}
+        ref={svgRef}
+        viewBox={`${view.x} ${view.y} ${view.w} ${view.w * aspect}`}
+        width="100%"
+        className={`block mx-auto max-h-[80vh] outline-none ${tool === 'measure' ? 'cursor-crosshair' : zoom > 1 ? 'cursor-grab' : ''} ${svgProps.className || ''}`}
+        style={{ aspectRatio: `${width} / ${height}`, touchAction: 'none' }}
+        tabIndex={0}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+        onClickCapture={onClickCapture}
+        onKeyDown={onKeyDown}
+      >
+        {hidden.length > 0 && (
+          <style>{`${hidden.map((layer) => `#${id} [data-layer="${layer}"]`).join(', ')} { display: none; }`}</style>
+        )}
+        {children}
+
+        {points.length > 0 && (
+          <g data-measure pointerEvents="none">
+            {points.length > 2 && <polygon points={points.join(' ')} fill="#f59e0b" fillOpacity="0.15" />}
+            <polyline points={points.join(' ')} fill="none" stroke="#b45309" strokeWidth={2 * mark} strokeDasharray={`${6 * mark},${3 * mark}`} />
+            {points.map(([x, y], i) => (
+              <circle key={i} cx={x} cy={y} r={4 * mark} fill="white" stroke="#b45309" strokeWidth={2 * mark} />
+            ))}
+          </g>
+        )}
+      </svg>
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { AlertTriangle, ClipboardList } from 'lucide-react';
+import { LEASE_STATUSES } from '../lib/rentRoll';
+import { useI18n } from '../i18n';
+
+const numberOrNull = (value) => (value === '' ? null : Math.max(0, parseFloat(value) || 0));
+
+function Compare({ title, actual, projected, format }) {
+  const { t, format: { percent } } = useI18n();
+  const diff = projected > 0 ? ((actual - projected) / projected) * 100 : 0;
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg">
+      <p className="text-sm text-gray-500 mb-1">{title}</p>
+      <p className="text-2xl font-bold text-gray-900">{format(actual)}</p>
+      <p className="text-xs text-gray-500">
+        {t('rentRoll.projected', { value: format(projected) })}
+        <span className={`ms-2 font-medium ${diff >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+          {diff >= 0 ? '+' : ''}{percent(diff, 0)}
+        </span>
+      </p>
+    </div>
+  );
+}
+
+// Rent roll of the individual units: status, tenant, lease dates, contracted
+// rent and deposit, with actual occupancy and income against the projection
+// and alerts for leases that are about to end
+// records: reconciled rent roll, summary: rentRollSummary() result
+// projected: { occupancy (%), monthlyIncome } from the income model
+export default function RentRollPanel({ project, records, onChange, summary, projected, alertDays, onAlertDaysChange }) {
+  const { t, format } = useI18n();
+  const [filter, setFilter] = useState('all');
+  const update = (id, changes) => onChange(records.map((r) => (r.id === id ? { ...r, ...changes } : r)));
+
+  const allUnits = [...project.units.commercial, ...project.units.residential];
+  const shown = filter === 'all' ? records : records.filter((r) => r.status === filter);
+  const expiringIds = new Set(summary.expiring.map((e) => e.record.id));
+  const expiredIds = new Set(summary.expired.map((r) => r.id));
+  const input = 'w-full px-2 py-1 border border-gray-200 rounded';
+
+  return (
+    <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100" id="rent-roll">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-3">
+          <ClipboardList className="w-5 h-5 text-violet-600" />
+          <h3 className="font-semibold text-gray-800">{t('rentRoll.title')}</h3>
+          <span className="px-2 py-1 bg-violet-100 text-violet-700 rounded-full text-xs font-medium">{t('common.unitCount', { count: summary.total })}</span>
+        </div>
+        <div className="flex flex-wrap gap-2 text-xs">
+          {Object.entries(LEASE_STATUSES).map(([id, status]) => (
+            <span key={id} className="flex items-center gap-1 px-2 py-1 bg-gray-50 rounded-full">
+              <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: status.color }} />
+              {t(`leaseStatus.${id}`)}: {format.number(summary.counts[id])}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-4 mb-4">
+        <Compare title={t('rentRoll.actualOccupancy')} actual={summary.occupancy} projected={projected.occupancy} format={(v) => format.percent(v, 0)} />
+        <Compare title={t('rentRoll.actualIncome')} actual={summary.monthlyIncome} projected={projected.monthlyIncome} format={format.currency} />
+        <div className="p-4 bg-gray-50 rounded-lg">
+          <p className="text-sm text-gray-500 mb-1">{t('rentRoll.deposits')}</p>
+          <p className="text-2xl font-bold text-gray-900">{format.currency(summary.deposits)}</p>
+          <p className="text-xs text-gray-500">{t('rentRoll.activeLeases', { count: summary.leased, total: summary.total })}</p>
+        </div>
+      </div>
+
+      <div className="mb-4 p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm">
+        <div className="flex flex-wrap items-center gap-2 text-amber-800">
+          <AlertTriangle className="w-4 h-4" />
+          <span>{t('rentRoll.alertBefore')}</span>
+          <input
+            type="number"
+            min="1"
+            value={alertDays}
+            onChange={(e) => onAlertDaysChange(Math.max(1, parseInt(e.target.value, 10) || 1))}
+            className="w-16 px-2 py-0.5 border border-amber-200 rounded bg-white"
+          />
+          <span>{t('rentRoll.alertAfter')}</span>
+        </div>
+        {summary.expiring.length + summary.expired.length > 0 ? (
+          <ul className="mt-2 space-y-1 text-amber-900">
+            {summary.expired.map((r) => (
+              <li key={r.id} className="text-red-700">
+                {r.label}: {t('rentRoll.expired', { date: format.date(r.leaseEnd) })}{r.tenant && ` (${r.tenant})`}
+              </li>
+            ))}
+            {summary.expiring.map(({ record, days }) => (
+              <li key={record.id}>
+                {record.label}: {days === 0 ? t('rentRoll.endsToday') : t('rentRoll.endsIn', { count: days })} ({format.date(record.leaseEnd)})
+                {record.tenant && ` - ${record.tenant}`}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="mt-2 text-amber-700">{t('rentRoll.noneExpiring')}</p>
+        )}
+      </div>
+
+      <div className="flex items-center gap-2 mb-3 text-sm">
+        <span className="text-gray-500">{t('rentRoll.show')}</span>
+        <select value={filter} onChange={(e) => setFilter(e.target.value)} className="px-2 py-1 border border-gray-200 rounded">
+          <option value="all">{t('rentRoll.allUnits')}</option>
+          {Object.keys(LEASE_STATUSES).map((id) => <option key={id} value={id}>{t(`leaseStatus.${id}`)}</option>)}
+        </select>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200">
+              <th className="text-start py-2 px-2 font-semibold text-gray-600">{t('rentRoll.columns.unit')}</th>
+              <th className="text-start py-2 px-2 font-semibold text-gray-600">{t('rentRoll.columns.status')}</th>
+              <th className="text-start py-2 px-2 font-semibold text-gray-600">{t('rentRoll.columns.tenant')}</th>
+              <th className="text-start py-2 px-2 font-semibold text-gray-600">{t('rentRoll.columns.leaseStart')}</th>
+              <th className="text-start py-2 px-2 font-semibold text-gray-600">{t('rentRoll.columns.leaseEnd')}</th>
+              <th className="text-start py-2 px-2 font-semibold text-gray-600">{t('rentRoll.columns.rent')}</th>
+              <th className="text-start py-2 px-2 font-semibold text-gray-600">{t('rentRoll.columns.deposit')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map((record) => {
+              const unit = allUnits.find((u) => u.id === record.unitId);
+              const alert = expiredIds.has(record.id) ? 'bg-red-50' : expiringIds.has(record.id) ? 'bg-amber-50' : 'hover:bg-gray-50';
+              return (
+                <tr key={record.id} className={`border-b border-gray-100 ${alert}`}>
+                  <td className="py-2 px-2 whitespace-nowrap">
+                    <span className="inline-block w-2.5 h-2.5 rounded-full me-2" style={{ backgroundColor: LEASE_STATUSES[record.status].color }} />
+                    <span className="font-medium">{record.label}</span>
+                    <span className="block text-xs text-gray-400 ms-4">{unit?.type}</span>
+                  </td>
+                  <td className="py-2 px-2">
+                    <select value={record.status} onChange={(e) => update(record.id, { status: e.target.value })} className={input}>
+                      {Object.keys(LEASE_STATUSES).map((id) => <option key={id} value={id}>{t(`leaseStatus.${id}`)}</option>)}
+                    </select>
+                  </td>
+                  <td className="py-2 px-2">
+                    <input value={record.tenant} onChange={(e) => update(record.id, { tenant: e.target.value })} className={`${input} min-w-[8rem]`} />
+                  </td>
+                  <td className="py-2 px-2">
+                    <input type="date" value={record.leaseStart} onChange={(e) => update(record.id, { leaseStart: e.target.value })} className={input} />
+                  </td>
+                  <td className="py-2 px-2">
+                    <input type="date" value={record.leaseEnd} onChange={(e) => update(record.id, { leaseEnd: e.target.value })} className={input} />
+                  </td>
+                  <td className="py-2 px-2">
+                    <input type="number" min="0" value={record.rent ?? ''} onChange={(e) => update(record.id, { rent: numberOrNull(e.target.value) })} className={`${input} w-24`} />
+                  </td>
+                  <td className="py-2 px-2">
+                    <input type="number" min="0" value={record.deposit ?? ''} onChange={(e) => update(record.id, { deposit: numberOrNull(e.target.value) })} className={`${input} w-24`} />
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <p className="mt-3 text-xs text-gray-400">
+        {t('rentRoll.note')}
+      </p>
+    </div>
+  );
+}
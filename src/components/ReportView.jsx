@@ -0,0 +1,265 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Legend } from 'recharts';
+import { Printer, X } from 'lucide-react';
+import { useI18n } from '../i18n';
+
+function Table({ head, rows, foot }) {
+  return (
+    <table className="w-full text-xs border-collapse">
+      <thead>
+        <tr className="bg-gray-100">
+          {head.map((cell, i) => <th key={i} className="text-start p-1.5 border border-gray-200 font-semibold">{cell}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row, r) => (
+          <tr key={r}>
+            {row.map((cell, i) => <td key={i} className="p-1.5 border border-gray-200">{cell}</td>)}
+          </tr>
+        ))}
+      </tbody>
+      {foot && (
+        <tfoot>
+          <tr className="bg-gray-50 font-bold">
+            {foot.map((cell, i) => <td key={i} className="p-1.5 border border-gray-200">{cell}</td>)}
+          </tr>
+        </tfoot>
+      )}
+    </table>
+  );
+}
+
+function Facts({ items }) {
+  return (
+    <div className="grid grid-cols-3 gap-3 mb-4">
+      {items.map(([label, value]) => (
+        <div key={label} className="p-2 border border-gray-200 rounded">
+          <p className="text-xs text-gray-500">{label}</p>
+          <p className="font-bold text-gray-800">{value}</p>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Table rows that fit on an A4 sheet under the page header; unit and scenario
+// rows can wrap to two lines, the projection's first sheet also holds its chart
+const UNIT_ROWS = 18;
+const SCENARIO_ROWS = 18;
+const PROJECTION_ROWS = 28;
+const PROJECTION_ROWS_UNDER_CHART = 18;
+
+// Splits table rows over A4 sheets: `first` rows on the sheet that opens the
+// table, `rest` on each continuation sheet
+function sheetRows(rows, first, rest) {
+  const sheets = [rows.slice(0, first)];
+  for (let i = first; i < rows.length; i += rest) sheets.push(rows.slice(i, i + rest));
+  return sheets;
+}
+
+// Printable A4 investment report of the current dashboard state
+// Pages are A4 sheets (see .report-page in index.css); long tables (units,
+// yearly projection, scenarios) continue on further sheets. "print" uses the
+// browser's print dialog, where the report can be saved as PDF.
+// report: figures gathered by the dashboard, sitePlan / floorPlans: rendered plan elements
+export default function ReportView({ report, sitePlan, floorPlans, onClose }) {
+  const { t, format, dir } = useI18n();
+  const { project, date, totals, rates, income, investment, projection, cashflow, scenarios } = report;
+
+  const sar = format.currency;
+  const years = (value) => (value === null || !Number.isFinite(value) ? '—' : t('common.years', { value: format.number(value, 1) }));
+  const percent = (value, digits) => format.percent(value, digits);
+  const meters = format.length;
+  const yearOf = (row) => (row.calendarYear ? format.year(row.calendarYear) : format.number(row.year));
+  // Sheets of a long table: `before` opens the first sheet and the footer row closes the last
+  const tablePages = (title, { head, rows, foot, first, rest, before = null }) => (
+    sheetRows(rows, first, rest).map((sheet, i, sheets) => ({
+      title: i === 0 ? title : t('report.continued', { title }),
+      content: (
+        <>
+          {i === 0 && before}
+          <Table head={head} rows={sheet} foot={i === sheets.length - 1 ? foot : null} />
+        </>
+      )
+    }))
+  );
+
+  const pages = [
+    {
+      title: t('report.summary'),
+      content: (
+        <div className="flex flex-col h-full">
+          <div className="mt-16 mb-12 text-center">
+            <p className="text-sm text-gray-500 mb-2">{t('report.feasibility')}</p>
+            <h1 className="text-3xl font-bold text-gray-900 mb-3">{t('app.title', { name: project.name })}</h1>
+            {project.office && <p className="text-gray-600">{project.office}</p>}
+            <p className="text-sm text-gray-500 mt-4">{date}</p>
+          </div>
+          <Facts items={[
+            [t('overview.developmentCost'), sar(project.costs.total)],
+            [t('overview.totalUnits'), t('common.unitCount', { count: totals.totalUnits })],
+            [t('report.builtArea'), format.area(totals.totalArea)],
+            [t('report.annualNoi'), sar(income.annualNOI)],
+            [t('report.netYield'), percent(income.annualYield)],
+            [t('financial.payback'), years(income.paybackYears)],
+            [t('report.npv', { rate: percent(rates.discountRate) }), sar(investment.npv)],
+            [t('financial.irr'), investment.irr === null ? '—' : percent(investment.irr * 100)],
+            [t('financial.discountedPayback'), years(investment.discountedPayback)]
+          ]} />
+          {project.features.length > 0 && (
+            <ul className="mt-4 text-sm text-gray-700 list-disc ps-5 space-y-1">
+              {project.features.map((feature) => <li key={feature}>{feature}</li>)}
+            </ul>
+          )}
+        </div>
+      )
+    },
+    {
+      title: t('tabs.siteplan'),
+      content: (
+        <>
+          <Facts items={[
+            [t('sitePlan.landArea'), format.area(project.land.width * project.land.depth, 0)],
+            [t('report.landDimensions'), `${meters(project.land.width)} × ${meters(project.land.depth)}`],
+            [t('report.buildingDimensions'), `${meters(project.building.width)} × ${meters(project.building.depth)}`],
+            [t('report.corridors'), `${meters(project.building.northCorridor)} / ${meters(project.building.southCorridor)}`],
+            [t('report.rearSetback'), meters(project.building.rearSetback)],
+            [t('overview.parking'), t('overview.parkingSpaces', { count: project.building.parking })]
+          ]} />
+          <div className="report-figure">{sitePlan}</div>
+        </>
+      )
+    },
+    ...floorPlans.map(({ floor, element }) => ({
+      title: t('floorPlan.title', { floor: floor.name }),
+      content: (
+        <>
+          <Facts items={[
+            [t('floors.area'), format.area(floor.area)],
+            [t('floors.use'), floor.use],
+            [t('report.units'), t('common.unitCount', {
+              count: [...project.units.commercial, ...project.units.residential]
+                .filter((u) => u.floor === floor.id)
+                .reduce((sum, u) => sum + u.count, 0)
+            })]
+          ]} />
+          <div className="report-figure">{element}</div>
+          {floor.notes && <p className="mt-4 text-sm text-gray-600">{floor.notes}</p>}
+        </>
+      )
+    })),
+    ...tablePages(t('report.unitSchedule'), {
+      head: ['type', 'floor', 'count', 'area', 'baseRent', 'strategy', 'monthlyRent', 'monthlyIncome'].map((key) => t(`report.unitColumns.${key}`)),
+      rows: income.unitIncome.map((u) => [
+        u.type,
+        project.floors.find((f) => f.id === u.floor)?.shortName || u.floor,
+        format.number(u.count),
+        format.area(u.area),
+        u.rent === undefined ? '—' : `${format.number(u.rent)} ${t(`rentBasis.${u.rentBasis}`)}`,
+        u.strategy === 'daily'
+          ? `${t('rentalStrategy.daily')} (${format.number(u.nightlyRate)} ${t('units.perNight')})`
+          : t('rentalStrategy.monthly'),
+        sar(u.monthlyRent),
+        sar(u.monthlyIncome)
+      ]),
+      foot: [t('common.total'), '', format.number(totals.totalUnits), format.area(totals.leasableArea), '', '', '', sar(income.totalMonthlyIncome)],
+      first: UNIT_ROWS,
+      rest: UNIT_ROWS
+    }),
+    {
+      title: t('report.costsAndIncome'),
+      content: (
+        <div className="space-y-5">
+          <Table
+            head={[t('report.costItem'), t('report.cost'), t('report.share')]}
+            rows={project.costs.items.map((row) => [row.item, sar(row.cost), percent((row.cost / project.costs.total) * 100, 0)])}
+            foot={[t('common.total'), sar(project.costs.total), percent(100, 0)]}
+          />
+          <Facts items={[
+            [t('simulator.occupancy'), percent(rates.occupancy, 0)],
+            [t('report.commercialRate'), t('common.perYear', { value: sar(rates.commercialRate) })],
+            [t('report.residentialRate'), t('common.perMonth', { value: sar(rates.residentialRate) })],
+            [t('report.roofPremium'), percent(rates.roofPremium, 0)],
+            [t('report.escalation'), `${percent(cashflow.escalation.commercial)} / ${percent(cashflow.escalation.residential)}`],
+            [t('report.rampUp'), cashflow.rampUp.length > 0
+              ? cashflow.rampUp.map((v) => percent(v, 0)).join(dir === 'rtl' ? ' ← ' : ' → ')
+              : '—']
+          ]} />
+          <Table
+            head={[t('report.opexItem'), t('opex.columns.annualCost')]}
+            rows={income.opexRows.map((row) => [row.item, sar(row.annualCost)])}
+            foot={[t('common.total'), sar(income.annualOpex)]}
+          />
+        </div>
+      )
+    },
+    ...tablePages(t('financial.projectionTitle', { count: projection.length }), {
+      before: (
+        <div dir="ltr" className="mb-4">
+          <LineChart width={680} height={260} data={projection}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey={yearOf} fontSize={10} />
+            <YAxis fontSize={10} tickFormatter={(v) => t('common.thousandsShort', { value: format.number(v / 1000) })} />
+            <Legend />
+            <Line type="monotone" dataKey="income" name={t('financial.lines.income')} stroke="#3B82F6" strokeWidth={2} dot={false} isAnimationActive={false} />
+            <Line type="monotone" dataKey="noi" name={t('financial.lines.noi')} stroke="#8B5CF6" strokeWidth={2} dot={false} isAnimationActive={false} />
+            <Line type="monotone" dataKey="cumulative" name={t('financial.lines.cumulative')} stroke="#10B981" strokeWidth={2} dot={false} isAnimationActive={false} />
+        </LineChart>
+        </div>
+      ),
+      head: ['year', 'occupancy', 'income', 'opex', 'noi', 'cumulative'].map((key) => t(`cashFlow.columns.${key}`)),
+      rows: projection.map((row) => [
+        yearOf(row), percent(row.occupancy, 0), format.number(row.income), format.number(row.opex),
+        format.number(row.noi), format.number(row.cumulative)
+      ]),
+      first: PROJECTION_ROWS_UNDER_CHART,
+      rest: PROJECTION_ROWS
+    }),
+    ...(scenarios.length > 0 ? tablePages(t('report.scenarios'), {
+      head: ['scenario', 'occupancy', 'monthlyIncome', 'annualNoi', 'npv', 'payback', 'yield'].map((key) => t(`scenarios.columns.${key}`)),
+      rows: scenarios.map(({ scenario, result }) => [
+        scenario.name,
+        percent(scenario.assumptions.rates.occupancy, 0),
+        sar(result.totalMonthlyIncome),
+        sar(result.annualNOI),
+        sar(result.npv),
+        years(result.paybackYears),
+        percent(result.annualYield)
+      ]),
+      first: SCENARIO_ROWS,
+      rest: SCENARIO_ROWS
+    }) : [{
+      title: t('report.scenarios'),
+      content: <p className="text-sm text-gray-500">{t('report.noScenarios')}</p>
+    }])
+  ];
+
+  return (
+    <div className="min-h-screen bg-gray-200 py-6 print:bg-white print:py-0" dir={dir}>
+      <div className="no-print sticky top-0 z-10 mb-6 flex justify-center gap-3">
+        <button onClick={() => window.print()} className="flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-600 text-white shadow hover:bg-blue-700">
+          <Printer className="w-4 h-4" />
+          {t('report.print')}
+        </button>
+        <button onClick={onClose} className="flex items-center gap-2 px-4 py-2 rounded-lg bg-white text-gray-600 shadow hover:bg-gray-50">
+          <X className="w-4 h-4" />
+          {t('report.back')}
+        </button>
+      </div>
+
+      {pages.map((page, i) => (
+        <section key={i} className="report-page mx-auto mb-6 shadow-lg print:mb-0 print:shadow-none">
+          <header className="flex justify-between items-baseline border-b-2 border-blue-600 pb-2 mb-5">
+            <h2 className="text-lg font-bold text-gray-900">{page.title}</h2>
+            <span className="text-xs text-gray-500">{project.name}</span>
+          </header>
+          {page.content}
+          <footer className="absolute bottom-[10mm] inset-x-[15mm] flex justify-between text-xs text-gray-400 border-t border-gray-200 pt-2">
+            <span>{t('report.page', { page: i + 1, count: pages.length })}</span>
+            <span>{date}</span>
+          </footer>
+        </section>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,184 @@
+import React, { useRef, useState } from 'react';
+import { Copy, Download, Play, Plus, RefreshCw, Save, Trash2, Upload } from 'lucide-react';
+import { ScenarioFileError, exportScenarios, newScenarioId, parseScenarioFile } from '../lib/scenarios';
+import { useI18n } from '../i18n';
+
+// Colors of the scenario lines on the projection chart, by position in the list
+export const SCENARIO_COLORS = ['#0EA5E9', '#F97316', '#14B8A6', '#A855F7', '#E11D48', '#84CC16', '#6366F1', '#D97706'];
+
+// Badge colors of a net yield (%) in the scenario and sensitivity tables
+export const yieldClass = (yld) => (
+  yld > 10 ? 'bg-green-100 text-green-700' :
+  yld > 7 ? 'bg-yellow-100 text-yellow-700' :
+  'bg-red-100 text-red-700'
+);
+
+// Saved scenarios: save the current simulator state, apply, update, duplicate,
+// delete, import/export, and the comparison table of the selected ones
+// results: { [scenario id]: evaluateScenario() result }
+// project: the project imported scenarios are checked against (floors and costs)
+// capture(): the dashboard's current assumptions, onApply(scenario): loads them into the dashboard
+export default function ScenarioPanel({
+  projectId, scenarios, onChange, selected, onSelectedChange, results, baseline, project, capture, onApply
+}) {
+  const { t, format, lang } = useI18n();
+  const [name, setName] = useState('');
+  const [importError, setImportError] = useState(null);
+  const fileRef = useRef(null);
+
+  const select = (id, on) => onSelectedChange(on ? [...selected, id] : selected.filter((s) => s !== id));
+  const update = (id, changes) => onChange(scenarios.map((s) => (s.id === id ? { ...s, ...changes } : s)));
+
+  const saveCurrent = () => {
+    const scenario = { id: newScenarioId(), name: name.trim() || t('scenarios.defaultName', { number: scenarios.length + 1 }), assumptions: capture() };
+    onChange([...scenarios, scenario]);
+    onSelectedChange([...selected, scenario.id]);
+    setName('');
+  };
+
+  const duplicate = (scenario) => {
+    const copy = { ...scenario, id: newScenarioId(), name: t('scenarios.copyName', { name: scenario.name }) };
+    const i = scenarios.indexOf(scenario);
+    onChange([...scenarios.slice(0, i + 1), copy, ...scenarios.slice(i + 1)]);
+  };
+
+  const remove = (scenario) => {
+    onChange(scenarios.filter((s) => s.id !== scenario.id));
+    onSelectedChange(selected.filter((id) => id !== scenario.id));
+  };
+
+  const download = () => {
+    const blob = new Blob([exportScenarios(projectId, scenarios)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${projectId}-scenarios.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  const importFile = async (file) => {
+    try {
+      const imported = parseScenarioFile(await file.text(), baseline, project);
+      onChange([...scenarios, ...imported]);
+      onSelectedChange([...selected, ...imported.map((s) => s.id)]);
+      setImportError(null);
+    } catch (err) {
+      setImportError(err instanceof ScenarioFileError ? err : { ar: err.message, en: err.message });
+    }
+  };
+
+  const compared = scenarios.filter((s) => selected.includes(s.id));
+  const button = 'p-1 rounded text-gray-400 hover:text-blue-600';
+
+  return (
+    <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h3 className="font-semibold text-gray-800">{t('scenarios.title')}</h3>
+        <div className="flex items-center gap-2 text-sm">
+          <button onClick={download} className="flex items-center gap-1 px-3 py-1 rounded-lg bg-gray-100 text-gray-600 hover:bg-gray-200">
+            <Download className="w-4 h-4" />
+            {t('scenarios.export')}
+          </button>
+          <button onClick={() => fileRef.current.click()} className="flex items-center gap-1 px-3 py-1 rounded-lg bg-gray-100 text-gray-600 hover:bg-gray-200">
+            <Upload className="w-4 h-4" />
+            {t('scenarios.import')}
+          </button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={(e) => {
+              if (e.target.files[0]) importFile(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </div>
+      </div>
+      {importError && <p className="mb-3 text-sm text-red-600">{t('scenarios.importFailed', { error: importError[lang] })}</p>}
+
+      <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={t('scenarios.namePlaceholder')}
+          className="px-2 py-1 border border-gray-200 rounded"
+        />
+        <button onClick={saveCurrent} className="flex items-center gap-1 px-3 py-1 rounded-lg bg-blue-600 text-white hover:bg-blue-700">
+          <Save className="w-4 h-4" />
+          {t('scenarios.saveCurrent')}
+        </button>
+        <span className="text-xs text-gray-400">{t('scenarios.saveHint')}</span>
+      </div>
+
+      <ul className="divide-y divide-gray-100 mb-6 text-sm">
+        {scenarios.map((scenario, i) => (
+          <li key={scenario.id} className="flex items-center gap-2 py-2">
+            <input type="checkbox" checked={selected.includes(scenario.id)} onChange={(e) => select(scenario.id, e.target.checked)} title={t('scenarios.compare')} />
+            <span className="w-3 h-3 rounded-full" style={{ backgroundColor: SCENARIO_COLORS[i % SCENARIO_COLORS.length] }} />
+            <input
+              value={scenario.name}
+              onChange={(e) => update(scenario.id, { name: e.target.value })}
+              className="flex-1 px-2 py-1 border border-transparent hover:border-gray-200 focus:border-gray-200 rounded"
+            />
+            <button onClick={() => onApply(scenario)} className={button} title={t('scenarios.apply')}><Play className="w-4 h-4" /></button>
+            <button onClick={() => update(scenario.id, { assumptions: capture() })} className={button} title={t('scenarios.updateFromCurrent')}><RefreshCw className="w-4 h-4" /></button>
+            <button onClick={() => duplicate(scenario)} className={button} title={t('scenarios.duplicate')}><Copy className="w-4 h-4" /></button>
+            <button onClick={() => remove(scenario)} className="p-1 rounded text-gray-400 hover:text-red-600" title={t('scenarios.remove')}><Trash2 className="w-4 h-4" /></button>
+          </li>
+        ))}
+        {scenarios.length === 0 && (
+          <li className="py-3 text-gray-400 flex items-center gap-2">
+            <Plus className="w-4 h-4" />
+            {t('scenarios.empty')}
+          </li>
+        )}
+      </ul>
+
+      {compared.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200">
+                <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('scenarios.columns.scenario')}</th>
+                <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('scenarios.columns.occupancy')}</th>
+                <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('scenarios.columns.monthlyIncome')}</th>
+                <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('scenarios.columns.annualNoi')}</th>
+                <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('scenarios.columns.npv')}</th>
+                <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('scenarios.columns.payback')}</th>
+                <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('scenarios.columns.equityIrr')}</th>
+                <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('scenarios.columns.dscr')}</th>
+                <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('scenarios.columns.yield')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {compared.map((scenario) => {
+                const result = results[scenario.id];
+                return (
+                  <tr key={scenario.id} className="border-b border-gray-100 hover:bg-gray-50">
+                    <td className="py-3 px-4 font-medium">{scenario.name}</td>
+                    <td className="py-3 px-4">{format.percent(scenario.assumptions.rates.occupancy, 0)}</td>
+                    <td className="py-3 px-4">{format.currency(result.totalMonthlyIncome)}</td>
+                    <td className="py-3 px-4">{format.currency(result.annualNOI)}</td>
+                    <td className="py-3 px-4">{format.currency(result.npv)}</td>
+                    <td className="py-3 px-4">
+                      {Number.isFinite(result.paybackYears) ? t('common.years', { value: format.number(result.paybackYears, 1) }) : '—'}
+                    </td>
+                    <td className="py-3 px-4">{result.leveredIrr === null ? '—' : format.percent(result.leveredIrr * 100)}</td>
+                    <td className="py-3 px-4">{result.dscr === null ? '—' : `${format.number(result.dscr, 2)}x`}</td>
+                    <td className="py-3 px-4">
+                      <span className={`px-2 py-1 rounded text-xs font-medium ${yieldClass(result.annualYield)}`}>
+                        {format.percent(result.annualYield)}
+                      </span>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,330 @@
+import React from 'react';
+import { Bar, CartesianGrid, ComposedChart, Legend, Line, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { AlertTriangle, HardHat, Plus, RotateCcw, Trash2, TrendingUp } from 'lucide-react';
+import {
+  DEFAULT_PHASES, addDays, defaultSchedule, dependentPhases, monthIndex, monthStart, projectionTimeline, scheduleModel, spendCurve
+} from '../lib/schedule';
+import { useI18n } from '../i18n';
+
+const WEEK_WIDTH = 8;
+const LABEL_WIDTH = 150;
+const ROW_HEIGHT = 28;
+const HEADER_HEIGHT = 30;
+
+// A phase's own name, or the interface name of a default or newly added phase
+const phaseName = (phase, t) => phase.name
+  || (DEFAULT_PHASES.some((p) => p.id === phase.id) ? t(`schedule.defaultPhases.${phase.id}`) : t('schedule.newPhase'));
+
+// Bars of the phases on a week scale, with month gridlines, dependency arrows,
+// the handover date and today's date. Time runs left to right in both languages.
+function GanttChart({ schedule, model, today }) {
+  const { t, format } = useI18n();
+  const weekX = (weeks) => LABEL_WIDTH + weeks * WEEK_WIDTH;
+  const dateX = (date) => weekX((Date.parse(date) - Date.parse(schedule.start)) / (7 * 86400000));
+  const width = weekX(model.totalWeeks) + 60;
+  const height = HEADER_HEIGHT + model.phases.length * ROW_HEIGHT + 10;
+  const rowY = (i) => HEADER_HEIGHT + i * ROW_HEIGHT;
+  const row = Object.fromEntries(model.phases.map((p, i) => [p.id, i]));
+
+  const firstMonth = monthIndex(schedule.start);
+  const months = Array.from({ length: monthIndex(model.handover) - firstMonth + 2 }, (_, i) => firstMonth + i);
+
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} className="max-w-none" style={{ direction: 'ltr' }}>
+      <defs>
+        <marker id="gantt-arrow" viewBox="0 0 6 6" refX="5" refY="3" markerWidth="6" markerHeight="6" orient="auto">
+          <path d="M0,0 L6,3 L0,6 z" fill="#6b7280" />
+        </marker>
+      </defs>
+
+      {months.map((index) => {
+        const x = Math.max(LABEL_WIDTH, dateX(monthStart(index)));
+        return (
+          <g key={index}>
+            <line x1={x} y1={HEADER_HEIGHT - 8} x2={x} y2={height} stroke="#e5e7eb" />
+            <text x={x + 3} y={HEADER_HEIGHT - 12} fill="#6b7280" fontSize="9">{format.date(monthStart(index), { month: 'numeric', year: 'numeric' })}</text>
+          </g>
+        );
+      })}
+
+      {model.phases.map((phase, i) => {
+        const y = rowY(i);
+        const color = phase.critical ? '#ef4444' : '#3b82f6';
+        return (
+          <g key={phase.id}>
+            <rect x={0} y={y} width={width} height={ROW_HEIGHT} fill={i % 2 ? '#f9fafb' : 'transparent'} />
+            <text x={LABEL_WIDTH - 8} y={y + ROW_HEIGHT / 2 + 4} textAnchor="end" fill="#374151" fontSize="11">{phaseName(phase, t)}</text>
+            {phase.weeks > 0 ? (
+              <rect x={weekX(phase.startWeek)} y={y + 6} width={phase.weeks * WEEK_WIDTH} height={ROW_HEIGHT - 12} rx="3" fill={color} fillOpacity="0.85">
+                <title>{`${phaseName(phase, t)}: ${t('schedule.phaseSpan', { from: format.date(phase.startDate), to: format.date(phase.endDate), count: phase.weeks })}`}</title>
+              </rect>
+            ) : (
+              <path d={`M${weekX(phase.startWeek)},${y + 6} l8,8 l-8,8 l-8,-8 z`} fill={color}>
+                <title>{`${phaseName(phase, t)}: ${format.date(phase.startDate)}`}</title>
+              </path>
+            )}
+          </g>
+        );
+      })}
+
+      {model.phases.flatMap((phase) => phase.dependsOn.filter((id) => id in row).map((id) => {
+        const from = model.phases[row[id]];
+        const x = weekX(from.endWeek);
+        const startX = weekX(phase.startWeek);
+        const y1 = rowY(row[id]) + ROW_HEIGHT - 6;
+        const y2 = rowY(row[phase.id]) + (startX > x ? ROW_HEIGHT / 2 : 6);
+        return (
+          <path
+            key={`${id}-${phase.id}`}
+            d={`M${x},${y1} V${y2}${startX > x ? ` H${startX}` : ''}`}
+            fill="none"
+            stroke="#6b7280"
+            strokeWidth="1"
+            markerEnd="url(#gantt-arrow)"
+          />
+        );
+      }))}
+
+      <line x1={weekX(model.totalWeeks)} y1={HEADER_HEIGHT - 8} x2={weekX(model.totalWeeks)} y2={height} stroke="#16a34a" strokeWidth="2" strokeDasharray="4,3" />
+      <text x={weekX(model.totalWeeks) + 4} y={height - 4} fill="#16a34a" fontSize="10" fontWeight="bold">{t('schedule.handoverMark')}</text>
+      {today > schedule.start && today < model.handover && (
+        <line x1={dateX(today)} y1={HEADER_HEIGHT - 8} x2={dateX(today)} y2={height} stroke="#7c3aed" strokeWidth="1.5">
+          <title>{t('schedule.todayMark', { date: format.date(today) })}</title>
+        </line>
+      )}
+    </svg>
+  );
+}
+
+// Toggle chips used for the dependencies and the linked cost items of a phase
+function Chips({ options, selected, disabled = new Set(), onToggle }) {
+  return (
+    <div className="flex flex-wrap gap-1">
+      {options.map(({ id, label }) => (
+        <button
+          key={id}
+          onClick={() => onToggle(id)}
+          disabled={disabled.has(id) && !selected.includes(id)}
+          className={`px-2 py-0.5 rounded-full text-xs ${
+            selected.includes(id) ? 'bg-violet-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200 disabled:opacity-40 disabled:hover:bg-gray-100'
+          }`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Construction schedule tab: editable phases and dependencies drawn as a Gantt
+// chart, the cumulative spend (S-curve) of the cost items linked to each phase,
+// and the handover date that starts the income in the projection
+// schedule: see lib/schedule.js or null, onChange(schedule): saves the edits,
+// onReset: goes back to the project file's schedule (or none), offered when
+// isEdited; today: ISO date; financing: to compare the grace period with construction
+export default function SchedulePanel({ project, schedule, onChange, onReset, isEdited, today, financing }) {
+  const { t, format } = useI18n();
+
+  if (!schedule) {
+    const createDefault = () => onChange(defaultSchedule(today));
+    return (
+      <div className="bg-white rounded-xl p-8 shadow-sm border border-gray-100 text-center">
+        <HardHat className="w-10 h-10 text-amber-500 mx-auto mb-3" />
+        <p className="text-gray-700 mb-1">{t('schedule.none')}</p>
+        <p className="text-sm text-gray-400 mb-4">{t('schedule.noneHint')}</p>
+        <button onClick={createDefault} className="px-4 py-2 rounded-lg bg-violet-600 text-white hover:bg-violet-700">
+          {t('schedule.createDefault')}
+        </button>
+      </div>
+    );
+  }
+
+  const model = scheduleModel(schedule);
+  const curve = spendCurve(schedule, project.costs);
+  const timeline = projectionTimeline(schedule);
+  const constructionMonths = timeline.incomeStart - timeline.constructionStart;
+
+  const updatePhase = (id, changes) => onChange({
+    ...schedule,
+    phases: schedule.phases.map((p) => (p.id === id ? { ...p, ...changes } : p))
+  });
+  const toggle = (list, value) => (list.includes(value) ? list.filter((v) => v !== value) : [...list, value]);
+  const addPhase = () => {
+    const last = model.phases.reduce((a, b) => (b.endWeek > a.endWeek ? b : a));
+    onChange({
+      ...schedule,
+      phases: [...schedule.phases, { id: `phase-${Date.now()}`, weeks: 4, dependsOn: [last.id], costs: [] }]
+    });
+  };
+  const removePhase = (id) => onChange({
+    ...schedule,
+    phases: schedule.phases
+      .filter((p) => p.id !== id)
+      .map((p) => ({ ...p, dependsOn: p.dependsOn.filter((d) => d !== id) }))
+  });
+
+  const costOptions = project.costs.items.map((item) => ({ id: item.item, label: item.item }));
+  const input = 'px-2 py-1 border border-gray-200 rounded';
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div className="bg-white rounded-xl p-4 shadow-sm border border-gray-100">
+          <p className="text-sm text-gray-500 mb-1">{t('schedule.start')}</p>
+          <input
+            type="date"
+            value={schedule.start}
+            onChange={(e) => e.target.value && onChange({ ...schedule, start: e.target.value })}
+            className={`${input} w-full`}
+          />
+        </div>
+        <div className="bg-white rounded-xl p-4 shadow-sm border border-gray-100">
+          <p className="text-sm text-gray-500 mb-1">{t('schedule.duration')}</p>
+          <p className="text-2xl font-bold text-gray-900">{t('schedule.weeks', { count: model.totalWeeks })}</p>
+          <p className="text-xs text-gray-400">{t('schedule.aboutMonths', { months: format.number(model.totalWeeks / 4.345, 1) })}</p>
+        </div>
+        <div className="bg-white rounded-xl p-4 shadow-sm border border-gray-100">
+          <p className="text-sm text-gray-500 mb-1">{t('schedule.handover')}</p>
+          <p className="text-2xl font-bold text-green-700">{format.date(model.handover)}</p>
+          <p className="text-xs text-gray-400">{t('schedule.handoverHint')}</p>
+        </div>
+        <div className="bg-white rounded-xl p-4 shadow-sm border border-gray-100">
+          <p className="text-sm text-gray-500 mb-1">{t('schedule.incomeStart')}</p>
+          <p className="text-2xl font-bold text-violet-700">
+            {format.date(monthStart(timeline.firstYear * 12 + timeline.incomeStart), { month: 'long', year: 'numeric' })}
+          </p>
+          <p className="text-xs text-gray-400">{t('schedule.incomeStartYear', { year: Math.floor(timeline.incomeStart / 12) + 1 })}</p>
+        </div>
+      </div>
+
+      {financing?.enabled && financing.graceMonths !== constructionMonths && (
+        <div className="flex items-center gap-2 p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+          <AlertTriangle className="w-4 h-4 shrink-0" />
+          {t(financing.graceMonths < constructionMonths ? 'schedule.graceShort' : 'schedule.graceLong', {
+            grace: financing.graceMonths,
+            construction: constructionMonths
+          })}
+        </div>
+      )}
+
+      <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <div className="flex items-center gap-3">
+            <HardHat className="w-5 h-5 text-amber-600" />
+            <h3 className="font-semibold text-gray-800">{t('schedule.gantt')}</h3>
+          </div>
+          <div className="flex items-center gap-3 text-xs text-gray-600">
+            <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-red-500" />{t('schedule.criticalPath')}</span>
+            <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-blue-500" />{t('schedule.withSlack')}</span>
+          </div>
+        </div>
+        <div className="overflow-x-auto">
+          <GanttChart schedule={schedule} model={model} today={today} />
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <h3 className="font-semibold text-gray-800">{t('schedule.phases')}</h3>
+          <div className="flex items-center gap-2 text-sm">
+            <button onClick={addPhase} className="flex items-center gap-1 px-3 py-1 rounded-lg bg-violet-600 text-white hover:bg-violet-700">
+              <Plus className="w-4 h-4" />
+              {t('schedule.addPhase')}
+            </button>
+            {isEdited && (
+              <button onClick={onReset} className="flex items-center gap-1 px-3 py-1 rounded-lg bg-gray-100 text-gray-600 hover:bg-gray-200">
+                <RotateCcw className="w-4 h-4" />
+                {t('schedule.reset')}
+              </button>
+            )}
+          </div>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200">
+                <th className="text-start py-2 px-2 font-semibold text-gray-600">{t('schedule.columns.phase')}</th>
+                <th className="text-start py-2 px-2 font-semibold text-gray-600">{t('schedule.columns.weeks')}</th>
+                <th className="text-start py-2 px-2 font-semibold text-gray-600">{t('schedule.columns.dependsOn')}</th>
+                <th className="text-start py-2 px-2 font-semibold text-gray-600">{t('schedule.columns.costs')}</th>
+                <th className="text-start py-2 px-2 font-semibold text-gray-600">{t('schedule.columns.dates')}</th>
+                <th className="text-start py-2 px-2 font-semibold text-gray-600">{t('schedule.columns.cost')}</th>
+                <th className="py-2 px-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {model.phases.map((phase) => (
+                <tr key={phase.id} className="border-b border-gray-100 align-top">
+                  <td className="py-2 px-2">
+                    <input value={phaseName(phase, t)} onChange={(e) => updatePhase(phase.id, { name: e.target.value })} className={`${input} min-w-[8rem]`} />
+                    {phase.critical
+                      ? <span className="block mt-1 text-xs text-red-600">{t('schedule.onCriticalPath')}</span>
+                      : <span className="block mt-1 text-xs text-gray-400">{t('schedule.slack', { count: phase.slack })}</span>}
+                  </td>
+                  <td className="py-2 px-2">
+                    <input
+                      type="number"
+                      min="0"
+                      value={phase.weeks}
+                      onChange={(e) => updatePhase(phase.id, { weeks: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                      className={`${input} w-20`}
+                    />
+                  </td>
+                  <td className="py-2 px-2 min-w-[10rem]">
+                    <Chips
+                      options={model.phases.filter((p) => p.id !== phase.id).map((p) => ({ id: p.id, label: phaseName(p, t) }))}
+                      selected={phase.dependsOn}
+                      disabled={dependentPhases(schedule.phases, phase.id)}
+                      onToggle={(id) => updatePhase(phase.id, { dependsOn: toggle(phase.dependsOn, id) })}
+                    />
+                  </td>
+                  <td className="py-2 px-2 min-w-[10rem]">
+                    <Chips options={costOptions} selected={phase.costs} onToggle={(item) => updatePhase(phase.id, { costs: toggle(phase.costs, item) })} />
+                  </td>
+                  <td className="py-2 px-2 whitespace-nowrap text-gray-600">
+                    {format.date(phase.startDate)}
+                    <span className="block">{phase.weeks > 0 ? format.date(addDays(phase.endDate, -1)) : '—'}</span>
+                  </td>
+                  <td className="py-2 px-2 whitespace-nowrap">{format.currency(curve.phaseCosts[phase.id])}</td>
+                  <td className="py-2 px-2">
+                    {schedule.phases.length > 1 && (
+                      <button onClick={() => removePhase(phase.id)} className="p-1 rounded text-gray-400 hover:text-red-600" title={t('schedule.removePhase')}>
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="mt-3 text-xs text-gray-400">
+          {t('schedule.note')}
+        </p>
+      </div>
+
+      <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
+        <div className="flex items-center gap-3 mb-4">
+          <TrendingUp className="w-5 h-5 text-green-600" />
+          <h3 className="font-semibold text-gray-800">{t('schedule.sCurve')}</h3>
+        </div>
+        <ResponsiveContainer width="100%" height={300}>
+          <ComposedChart data={curve.months}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="month" fontSize={10} tickFormatter={(month) => format.date(`${month}-01`, { month: 'numeric', year: 'numeric' })} />
+            <YAxis fontSize={10} tickFormatter={(v) => t('common.thousandsShort', { value: format.number(v / 1000) })} />
+            <Tooltip formatter={(value) => format.currency(value)} labelFormatter={(month) => format.date(`${month}-01`, { month: 'long', year: 'numeric' })} />
+            <Legend />
+            <Bar dataKey="spend" name={t('schedule.monthlySpend')} fill="#93c5fd" />
+            <Line type="monotone" dataKey="cumulative" name={t('schedule.cumulativeSpend')} stroke="#16a34a" strokeWidth={2} dot={false} />
+          </ComposedChart>
+        </ResponsiveContainer>
+        {curve.unlinked.length > 0 && (
+          <p className="mt-3 text-xs text-amber-700">
+            {t('schedule.unlinked', { items: curve.unlinked.join(t('common.listSeparator')) })}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
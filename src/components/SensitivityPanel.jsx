@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend, ReferenceLine } from 'recharts';
+import { Activity } from 'lucide-react';
+import { yieldClass } from './ScenarioPanel';
+import { SENSITIVITY_METRICS, TWO_WAY_VARIABLES, sensitivityAnalysis, twoWayTable } from '../lib/sensitivity';
+import { useI18n } from '../i18n';
+
+const delta = (value, base) => (Number.isFinite(value) && Number.isFinite(base) ? value - base : 0);
+
+// Tornado chart of each input's impact and a two-way yield table
+// state: { project, rates, opexItems, cashflow, discountRate } as on the simulator
+export default function SensitivityPanel({ state }) {
+  const { t, format } = useI18n();
+  const [percent, setPercent] = useState(10);
+  const [metric, setMetric] = useState('annualYield');
+  const [rowKey, setRowKey] = useState('occupancy');
+  const [colKey, setColKey] = useState('residentialRate');
+
+  const analysis = sensitivityAnalysis(state, percent);
+  const table = twoWayTable(state, rowKey, colKey, percent);
+
+  const formatMetric = {
+    annualYield: (v) => format.percent(v),
+    npv: (v) => format.currency(v),
+    paybackYears: (v) => t('common.years', { value: format.number(v, 1) })
+  }[metric];
+  const formatVariable = (key, v) => (key === 'occupancy' ? format.percent(v, 0) : format.number(v));
+  const base = analysis.base[metric];
+  const tornado = analysis.rows
+    .map((row) => ({
+      label: t(`sensitivity.drivers.${row.kind}`, { name: row.name }),
+      low: delta(row.low[metric], base),
+      high: delta(row.high[metric], base)
+    }))
+    .sort((a, b) => Math.abs(b.high - b.low) - Math.abs(a.high - a.low));
+
+  const axis = (v) => (metric === 'npv' ? t('common.thousandsShort', { value: format.number(v / 1000) }) : format.number(v, 1));
+
+  return (
+    <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
+      <div className="flex items-center gap-3 mb-2">
+        <Activity className="w-5 h-5 text-blue-600" />
+        <h3 className="font-semibold text-gray-800">{t('sensitivity.title')}</h3>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">{t('sensitivity.hint', { percent: format.percent(percent, 0) })}</p>
+
+      <div className="flex flex-wrap items-center gap-4 mb-4 text-sm">
+        <label className="flex items-center gap-2">
+          <span className="text-gray-600">{t('sensitivity.change')}</span>
+          <input type="range" min="5" max="30" step="5" value={percent}
+            onChange={(e) => setPercent(parseInt(e.target.value))} className="w-32" />
+          <span className="font-bold text-blue-600">±{format.percent(percent, 0)}</span>
+        </label>
+        <div className="flex gap-1">
+          {SENSITIVITY_METRICS.map((id) => (
+            <button
+              key={id}
+              onClick={() => setMetric(id)}
+              className={`px-3 py-1 rounded-lg ${metric === id ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+            >
+              {t(`sensitivity.metrics.${id}`)}
+            </button>
+          ))}
+        </div>
+        <span className="text-gray-500">{t('sensitivity.current')} <strong>{Number.isFinite(base) ? formatMetric(base) : '—'}</strong></span>
+      </div>
+
+      <ResponsiveContainer width="100%" height={Math.max(200, tornado.length * 28 + 60)}>
+        <BarChart data={tornado} layout="vertical" stackOffset="sign" margin={{ left: 20 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis type="number" tickFormatter={axis} />
+          <YAxis type="category" dataKey="label" width={160} tick={{ fontSize: 11 }} />
+          <Tooltip formatter={(value) => (metric === 'npv' ? format.currency(value) : format.number(value, 2))} />
+          <Legend />
+          <ReferenceLine x={0} stroke="#6B7280" />
+          <Bar dataKey="low" name={`−${format.percent(percent, 0)}`} stackId="swing" fill="#EF4444" />
+          <Bar dataKey="high" name={`+${format.percent(percent, 0)}`} stackId="swing" fill="#10B981" />
+        </BarChart>
+      </ResponsiveContainer>
+
+      <div className="mt-6">
+        <div className="flex flex-wrap items-center gap-3 mb-3 text-sm">
+          <h4 className="font-medium text-gray-700">{t('sensitivity.twoWay')}</h4>
+          <select value={rowKey} onChange={(e) => setRowKey(e.target.value)} className="px-2 py-1 border border-gray-200 rounded bg-white">
+            {Object.keys(TWO_WAY_VARIABLES).filter((id) => id !== colKey).map((id) => (
+              <option key={id} value={id}>{t(`sensitivity.variables.${id}`)}</option>
+            ))}
+          </select>
+          <span className="text-gray-400">×</span>
+          <select value={colKey} onChange={(e) => setColKey(e.target.value)} className="px-2 py-1 border border-gray-200 rounded bg-white">
+            {Object.keys(TWO_WAY_VARIABLES).filter((id) => id !== rowKey).map((id) => (
+              <option key={id} value={id}>{t(`sensitivity.variables.${id}`)}</option>
+            ))}
+          </select>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200">
+                <th className="text-start py-2 px-3 font-semibold text-gray-600">
+                  {t(`sensitivity.variables.${rowKey}`)} \ {t(`sensitivity.variables.${colKey}`)}
+                </th>
+                {table.colValues.map((value) => (
+                  <th key={value} className="text-center py-2 px-3 font-semibold text-gray-600">{formatVariable(colKey, value)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {table.rowValues.map((rowValue, r) => (
+                <tr key={rowValue} className="border-b border-gray-100">
+                  <td className="py-2 px-3 font-medium">{formatVariable(rowKey, rowValue)}</td>
+                  {table.cells[r].map((yld, c) => (
+                    <td key={c} className="py-2 px-3 text-center">
+                      <span className={`px-2 py-1 rounded text-xs font-medium ${yieldClass(yld)}`}>{format.percent(yld)}</span>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import React from 'react';
+import { Moon, Trophy } from 'lucide-react';
+import { MONTH_DAYS } from '../lib/shortStay';
+import { useI18n } from '../i18n';
+
+// Rows of the strategy comparison table, labelled shortStay.rows.<key>; `better`
+// marks the metric used to pick the best strategy
+const ROWS = [
+  { key: 'dailyUnits' },
+  { key: 'residentialRevenue' },
+  { key: 'commission', cost: true },
+  { key: 'cleaning', cost: true },
+  { key: 'annualOpex', cost: true },
+  { key: 'annualNOI', better: true },
+  { key: 'annualYield', percent: true }
+];
+
+// Short-stay settings (seasonal occupancy, platform commission, cleaning) and the
+// comparison of all-monthly, all-daily and mixed leasing
+// settings: project.shortStay, strategies: compareRentalStrategies() result
+export default function ShortStayPanel({ settings, onChange, strategies }) {
+  const { t, format } = useI18n();
+  const update = (changes) => onChange({ ...settings, ...changes });
+  const number = (value) => Math.max(0, parseFloat(value) || 0);
+  const setMonth = (i, value) => update({
+    seasonality: settings.seasonality.map((v, j) => (j === i ? Math.min(100, number(value)) : v))
+  });
+
+  const best = strategies.reduce((a, b) => (b.annualNOI > a.annualNOI ? b : a));
+  const field = 'w-20 px-2 py-1 border border-gray-200 rounded';
+
+  return (
+    <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
+      <div className="flex items-center gap-3 mb-2">
+        <Moon className="w-5 h-5 text-indigo-600" />
+        <h3 className="font-semibold text-gray-800">{t('shortStay.title')}</h3>
+      </div>
+      <p className="text-sm text-gray-500 mb-6">{t('shortStay.hint')}</p>
+
+      <div className="grid md:grid-cols-3 gap-4 mb-6 text-sm">
+        <label className="flex items-center justify-between gap-2 p-3 bg-gray-50 rounded-lg">
+          <span className="text-gray-600">{t('shortStay.commission')}</span>
+          <span className="flex items-center gap-1">
+            <input type="number" min="0" max="100" step="0.5" value={settings.commission} className={field}
+              onChange={(e) => update({ commission: Math.min(100, number(e.target.value)) })} />%
+          </span>
+        </label>
+        <label className="flex items-center justify-between gap-2 p-3 bg-gray-50 rounded-lg">
+          <span className="text-gray-600">{t('shortStay.cleaningCost')}</span>
+          <span className="flex items-center gap-1">
+            <input type="number" min="0" step="10" value={settings.cleaningCost} className={field}
+              onChange={(e) => update({ cleaningCost: number(e.target.value) })} />{t('common.sar')}
+          </span>
+        </label>
+        <label className="flex items-center justify-between gap-2 p-3 bg-gray-50 rounded-lg">
+          <span className="text-gray-600">{t('shortStay.averageStay')}</span>
+          <span className="flex items-center gap-1">
+            <input type="number" min="1" step="0.5" value={settings.averageStay} className={field}
+              onChange={(e) => update({ averageStay: Math.max(1, number(e.target.value)) })} />{t('shortStay.nights')}
+          </span>
+        </label>
+      </div>
+
+      <p className="text-sm font-medium text-gray-700 mb-2">{t('shortStay.seasonality')}</p>
+      <div className="grid grid-cols-4 md:grid-cols-12 gap-2 mb-6">
+        {MONTH_DAYS.map((_, i) => (
+          <div key={i} className="flex flex-col items-center gap-1">
+            <div className="h-16 w-full flex items-end bg-gray-50 rounded">
+              <div className="w-full bg-indigo-400 rounded" style={{ height: `${settings.seasonality[i]}%` }} />
+            </div>
+            <input type="number" min="0" max="100" value={settings.seasonality[i]}
+              onChange={(e) => setMonth(i, e.target.value)}
+              className="w-full px-1 py-1 border border-gray-200 rounded text-xs text-center" />
+            <span className="text-xs text-gray-500">{format.date(new Date(Date.UTC(2001, i, 1)), { month: 'long' })}</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200">
+              <th className="text-start py-3 px-4 font-semibold text-gray-600">{t('shortStay.item')}</th>
+              {strategies.map((s) => (
+                <th key={s.id} className="text-start py-3 px-4 font-semibold text-gray-600">{t(`shortStay.strategies.${s.id}`)}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {ROWS.map((row) => (
+              <tr key={row.key} className="border-b border-gray-100">
+                <td className="py-2 px-4 text-gray-600">{t(`shortStay.rows.${row.key}`)}</td>
+                {strategies.map((s) => (
+                  <td key={s.id} className={`py-2 px-4 ${row.cost ? 'text-red-600' : ''} ${
+                    row.better && s.id === best.id ? 'bg-green-50 font-bold text-green-700' : ''
+                  }`}>
+                    <span className="flex items-center gap-1">
+                      {row.better && s.id === best.id && <Trophy className="w-3 h-3" />}
+                      {row.percent ? format.percent(s[row.key]) : format.number(s[row.key])}
+                    </span>
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
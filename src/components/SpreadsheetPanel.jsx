@@ -0,0 +1,104 @@
+import React, { useRef, useState } from 'react';
+import { Download, FileSpreadsheet, Upload } from 'lucide-react';
+import { ProjectFileError } from '../lib/projectFile';
+import { readSheetsFile } from '../lib/projectSheets';
+import { toCsv, toXlsx } from '../lib/spreadsheet';
+import { useI18n } from '../i18n';
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+function download(data, type, fileName) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Excel/CSV export of the dashboard tables and import of an edited unit
+// schedule, cost sheet or rent roll
+// sheets: [{ id, sheet }] built with lib/projectSheets, onImport({ units?, costs?, rentRoll? }): loads imported data
+export default function SpreadsheetPanel({ project, sheets, onImport }) {
+  const { t, lang } = useI18n();
+  const [message, setMessage] = useState(null);
+  const [issues, setIssues] = useState([]);
+  const fileRef = useRef(null);
+
+  const importFile = async (file) => {
+    try {
+      const imported = await readSheetsFile(file, project);
+      onImport(imported);
+      setIssues([]);
+      setMessage(['units', 'costs', 'rentRoll'].filter((key) => imported[key]));
+    } catch (err) {
+      setMessage(null);
+      setIssues(err instanceof ProjectFileError ? err.issues : [{ path: '', ar: err.message, en: err.message }]);
+    }
+  };
+
+  const button = 'flex items-center gap-1 px-3 py-1 rounded-lg bg-gray-100 text-gray-600 hover:bg-gray-200';
+
+  return (
+    <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h3 className="font-semibold text-gray-800">{t('spreadsheets.title')}</h3>
+        <div className="flex items-center gap-2 text-sm">
+          <button
+            onClick={() => download(toXlsx(sheets.map((s) => s.sheet)), XLSX_TYPE, `${project.id}.xlsx`)}
+            className="flex items-center gap-1 px-3 py-1 rounded-lg bg-green-600 text-white hover:bg-green-700"
+          >
+            <FileSpreadsheet className="w-4 h-4" />
+            {t('spreadsheets.exportExcel')}
+          </button>
+          <button onClick={() => fileRef.current.click()} className={button}>
+            <Upload className="w-4 h-4" />
+            {t('scenarios.import')}
+          </button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept=".xlsx,.csv,text/csv"
+            className="hidden"
+            onChange={(e) => {
+              if (e.target.files[0]) importFile(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+        <span className="text-gray-500">CSV:</span>
+        {sheets.map(({ id, sheet }) => (
+          <button key={id} onClick={() => download(toCsv(sheet), 'text/csv;charset=utf-8', `${project.id}-${id}.csv`)} className={button}>
+            <Download className="w-4 h-4" />
+            {sheet.name}
+          </button>
+        ))}
+      </div>
+      <p className="text-xs text-gray-400">
+        {t('spreadsheets.hint')}
+      </p>
+
+      {message && (
+        <p className="mt-3 text-sm text-green-700">
+          {t('spreadsheets.imported', { sheets: message.map((key) => t(`spreadsheets.sheets.${key}`)).join(t('spreadsheets.and')) })}
+        </p>
+      )}
+      {issues.length > 0 && (
+        <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg text-sm">
+          <p className="font-medium text-red-700 mb-1">{t('spreadsheets.importFailed')}</p>
+          <ul className="space-y-1 text-red-600">
+            {issues.map((item, i) => (
+              <li key={i}>
+                {item.path && <span className="font-mono text-xs text-red-400 me-2" dir="ltr">{item.path}</span>}
+                {item[lang]}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import React from 'react';
+import { ChevronLeft, ChevronRight, Home, X } from 'lucide-react';
+import { floorPlanModel, unitSpaceSequence } from '../lib/floorPlan';
+import { LEASE_STATUSES, isActiveLease } from '../lib/rentRoll';
+import { useI18n } from '../i18n';
+
+function Row({ label, children }) {
+  return (
+    <div className="flex justify-between gap-3 py-1.5 border-b border-gray-100 last:border-0">
+      <span className="text-gray-500">{label}</span>
+      <span className="font-medium text-gray-800 text-end">{children}</span>
+    </div>
+  );
+}
+
+// Details of the unit selected on a floor plan or the site plan, with
+// previous/next buttons that walk through every drawn unit of the building
+// selection: { floorId?, spaceId?, unitId }, income: computeIncome() result
+// today: ISO date for the lease status, onSelect(selection): moves the selection,
+// onShowInUnits: opens the Units tab
+export default function UnitDetails({ project, selection, income, occupancy, today, onSelect, onShowInUnits }) {
+  const { t, format, dir } = useI18n();
+  const row = income.unitIncome.find((u) => u.id === selection.unitId);
+  if (!row) return null;
+
+  const floor = project.floors.find((f) => f.id === (selection.floorId || row.floor));
+  const space = selection.spaceId ? floorPlanModel(project, floor.id)?.spaces.find((s) => s.id === selection.spaceId) : null;
+  const sequence = unitSpaceSequence(project);
+  const at = sequence.findIndex((s) => s.floorId === selection.floorId && s.spaceId === selection.spaceId);
+  const step = (delta) => onSelect(sequence[(at + delta + sequence.length) % sequence.length]);
+  // Previous points back against the reading direction
+  const [Previous, Next] = dir === 'rtl' ? [ChevronRight, ChevronLeft] : [ChevronLeft, ChevronRight];
+
+  // Income of one unit of this type; share of the building's monthly income
+  const unitIncome = row.monthlyIncome / row.count;
+  const share = income.totalMonthlyIncome > 0 ? (unitIncome / income.totalMonthlyIncome) * 100 : 0;
+  const isDaily = row.strategy === 'daily';
+
+  // The individual unit's lease, or the status counts of the whole type
+  const record = selection.spaceId ? project.rentRoll.find((r) => r.id === selection.spaceId) : null;
+  const typeRecords = project.rentRoll.filter((r) => r.unitId === row.id);
+
+  return (
+    <div className="bg-white rounded-xl p-5 shadow-sm border-2 border-violet-200" aria-live="polite">
+      <div className="flex items-start justify-between gap-3 mb-3">
+        <div>
+          <h3 className="font-semibold text-gray-900">{space?.label || row.type}</h3>
+          <p className="text-xs text-gray-500">{row.type} - {floor.name}</p>
+        </div>
+        <div className="flex items-center gap-1">
+          {sequence.length > 0 && (
+            <>
+              <button onClick={() => step(-1)} className="p-1 rounded text-gray-400 hover:text-violet-600" title={t('unitDetails.previous')}>
+                <Previous className="w-5 h-5" />
+              </button>
+              <span className="text-xs text-gray-400 min-w-[3rem] text-center">
+                {at >= 0 ? `${format.number(at + 1)} / ${format.number(sequence.length)}` : `— / ${format.number(sequence.length)}`}
+              </span>
+              <button onClick={() => step(1)} className="p-1 rounded text-gray-400 hover:text-violet-600" title={t('unitDetails.next')}>
+                <Next className="w-5 h-5" />
+              </button>
+            </>
+          )}
+          <button onClick={() => onSelect(null)} className="p-1 rounded text-gray-400 hover:text-red-600" title={t('common.close')}>
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      <div className="text-sm">
+        <Row label={t('unitDetails.area')}>
+          {format.area(row.area)}
+          {space && Math.abs(space.area - row.area) >= 0.05 && <span className="text-xs text-gray-400"> {t('unitDetails.drawnArea', { area: format.area(space.area) })}</span>}
+        </Row>
+        {row.rent !== undefined && <Row label={t('units.baseRent')}>{format.number(row.rent)} {t(`rentBasis.${row.rentBasis}`)}</Row>}
+        <Row label={isDaily ? t('units.averageMonthlyRevenue') : t('units.monthlyRent')}>{format.currency(row.monthlyRent)}</Row>
+        <Row label={t('unitDetails.status')}>
+          {record ? (
+            <span className="inline-flex items-center gap-1">
+              <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: LEASE_STATUSES[record.status].color }} />
+              {t(`leaseStatus.${record.status}`)}
+            </span>
+          ) : (
+            Object.keys(LEASE_STATUSES)
+              .map((id) => [t(`leaseStatus.${id}`), typeRecords.filter((r) => r.status === id).length])
+              .filter(([, n]) => n > 0)
+              .map(([label, n]) => `${label} ${format.number(n)}`)
+              .join(t('common.listSeparator'))
+          )}
+        </Row>
+        {record?.tenant && <Row label={t('unitDetails.tenant')}>{record.tenant}</Row>}
+        {record?.leaseEnd && <Row label={t('unitDetails.leaseEnd')}>{format.date(record.leaseEnd)}</Row>}
+        {record && isActiveLease(record, today) && record.rent !== null && <Row label={t('unitDetails.contractRent')}>{t('common.perMonth', { value: format.currency(record.rent) })}</Row>}
+        <Row label={t('units.strategy')}>
+          {row.category === 'residential' ? t(`rentalStrategy.${row.strategy}`) : t('unitDetails.commercialLease')}
+          {' - '}
+          {isDaily
+            ? t('unitDetails.seasonalOccupancy', { occupancy: format.percent(row.shortStay.occupancy, 0) })
+            : t('unitDetails.expectedOccupancy', { occupancy: format.percent(occupancy, 0) })}
+        </Row>
+        {row.hasRoof && <Row label={t('unitDetails.privateRoof')}>{t('common.yes')}</Row>}
+        <Row label={t('unitDetails.incomeShare')}>
+          {t('common.perMonth', { value: format.currency(unitIncome) })} ({format.percent(share)})
+        </Row>
+        {row.count > 1 && (
+          <Row label={t('unitDetails.allOfType', { type: row.type, count: row.count })}>
+            {t('common.perMonth', { value: format.currency(row.monthlyIncome) })}
+          </Row>
+        )}
+      </div>
+
+      {onShowInUnits && (
+        <button onClick={onShowInUnits} className="mt-3 flex items-center gap-1 text-sm text-violet-600 hover:text-violet-800">
+          <Home className="w-4 h-4" />
+          {t('unitDetails.showInUnits')}
+        </button>
+      )}
+      <p className="mt-2 text-xs text-gray-400">{t('unitDetails.keyboardHint')}</p>
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import React from 'react';
+import { CheckCircle, Scale, XCircle } from 'lucide-react';
+import { useI18n } from '../i18n';
+
+// Value of a check in the unit of its rule
+function formatValue(rule, value, format) {
+  if (rule === 'setback') return format.length(value);
+  if (rule === 'coverage') return format.percent(value);
+  if (rule === 'far') return format.number(value, 2);
+  return format.number(value);
+}
+
+// Pass/fail badges of the zoning rules evaluated by lib/zoning.js
+// Hovering or focusing a badge outlines its element on the site plan (onHover(id)).
+export default function ZoningChecks({ checks, onHover }) {
+  const { t, format } = useI18n();
+  const failed = checks.filter((c) => !c.pass).length;
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-100">
+      <div className="flex items-center justify-between gap-3 mb-3">
+        <div className="flex items-center gap-2">
+          <Scale className="w-4 h-4 text-gray-500" />
+          <h4 className="text-sm font-semibold text-gray-700">{t('zoning.title')}</h4>
+        </div>
+        {checks.length > 0 && (
+          <span className={`px-2 py-0.5 rounded-full text-xs ${failed > 0 ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'}`}>
+            {failed > 0 ? t('zoning.failed', { count: failed }) : t('zoning.allPassed')}
+          </span>
+        )}
+      </div>
+
+      {checks.length === 0 ? (
+        <p className="text-xs text-gray-400">{t('zoning.none')}</p>
+      ) : (
+        <div className="flex flex-wrap gap-2">
+          {checks.map((check) => {
+            const Icon = check.pass ? CheckCircle : XCircle;
+            const limit = formatValue(check.rule, check.limit, format);
+            return (
+              <div
+                key={check.id}
+                data-zoning={check.id}
+                data-pass={check.pass}
+                tabIndex={0}
+                onMouseEnter={() => onHover(check.id)}
+                onMouseLeave={() => onHover(null)}
+                onFocus={() => onHover(check.id)}
+                onBlur={() => onHover(null)}
+                className={`flex items-center gap-2 px-3 py-1.5 rounded-lg border text-xs cursor-default ${
+                  check.pass ? 'bg-green-50 border-green-200 text-green-800' : 'bg-red-50 border-red-200 text-red-800'
+                }`}
+              >
+                <Icon className="w-4 h-4 shrink-0" />
+                <span className="font-medium">{t(`zoning.rules.${check.rule}`, { side: t(`zoning.sides.${check.side}`) })}</span>
+                <span>{formatValue(check.rule, check.actual, format)}</span>
+                <span className="text-gray-500">
+                  ({t(check.rule === 'setback' || check.rule === 'parking' ? 'zoning.atLeast' : 'zoning.atMost', { limit })})
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,812 @@
+// Arabic interface texts (the default language); see ./index.jsx for the key and
+// placeholder conventions. Labels keyed by id mirror the id maps in lib/.
+
+export default {
+  common: {
+    close: 'إغلاق',
+    total: 'الإجمالي',
+    sar: 'ريال',
+    perMonth: '{value}/شهر',
+    perYear: '{value}/سنة',
+    years: '{value} سنة',
+    yearN: 'السنة {year}',
+    millions: '{value} مليون',
+    thousandsShort: '{value} ألف',
+    listSeparator: '، ',
+    unitCount: { one: 'وحدة واحدة', two: 'وحدتان', few: '{count} وحدات', other: '{count} وحدة' },
+    yes: 'نعم'
+  },
+
+  app: {
+    documentTitle: 'مشروع إنشاء عمارة - لوحة التحكم',
+    loading: 'جارٍ تحميل ملف المشروع...',
+    title: 'مشروع إنشاء عمارة - {name}',
+    subtitle: 'لوحة التحكم والمخططات التفصيلية',
+    language: 'لغة الواجهة',
+    arabicDigits: 'الأرقام الهندية (٠١٢٣)',
+    compare: 'مقارنة الخيارات',
+    copyLink: 'نسخ رابط العرض',
+    linkCopied: 'تم نسخ الرابط',
+    copyLinkTitle: 'نسخ رابط يفتح اللوحة على هذا العرض',
+    copyLinkPrompt: 'انسخ الرابط:',
+    report: 'تقرير PDF',
+    openFile: 'فتح ملف مشروع',
+    addCompareOption: 'إضافة خيار للمقارنة',
+    expiredLeases: '{count} عقد منتهٍ ما زال مسجلاً مؤجراً - ',
+    expiringLeases: '{count} عقد ينتهي خلال {days} يوماً',
+    showRentRoll: 'عرض سجل الإيجارات ←',
+    footerSource: 'البيانات مبنية على الفكرة التصميمية من {source}',
+    footerNote: 'الأرقام تقديرية وتحتاج للتحقق من السوق المحلي'
+  },
+
+  projectErrors: {
+    title: 'ملف المشروع غير صالح'
+  },
+
+  tabs: {
+    siteplan: 'مخطط الموقع',
+    floors: 'المساقط',
+    overview: 'نظرة عامة',
+    schedule: 'الجدول الزمني',
+    financial: 'التحليل المالي',
+    units: 'الوحدات',
+    simulator: 'محاكي الدخل'
+  },
+
+  planColoring: {
+    label: 'تلوين الوحدات:',
+    byType: 'حسب النوع',
+    byStatus: 'حسب حالة التأجير'
+  },
+
+  sitePlan: {
+    title: 'مخطط الموقع العام',
+    scale: 'المقياس: 1 سم = {scale} م',
+    north: 'الشمال ↑',
+    south: 'الجنوب ↓',
+    westNeighbor: 'جار (غرب)',
+    eastNeighbor: 'جار (شرق)',
+    northCorridor: 'الممر الشمالي',
+    residentsEntrance: '(مدخل السكان)',
+    shops: '{count} محلات تجارية',
+    shopDepth: '(عمق {depth})',
+    residentialSuites: '{count} أجنحة سكنية',
+    annexSuites: '{count} أجنحة ملحق',
+    privateRoofs: '(مع أسطح خاصة)',
+    southCorridor: 'ممر جنوبي {width} (تمديدات)',
+    rearParking: 'المواقف الخلفية',
+    parkingSpaces: '{count} موقف (ارتداد {setback})',
+    landWidth: '{width} (عرض الأرض)',
+    landDepth: '{depth} (عمق الأرض)',
+    buildingWidth: '{width} (عرض العمارة)',
+    buildingDepth: '{depth} (عمق العمارة)',
+    compassNorth: 'شمال',
+    legend: {
+      title: 'دليل الألوان',
+      building: 'العمارة',
+      corridors: 'الممرات',
+      parking: 'المواقف',
+      land: 'حدود الأرض',
+      streets: 'الشوارع',
+      neighbors: 'الجيران'
+    },
+    floors: {
+      ground: 'الدور الأرضي (تجاري)',
+      first: 'الدور الأول (سكني)',
+      annex: 'الملحق'
+    },
+    editor: {
+      edit: 'تعديل الكتلة',
+      done: 'إنهاء التعديل',
+      handles: {
+        building: 'العمارة، على بعد {value} من الحد الغربي',
+        buildingWest: 'الحد الغربي للعمارة، عرض العمارة {value}',
+        buildingEast: 'الحد الشرقي للعمارة، عرض العمارة {value}',
+        southCorridor: 'حد الممر الجنوبي، عرضه {value}',
+        buildingSouth: 'الحد الخلفي للعمارة، عمقها {value}',
+        parkingSouth: 'حد الارتداد الخلفي، عمقه {value}'
+      }
+    },
+    hover: {
+      building: 'العمارة: {width} × {depth} = {area} لكل دور',
+      northCorridor: 'الممر الشمالي: {width} عرض - مدخل هادئ ومستقل للسكان، يعطي انطباعاً فندقياً',
+      parking: 'المواقف الخلفية: {count} موقف في ارتداد {setback} - كافية لمنع الوقوف أمام المحلات'
+    },
+    landArea: 'مساحة الأرض',
+    eastFrontage: 'الواجهة الشرقية',
+    eastward: '{length} شرقاً',
+    commercialWindow: 'نافذة تجارية',
+    westFrontage: 'الواجهة الغربية',
+    westward: '{length} غرباً',
+    residentialEntrance: 'مدخل سكني',
+    depth: 'العمق',
+    northSouth: 'شمال-جنوب',
+    streets: 'الشوارع المحيطة',
+    northStreet: '{name} (شمال)',
+    southStreet: '{name} (جنوب)',
+    streetWidth: 'عرض {width}'
+  },
+
+  floors: {
+    summary: 'ملخص الأدوار',
+    floor: 'الدور',
+    use: 'الاستخدام',
+    area: 'المساحة',
+    unitCount: 'عدد الوحدات',
+    notes: 'ملاحظات',
+    shops: '{count} محلات',
+    suites: '{count} أجنحة',
+    mixed: 'مختلط'
+  },
+
+  overview: {
+    developmentCost: 'تكلفة التطوير',
+    landValueExtra: 'قيمة الأرض {value} إضافية',
+    excludingLand: 'غير شامل قيمة الأرض',
+    totalArea: 'إجمالي المسطحات',
+    totalUnits: 'إجمالي الوحدات',
+    unitSplit: '{commercial} تجاري + {residential} سكني',
+    parking: 'المواقف',
+    parkingSpaces: '{count} موقف',
+    setback: 'ارتداد {setback}',
+    buildingDimensions: 'أبعاد المبنى',
+    width: 'العرض',
+    depth: 'العمق',
+    northCorridor: 'الممر الشمالي',
+    southCorridor: 'الممر الجنوبي',
+    areaDistribution: 'توزيع المسطحات',
+    unitMix: 'مزيج الوحدات',
+    unitMixCount: 'عدد الوحدات',
+    mix: {
+      shops: 'محلات تجارية',
+      suites: 'أجنحة {floor}'
+    },
+    features: 'مميزات التصميم'
+  },
+
+  financial: {
+    monthlyIncome: 'الدخل الشهري المتوقع',
+    atOccupancy: 'بنسبة إشغال {occupancy}',
+    annualNoi: 'صافي الدخل التشغيلي السنوي',
+    gross: 'الإجمالي {value}',
+    netYield: 'العائد السنوي الصافي',
+    grossYield: 'الإجمالي {value} من تكلفة التطوير',
+    payback: 'فترة الاسترداد',
+    onNoi: 'على صافي الدخل التشغيلي',
+    discountRate: 'معدل الخصم (سنوياً)',
+    npv: 'صافي القيمة الحالية',
+    npvBasis: 'بمعدل خصم {rate} على {count} سنوات',
+    irr: 'معدل العائد الداخلي',
+    beforeFinancing: 'قبل التمويل',
+    discountedPayback: 'فترة الاسترداد المخصومة',
+    moreThanYears: 'أكثر من {count} سنوات',
+    dscr: 'نسبة تغطية خدمة الدين',
+    dscrBasis: 'أدنى نسبة، خدمة الدين {value}/سنة',
+    noFinancing: 'لا يوجد تمويل',
+    incomeDistribution: 'توزيع الدخل الشهري',
+    commercialIncome: 'الدخل التجاري',
+    residentialIncome: 'الدخل السكني',
+    projectionTitle: 'التوقعات لـ {count} سنة',
+    lines: {
+      income: 'الدخل الإجمالي',
+      noi: 'صافي الدخل التشغيلي',
+      cumulative: 'صافي الدخل التراكمي',
+      discountedCumulative: 'صافي التدفق المخصوم التراكمي',
+      levered: 'التدفق بعد خدمة الدين',
+      scenario: 'تراكمي: {name}'
+    }
+  },
+
+  units: {
+    baseRent: 'الإيجار الأساسي',
+    strategy: 'نمط التأجير',
+    nightlyRate: 'السعر الليلي (ريال)',
+    perNight: 'ريال/ليلة',
+    showInPlans: 'عرض في المساقط',
+    commercial: 'الوحدات التجارية',
+    residential: 'الوحدات السكنية',
+    area: 'المساحة',
+    depth: 'العمق',
+    expectedRent: 'الإيجار المتوقع',
+    averageMonthlyRevenue: 'متوسط الإيراد الشهري',
+    monthlyRent: 'الإيجار الشهري',
+    privateRoof: 'سطح خاص (+{premium})',
+    roofPremium: 'علاوة الوحدات ذات السطح الخاص',
+    commercialTargetLabel: 'الشريحة المستهدفة:',
+    commercialTarget: 'بوفية، بقالة، مغسلة - أنشطة تخدم السكان والمارة',
+    strategyNoteLabel: 'نمط التأجير:',
+    strategyNote: 'شهري ويومي - مرونة في استهداف شرائح مختلفة',
+    summary: 'ملخص الوحدات',
+    totalUnits: 'إجمالي الوحدات',
+    leasableArea: 'م² قابلة للتأجير',
+    sarPerMonth: 'ريال/شهر',
+    netAnnualYield: 'عائد سنوي صافي'
+  },
+
+  simulator: {
+    title: 'محاكي الدخل التفاعلي',
+    hint: 'قم بتعديل المتغيرات لرؤية تأثيرها على العائد',
+    occupancy: 'نسبة الإشغال',
+    commercialRate: 'إيجار المتر التجاري (سنوياً)',
+    residentialRate: 'إيجار الوحدة السكنية (شهرياً)',
+    marketIndexNote: 'أسعار الإيجار هنا مؤشر للسوق: إيجار كل نوع وحدة (من تبويب الوحدات) يتغير بنسبة السعر المختار إلى السعر المرجعي للمشروع ({commercial} / {residential} ريال)',
+    monthlyIncome: 'الدخل الشهري',
+    annualNoi: 'صافي الدخل السنوي',
+    sarGross: 'ريال (الإجمالي {value})',
+    annualYield: 'العائد السنوي',
+    netOfCost: 'صافي من التكلفة',
+    payback: 'الاسترداد',
+    years: 'سنة'
+  },
+
+  leaseStatus: {
+    available: 'متاحة',
+    reserved: 'محجوزة',
+    leased: 'مؤجرة',
+    maintenance: 'تحت الصيانة'
+  },
+
+  rentalStrategy: {
+    monthly: 'شهري',
+    daily: 'يومي'
+  },
+
+  rentBasis: {
+    unit: 'ريال/وحدة شهرياً',
+    area: 'ريال/م² سنوياً'
+  },
+
+  spaceKind: {
+    unit: 'وحدة',
+    corridor: 'ممر',
+    core: 'درج ومصعد',
+    service: 'خدمات',
+    roof: 'سطح خاص'
+  },
+
+  floorPlan: {
+    title: 'مسقط {floor}',
+    mismatch: 'المخطط لا يطابق جدول الوحدات',
+    matches: 'المساحات المرسومة ({area}) مطابقة لجدول الوحدات ومساحة الدور',
+    noPlan: 'لا يوجد مخطط لهذا الدور في ملف المشروع'
+  },
+
+  unitDetails: {
+    previous: 'الوحدة السابقة',
+    next: 'الوحدة التالية',
+    area: 'المساحة',
+    drawnArea: '(مرسومة {area})',
+    status: 'الحالة',
+    tenant: 'المستأجر',
+    leaseEnd: 'نهاية العقد',
+    contractRent: 'الإيجار التعاقدي',
+    commercialLease: 'تأجير تجاري',
+    seasonalOccupancy: 'إشغال موسمي {occupancy}',
+    expectedOccupancy: 'إشغال متوقع {occupancy}',
+    privateRoof: 'سطح خاص',
+    incomeShare: 'مساهمة الوحدة في الدخل المتوقع',
+    allOfType: 'كل وحدات {type} ({count})',
+    showInUnits: 'عرض في تبويب الوحدات',
+    keyboardHint: 'الأسهم تنقل بين وحدات الدور، Enter للاختيار وEsc للإغلاق'
+  },
+
+  rentRoll: {
+    title: 'سجل الإيجارات',
+    projected: 'المتوقع {value}',
+    actualOccupancy: 'الإشغال الفعلي',
+    actualIncome: 'الدخل الشهري الفعلي',
+    deposits: 'التأمينات المحصلة',
+    activeLeases: '{count} عقد ساري من {total} وحدة',
+    alertBefore: 'تنبيه للعقود التي تنتهي خلال',
+    alertAfter: 'يوماً',
+    expired: 'انتهى العقد في {date} والوحدة ما زالت مسجلة مؤجرة',
+    endsToday: 'ينتهي العقد اليوم',
+    endsIn: 'ينتهي العقد بعد {count} يوماً',
+    noneExpiring: 'لا توجد عقود تنتهي خلال هذه المدة',
+    show: 'عرض:',
+    allUnits: 'كل الوحدات',
+    columns: {
+      unit: 'الوحدة',
+      status: 'الحالة',
+      tenant: 'المستأجر',
+      leaseStart: 'بداية العقد',
+      leaseEnd: 'نهاية العقد',
+      rent: 'الإيجار الشهري',
+      deposit: 'التأمين'
+    },
+    note: 'يُحفظ السجل في المتصفح لهذا المشروع، ويمكن تصديره وتعديله واستيراده من جداول Excel / CSV في التحليل المالي. الدخل الفعلي هو مجموع إيجارات العقود السارية اليوم.'
+  },
+
+  schedule: {
+    none: 'لا يوجد جدول زمني للإنشاء في ملف المشروع',
+    noneHint: 'بدون جدول زمني تبدأ التوقعات المالية بالدخل من السنة الأولى',
+    createDefault: 'إنشاء جدول زمني بالمراحل المعتادة',
+    defaultPhases: {
+      design: 'التصميم',
+      permits: 'التراخيص',
+      excavation: 'الحفر والأساسات',
+      structure: 'الهيكل الإنشائي',
+      finishing: 'التشطيبات',
+      handover: 'التسليم'
+    },
+    newPhase: 'مرحلة جديدة',
+    phaseSpan: '{from} ← {to} ({count} أسبوع)',
+    handoverMark: 'التسليم',
+    todayMark: 'اليوم {date}',
+    start: 'بداية المشروع',
+    duration: 'مدة التنفيذ',
+    weeks: '{count} أسبوع',
+    aboutMonths: 'نحو {months} شهر',
+    handover: 'موعد التسليم',
+    handoverHint: 'آخر مرحلة تنتهي في هذا التاريخ',
+    incomeStart: 'بداية الدخل',
+    incomeStartYear: 'السنة {year} من التوقعات المالية',
+    graceShort: 'فترة السماح في التمويل {grace} شهراً بينما يبدأ الدخل بعد {construction} شهراً من بداية المشروع؛ سداد الأقساط يبدأ قبل التسليم',
+    graceLong: 'فترة السماح في التمويل {grace} شهراً بينما يبدأ الدخل بعد {construction} شهراً من بداية المشروع؛ سداد الأقساط يبدأ بعد التسليم بفترة',
+    gantt: 'مخطط جانت للمراحل',
+    criticalPath: 'المسار الحرج',
+    withSlack: 'مرحلة بفائض وقت',
+    phases: 'المراحل والاعتماديات',
+    addPhase: 'إضافة مرحلة',
+    reset: 'استعادة جدول الملف',
+    columns: {
+      phase: 'المرحلة',
+      weeks: 'المدة (أسابيع)',
+      dependsOn: 'تبدأ بعد',
+      costs: 'بنود التكلفة',
+      dates: 'البداية - النهاية',
+      cost: 'التكلفة'
+    },
+    onCriticalPath: 'على المسار الحرج',
+    slack: 'فائض {count} أسبوع',
+    removePhase: 'حذف المرحلة',
+    note: 'تبدأ كل مرحلة عند انتهاء المراحل التي تعتمد عليها، ويبدأ الدخل في الشهر التالي للتسليم. يُحفظ الجدول في المتصفح لهذا المشروع.',
+    sCurve: 'منحنى الإنفاق التراكمي (S-curve)',
+    monthlySpend: 'الإنفاق الشهري',
+    cumulativeSpend: 'الإنفاق التراكمي',
+    unlinked: 'بنود غير مربوطة بأي مرحلة وتوزع على كامل مدة التنفيذ: {items}'
+  },
+
+  costTracking: {
+    title: 'الميزانية والتكاليف الفعلية',
+    budget: 'الميزانية',
+    committed: 'الملتزم به',
+    spent: 'المصروف',
+    ofBudget: '{percent} من الميزانية',
+    remainingBudget: 'المتبقي من الميزانية',
+    forecast: 'التوقع عند الإنجاز',
+    variance: 'الانحراف',
+    columns: {
+      item: 'البند',
+      budget: 'الميزانية',
+      percent: 'النسبة',
+      committed: 'الملتزم به',
+      spent: 'المصروف',
+      remaining: 'المتبقي',
+      forecast: 'التوقع عند الإنجاز',
+      variance: 'الانحراف',
+      closed: 'مكتمل',
+      date: 'التاريخ',
+      kind: 'النوع',
+      supplier: 'المورد',
+      description: 'الوصف',
+      amount: 'المبلغ'
+    },
+    closedHint: 'لا توجد تكاليف أخرى متوقعة لهذا البند',
+    note: 'التوقع عند الإنجاز هو الميزانية أو الملتزم به أو المصروف أيها أكبر، وللبند المكتمل هو ما صُرف فعلاً. النسب محسوبة من قيم البنود.',
+    record: 'تسجيل عقد أو فاتورة',
+    supplierPlaceholder: 'المورد / المقاول',
+    descriptionPlaceholder: 'الوصف أو رقم الفاتورة',
+    add: 'إضافة',
+    unmatched: '{count} قيد لبنود لم تعد في تفصيل التكاليف ولا تدخل في المجاميع: {items}',
+    entries: 'القيود:',
+    allItems: 'كل البنود',
+    removeEntry: 'حذف القيد'
+  },
+
+  entryKind: {
+    commitment: 'التزام (عقد / أمر شراء)',
+    payment: 'دفعة مسددة'
+  },
+
+  cashFlow: {
+    title: 'نموذج التدفقات النقدية',
+    horizon: 'أفق التوقعات',
+    years: { few: '{count} سنوات', other: '{count} سنة' },
+    escalation: 'الزيادة السنوية في الإيجار',
+    categories: {
+      commercial: 'التجاري',
+      residential: 'السكني'
+    },
+    opexEscalation: 'تضخم المصاريف الثابتة',
+    renewal: 'زيادة عند تجديد العقود',
+    renewalEvery: 'كل (سنوات)',
+    rampUp: 'تدرج الإشغال بعد التسليم',
+    rampUpHint: 'نسبة من الإشغال المستقر في كل سنة',
+    removeYear: 'حذف السنة',
+    addYear: 'إضافة سنة',
+    columns: {
+      year: 'السنة',
+      occupancy: 'الإشغال',
+      commercial: 'التجاري',
+      residential: 'السكني',
+      income: 'الدخل الإجمالي',
+      opex: 'المصاريف',
+      noi: 'صافي الدخل',
+      cumulative: 'التراكمي'
+    },
+    operatingMonths: { few: '{count} أشهر تشغيل', other: '{count} شهر تشغيل' },
+    construction: 'فترة الإنشاء'
+  },
+
+  comparison: {
+    assumptions: 'بافتراضات المحاكي: إشغال {occupancy}، التجاري {commercial} ريال/م² سنوياً، السكني {residential} ريال/شهر، أفق {horizon} سنة',
+    addAnother: 'أضف ملف خيار آخر على الأقل للمقارنة',
+    metric: 'المؤشر',
+    remove: 'إزالة من المقارنة',
+    rows: {
+      totalArea: 'إجمالي المسطحات',
+      totalUnits: 'إجمالي الوحدات',
+      unitMix: 'مزيج الوحدات',
+      parking: 'المواقف',
+      totalCost: 'تكلفة التطوير',
+      monthlyIncome: 'الدخل الشهري المتوقع',
+      annualIncome: 'الدخل السنوي',
+      annualNoi: 'صافي الدخل التشغيلي السنوي',
+      annualYield: 'العائد السنوي الصافي',
+      payback: 'فترة الاسترداد',
+      cumulative: 'صافي الدخل التراكمي لأفق التوقعات',
+      commercialUnits: 'الوحدات التجارية',
+      residentialUnits: 'الوحدات السكنية',
+      commercialArea: 'المساحة التجارية',
+      residentialArea: 'المساحة السكنية'
+    }
+  },
+
+  financing: {
+    title: 'التمويل',
+    enable: 'تفعيل التمويل',
+    equityOnly: 'المشروع ممول بالكامل من حقوق الملكية (نقداً)',
+    loanShare: 'نسبة التمويل من التكلفة',
+    split: '{loan} تمويل / {equity} ملكية',
+    loanAmount: 'مبلغ التمويل {value}',
+    type: 'نوع التمويل',
+    profitRate: 'نسبة الربح السنوية %',
+    interestRate: 'سعر الفائدة السنوي %',
+    tenor: 'المدة (سنوات)',
+    grace: 'فترة السماح أثناء البناء (أشهر)',
+    repayment: 'طريقة السداد',
+    murabahaRepayment: 'أصل متساوٍ بربح ثابت',
+    equity: 'حقوق الملكية المطلوبة',
+    equityHint: 'شاملة أرباح فترة السماح',
+    installment: 'القسط الشهري',
+    totalProfit: 'إجمالي الأرباح {value}',
+    cashOnCash: 'العائد النقدي على الملكية (أول سنة تشغيل كاملة)',
+    equityIrr: 'IRR الملكية {value}',
+    equityPayback: 'استرداد حقوق الملكية',
+    afterDebtService: 'بعد خدمة الدين',
+    hideSchedule: 'إخفاء جدول السداد',
+    showSchedule: 'عرض جدول السداد الشهري ({count} شهر)',
+    columns: {
+      month: 'الشهر',
+      opening: 'الرصيد الافتتاحي',
+      payment: 'القسط',
+      profit: 'الربح',
+      interest: 'الفائدة',
+      principal: 'الأصل',
+      closing: 'الرصيد الختامي'
+    },
+    graceMark: '(سماح)'
+  },
+
+  financingType: {
+    murabaha: 'مرابحة (ربح ثابت)',
+    conventional: 'قرض تقليدي (فائدة متناقصة)'
+  },
+
+  repaymentType: {
+    annuity: 'أقساط متساوية',
+    equalPrincipal: 'أصل متساوٍ',
+    bullet: 'دفعة واحدة في النهاية'
+  },
+
+  monteCarlo: {
+    title: 'تحليل المخاطر (مونت كارلو)',
+    hint: 'لكل متغير حد أدنى وقيمة مرجحة وحد أعلى؛ تُسحب قيم عشوائية في كل تشغيلة ويُعاد حساب العائد وصافي القيمة الحالية والاسترداد',
+    columns: {
+      variable: 'المتغير',
+      min: 'الأدنى',
+      mode: 'الأرجح',
+      max: 'الأعلى'
+    },
+    runs: 'عدد التشغيلات',
+    targetYield: 'العائد المستهدف',
+    running: 'جارٍ التشغيل {percent}',
+    run: 'تشغيل المحاكاة',
+    invalid: 'يجب أن يكون الأدنى ≤ الأرجح ≤ الأعلى',
+    failed: 'تعذر تشغيل المحاكاة: {error}',
+    workerStopped: 'توقفت عملية المحاكاة بشكل غير متوقع',
+    probabilityBelow: 'احتمال أن يقل العائد الصافي عن {target}:',
+    ofRuns: '(من {count} تشغيلة)',
+    noPayback: 'لا يسترد',
+    runsLabel: 'تشغيلة',
+    metrics: {
+      yields: 'العائد الصافي',
+      npvs: 'صافي القيمة الحالية',
+      paybacks: 'فترة الاسترداد'
+    },
+    units: {
+      yields: '%',
+      npvs: 'ألف ريال',
+      paybacks: 'سنة'
+    }
+  },
+
+  riskVariable: {
+    occupancy: { label: 'نسبة الإشغال', unit: '%' },
+    commercialRate: { label: 'إيجار المتر التجاري (سنوياً)', unit: 'ريال' },
+    residentialRate: { label: 'إيجار الوحدة السكنية (شهرياً)', unit: 'ريال' },
+    costOverrun: { label: 'تجاوز تكلفة البناء', unit: '%' },
+    rentGrowth: { label: 'النمو السنوي للإيجارات', unit: '%' }
+  },
+
+  opex: {
+    title: 'المصاريف التشغيلية وصافي الدخل',
+    newItem: 'بند جديد',
+    grossIncome: 'الدخل الإجمالي',
+    noi: 'صافي الدخل التشغيلي',
+    monthly: 'شهرياً',
+    yearly: 'سنوياً',
+    yield: 'العائد',
+    columns: {
+      item: 'البند',
+      basis: 'أساس الاحتساب',
+      amount: 'القيمة',
+      annualCost: 'التكلفة السنوية'
+    },
+    removeItem: 'حذف البند',
+    ofGrossIncome: '{percent} من الدخل الإجمالي',
+    addItem: 'إضافة بند'
+  },
+
+  opexBasis: {
+    fixed: { label: 'مبلغ ثابت', unit: 'ريال/سنة' },
+    perUnit: { label: 'لكل وحدة', unit: 'ريال/وحدة/سنة' },
+    perArea: { label: 'لكل م² مبني', unit: 'ريال/م²/سنة' },
+    percentOfRent: { label: 'نسبة من الإيجار', unit: '% من الإيجار' }
+  },
+
+  scenarios: {
+    title: 'سيناريوهات مقارنة',
+    defaultName: 'سيناريو {number}',
+    copyName: '{name} (نسخة)',
+    export: 'تصدير',
+    import: 'استيراد',
+    importFailed: 'تعذر استيراد السيناريوهات: {error}',
+    namePlaceholder: 'اسم السيناريو',
+    saveCurrent: 'حفظ الوضع الحالي كسيناريو',
+    saveHint: 'يشمل كل الافتراضات: الأسعار والإيجارات والمصاريف والتدفقات والتأجير اليومي والتمويل',
+    compare: 'مقارنة',
+    apply: 'تطبيق على المحاكي',
+    updateFromCurrent: 'تحديث من الوضع الحالي',
+    duplicate: 'نسخ',
+    remove: 'حذف',
+    empty: 'لا توجد سيناريوهات محفوظة؛ عدّل المحاكي ثم احفظ الوضع الحالي',
+    columns: {
+      scenario: 'السيناريو',
+      occupancy: 'الإشغال',
+      monthlyIncome: 'الدخل الشهري',
+      annualNoi: 'صافي الدخل السنوي',
+      npv: 'صافي القيمة الحالية',
+      payback: 'الاسترداد',
+      equityIrr: 'IRR الملكية',
+      dscr: 'نسبة تغطية خدمة الدين',
+      yield: 'العائد'
+    }
+  },
+
+  spreadsheets: {
+    title: 'جداول Excel / CSV',
+    exportExcel: 'تصدير Excel',
+    hint: 'يمكن تعديل جدول الوحدات أو التكاليف أو سجل الإيجارات في Excel ثم استيراده (ملف xlsx أو csv بنفس عناوين الأعمدة) لتحديث اللوحة؛ الأعمدة المحسوبة تُتجاهل عند الاستيراد',
+    imported: 'تم استيراد {sheets}',
+    and: ' و',
+    sheets: {
+      units: 'جدول الوحدات',
+      costs: 'تفصيل التكاليف',
+      rentRoll: 'سجل الإيجارات'
+    },
+    importFailed: 'تعذر الاستيراد:'
+  },
+
+  sensitivity: {
+    title: 'تحليل الحساسية',
+    hint: 'أثر تغيير كل افتراض بنسبة ±{percent} حول القيم الحالية للمحاكي، مرتبة من الأكثر تأثيراً',
+    change: 'نسبة التغيير',
+    current: 'القيمة الحالية:',
+    twoWay: 'جدول العائد الصافي ثنائي المتغيرات',
+    metrics: {
+      annualYield: 'العائد الصافي',
+      npv: 'صافي القيمة الحالية',
+      paybackYears: 'فترة الاسترداد'
+    },
+    drivers: {
+      occupancy: 'نسبة الإشغال',
+      rent: 'إيجار {name}',
+      totalCost: 'إجمالي التكلفة',
+      costItem: 'تكلفة {name}',
+      growth: 'النمو السنوي للإيجارات',
+      opex: 'المصاريف التشغيلية'
+    },
+    variables: {
+      occupancy: 'نسبة الإشغال',
+      commercialRate: 'إيجار المتر التجاري',
+      residentialRate: 'إيجار الوحدة السكنية'
+    }
+  },
+
+  shortStay: {
+    title: 'التأجير اليومي مقابل الشهري',
+    hint: 'الوحدات اليومية تتبع منحنى الإشغال الموسمي أدناه بدلاً من نسبة الإشغال، ويحدد نمط كل نوع وسعره الليلي من تبويب الوحدات',
+    commission: 'عمولة المنصة',
+    cleaningCost: 'تكلفة التنظيف لكل إقامة',
+    averageStay: 'متوسط مدة الإقامة',
+    nights: 'ليلة',
+    seasonality: 'الإشغال الموسمي (% من الليالي المحجوزة)',
+    item: 'البند (ريال/سنة)',
+    strategies: {
+      monthly: 'الكل شهري',
+      daily: 'الكل يومي',
+      mixed: 'مختلط (حسب كل نوع)'
+    },
+    rows: {
+      dailyUnits: 'وحدات بالتأجير اليومي',
+      residentialRevenue: 'إيرادات السكني السنوية',
+      commission: 'عمولة المنصة',
+      cleaning: 'التنظيف وتجهيز الوحدات',
+      annualOpex: 'المصاريف التشغيلية',
+      annualNOI: 'صافي الدخل السنوي',
+      annualYield: 'العائد الصافي'
+    }
+  },
+
+  report: {
+    summary: 'ملخص المشروع',
+    feasibility: 'تقرير الجدوى الاستثمارية',
+    builtArea: 'المساحة المبنية',
+    annualNoi: 'صافي الدخل السنوي',
+    netYield: 'العائد الصافي',
+    npv: 'صافي القيمة الحالية ({rate})',
+    landDimensions: 'أبعاد الأرض',
+    buildingDimensions: 'أبعاد العمارة',
+    corridors: 'الممرات',
+    rearSetback: 'الارتداد الخلفي',
+    units: 'الوحدات',
+    unitSchedule: 'جدول الوحدات',
+    unitColumns: {
+      type: 'النوع',
+      floor: 'الدور',
+      count: 'العدد',
+      area: 'المساحة',
+      baseRent: 'الإيجار الأساسي',
+      strategy: 'نمط التأجير',
+      monthlyRent: 'الإيجار الشهري',
+      monthlyIncome: 'الدخل الشهري'
+    },
+    costsAndIncome: 'التكاليف وافتراضات الدخل',
+    costItem: 'البند',
+    cost: 'التكلفة',
+    share: 'النسبة',
+    commercialRate: 'إيجار المتر التجاري',
+    residentialRate: 'إيجار الوحدة السكنية',
+    roofPremium: 'علاوة السطح الخاص',
+    escalation: 'الزيادة السنوية للإيجار',
+    rampUp: 'تدرج الإشغال',
+    opexItem: 'المصروف التشغيلي',
+    scenarios: 'السيناريوهات',
+    noScenarios: 'لم يتم اختيار سيناريوهات للمقارنة',
+    print: 'طباعة / حفظ PDF',
+    back: 'العودة للوحة',
+    page: 'صفحة {page} من {count}',
+    continued: '{title} (تابع)'
+  },
+
+  zoning: {
+    title: 'اشتراطات البناء',
+    none: 'لا توجد اشتراطات بناء في ملف المشروع',
+    allPassed: 'المخطط مطابق لجميع الاشتراطات',
+    failed: { one: 'مخالفة واحدة', two: 'مخالفتان', few: '{count} مخالفات', other: '{count} مخالفة' },
+    atLeast: 'الحد الأدنى {limit}',
+    atMost: 'الحد الأقصى {limit}',
+    rules: {
+      setback: 'الارتداد {side}',
+      coverage: 'نسبة التغطية',
+      far: 'معامل البناء',
+      floors: 'عدد الأدوار',
+      parking: 'المواقف'
+    },
+    sides: {
+      north: 'الشمالي',
+      south: 'الجنوبي',
+      east: 'الشرقي',
+      west: 'الغربي'
+    }
+  },
+
+  massing: {
+    hint: 'اسحب حواف العمارة والممرين والارتداد الخلفي، أو استخدم الأسهم بعد التحديد. تلتصق الأبعاد بشبكة 0.5م.',
+    reset: 'استعادة أبعاد الملف',
+    dimensions: {
+      northCorridor: 'الممر الشمالي',
+      width: 'عرض العمارة',
+      southCorridor: 'الممر الجنوبي',
+      depth: 'عمق العمارة',
+      rearSetback: 'الارتداد الخلفي'
+    },
+    figure: 'البند',
+    file: 'ملف المشروع',
+    edited: 'بعد التعديل',
+    figures: {
+      floorArea: 'مسطحات الأدوار',
+      units: 'عدد الوحدات',
+      parking: 'المواقف',
+      cost: 'تكلفة التطوير',
+      annualNOI: 'صافي الدخل التشغيلي السنوي',
+      annualYield: 'العائد السنوي',
+      paybackYears: 'فترة الاسترداد'
+    },
+    note: 'تتغير مساحة كل دور بنسبة تغير مسطح العمارة، وتتغير المساحة التأجيرية لكل نوع وحدة بالنسبة نفسها ويُحسب عدد وحداته بما تتسع له من وحدات كاملة بمساحتها، وتُمدّ المخططات كرسم تقريبي دون مطابقتها مع عدد الوحدات الجديد، وتتغير التكاليف بنسبة المسطحات والمواقف بنسبة مساحة الارتداد الخلفي. تعديل الكتلة للدراسة فقط ولا يُحفظ في ملف المشروع.'
+  },
+
+  parking: {
+    title: 'تخطيط المواقف',
+    hint: 'تُرص المواقف آلياً في الارتداد الخلفي: صفان على كل ممر حركة، وصف بممره فيما يتبقى من العمق. تُحسب الطاقة الفعلية من المخطط وتُقارن بالمواقف المطلوبة لمزيج الوحدات.',
+    angle: 'زاوية الموقف',
+    stallWidth: 'عرض الموقف',
+    stallDepth: 'طول الموقف',
+    aisleWidth: 'عرض ممر الحركة',
+    accessibleAisle: 'ممر جانبي لموقف ذوي الإعاقة',
+    accessiblePercent: 'نسبة مواقف ذوي الإعاقة',
+    accessibleMin: 'الحد الأدنى لمواقف ذوي الإعاقة',
+    meters: 'م',
+    capacity: 'الطاقة الفعلية',
+    rows: { one: 'صف واحد', two: 'صفان', few: '{count} صفوف', other: '{count} صفاً' },
+    required: 'المواقف المطلوبة',
+    zoningRule: 'حسب الاشتراطات: {perUnit} لكل وحدة سكنية + موقف لكل {area} تجاري',
+    defaultRule: 'المعيار الافتراضي: {perUnit} لكل وحدة سكنية + موقف لكل {area} تجاري',
+    accessible: 'مواقف ذوي الإعاقة',
+    accessibleNote: 'المتوفر / المطلوب',
+    balance: 'الفائض أو العجز',
+    surplus: 'فائض {count}',
+    shortfall: 'عجز {count}',
+    declared: 'ملف المشروع يذكر {count} موقفاً'
+  },
+
+  planViewer: {
+    zoomIn: 'تكبير (+)',
+    zoomOut: 'تصغير (-)',
+    fit: 'ملاءمة الشاشة (0)',
+    pan: 'تحريك',
+    measure: 'قياس',
+    layers: 'الطبقات',
+    clear: 'مسح القياس (Esc)',
+    measureHint: 'انقر نقاطاً على المخطط: نقطتان للمسافة، وثلاث أو أكثر للمساحة',
+    distance: 'المسافة {length}',
+    distanceArea: 'الطول {length} · المساحة {area}',
+    export: {
+      svg: 'تنزيل بصيغة SVG للتحرير أو النشر',
+      png: 'تنزيل صورة PNG عالية الدقة',
+      dxf: 'تنزيل بصيغة DXF لبرامج CAD بالأمتار وطبقة لكل عنصر',
+      failed: 'تعذر تصدير المخطط. حاول مرة أخرى.'
+    },
+    layerNames: {
+      streets: 'الشوارع',
+      neighbors: 'الجيران',
+      corridors: 'الممرات',
+      parking: 'المواقف',
+      dimensions: 'الأبعاد',
+      legend: 'مفتاح الرسم',
+      labels: 'التسميات'
+    }
+  }
+};
@@ -0,0 +1,814 @@
+// English interface texts; keys missing here fall back to Arabic (see ./index.jsx)
+
+export default {
+  common: {
+    close: 'Close',
+    total: 'Total',
+    sar: 'SAR',
+    perMonth: '{value}/month',
+    perYear: '{value}/year',
+    years: '{value} years',
+    yearN: 'Year {year}',
+    millions: '{value} M',
+    thousandsShort: '{value}k',
+    listSeparator: ', ',
+    unitCount: { one: '{count} unit', other: '{count} units' },
+    yes: 'Yes'
+  },
+
+  app: {
+    documentTitle: 'Building Project - Dashboard',
+    loading: 'Loading the project file...',
+    title: 'Building Project - {name}',
+    subtitle: 'Dashboard and detailed plans',
+    language: 'Interface language',
+    arabicDigits: 'Arabic-Indic digits (٠١٢٣)',
+    compare: 'Compare options',
+    copyLink: 'Copy view link',
+    linkCopied: 'Link copied',
+    copyLinkTitle: 'Copy a link that opens the dashboard on this view',
+    copyLinkPrompt: 'Copy the link:',
+    report: 'PDF report',
+    openFile: 'Open project file',
+    addCompareOption: 'Add an option to compare',
+    expiredLeases: { one: '{count} expired lease still recorded as leased - ', other: '{count} expired leases still recorded as leased - ' },
+    expiringLeases: { one: '{count} lease ends within {days} days', other: '{count} leases end within {days} days' },
+    showRentRoll: 'Show the rent roll →',
+    footerSource: 'Figures based on the design concept by {source}',
+    footerNote: 'Figures are estimates and need checking against the local market'
+  },
+
+  projectErrors: {
+    title: 'Invalid project file'
+  },
+
+  tabs: {
+    siteplan: 'Site plan',
+    floors: 'Floor plans',
+    overview: 'Overview',
+    schedule: 'Schedule',
+    financial: 'Financial analysis',
+    units: 'Units',
+    simulator: 'Income simulator'
+  },
+
+  planColoring: {
+    label: 'Color units:',
+    byType: 'By type',
+    byStatus: 'By leasing status'
+  },
+
+  sitePlan: {
+    title: 'General site plan',
+    scale: 'Scale: 1 cm = {scale} m',
+    north: 'North ↑',
+    south: 'South ↓',
+    westNeighbor: 'Neighbor (west)',
+    eastNeighbor: 'Neighbor (east)',
+    northCorridor: 'North corridor',
+    residentsEntrance: '(residents\' entrance)',
+    shops: { one: '{count} shop', other: '{count} shops' },
+    shopDepth: '({depth} deep)',
+    residentialSuites: { one: '{count} residential suite', other: '{count} residential suites' },
+    annexSuites: { one: '{count} annex suite', other: '{count} annex suites' },
+    privateRoofs: '(with private roofs)',
+    southCorridor: 'South corridor {width} (services)',
+    rearParking: 'Rear parking',
+    parkingSpaces: '{count} spaces ({setback} setback)',
+    landWidth: '{width} (land width)',
+    landDepth: '{depth} (land depth)',
+    buildingWidth: '{width} (building width)',
+    buildingDepth: '{depth} (building depth)',
+    compassNorth: 'North',
+    legend: {
+      title: 'Legend',
+      building: 'Building',
+      corridors: 'Corridors',
+      parking: 'Parking',
+      land: 'Land boundary',
+      streets: 'Streets',
+      neighbors: 'Neighbors'
+    },
+    floors: {
+      ground: 'Ground floor (commercial)',
+      first: 'First floor (residential)',
+      annex: 'Annex'
+    },
+    editor: {
+      edit: 'Edit massing',
+      done: 'Done editing',
+      handles: {
+        building: 'Building, {value} from the west boundary',
+        buildingWest: 'West edge of the building, building width {value}',
+        buildingEast: 'East edge of the building, building width {value}',
+        southCorridor: 'Edge of the south corridor, {value} wide',
+        buildingSouth: 'Back of the building, {value} deep',
+        parkingSouth: 'Edge of the rear setback, {value} deep'
+      }
+    },
+    hover: {
+      building: 'Building: {width} × {depth} = {area} per floor',
+      northCorridor: 'North corridor: {width} wide - a quiet, separate residents\' entrance with a hotel feel',
+      parking: 'Rear parking: {count} spaces in the {setback} setback - enough to keep cars from stopping in front of the shops'
+    },
+    landArea: 'Land area',
+    eastFrontage: 'East frontage',
+    eastward: '{length} east',
+    commercialWindow: 'Commercial frontage',
+    westFrontage: 'West frontage',
+    westward: '{length} west',
+    residentialEntrance: 'Residential entrance',
+    depth: 'Depth',
+    northSouth: 'North-south',
+    streets: 'Surrounding streets',
+    northStreet: '{name} (north)',
+    southStreet: '{name} (south)',
+    streetWidth: '{width} wide'
+  },
+
+  floors: {
+    summary: 'Floor summary',
+    floor: 'Floor',
+    use: 'Use',
+    area: 'Area',
+    unitCount: 'Units',
+    notes: 'Notes',
+    shops: { one: '{count} shop', other: '{count} shops' },
+    suites: { one: '{count} suite', other: '{count} suites' },
+    mixed: 'Mixed'
+  },
+
+  overview: {
+    developmentCost: 'Development cost',
+    landValueExtra: 'Plus {value} land value',
+    excludingLand: 'Excluding land value',
+    totalArea: 'Total built area',
+    totalUnits: 'Total units',
+    unitSplit: '{commercial} commercial + {residential} residential',
+    parking: 'Parking',
+    parkingSpaces: { one: '{count} space', other: '{count} spaces' },
+    setback: '{setback} setback',
+    buildingDimensions: 'Building dimensions',
+    width: 'Width',
+    depth: 'Depth',
+    northCorridor: 'North corridor',
+    southCorridor: 'South corridor',
+    areaDistribution: 'Area distribution',
+    unitMix: 'Unit mix',
+    unitMixCount: 'Units',
+    mix: {
+      shops: 'Shops',
+      suites: 'Suites, {floor}'
+    },
+    features: 'Design features'
+  },
+
+  financial: {
+    monthlyIncome: 'Expected monthly income',
+    atOccupancy: 'At {occupancy} occupancy',
+    annualNoi: 'Annual net operating income',
+    gross: 'Gross {value}',
+    netYield: 'Net annual yield',
+    grossYield: 'Gross {value} of the development cost',
+    payback: 'Payback period',
+    onNoi: 'On net operating income',
+    discountRate: 'Discount rate (yearly)',
+    npv: 'Net present value',
+    npvBasis: 'At a {rate} discount rate over {count} years',
+    irr: 'Internal rate of return',
+    beforeFinancing: 'Before financing',
+    discountedPayback: 'Discounted payback',
+    moreThanYears: 'More than {count} years',
+    dscr: 'Debt service coverage',
+    dscrBasis: 'Lowest ratio, debt service {value}/year',
+    noFinancing: 'No financing',
+    incomeDistribution: 'Monthly income by unit type',
+    commercialIncome: 'Commercial income',
+    residentialIncome: 'Residential income',
+    projectionTitle: '{count}-year projection',
+    lines: {
+      income: 'Gross income',
+      noi: 'Net operating income',
+      cumulative: 'Cumulative NOI',
+      discountedCumulative: 'Cumulative discounted cash flow',
+      levered: 'Cash flow after debt service',
+      scenario: 'Cumulative: {name}'
+    }
+  },
+
+  units: {
+    baseRent: 'Base rent',
+    strategy: 'Rental strategy',
+    nightlyRate: 'Nightly rate (SAR)',
+    perNight: 'SAR/night',
+    showInPlans: 'Show on the floor plans',
+    commercial: 'Commercial units',
+    residential: 'Residential units',
+    area: 'Area',
+    depth: 'Depth',
+    expectedRent: 'Expected rent',
+    averageMonthlyRevenue: 'Average monthly revenue',
+    monthlyRent: 'Monthly rent',
+    privateRoof: 'Private roof (+{premium})',
+    roofPremium: 'Premium for units with a private roof',
+    commercialTargetLabel: 'Target tenants:',
+    commercialTarget: 'Café, grocery, laundry - businesses serving residents and passers-by',
+    strategyNoteLabel: 'Rental strategy:',
+    strategyNote: 'Monthly and daily - flexible enough to target different segments',
+    summary: 'Unit summary',
+    totalUnits: 'Total units',
+    leasableArea: 'Leasable m²',
+    sarPerMonth: 'SAR/month',
+    netAnnualYield: 'Net annual yield'
+  },
+
+  simulator: {
+    title: 'Interactive income simulator',
+    hint: 'Adjust the inputs to see their effect on the return',
+    occupancy: 'Occupancy',
+    commercialRate: 'Commercial rent per m² (yearly)',
+    residentialRate: 'Residential unit rent (monthly)',
+    marketIndexNote: 'These rents are a market index: the rent of each unit type (from the Units tab) moves by the ratio of the chosen rate to the project\'s reference rate ({commercial} / {residential} SAR)',
+    monthlyIncome: 'Monthly income',
+    annualNoi: 'Annual net income',
+    sarGross: 'SAR (gross {value})',
+    annualYield: 'Annual yield',
+    netOfCost: 'Net, of cost',
+    payback: 'Payback',
+    years: 'years'
+  },
+
+  leaseStatus: {
+    available: 'Available',
+    reserved: 'Reserved',
+    leased: 'Leased',
+    maintenance: 'Under maintenance'
+  },
+
+  rentalStrategy: {
+    monthly: 'Monthly',
+    daily: 'Daily'
+  },
+
+  rentBasis: {
+    unit: 'SAR/unit monthly',
+    area: 'SAR/m² yearly'
+  },
+
+  spaceKind: {
+    unit: 'Unit',
+    corridor: 'Corridor',
+    core: 'Stairs and lift',
+    service: 'Services',
+    roof: 'Private roof'
+  },
+
+  floorPlan: {
+    title: '{floor} plan',
+    mismatch: 'The plan does not match the unit table',
+    matches: 'The drawn spaces ({area}) match the unit table and the floor area',
+    noPlan: 'This floor has no plan in the project file'
+  },
+
+  unitDetails: {
+    previous: 'Previous unit',
+    next: 'Next unit',
+    area: 'Area',
+    drawnArea: '(drawn {area})',
+    status: 'Status',
+    tenant: 'Tenant',
+    leaseEnd: 'Lease end',
+    contractRent: 'Contract rent',
+    commercialLease: 'Commercial lease',
+    seasonalOccupancy: '{occupancy} seasonal occupancy',
+    expectedOccupancy: '{occupancy} expected occupancy',
+    privateRoof: 'Private roof',
+    incomeShare: 'Unit\'s share of expected income',
+    allOfType: 'All {type} units ({count})',
+    showInUnits: 'Show in the Units tab',
+    keyboardHint: 'Arrow keys move between the floor\'s units, Enter selects and Esc closes'
+  },
+
+  rentRoll: {
+    title: 'Rent roll',
+    projected: 'Projected {value}',
+    actualOccupancy: 'Actual occupancy',
+    actualIncome: 'Actual monthly income',
+    deposits: 'Deposits held',
+    activeLeases: { one: '{count} active lease of {total} units', other: '{count} active leases of {total} units' },
+    alertBefore: 'Alert for leases ending within',
+    alertAfter: 'days',
+    expired: 'the lease ended on {date} and the unit is still recorded as leased',
+    endsToday: 'the lease ends today',
+    endsIn: { one: 'the lease ends in {count} day', other: 'the lease ends in {count} days' },
+    noneExpiring: 'No leases end within this period',
+    show: 'Show:',
+    allUnits: 'All units',
+    columns: {
+      unit: 'Unit',
+      status: 'Status',
+      tenant: 'Tenant',
+      leaseStart: 'Lease start',
+      leaseEnd: 'Lease end',
+      rent: 'Monthly rent',
+      deposit: 'Deposit'
+    },
+    note: 'The rent roll is saved in the browser for this project, and can be exported, edited and imported as Excel / CSV sheets in the Financial analysis tab. Actual income is the sum of the rents of leases active today.'
+  },
+
+  schedule: {
+    none: 'The project file has no construction schedule',
+    noneHint: 'Without a schedule the financial projection has income from the first year',
+    createDefault: 'Create a schedule with the usual phases',
+    defaultPhases: {
+      design: 'Design',
+      permits: 'Permits',
+      excavation: 'Excavation and foundations',
+      structure: 'Structure',
+      finishing: 'Finishing',
+      handover: 'Handover'
+    },
+    newPhase: 'New phase',
+    phaseSpan: { one: '{from} → {to} ({count} week)', other: '{from} → {to} ({count} weeks)' },
+    handoverMark: 'Handover',
+    todayMark: 'Today {date}',
+    start: 'Project start',
+    duration: 'Construction time',
+    weeks: { one: '{count} week', other: '{count} weeks' },
+    aboutMonths: 'About {months} months',
+    handover: 'Handover date',
+    handoverHint: 'The last phase ends on this date',
+    incomeStart: 'Income starts',
+    incomeStartYear: 'Year {year} of the financial projection',
+    graceShort: 'The financing grace period is {grace} months while income starts {construction} months after the project start; repayments start before handover',
+    graceLong: 'The financing grace period is {grace} months while income starts {construction} months after the project start; repayments start some time after handover',
+    gantt: 'Phase Gantt chart',
+    criticalPath: 'Critical path',
+    withSlack: 'Phase with slack',
+    phases: 'Phases and dependencies',
+    addPhase: 'Add phase',
+    reset: 'Restore the file\'s schedule',
+    columns: {
+      phase: 'Phase',
+      weeks: 'Duration (weeks)',
+      dependsOn: 'Starts after',
+      costs: 'Cost items',
+      dates: 'Start - end',
+      cost: 'Cost'
+    },
+    onCriticalPath: 'On the critical path',
+    slack: { one: '{count} week of slack', other: '{count} weeks of slack' },
+    removePhase: 'Remove phase',
+    note: 'Each phase starts when the phases it depends on have finished, and income starts the month after handover. The schedule is saved in the browser for this project.',
+    sCurve: 'Cumulative spend (S-curve)',
+    monthlySpend: 'Monthly spend',
+    cumulativeSpend: 'Cumulative spend',
+    unlinked: 'Items not linked to any phase, spread over the whole construction time: {items}'
+  },
+
+  costTracking: {
+    title: 'Budget and actual costs',
+    budget: 'Budget',
+    committed: 'Committed',
+    spent: 'Spent',
+    ofBudget: '{percent} of the budget',
+    remainingBudget: 'Budget remaining',
+    forecast: 'Forecast at completion',
+    variance: 'Variance',
+    columns: {
+      item: 'Item',
+      budget: 'Budget',
+      percent: 'Share',
+      committed: 'Committed',
+      spent: 'Spent',
+      remaining: 'Remaining',
+      forecast: 'Forecast at completion',
+      variance: 'Variance',
+      closed: 'Closed',
+      date: 'Date',
+      kind: 'Type',
+      supplier: 'Supplier',
+      description: 'Description',
+      amount: 'Amount'
+    },
+    closedHint: 'No further cost is expected for this item',
+    note: 'The forecast at completion is the largest of the budget, the committed and the spent amount; for a closed item it is what was actually spent. Shares are of the item budgets.',
+    record: 'Record a contract or invoice',
+    supplierPlaceholder: 'Supplier / contractor',
+    descriptionPlaceholder: 'Description or invoice number',
+    add: 'Add',
+    unmatched: {
+      one: '{count} entry is for items no longer in the cost breakdown and is left out of the totals: {items}',
+      other: '{count} entries are for items no longer in the cost breakdown and are left out of the totals: {items}'
+    },
+    entries: 'Entries:',
+    allItems: 'All items',
+    removeEntry: 'Remove entry'
+  },
+
+  entryKind: {
+    commitment: 'Commitment (contract / purchase order)',
+    payment: 'Paid invoice'
+  },
+
+  cashFlow: {
+    title: 'Cash flow model',
+    horizon: 'Projection horizon',
+    years: { one: '{count} year', other: '{count} years' },
+    escalation: 'Yearly rent increase',
+    categories: {
+      commercial: 'Commercial',
+      residential: 'Residential'
+    },
+    opexEscalation: 'Fixed expense inflation',
+    renewal: 'Increase on lease renewal',
+    renewalEvery: 'Every (years)',
+    rampUp: 'Occupancy ramp-up after handover',
+    rampUpHint: 'Share of the stabilized occupancy in each year',
+    removeYear: 'Remove year',
+    addYear: 'Add year',
+    columns: {
+      year: 'Year',
+      occupancy: 'Occupancy',
+      commercial: 'Commercial',
+      residential: 'Residential',
+      income: 'Gross income',
+      opex: 'Expenses',
+      noi: 'Net income',
+      cumulative: 'Cumulative'
+    },
+    operatingMonths: { one: '{count} operating month', other: '{count} operating months' },
+    construction: 'Construction period'
+  },
+
+  comparison: {
+    assumptions: 'With the simulator assumptions: {occupancy} occupancy, commercial SAR {commercial}/m² yearly, residential SAR {residential}/month, {horizon}-year horizon',
+    addAnother: 'Add at least one more option file to compare',
+    metric: 'Metric',
+    remove: 'Remove from the comparison',
+    rows: {
+      totalArea: 'Total built area',
+      totalUnits: 'Total units',
+      unitMix: 'Unit mix',
+      parking: 'Parking',
+      totalCost: 'Development cost',
+      monthlyIncome: 'Expected monthly income',
+      annualIncome: 'Annual income',
+      annualNoi: 'Annual net operating income',
+      annualYield: 'Net annual yield',
+      payback: 'Payback period',
+      cumulative: 'Cumulative NOI over the horizon',
+      commercialUnits: 'Commercial units',
+      residentialUnits: 'Residential units',
+      commercialArea: 'Commercial area',
+      residentialArea: 'Residential area'
+    }
+  },
+
+  financing: {
+    title: 'Financing',
+    enable: 'Use financing',
+    equityOnly: 'The project is fully funded from equity (cash)',
+    loanShare: 'Financed share of the cost',
+    split: '{loan} financing / {equity} equity',
+    loanAmount: 'Financed amount {value}',
+    type: 'Financing type',
+    profitRate: 'Yearly profit rate %',
+    interestRate: 'Yearly interest rate %',
+    tenor: 'Term (years)',
+    grace: 'Grace period during construction (months)',
+    repayment: 'Repayment',
+    murabahaRepayment: 'Equal principal, flat profit',
+    equity: 'Equity required',
+    equityHint: 'Including the grace period profit',
+    installment: 'Monthly installment',
+    totalProfit: 'Total profit {value}',
+    cashOnCash: 'Cash-on-cash return (first full operating year)',
+    equityIrr: 'Equity IRR {value}',
+    equityPayback: 'Equity payback',
+    afterDebtService: 'After debt service',
+    hideSchedule: 'Hide the repayment schedule',
+    showSchedule: 'Show the monthly repayment schedule ({count} months)',
+    columns: {
+      month: 'Month',
+      opening: 'Opening balance',
+      payment: 'Installment',
+      profit: 'Profit',
+      interest: 'Interest',
+      principal: 'Principal',
+      closing: 'Closing balance'
+    },
+    graceMark: '(grace)'
+  },
+
+  financingType: {
+    murabaha: 'Murabaha (fixed profit)',
+    conventional: 'Conventional loan (declining interest)'
+  },
+
+  repaymentType: {
+    annuity: 'Equal installments',
+    equalPrincipal: 'Equal principal',
+    bullet: 'Single payment at the end'
+  },
+
+  monteCarlo: {
+    title: 'Risk analysis (Monte Carlo)',
+    hint: 'Each variable has a minimum, a most likely value and a maximum; every run draws random values and recomputes the yield, net present value and payback',
+    columns: {
+      variable: 'Variable',
+      min: 'Minimum',
+      mode: 'Most likely',
+      max: 'Maximum'
+    },
+    runs: 'Runs',
+    targetYield: 'Target yield',
+    running: 'Running {percent}',
+    run: 'Run the simulation',
+    invalid: 'Minimum ≤ most likely ≤ maximum is required',
+    failed: 'The simulation could not run: {error}',
+    workerStopped: 'the simulation worker stopped unexpectedly',
+    probabilityBelow: 'Probability of a net yield below {target}:',
+    ofRuns: '(of {count} runs)',
+    noPayback: 'No payback',
+    runsLabel: 'Runs',
+    metrics: {
+      yields: 'Net yield',
+      npvs: 'Net present value',
+      paybacks: 'Payback period'
+    },
+    units: {
+      yields: '%',
+      npvs: 'thousand SAR',
+      paybacks: 'years'
+    }
+  },
+
+  riskVariable: {
+    occupancy: { label: 'Occupancy', unit: '%' },
+    commercialRate: { label: 'Commercial rent per m² (yearly)', unit: 'SAR' },
+    residentialRate: { label: 'Residential unit rent (monthly)', unit: 'SAR' },
+    costOverrun: { label: 'Construction cost overrun', unit: '%' },
+    rentGrowth: { label: 'Yearly rent growth', unit: '%' }
+  },
+
+  opex: {
+    title: 'Operating expenses and net income',
+    newItem: 'New item',
+    grossIncome: 'Gross income',
+    noi: 'Net operating income',
+    monthly: 'Monthly',
+    yearly: 'Yearly',
+    yield: 'Yield',
+    columns: {
+      item: 'Item',
+      basis: 'Basis',
+      amount: 'Amount',
+      annualCost: 'Annual cost'
+    },
+    removeItem: 'Remove item',
+    ofGrossIncome: '{percent} of gross income',
+    addItem: 'Add item'
+  },
+
+  opexBasis: {
+    fixed: { label: 'Fixed amount', unit: 'SAR/year' },
+    perUnit: { label: 'Per unit', unit: 'SAR/unit/year' },
+    perArea: { label: 'Per built m²', unit: 'SAR/m²/year' },
+    percentOfRent: { label: 'Share of rent', unit: '% of rent' }
+  },
+
+  scenarios: {
+    title: 'Comparison scenarios',
+    defaultName: 'Scenario {number}',
+    copyName: '{name} (copy)',
+    export: 'Export',
+    import: 'Import',
+    importFailed: 'The scenarios could not be imported: {error}',
+    namePlaceholder: 'Scenario name',
+    saveCurrent: 'Save the current state as a scenario',
+    saveHint: 'Includes every assumption: rates, rents, expenses, cash flows, daily rental and financing',
+    compare: 'Compare',
+    apply: 'Apply to the simulator',
+    updateFromCurrent: 'Update from the current state',
+    duplicate: 'Duplicate',
+    remove: 'Remove',
+    empty: 'No saved scenarios; adjust the simulator, then save the current state',
+    columns: {
+      scenario: 'Scenario',
+      occupancy: 'Occupancy',
+      monthlyIncome: 'Monthly income',
+      annualNoi: 'Annual net income',
+      npv: 'Net present value',
+      payback: 'Payback',
+      equityIrr: 'Equity IRR',
+      dscr: 'Debt service coverage',
+      yield: 'Yield'
+    }
+  },
+
+  spreadsheets: {
+    title: 'Excel / CSV sheets',
+    exportExcel: 'Export Excel',
+    hint: 'The unit schedule, cost sheet or rent roll can be edited in Excel and imported back (an xlsx or csv file with the same column headings) to update the dashboard; computed columns are ignored on import. The sheets keep their Arabic headings in both languages.',
+    imported: 'Imported {sheets}',
+    and: ' and ',
+    sheets: {
+      units: 'the unit schedule',
+      costs: 'the cost breakdown',
+      rentRoll: 'the rent roll'
+    },
+    importFailed: 'The import failed:'
+  },
+
+  sensitivity: {
+    title: 'Sensitivity analysis',
+    hint: 'Effect of moving each assumption by ±{percent} around the simulator\'s current values, most influential first',
+    change: 'Change',
+    current: 'Current value:',
+    twoWay: 'Two-way net yield table',
+    metrics: {
+      annualYield: 'Net yield',
+      npv: 'Net present value',
+      paybackYears: 'Payback period'
+    },
+    drivers: {
+      occupancy: 'Occupancy',
+      rent: '{name} rent',
+      totalCost: 'Total cost',
+      costItem: '{name} cost',
+      growth: 'Yearly rent growth',
+      opex: 'Operating expenses'
+    },
+    variables: {
+      occupancy: 'Occupancy',
+      commercialRate: 'Commercial rent per m²',
+      residentialRate: 'Residential unit rent'
+    }
+  },
+
+  shortStay: {
+    title: 'Daily versus monthly rental',
+    hint: 'Daily units follow the seasonal occupancy curve below instead of the occupancy rate; the strategy and nightly rate of each type are set in the Units tab',
+    commission: 'Platform commission',
+    cleaningCost: 'Cleaning cost per stay',
+    averageStay: 'Average length of stay',
+    nights: 'nights',
+    seasonality: 'Seasonal occupancy (% of nights booked)',
+    item: 'Item (SAR/year)',
+    strategies: {
+      monthly: 'All monthly',
+      daily: 'All daily',
+      mixed: 'Mixed (per type)'
+    },
+    rows: {
+      dailyUnits: 'Units let daily',
+      residentialRevenue: 'Annual residential revenue',
+      commission: 'Platform commission',
+      cleaning: 'Cleaning and turnover',
+      annualOpex: 'Operating expenses',
+      annualNOI: 'Annual net income',
+      annualYield: 'Net yield'
+    }
+  },
+
+  report: {
+    summary: 'Project summary',
+    feasibility: 'Investment feasibility report',
+    builtArea: 'Built area',
+    annualNoi: 'Annual net income',
+    netYield: 'Net yield',
+    npv: 'Net present value ({rate})',
+    landDimensions: 'Land dimensions',
+    buildingDimensions: 'Building dimensions',
+    corridors: 'Corridors',
+    rearSetback: 'Rear setback',
+    units: 'Units',
+    unitSchedule: 'Unit schedule',
+    unitColumns: {
+      type: 'Type',
+      floor: 'Floor',
+      count: 'Count',
+      area: 'Area',
+      baseRent: 'Base rent',
+      strategy: 'Rental strategy',
+      monthlyRent: 'Monthly rent',
+      monthlyIncome: 'Monthly income'
+    },
+    costsAndIncome: 'Costs and income assumptions',
+    costItem: 'Item',
+    cost: 'Cost',
+    share: 'Share',
+    commercialRate: 'Commercial rent per m²',
+    residentialRate: 'Residential unit rent',
+    roofPremium: 'Private roof premium',
+    escalation: 'Yearly rent increase',
+    rampUp: 'Occupancy ramp-up',
+    opexItem: 'Operating expense',
+    scenarios: 'Scenarios',
+    noScenarios: 'No scenarios were selected for comparison',
+    print: 'Print / save PDF',
+    back: 'Back to the dashboard',
+    page: 'Page {page} of {count}',
+    continued: '{title} (continued)'
+  },
+
+  zoning: {
+    title: 'Zoning rules',
+    none: 'The project file sets no zoning rules',
+    allPassed: 'The design meets every rule',
+    failed: { one: '{count} violation', other: '{count} violations' },
+    atLeast: 'minimum {limit}',
+    atMost: 'maximum {limit}',
+    rules: {
+      setback: '{side} setback',
+      coverage: 'Ground coverage',
+      far: 'Floor area ratio',
+      floors: 'Floors',
+      parking: 'Parking'
+    },
+    sides: {
+      north: 'North',
+      south: 'South',
+      east: 'East',
+      west: 'West'
+    }
+  },
+
+  massing: {
+    hint: 'Drag the edges of the building, both corridors and the rear setback, or select one and use the arrow keys. Dimensions snap to a 0.5 m grid.',
+    reset: 'Restore the file\'s dimensions',
+    dimensions: {
+      northCorridor: 'North corridor',
+      width: 'Building width',
+      southCorridor: 'South corridor',
+      depth: 'Building depth',
+      rearSetback: 'Rear setback'
+    },
+    figure: 'Figure',
+    file: 'Project file',
+    edited: 'Edited',
+    figures: {
+      floorArea: 'Floor area',
+      units: 'Units',
+      parking: 'Parking spaces',
+      cost: 'Development cost',
+      annualNOI: 'Annual net operating income',
+      annualYield: 'Annual yield',
+      paybackYears: 'Payback period'
+    },
+    note: 'Each floor area changes with the building footprint, the leasable area of each unit type changes in the same proportion and holds as many whole units of its size as fit, the floor plans are stretched as a sketch and not checked against the recounted units, costs scale with the floor area and parking with the area of the rear setback. Massing edits are for study only and are not saved to the project file.'
+  },
+
+  parking: {
+    title: 'Parking layout',
+    hint: 'Stalls are packed into the rear setback automatically: two rows on each aisle, and a single row with its aisle in any depth left. The capacity comes from the layout and is compared with the parking the unit mix requires.',
+    angle: 'Stall angle',
+    stallWidth: 'Stall width',
+    stallDepth: 'Stall length',
+    aisleWidth: 'Aisle width',
+    accessibleAisle: 'Access aisle of accessible stalls',
+    accessiblePercent: 'Accessible stalls',
+    accessibleMin: 'Minimum accessible stalls',
+    meters: 'm',
+    capacity: 'Capacity',
+    rows: { one: '{count} row', other: '{count} rows' },
+    required: 'Required spaces',
+    zoningRule: 'Zoning: {perUnit} per residential unit + 1 per {area} of shops',
+    defaultRule: 'Default standard: {perUnit} per residential unit + 1 per {area} of shops',
+    accessible: 'Accessible stalls',
+    accessibleNote: 'provided / required',
+    balance: 'Surplus or shortfall',
+    surplus: '{count} spare',
+    shortfall: '{count} short',
+    declared: 'The project file states {count} spaces'
+  },
+
+  planViewer: {
+    zoomIn: 'Zoom in (+)',
+    zoomOut: 'Zoom out (-)',
+    fit: 'Fit to screen (0)',
+    pan: 'Pan',
+    measure: 'Measure',
+    layers: 'Layers',
+    clear: 'Clear measurement (Esc)',
+    measureHint: 'Click points on the plan: two for a distance, three or more for an area',
+    distance: 'Distance {length}',
+    distanceArea: 'Length {length} · area {area}',
+    export: {
+      svg: 'Download as SVG, for editing or the web',
+      png: 'Download as a high-resolution PNG image',
+      dxf: 'Download as DXF for CAD, in meters with one layer per element',
+      failed: 'The plan could not be exported. Try again.'
+    },
+    layerNames: {
+      streets: 'Streets',
+      neighbors: 'Neighbors',
+      corridors: 'Corridors',
+      parking: 'Parking',
+      dimensions: 'Dimensions',
+      legend: 'Legend',
+      labels: 'Labels'
+    }
+  }
+};
@@ -0,0 +1,49 @@
+// Locale-aware formatting of numbers, money, areas, lengths and dates
+// Arabic uses Latin digits unless Arabic-Indic digits (٠١٢٣) are turned on, and
+// always the Gregorian calendar so dates match the ISO dates in the project file.
+
+export const LOCALES = {
+  ar: (arabicDigits) => `ar-SA-u-ca-gregory-nu-${arabicDigits ? 'arab' : 'latn'}`,
+  en: () => 'en-US'
+};
+
+// Formatters for one language: { locale, number, percent, currency, area, length, year, date }
+export function createFormatter(lang, arabicDigits = false) {
+  const locale = (LOCALES[lang] || LOCALES.ar)(arabicDigits);
+  const formats = {};
+  // Intl.NumberFormat instances are costly to build, so they are reused per options
+  const numberFormat = (options) => {
+    const key = JSON.stringify(options);
+    formats[key] = formats[key] || new Intl.NumberFormat(locale, options);
+    return formats[key];
+  };
+  const isArabic = lang !== 'en';
+
+  // `digits` is the number of fraction digits, or Intl.NumberFormat options
+  const number = (value, digits = 0) => {
+    if (!Number.isFinite(value)) return '—';
+    const options = typeof digits === 'number'
+      ? { minimumFractionDigits: digits, maximumFractionDigits: digits }
+      : digits;
+    return numberFormat(options).format(value);
+  };
+
+  return {
+    locale,
+    number,
+    // Percentages are given as 0-100, like everywhere else in the dashboard
+    percent: (value, digits = 1) => (Number.isFinite(value)
+      ? numberFormat({ style: 'percent', minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value / 100)
+      : '—'),
+    currency: (value) => (isArabic ? `${number(value)} ريال` : `SAR ${number(value)}`),
+    area: (value, digits = { maximumFractionDigits: 1 }) => `${number(value, digits)} ${isArabic ? 'م²' : 'm²'}`,
+    length: (value) => `${number(value, { maximumFractionDigits: 2 })}${isArabic ? 'م' : ' m'}`,
+    year: (value) => number(value, { useGrouping: false }),
+    // ISO "YYYY-MM-DD" dates; the date is read in UTC so it never shifts a day
+    date: (iso, options = { year: 'numeric', month: 'long', day: 'numeric' }) => {
+      const time = typeof iso === 'string' ? Date.parse(iso) : iso?.getTime?.();
+      if (!Number.isFinite(time)) return iso || '—';
+      return new Intl.DateTimeFormat(locale, { timeZone: 'UTC', ...options }).format(time);
+    }
+  };
+}
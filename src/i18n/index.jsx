@@ -0,0 +1,91 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import ar from './ar';
+import en from './en';
+import { createFormatter } from './format';
+
+// Interface language of the dashboard: Arabic (right to left, the default) or English
+// Texts are looked up by dotted key ("tabs.siteplan") in the dictionaries; an
+// entry missing from English falls back to Arabic. "{name}" placeholders are
+// filled from the params, numbers formatted for the language. An entry may be
+// { one, other, ... } to pick the plural form of params.count.
+// Project data (names, notes, cost items) is shown as written in the project file.
+
+export const LANGUAGES = {
+  ar: { label: 'العربية', dir: 'rtl', dictionary: ar },
+  en: { label: 'English', dir: 'ltr', dictionary: en }
+};
+
+const STORAGE_KEY = 'building-project-dashboard:language';
+
+// Saved { lang, arabicDigits }, Arabic with Latin digits when nothing was saved
+function loadPreferences() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved && LANGUAGES[saved.lang]) return { lang: saved.lang, arabicDigits: Boolean(saved.arabicDigits) };
+  } catch {
+    // Unreadable preferences: use the defaults
+  }
+  return { lang: 'ar', arabicDigits: false };
+}
+
+function savePreferences(preferences) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+  } catch {
+    // Storage full or disabled (private mode): the choice lasts for this session only
+  }
+}
+
+const lookup = (dictionary, key) => key.split('.').reduce((entry, part) => entry?.[part], dictionary);
+
+// Everything a component needs to show text in the current language
+export function createI18n(lang, arabicDigits = false) {
+  const format = createFormatter(lang, arabicDigits && lang === 'ar');
+  const plurals = new Intl.PluralRules(format.locale);
+  const fill = (text, params) => text.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === 'number' ? format.number(value, { maximumFractionDigits: 2 }) : String(value);
+  });
+
+  const t = (key, params = {}) => {
+    let entry = lookup(LANGUAGES[lang].dictionary, key) ?? lookup(ar, key);
+    if (entry && typeof entry === 'object' && typeof params.count === 'number') {
+      entry = entry[plurals.select(params.count)] ?? entry.other;
+    }
+    return typeof entry === 'string' ? fill(entry, params) : key;
+  };
+
+  return { lang, dir: LANGUAGES[lang].dir, arabicDigits, t, format };
+}
+
+const I18nContext = createContext({ ...createI18n('ar'), setLang: () => {}, setArabicDigits: () => {} });
+
+export function I18nProvider({ children }) {
+  const [preferences, setPreferences] = useState(loadPreferences);
+  const { lang, arabicDigits } = preferences;
+
+  const value = useMemo(() => {
+    const update = (changes) => setPreferences((prev) => {
+      const next = { ...prev, ...changes };
+      savePreferences(next);
+      return next;
+    });
+    return {
+      ...createI18n(lang, arabicDigits),
+      setLang: (next) => update({ lang: next }),
+      setArabicDigits: (next) => update({ arabicDigits: next })
+    };
+  }, [lang, arabicDigits]);
+
+  // The page direction drives the layout, scrollbars and form controls
+  useEffect(() => {
+    document.documentElement.lang = lang;
+    document.documentElement.dir = value.dir;
+    document.title = value.t('app.documentTitle');
+  }, [lang]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,90 @@
+// Multi-year cash flow model
+// Without a construction schedule, year 1 is the first year after completion.
+// With one, the years are the calendar years from the start of construction and
+// income starts in the month after handover, so year 1 may have no income and
+// the handover year only part of it. Rents grow by a yearly escalation per unit
+// category plus a step at each lease renewal; occupancy ramps up to the
+// stabilized rate over the first years of operation.
+
+import { computeIncome, summarizeUnits } from './projectModel';
+import { opexItemCost } from './opex';
+import { projectionTimeline } from './schedule';
+
+export const MIN_HORIZON = 5;
+export const MAX_HORIZON = 30;
+
+export const DEFAULT_CASHFLOW = {
+  horizonYears: 10,
+  escalation: { commercial: 3, residential: 3 },  // % per year
+  rampUp: [75, 90],                               // % of stabilized occupancy in years 1, 2, …
+  renewal: { everyYears: 3, step: { commercial: 0, residential: 0 } },  // % step at each renewal
+  opexEscalation: 2                               // % per year for items not tied to rent
+};
+
+// Rent index of a category in a given year (1.0 in year 1)
+export function rentIndex(year, category, { escalation, renewal }) {
+  const annual = Math.pow(1 + escalation[category] / 100, year - 1);
+  const renewals = renewal.everyYears > 0 ? Math.floor((year - 1) / renewal.everyYears) : 0;
+  return annual * Math.pow(1 + renewal.step[category] / 100, renewals);
+}
+
+// Share of the stabilized occupancy reached in a given year
+export function occupancyFactor(year, { rampUp }) {
+  return year <= rampUp.length ? rampUp[year - 1] / 100 : 1;
+}
+
+// Year-by-year gross income, operating expenses and NOI over the horizon
+// Rows: { year, calendarYear (with a schedule), months (of operation),
+// occupancy, commercial, residential, income, opex, noi, cumulative }; the
+// views label each year by its calendar year or its number
+export function projectCashFlows(project, rates, opexItems = project.opex, assumptions = DEFAULT_CASHFLOW) {
+  const stabilized = computeIncome(project, rates, opexItems);
+  const { totalUnits, totalArea } = summarizeUnits(project);
+  const timeline = project.schedule ? projectionTimeline(project.schedule) : null;
+  const incomeStart = timeline ? timeline.incomeStart : 0;
+
+  let cumulative = 0;
+  return Array.from({ length: assumptions.horizonYears }, (_, i) => {
+    const year = i + 1;
+
+    // Month by month from the first month of income; the year of operation
+    // sets the occupancy ramp-up, rent escalation and expense inflation
+    let months = 0;
+    let occupied = 0;
+    let commercial = 0;
+    let residential = 0;
+    let fixedShare = 0;
+    for (let month = i * 12; month < year * 12; month++) {
+      if (month < incomeStart) continue;
+      const operatingYear = Math.floor((month - incomeStart) / 12) + 1;
+      const factor = occupancyFactor(operatingYear, assumptions);
+      months += 1;
+      occupied += factor;
+      commercial += stabilized.monthlyCommercialIncome * factor * rentIndex(operatingYear, 'commercial', assumptions);
+      residential += stabilized.monthlyResidentialIncome * factor * rentIndex(operatingYear, 'residential', assumptions);
+      fixedShare += Math.pow(1 + assumptions.opexEscalation / 100, operatingYear - 1) / 12;
+    }
+    const income = commercial + residential;
+
+    // Rent-based items follow the year's rent; the rest inflate on their own
+    const opex = opexItems.reduce((sum, item) => {
+      const cost = opexItemCost(item, { grossAnnualIncome: income, totalUnits, totalArea });
+      return sum + (item.basis === 'percentOfRent' ? cost : cost * fixedShare);
+    }, 0);
+
+    const noi = income - opex;
+    cumulative += noi;
+    return {
+      year,
+      ...(timeline && { calendarYear: timeline.firstYear + i }),
+      months,
+      occupancy: (rates.occupancy * occupied) / 12,
+      commercial: Math.round(commercial),
+      residential: Math.round(residential),
+      income: Math.round(income),
+      opex: Math.round(opex),
+      noi: Math.round(noi),
+      cumulative: Math.round(cumulative)
+    };
+  });
+}
@@ -0,0 +1,72 @@
+// Budget vs actual tracking of the development cost
+// The cost breakdown is the budget. Entries record contracts and purchase
+// orders (commitments) and the invoices paid against them, each against a cost
+// item by name. An item marked closed expects no further cost.
+// Entries are kept per project in localStorage, seeded from the project file.
+
+const STORAGE_PREFIX = 'building-project-dashboard:actuals:';
+
+export const ENTRY_KINDS = ['commitment', 'payment'];
+
+// Saved actuals of a project, or null when none were saved yet
+export function loadActuals(projectId) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_PREFIX + projectId));
+    return saved && Array.isArray(saved.entries) ? { closed: [], ...saved } : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveActuals(projectId, actuals) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + projectId, JSON.stringify(actuals));
+  } catch {
+    // Storage full or disabled (private mode): the entries stay for this session only
+  }
+}
+
+const sumOf = (entries, kind) => entries.filter((e) => e.kind === kind).reduce((sum, e) => sum + e.amount, 0);
+
+// Budget, committed, spent and remaining per cost item, with the forecast at
+// completion (the budget, or more when commitments or payments exceed it; what
+// was spent once the item is closed) and its variance from the budget
+// (positive = under budget).
+// Returns { rows: [{ item, budget, percent, committed, spent, remaining,
+// forecast, variance, closed, entries }], totals, unmatched: [entries] }
+export function costTracking(costs, actuals) {
+  const rows = costs.items.map((row) => {
+    const entries = actuals.entries.filter((e) => e.item === row.item);
+    const committed = sumOf(entries, 'commitment');
+    const spent = sumOf(entries, 'payment');
+    const closed = actuals.closed.includes(row.item);
+    const forecast = closed ? spent : Math.max(row.cost, committed, spent);
+    return {
+      item: row.item,
+      budget: row.cost,
+      percent: costs.total > 0 ? (row.cost / costs.total) * 100 : 0,
+      committed,
+      spent,
+      remaining: row.cost - spent,
+      forecast,
+      variance: row.cost - forecast,
+      closed,
+      entries
+    };
+  });
+
+  const total = (key) => rows.reduce((sum, row) => sum + row[key], 0);
+  return {
+    rows,
+    totals: {
+      budget: total('budget'),
+      percent: total('percent'),
+      committed: total('committed'),
+      spent: total('spent'),
+      remaining: total('remaining'),
+      forecast: total('forecast'),
+      variance: total('variance')
+    },
+    unmatched: actuals.entries.filter((e) => !costs.items.some((row) => row.item === e.item))
+  };
+}
@@ -0,0 +1,90 @@
+// Investment metrics on yearly cash flows
+// Cash flow arrays are indexed by year: [0] is the initial investment (negative)
+// and [n] is the net cash flow received at the end of year n.
+
+// Net present value at the given annual discount rate (0.08 = 8%)
+export function npv(rate, cashFlows) {
+  return cashFlows.reduce((sum, cf, year) => sum + cf / Math.pow(1 + rate, year), 0);
+}
+
+// Internal rate of return, or null when the cash flows never change sign
+// Solved by bisection, which is slower than Newton's method but cannot diverge
+export function irr(cashFlows, { low = -0.99, high = 10, tolerance = 1e-7, maxIterations = 200 } = {}) {
+  let lo = low;
+  let hi = high;
+  let npvLo = npv(lo, cashFlows);
+  const npvHi = npv(hi, cashFlows);
+  if (npvLo * npvHi > 0) return null;
+
+  for (let i = 0; i < maxIterations; i++) {
+    const mid = (lo + hi) / 2;
+    const npvMid = npv(mid, cashFlows);
+    if (Math.abs(npvMid) < tolerance || (hi - lo) / 2 < tolerance) return mid;
+    if (npvLo * npvMid < 0) {
+      hi = mid;
+    } else {
+      lo = mid;
+      npvLo = npvMid;
+    }
+  }
+  return (lo + hi) / 2;
+}
+
+// Running total of discounted cash flows, one value per year
+export function cumulativeDiscounted(rate, cashFlows) {
+  let total = 0;
+  return cashFlows.map((cf, year) => {
+    total += cf / Math.pow(1 + rate, year);
+    return total;
+  });
+}
+
+// Years (fractional) until the discounted cash flows repay the investment,
+// or null when it is not repaid within the horizon
+export function discountedPayback(rate, cashFlows) {
+  const cumulative = cumulativeDiscounted(rate, cashFlows);
+  for (let year = 1; year < cumulative.length; year++) {
+    if (cumulative[year] >= 0) {
+      const gained = cumulative[year] - cumulative[year - 1];
+      return year - 1 + (gained > 0 ? -cumulative[year - 1] / gained : 0);
+    }
+  }
+  return null;
+}
+
+// Level payment per period that repays `principal` over `periods` at the
+// periodic `rate` (monthly for the loan schedules in lib/financing.js)
+export function annuityPayment(principal, rate, periods) {
+  if (periods <= 0) return 0;
+  if (rate === 0) return principal / periods;
+  return principal * rate / (1 - Math.pow(1 + rate, -periods));
+}
+
+// Debt service coverage ratio: cash available for debt service over debt service
+export function dscr(netIncome, debtService) {
+  return debtService > 0 ? netIncome / debtService : null;
+}
+
+// Builds the unlevered cash flow array from the investment and yearly income
+export function buildCashFlows(investment, yearlyIncome) {
+  return [-investment, ...yearlyIncome];
+}
+
+// Full set of unlevered metrics for a yearly income series
+// yearlyDebtService (optional) gives the loan payments per year; the DSCR
+// reported is the lowest over the years with debt service.
+export function investmentMetrics({ investment, yearlyIncome, discountRate, yearlyDebtService = [] }) {
+  const cashFlows = buildCashFlows(investment, yearlyIncome);
+  const coverage = yearlyDebtService
+    .map((debtService, i) => dscr(yearlyIncome[i] || 0, debtService))
+    .filter((ratio) => ratio !== null);
+
+  return {
+    cashFlows,
+    npv: npv(discountRate, cashFlows),
+    irr: irr(cashFlows),
+    discountedPayback: discountedPayback(discountRate, cashFlows),
+    cumulativeDiscounted: cumulativeDiscounted(discountRate, cashFlows),
+    dscr: coverage.length > 0 ? Math.min(...coverage) : null
+  };
+}
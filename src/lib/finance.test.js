@@ -0,0 +1,100 @@
+import { describe, expect, it } from 'vitest';
+import { annuityPayment, cumulativeDiscounted, discountedPayback, dscr, investmentMetrics, irr, npv } from './finance';
+
+describe('npv', () => {
+  it('discounts each year back to year 0', () => {
+    expect(npv(0.1, [-1000, 500, 500, 500])).toBeCloseTo(243.4260, 4);
+  });
+
+  it('is zero at the rate that exactly repays the investment', () => {
+    expect(npv(0.1, [-100, 110])).toBeCloseTo(0, 10);
+  });
+
+  it('is the plain sum at a zero rate', () => {
+    expect(npv(0, [-100, 30, 30, 30])).toBe(-10);
+  });
+});
+
+describe('irr', () => {
+  it('finds the rate where the npv is zero', () => {
+    expect(irr([-100, 110])).toBeCloseTo(0.1, 6);
+    expect(irr([-1000, 500, 500, 500])).toBeCloseTo(0.233752, 5);
+  });
+
+  it('handles a negative return', () => {
+    // With x = 1 + irr: 100 = 50 / x + 40 / x², so x = (50 + √18500) / 200
+    expect(irr([-100, 50, 40])).toBeCloseTo((50 + Math.sqrt(18500)) / 200 - 1, 6);
+  });
+
+  it('is null when the cash flows never change sign', () => {
+    expect(irr([100, 50, 50])).toBeNull();
+    expect(irr([-100, -50, -50])).toBeNull();
+  });
+});
+
+describe('discountedPayback', () => {
+  it('interpolates within the year the investment is repaid', () => {
+    expect(discountedPayback(0, [-100, 50, 50, 50])).toBe(2);
+    expect(discountedPayback(0, [-100, 40, 40, 40])).toBeCloseTo(2.5, 10);
+  });
+
+  it('discounts the cash flows before adding them up', () => {
+    // Discounted: -100, 50, 41.32, 37.57 -> repaid 0.23 into year 3
+    expect(discountedPayback(0.1, [-100, 55, 50, 50])).toBeCloseTo(2 - (-100 + 50 + 50 / 1.21) / (50 / 1.331), 10);
+  });
+
+  it('is null when the investment is never repaid', () => {
+    expect(discountedPayback(0.1, [-100, 10, 10, 10])).toBeNull();
+    expect(discountedPayback(0.1, [-100])).toBeNull();
+  });
+});
+
+describe('cumulativeDiscounted', () => {
+  it('keeps a running total of the discounted cash flows', () => {
+    const totals = cumulativeDiscounted(0.1, [-100, 110, 121]);
+    expect(totals[0]).toBe(-100);
+    expect(totals[1]).toBeCloseTo(0, 10);
+    expect(totals[2]).toBeCloseTo(100, 10);
+  });
+});
+
+describe('annuityPayment', () => {
+  it('repays the principal with interest in level payments', () => {
+    expect(annuityPayment(1000, 0.1, 2)).toBeCloseTo(576.1905, 4);
+  });
+
+  it('splits the principal evenly at a zero rate and pays nothing without a term', () => {
+    expect(annuityPayment(1000, 0, 4)).toBe(250);
+    expect(annuityPayment(1000, 0.1, 0)).toBe(0);
+  });
+});
+
+describe('dscr', () => {
+  it('divides the income by the debt service', () => {
+    expect(dscr(120, 100)).toBeCloseTo(1.2, 10);
+  });
+
+  it('is null when there is no debt service', () => {
+    expect(dscr(100, 0)).toBeNull();
+  });
+});
+
+describe('investmentMetrics', () => {
+  it('reports the lowest coverage over the years with debt service', () => {
+    const metrics = investmentMetrics({
+      investment: 1000,
+      yearlyIncome: [500, 500, 600],
+      discountRate: 0.1,
+      yearlyDebtService: [0, 400, 300]
+    });
+    expect(metrics.cashFlows).toEqual([-1000, 500, 500, 600]);
+    expect(metrics.dscr).toBeCloseTo(1.25, 10);
+  });
+
+  it('has no coverage without debt service', () => {
+    const metrics = investmentMetrics({ investment: 1000, yearlyIncome: [500, 500], discountRate: 0.1, yearlyDebtService: [0, 0] });
+    expect(metrics.dscr).toBeNull();
+    expect(metrics.discountedPayback).toBeNull();
+    expect(metrics.irr).toBeCloseTo(0, 6);
+  });
+});
@@ -0,0 +1,112 @@
+// Construction loan / Murabaha financing
+// The grace period covers construction: only profit (or interest) is paid and
+// rental income starts when it ends. Repayment runs for the rest of the tenor.
+
+import { annuityPayment, irr } from './finance';
+
+export const FINANCING_TYPES = ['murabaha', 'conventional'];
+
+export const REPAYMENT_TYPES = ['annuity', 'equalPrincipal', 'bullet'];
+
+export const DEFAULT_FINANCING = {
+  enabled: false,
+  loanAmount: 0,
+  type: 'murabaha',
+  annualRate: 5,
+  tenorYears: 10,
+  graceMonths: 12,
+  repayment: 'annuity'
+};
+
+// Month-by-month schedule: { month, phase, opening, payment, profit, principal, closing }
+// Murabaha charges a flat profit on the original amount and is always repaid in
+// equal installments; conventional loans charge interest on the reducing balance.
+export function amortizationSchedule({ loanAmount, type, annualRate, tenorYears, graceMonths, repayment }) {
+  const principal = loanAmount;
+  const monthlyRate = annualRate / 100 / 12;
+  const totalMonths = Math.round(tenorYears * 12);
+  const grace = Math.min(graceMonths, totalMonths - 1);
+  const repaymentMonths = totalMonths - grace;
+  if (principal <= 0 || totalMonths <= 0) return [];
+
+  const level = annuityPayment(principal, monthlyRate, repaymentMonths);
+
+  const rows = [];
+  let balance = principal;
+  for (let month = 1; month <= totalMonths; month++) {
+    const inGrace = month <= grace;
+    const isLast = month === totalMonths;
+    let profit;
+    let principalPaid;
+
+    if (type === 'murabaha') {
+      profit = principal * monthlyRate;
+      principalPaid = inGrace ? 0 : principal / repaymentMonths;
+    } else {
+      profit = balance * monthlyRate;
+      if (inGrace) principalPaid = 0;
+      else if (repayment === 'bullet') principalPaid = isLast ? balance : 0;
+      else if (repayment === 'equalPrincipal') principalPaid = principal / repaymentMonths;
+      else principalPaid = level - profit;
+    }
+    // Absorb rounding so the loan closes exactly at zero
+    if (isLast) principalPaid = balance;
+
+    rows.push({
+      month,
+      phase: inGrace ? 'grace' : 'repayment',
+      opening: balance,
+      payment: profit + principalPaid,
+      profit,
+      principal: principalPaid,
+      closing: balance - principalPaid
+    });
+    balance -= principalPaid;
+  }
+  return rows;
+}
+
+// Debt service paid during the grace (construction) period
+export function graceDebtService(schedule) {
+  return schedule.filter((row) => row.phase === 'grace').reduce((sum, row) => sum + row.payment, 0);
+}
+
+// Debt service per projection year. Repayment starts `repaymentStart` months
+// into year 1: 0 when year 1 starts after the grace period, later when the
+// projection years include construction (see lib/cashflow.js).
+export function yearlyDebtService(schedule, years, repaymentStart = 0) {
+  const repayment = schedule.filter((row) => row.phase === 'repayment');
+  return Array.from({ length: years }, (_, i) => repayment
+    .slice(Math.max(0, i * 12 - repaymentStart), Math.max(0, (i + 1) * 12 - repaymentStart))
+    .reduce((sum, row) => sum + row.payment, 0));
+}
+
+// Levered (equity) returns. Equity covers the part of the cost not financed plus
+// the profit paid during construction. Cash-on-cash is measured on
+// `firstFullYear` (index of the first year with twelve months of income).
+export function leveredMetrics({ investment, loanAmount, schedule, yearlyIncome, repaymentStart = 0, firstFullYear = 0 }) {
+  const debtService = yearlyDebtService(schedule, yearlyIncome.length, repaymentStart);
+  const equity = investment - loanAmount + graceDebtService(schedule);
+  const yearlyCashFlow = yearlyIncome.map((income, i) => income - debtService[i]);
+  const cashFlows = [-equity, ...yearlyCashFlow];
+
+  let cumulative = -equity;
+  let equityPayback = null;
+  for (let year = 1; year < cashFlows.length && equityPayback === null; year++) {
+    const previous = cumulative;
+    cumulative += cashFlows[year];
+    if (cumulative >= 0) equityPayback = year - 1 + (cashFlows[year] > 0 ? -previous / cashFlows[year] : 0);
+  }
+
+  const totalProfit = schedule.reduce((sum, row) => sum + row.profit, 0);
+  return {
+    equity,
+    debtService,
+    yearlyCashFlow,
+    cashOnCash: equity > 0 && firstFullYear in yearlyCashFlow ? (yearlyCashFlow[firstFullYear] / equity) * 100 : null,
+    equityPayback,
+    leveredIrr: irr(cashFlows),
+    totalProfit,
+    monthlyInstallment: schedule.find((row) => row.phase === 'repayment')?.payment || 0
+  };
+}
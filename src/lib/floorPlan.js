@@ -0,0 +1,132 @@
+// Floor layouts described as data
+// A floor's `plan.spaces` are polygons in meters, measured from the building's
+// top-left corner (x along the width, y along the depth). Areas come from the
+// geometry and are checked against the unit table.
+
+import { createFormatter } from '../i18n/format';
+
+export const SPACE_KINDS = ['unit', 'corridor', 'core', 'service', 'roof'];
+
+// Drawn and listed unit areas may differ by rounding of the coordinates
+const AREA_TOLERANCE = 0.02;
+const MIN_AREA_TOLERANCE = 0.5;
+
+// Shoelace formula; points are [[x, y], ...] in meters
+export function polygonArea(points) {
+  let sum = 0;
+  points.forEach(([x1, y1], i) => {
+    const [x2, y2] = points[(i + 1) % points.length];
+    sum += x1 * y2 - x2 * y1;
+  });
+  return Math.abs(sum) / 2;
+}
+
+// Label anchor: centroid of the polygon (vertex average for degenerate shapes)
+export function polygonCentroid(points) {
+  let a = 0;
+  let cx = 0;
+  let cy = 0;
+  points.forEach(([x1, y1], i) => {
+    const [x2, y2] = points[(i + 1) % points.length];
+    const cross = x1 * y2 - x2 * y1;
+    a += cross;
+    cx += (x1 + x2) * cross;
+    cy += (y1 + y2) * cross;
+  });
+  if (Math.abs(a) < 1e-9) {
+    return [
+      points.reduce((sum, [x]) => sum + x, 0) / points.length,
+      points.reduce((sum, [, y]) => sum + y, 0) / points.length
+    ];
+  }
+  return [cx / (3 * a), cy / (3 * a)];
+}
+
+export const areaMatches = (drawn, listed) => Math.abs(drawn - listed) <= Math.max(MIN_AREA_TOLERANCE, listed * AREA_TOLERANCE);
+
+const ar = createFormatter('ar');
+const en = createFormatter('en');
+
+// Spaces of one floor with their computed areas, and every disagreement
+// between the drawing and the unit table.
+// Returns { width, depth, spaces, enclosedArea, issues } or null when the floor
+// has no plan; issues are { spaceId?, unitId?, ar, en } with the message in
+// both languages, like the project file issues.
+export function floorPlanModel(project, floorId) {
+  const floor = project.floors.find((f) => f.id === floorId);
+  if (!floor?.plan) return null;
+
+  const allUnits = [...project.units.commercial, ...project.units.residential];
+  const issues = [];
+
+  const spaces = floor.plan.spaces.map((space) => {
+    const area = polygonArea(space.points);
+    const unit = space.unit ? allUnits.find((u) => u.id === space.unit) : null;
+    let mismatch = false;
+    const name = space.label || space.id;
+    if (space.unit && !unit) {
+      mismatch = true;
+      issues.push({
+        spaceId: space.id,
+        ar: `${name}: الوحدة "${space.unit}" غير موجودة في جدول الوحدات`,
+        en: `${name}: unit "${space.unit}" is not in the unit table`
+      });
+    } else if (unit && unit.floor !== floorId) {
+      mismatch = true;
+      issues.push({
+        spaceId: space.id,
+        unitId: unit.id,
+        ar: `${name}: ${unit.type} مسجلة في دور آخر في جدول الوحدات`,
+        en: `${name}: ${unit.type} is listed on another floor in the unit table`
+      });
+    } else if (unit && space.kind === 'unit' && !floor.plan.stretched && !areaMatches(area, unit.area)) {
+      mismatch = true;
+      issues.push({
+        spaceId: space.id,
+        unitId: unit.id,
+        ar: `${name}: المساحة المرسومة ${ar.area(area)} والجدول ${ar.area(unit.area)} (${unit.type})`,
+        en: `${name}: drawn area ${en.area(area)}, unit table ${en.area(unit.area)} (${unit.type})`
+      });
+    }
+    return { ...space, area, centroid: polygonCentroid(space.points), unitType: unit, mismatch };
+  });
+
+  // A plan stretched by a massing edit is a sketch of the file's layout, not of
+  // the recounted units (see applyMassing in lib/sitePlan.js)
+  allUnits.filter((u) => u.floor === floorId && !floor.plan.stretched).forEach((unit) => {
+    const drawn = spaces.filter((s) => s.kind === 'unit' && s.unit === unit.id).length;
+    if (drawn !== unit.count) {
+      issues.push({
+        unitId: unit.id,
+        ...(drawn === 0
+          ? {
+            ar: `${unit.type}: ${unit.count} وحدة في الجدول ولا توجد في المخطط`,
+            en: `${unit.type}: ${unit.count} in the unit table, none drawn on the plan`
+          }
+          : {
+            ar: `${unit.type}: ${drawn} في المخطط مقابل ${unit.count} في جدول الوحدات`,
+            en: `${unit.type}: ${drawn} on the plan, ${unit.count} in the unit table`
+          })
+      });
+    }
+  });
+
+  // Private roofs are open space; everything else makes up the floor area
+  const enclosedArea = spaces.filter((s) => s.kind !== 'roof').reduce((sum, s) => sum + s.area, 0);
+  if (!areaMatches(enclosedArea, floor.area)) {
+    issues.push({
+      ar: `مساحة الفراغات المرسومة ${ar.area(enclosedArea)} ومساحة الدور ${ar.area(floor.area)}`,
+      en: `Drawn spaces cover ${en.area(enclosedArea)}, the floor area is ${en.area(floor.area)}`
+    });
+  }
+
+  return { width: project.building.width, depth: project.building.depth, spaces, enclosedArea, issues };
+}
+
+// Every drawn unit of the building in floor and plan order, as selections
+// { floorId, spaceId, unitId } for walking through the units one by one
+export function unitSpaceSequence(project) {
+  return project.floors.flatMap((floor) => (floor.plan?.spaces || [])
+    .filter((space) => space.kind === 'unit')
+    .map((space) => ({ floorId: floor.id, spaceId: space.id, unitId: space.unit })));
+}
@@ -0,0 +1,115 @@
+// Monte Carlo risk simulation
+// Each uncertain input follows a triangular distribution given by its minimum,
+// most likely and maximum value. Every run draws one value per input, rebuilds
+// the cash flow projection and records the net yield, NPV and payback.
+
+import { projectCashFlows } from './cashflow';
+import { computeIncome } from './projectModel';
+import { npv } from './finance';
+
+export const RISK_VARIABLES = ['occupancy', 'commercialRate', 'residentialRate', 'costOverrun', 'rentGrowth'];
+
+export const RUN_COUNTS = [1000, 5000, 10000];
+
+const round = (value, step) => Math.round(value / step) * step;
+
+// Starting distributions around the project's own rates and cash flow assumptions
+export function defaultDistributions(project) {
+  const { occupancy, commercialRate, residentialRate } = project.rates;
+  const growth = project.cashflow.escalation.residential;
+  return {
+    occupancy: { min: Math.max(0, occupancy - 20), mode: occupancy, max: Math.min(100, occupancy + 10) },
+    commercialRate: { min: round(commercialRate * 0.8, 50), mode: commercialRate, max: round(commercialRate * 1.15, 50) },
+    residentialRate: { min: round(residentialRate * 0.8, 50), mode: residentialRate, max: round(residentialRate * 1.15, 50) },
+    costOverrun: { min: -5, mode: 5, max: 25 },
+    rentGrowth: { min: 0, mode: growth, max: growth + 2 }
+  };
+}
+
+// One draw from a triangular distribution (inverse transform sampling)
+export function sampleTriangular({ min, mode, max }, random = Math.random) {
+  if (max <= min) return min;
+  const u = random();
+  const split = (mode - min) / (max - min);
+  return u < split
+    ? min + Math.sqrt(u * (max - min) * (mode - min))
+    : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+}
+
+// Runs the simulation and returns the outcome of every run as plain arrays
+// { yields (%), npvs (SAR), paybacks (years, Infinity when never repaid) }
+// onProgress(done) is called every `batch` runs.
+export function runMonteCarlo({ project, opexItems, cashflow, discountRate, distributions, runs }, { random = Math.random, onProgress, batch = 500 } = {}) {
+  const yields = new Array(runs);
+  const npvs = new Array(runs);
+  const paybacks = new Array(runs);
+  const landValue = project.land.value || 0;
+
+  for (let i = 0; i < runs; i++) {
+    const draw = (key) => sampleTriangular(distributions[key], random);
+    const rates = {
+      occupancy: Math.min(100, Math.max(0, draw('occupancy'))),
+      commercialRate: draw('commercialRate'),
+      residentialRate: draw('residentialRate')
+    };
+    const growth = draw('rentGrowth');
+    const cost = project.costs.total * (1 + draw('costOverrun') / 100);
+
+    const variant = { ...project, costs: { ...project.costs, total: cost } };
+    const { annualNOI } = computeIncome(variant, rates, opexItems);
+    const rows = projectCashFlows(variant, rates, opexItems, {
+      ...cashflow,
+      escalation: { commercial: growth, residential: growth }
+    });
+
+    yields[i] = (annualNOI / cost) * 100;
+    paybacks[i] = annualNOI > 0 ? cost / annualNOI : Infinity;
+    npvs[i] = npv(discountRate / 100, [-(cost + landValue), ...rows.map((row) => row.noi)]);
+
+    if (onProgress && (i + 1) % batch === 0) onProgress(i + 1);
+  }
+
+  return { yields, npvs, paybacks };
+}
+
+// Value below which the given share (0–1) of the sorted values fall
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = (sorted.length - 1) * p;
+  const lo = Math.floor(index);
+  const hi = Math.ceil(index);
+  if (lo === hi || !Number.isFinite(sorted[hi])) return sorted[lo];
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (index - lo);
+}
+
+// P10 / P50 / P90 and mean of a sample; non-finite values sort last
+export function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const finite = sorted.filter(Number.isFinite);
+  return {
+    p10: percentile(sorted, 0.1),
+    p50: percentile(sorted, 0.5),
+    p90: percentile(sorted, 0.9),
+    mean: finite.length > 0 ? finite.reduce((sum, v) => sum + v, 0) / finite.length : null
+  };
+}
+
+// Share (0–1) of the values below a threshold
+export function probabilityBelow(values, threshold) {
+  return values.length > 0 ? values.filter((v) => v < threshold).length / values.length : 0;
+}
+
+// Equal-width histogram of the finite values: [{ from, to, count }]
+export function histogram(values, bins = 20) {
+  const finite = values.filter(Number.isFinite);
+  if (finite.length === 0) return [];
+  const min = Math.min(...finite);
+  const max = Math.max(...finite);
+  const width = (max - min) / bins || 1;
+
+  const rows = Array.from({ length: bins }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+  finite.forEach((v) => {
+    rows[Math.min(bins - 1, Math.floor((v - min) / width))].count++;
+  });
+  return rows;
+}
@@ -0,0 +1,85 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { defaultDistributions, histogram, percentile, probabilityBelow, runMonteCarlo, sampleTriangular, summarize } from './monteCarlo';
+import { parseProject } from './projectFile';
+import { computeIncome } from './projectModel';
+
+const project = parseProject(JSON.parse(readFileSync(new URL('../../public/projects/office-a.json', import.meta.url), 'utf8')));
+const inputs = { project, opexItems: project.opex, cashflow: project.cashflow, discountRate: project.rates.discountRate };
+// Distributions that always draw the most likely value
+const fixed = (distributions) => Object.fromEntries(
+  Object.entries(distributions).map(([key, { mode }]) => [key, { min: mode, mode, max: mode }])
+);
+
+describe('sampleTriangular', () => {
+  const triangle = { min: 10, mode: 20, max: 50 };
+
+  it('maps the ends of the unit interval to the bounds and the mode split to the mode', () => {
+    expect(sampleTriangular(triangle, () => 0)).toBe(10);
+    expect(sampleTriangular(triangle, () => 1)).toBe(50);
+    expect(sampleTriangular(triangle, () => 0.25)).toBeCloseTo(20, 10);
+  });
+
+  it('returns the minimum of a collapsed distribution', () => {
+    expect(sampleTriangular({ min: 5, mode: 5, max: 5 }, () => 0.7)).toBe(5);
+  });
+});
+
+describe('runMonteCarlo', () => {
+  it('reproduces the deterministic model when every input is fixed', () => {
+    const distributions = { ...fixed(defaultDistributions(project)), costOverrun: { min: 0, mode: 0, max: 0 } };
+    const { yields, paybacks } = runMonteCarlo({ ...inputs, distributions, runs: 3 });
+    const income = computeIncome(project, project.rates, project.opex);
+    yields.forEach((value) => expect(value).toBeCloseTo(income.annualYield, 6));
+    paybacks.forEach((value) => expect(value).toBeCloseTo(income.paybackYears, 6));
+  });
+
+  it('keeps the yields inside the range of the drawn inputs and reports progress per batch', () => {
+    let seed = 1;
+    const random = () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 2147483647;
+    };
+    const distributions = defaultDistributions(project);
+    const progress = [];
+    const { yields, npvs } = runMonteCarlo({ ...inputs, distributions, runs: 200 }, { random, batch: 50, onProgress: (done) => progress.push(done) });
+    expect(progress).toEqual([50, 100, 150, 200]);
+    expect(npvs.every(Number.isFinite)).toBe(true);
+
+    // The yield with the rent inputs at one bound and the cost overrun at `overrun`
+    const extreme = (bound, overrun) => {
+      const at = (value) => ({ min: value, mode: value, max: value });
+      const rents = ['occupancy', 'commercialRate', 'residentialRate'].map((key) => [key, at(distributions[key][bound])]);
+      const bounded = { ...fixed(distributions), ...Object.fromEntries(rents), costOverrun: at(overrun) };
+      return runMonteCarlo({ ...inputs, distributions: bounded, runs: 1 }).yields[0];
+    };
+    const low = extreme('min', distributions.costOverrun.max);
+    const high = extreme('max', distributions.costOverrun.min);
+    yields.forEach((value) => {
+      expect(value).toBeGreaterThanOrEqual(low);
+      expect(value).toBeLessThanOrEqual(high);
+    });
+  });
+});
+
+describe('summaries', () => {
+  const values = [7, 3, Infinity, 1, 9, 5];
+
+  it('interpolates percentiles and sorts never-repaid runs last', () => {
+    expect(percentile([1, 2, 3, 4, 5, 6, 7, 8, 9, 10], 0.5)).toBe(5.5);
+    const { p10, p50, p90, mean } = summarize(values);
+    expect(p10).toBe(2);
+    expect(p50).toBe(6);
+    expect(p90).toBe(9);
+    expect(mean).toBe(5);
+  });
+
+  it('counts the share below a threshold and bins the finite values', () => {
+    expect(probabilityBelow(values, 5)).toBe(2 / 6);
+    const bins = histogram(values, 4);
+    expect(bins).toHaveLength(4);
+    expect(bins[0].from).toBe(1);
+    expect(bins[3].to).toBe(9);
+    expect(bins.reduce((sum, bin) => sum + bin.count, 0)).toBe(5);
+  });
+});
@@ -0,0 +1,30 @@
+// Operating expenses (OPEX)
+// Each line item has a basis that says how its `amount` turns into a yearly cost.
+
+export const OPEX_BASES = ['fixed', 'perUnit', 'perArea', 'percentOfRent'];
+
+// Yearly cost of one line item
+// context: { grossAnnualIncome, totalUnits, totalArea }
+export function opexItemCost(item, { grossAnnualIncome, totalUnits, totalArea }) {
+  switch (item.basis) {
+    case 'fixed':
+      return item.amount;
+    case 'perUnit':
+      return item.amount * totalUnits;
+    case 'perArea':
+      return item.amount * totalArea;
+    case 'percentOfRent':
+      return grossAnnualIncome * (item.amount / 100);
+    default:
+      return 0;
+  }
+}
+
+// Yearly cost of every line item and their total
+export function computeOpex(items, context) {
+  const rows = items.map((item) => ({ ...item, annualCost: opexItemCost(item, context) }));
+  return {
+    rows,
+    total: rows.reduce((sum, row) => sum + row.annualCost, 0)
+  };
+}
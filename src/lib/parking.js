@@ -0,0 +1,129 @@
+// Parking layout generator
+// Packs stalls into the rear setback: rows of stalls run along the land width,
+// two rows share each aisle, and a row with its own aisle takes any depth left.
+// Stalls are set at 90°, 60° or 45° to the aisle; accessible stalls are wider
+// (a side access aisle), perpendicular, and placed first in the row nearest the
+// building. Everything is in meters in the site plan's coordinates.
+
+export const PARKING_ANGLES = [90, 60, 45];
+
+// Usual two-way aisle at 90° and one-way aisles for angled stalls
+export const DEFAULT_AISLES = { 90: 6, 60: 4.5, 45: 3.5 };
+
+export const DEFAULT_PARKING_LAYOUT = {
+  angle: 90,
+  stallWidth: 2.5,
+  stallDepth: 5,
+  aisleWidth: DEFAULT_AISLES[90],
+  accessiblePercent: 4,   // share of the stalls reserved for disabled drivers
+  accessibleMin: 1,       // at least this many once there is any stall
+  accessibleAisle: 1.5    // access aisle beside each accessible stall
+};
+
+// Requirement used when the project file sets no zoning.parking rule: one
+// space per residential unit and one per 50 m² of shops
+export const DEFAULT_PARKING_RULE = { perUnit: 1, retailAreaPerSpace: 50 };
+
+// Parking required by a rule { perUnit, retailAreaPerSpace }: spaces per
+// residential unit plus one space per `retailAreaPerSpace` m² of commercial
+// area, each rounded up
+export function requiredParking(totals, { perUnit = 0, retailAreaPerSpace } = {}) {
+  return Math.ceil(totals.totalResidentialUnits * perUnit - 1e-9)
+    + (retailAreaPerSpace ? Math.ceil(totals.totalCommercialArea / retailAreaPerSpace - 1e-9) : 0);
+}
+
+const radians = (degrees) => (degrees * Math.PI) / 180;
+
+// Stalls of one row, in band coordinates: y from 0 (far side) to `depth` (the
+// aisle). `accessible` perpendicular stalls come first; returns the polygons.
+function fillRow(length, depth, accessible, settings) {
+  const { stallWidth: w, stallDepth: d, accessibleAisle } = settings;
+  const angle = radians(settings.angle);
+  const sin = Math.sin(angle);
+  const cos = Math.abs(Math.cos(angle)) < 1e-9 ? 0 : Math.cos(angle);
+  const stalls = [];
+  let x = 0;
+
+  for (let i = 0; i < accessible; i++) {
+    const width = w + accessibleAisle;
+    if (x + width > length + 1e-9) break;
+    const top = depth - Math.min(d, depth);
+    stalls.push({ accessible: true, points: [[x, top], [x + width, top], [x + width, depth], [x, depth]] });
+    x += width;
+  }
+
+  // Angled stall: a w × d rectangle with its back corner on the aisle, leaning
+  // along the row; consecutive stalls are w / sin(angle) apart
+  const spacing = w / sin;
+  const reach = w * sin + d * cos;
+  for (let start = x; start + reach <= length + 1e-9; start += spacing) {
+    const a = [start, depth - w * cos];
+    const b = [start + w * sin, depth];
+    const c = [b[0] + d * cos, depth - d * sin];
+    const e = [a[0] + d * cos, a[1] - d * sin];
+    stalls.push({ accessible: false, points: [a, b, c, e] });
+  }
+  return stalls;
+}
+
+// Packs one layout with `accessible` accessible stalls
+function pack(area, settings, accessible) {
+  const angle = radians(settings.angle);
+  const cos = settings.angle === 90 ? 0 : Math.cos(angle);
+  const rowDepth = settings.stallDepth * Math.sin(angle) + settings.stallWidth * cos;
+  const aisle = settings.aisleWidth;
+
+  // Bands from the building side: [row facing down, aisle, row facing up] while
+  // a double row fits, then a single row with its aisle
+  const bands = [];
+  let y = 0;
+  while (area.depth - y >= rowDepth * 2 + aisle - 1e-9) {
+    bands.push({ kind: 'row', y, facing: 'down' }, { kind: 'aisle', y: y + rowDepth }, { kind: 'row', y: y + rowDepth + aisle, facing: 'up' });
+    y += rowDepth * 2 + aisle;
+  }
+  if (area.depth - y >= rowDepth + aisle - 1e-9) {
+    bands.push({ kind: 'row', y, facing: 'down' }, { kind: 'aisle', y: y + rowDepth });
+  }
+
+  let left = accessible;
+  const stalls = [];
+  const rows = bands.filter((b) => b.kind === 'row');
+  rows.forEach((band, row) => {
+    const placed = fillRow(area.width, rowDepth, left, settings);
+    left -= placed.filter((s) => s.accessible).length;
+    // A row facing down has its aisle below it: band y runs as drawn. A row
+    // facing up is mirrored so that its stalls back onto the aisle above.
+    const toSite = ([x, by]) => [area.x + x, area.y + band.y + (band.facing === 'down' ? by : rowDepth - by)];
+    placed.forEach((stall) => stalls.push({ ...stall, row, points: stall.points.map(toSite) }));
+  });
+
+  return {
+    stalls,
+    aisles: bands.filter((b) => b.kind === 'aisle').map((b) => ({ x: area.x, y: area.y + b.y, width: area.width, depth: aisle })),
+    rows: rows.length,
+    rowDepth
+  };
+}
+
+// Stalls and aisles packed into the `area` rectangle ({ x, y, width, depth })
+// Returns { stalls: [{ points, accessible, row }], aisles: [rect], rows, rowDepth,
+// capacity, accessible, accessibleRequired }
+export function layoutParking(area, settings = DEFAULT_PARKING_LAYOUT) {
+  const config = { ...DEFAULT_PARKING_LAYOUT, ...settings };
+  const empty = { stalls: [], aisles: [], rows: 0, rowDepth: 0, capacity: 0, accessible: 0, accessibleRequired: 0 };
+  if (area.width <= 0 || area.depth <= 0 || config.stallWidth <= 0 || config.stallDepth <= 0) return empty;
+
+  // Accessible stalls are wider, so they are counted on a first packing
+  // without them and the layout is packed again
+  const needed = (capacity) => (capacity > 0
+    ? Math.max(config.accessibleMin, Math.ceil((capacity * config.accessiblePercent) / 100 - 1e-9))
+    : 0);
+  const accessibleRequired = needed(pack(area, config, 0).stalls.length);
+  const layout = pack(area, config, accessibleRequired);
+  return {
+    ...layout,
+    capacity: layout.stalls.length,
+    accessible: layout.stalls.filter((s) => s.accessible).length,
+    accessibleRequired
+  };
+}
@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_AISLES, DEFAULT_PARKING_RULE, layoutParking, requiredParking } from './parking';
+import { summarizeUnits } from './projectModel';
+
+// A 25 m × 16 m rear setback: one double row of stalls on a shared aisle at 90° and 60°
+const corridor = { x: 0, y: 0, width: 25, depth: 16 };
+const layout = (angle, area = corridor) => layoutParking(area, { angle, aisleWidth: DEFAULT_AISLES[angle] });
+
+describe('layoutParking', () => {
+  it('packs 90° stalls 2.5 m apart, the accessible one taking a stall and a half', () => {
+    const { capacity, rows, rowDepth, aisles, accessible } = layout(90);
+    expect(rows).toBe(2);
+    expect(rowDepth).toBe(5);
+    expect(aisles).toEqual([{ x: 0, y: 5, width: 25, depth: 6 }]);
+    // 10 stalls per row, less one in the first row for the 4 m accessible stall
+    expect(capacity).toBe(19);
+    expect(accessible).toBe(1);
+  });
+
+  it('fits fewer 60° stalls on the same corridor with a narrower one-way aisle', () => {
+    const { capacity, rows, rowDepth, aisles } = layout(60);
+    expect(rows).toBe(2);
+    expect(rowDepth).toBeCloseTo(5 * Math.sin(Math.PI / 3) + 2.5 * 0.5, 10);
+    expect(aisles[0].depth).toBe(4.5);
+    // 8 stalls per row (2.89 m apart, 4.67 m along the row each), 7 beside the accessible stall
+    expect(capacity).toBe(15);
+  });
+
+  it('places the accessible stalls first in the row nearest the building', () => {
+    const wide = layout(90, { x: 0, y: 0, width: 60, depth: 16 });
+    // 48 stalls without them, 4% of which rounds up to 2
+    expect(wide.accessibleRequired).toBe(2);
+    expect(wide.stalls.slice(0, 2).every((s) => s.accessible && s.row === 0)).toBe(true);
+    expect(wide.stalls.slice(2).some((s) => s.accessible)).toBe(false);
+    expect(wide.stalls[0].points).toEqual([[0, 0], [4, 0], [4, 5], [0, 5]]);
+    expect(wide.stalls[1].points[0]).toEqual([4, 0]);
+  });
+
+  it('returns an empty layout for an area without depth', () => {
+    expect(layout(90, { ...corridor, depth: 0 }).capacity).toBe(0);
+    expect(layout(90, { ...corridor, depth: 10 }).rows).toBe(0);
+  });
+});
+
+describe('requiredParking', () => {
+  // Three 40 m² shops, six flats and two studios
+  const totals = summarizeUnits({
+    floors: [],
+    units: {
+      commercial: [{ count: 3, area: 40 }],
+      residential: [{ count: 6, area: 90 }, { count: 2, area: 45 }]
+    }
+  });
+
+  it('counts spaces per residential unit and per area of shops, each rounded up', () => {
+    // 8 residential units + 120 m² of shops / 50 m² → 3
+    expect(requiredParking(totals, DEFAULT_PARKING_RULE)).toBe(11);
+    // 8 × 1.5 = 12 + 120 m² / 70 m² → 2
+    expect(requiredParking(totals, { perUnit: 1.5, retailAreaPerSpace: 70 })).toBe(14);
+    expect(requiredParking(totals, { perUnit: 1.25 })).toBe(10);
+  });
+});
@@ -0,0 +1,216 @@
+// Export of the site and floor plans
+// SVG and PNG are made from the drawing on screen, without the viewer's zoom,
+// measurements or editor handles, and with the Tajawal font embedded so that
+// Arabic labels look the same elsewhere. DXF is written from the geometry:
+// meters in the site plan's coordinates (see lib/sitePlan.js) turned so that
+// y points north, with one layer per kind of element.
+
+import tajawal400 from '@fontsource/tajawal/400.css?inline';
+import tajawal500 from '@fontsource/tajawal/500.css?inline';
+import tajawal700 from '@fontsource/tajawal/700.css?inline';
+import { siteLayout } from './sitePlan';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// PNG pixels per drawing pixel
+export const PNG_SCALE = 4;
+
+// Layer name and AutoCAD color index of each kind of element
+export const DXF_LAYERS = {
+  land: { name: 'LAND_BOUNDARY', color: 2 },
+  building: { name: 'BUILDING', color: 5 },
+  corridors: { name: 'CORRIDORS', color: 4 },
+  units: { name: 'UNITS', color: 3 },
+  parking: { name: 'PARKING', color: 94 },
+  dimensions: { name: 'DIMENSIONS', color: 1 }
+};
+
+const readAsDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+// The @font-face rules of the bundled Tajawal weights (the ones the interface
+// loads in main.jsx) with the WOFF2 files inlined as data URLs, read once. The
+// older WOFF fallbacks are dropped: browsers that open the SVG read WOFF2.
+// Rejects when a file cannot be read, so the export reports the failure rather
+// than writing a drawing without its font.
+let fontCss = null;
+export function embeddedFonts() {
+  if (!fontCss) {
+    const css = [tajawal400, tajawal500, tajawal700].join('\n').replace(/,\s*url\([^)]+\.woff\)\s*format\(["']woff["']\)/g, '');
+    const urls = [...new Set([...css.matchAll(/url\(([^)]+)\)/g)].map((match) => match[1]))];
+    fontCss = Promise.all(urls.map(async (url) => {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`${url}: ${response.status}`);
+      return readAsDataUrl(await response.blob());
+    }))
+      .then((inlined) => urls.reduce((text, url, i) => text.split(url).join(inlined[i]), css))
+      .catch((err) => {
+        fontCss = null;
+        throw err;
+      });
+  }
+  return fontCss;
+}
+
+// Standalone markup of a plan viewer's svg showing the whole `width` × `height` drawing
+export function planSvg(svg, width, height, fonts = '') {
+  const copy = svg.cloneNode(true);
+  copy.querySelectorAll('[data-measure], [data-handle]').forEach((el) => el.remove());
+  ['class', 'style', 'tabindex'].forEach((name) => copy.removeAttribute(name));
+  copy.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  copy.setAttribute('width', width);
+  copy.setAttribute('height', height);
+  copy.setAttribute('font-family', 'Tajawal, sans-serif');
+  if (fonts) {
+    const style = document.createElementNS(SVG_NS, 'style');
+    style.textContent = fonts;
+    copy.insertBefore(style, copy.firstChild);
+  }
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(copy)}`;
+}
+
+// PNG of standalone svg markup, PNG_SCALE times the drawing size on white
+export function svgToPng(markup, width, height) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * PNG_SCALE);
+      canvas.height = Math.round(height * PNG_SCALE);
+      const context = canvas.getContext('2d');
+      context.fillStyle = 'white';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('The drawing could not be rendered'));
+    };
+    image.src = url;
+  });
+}
+
+// DXF (AutoCAD R12 text format)
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+// Characters outside ASCII as \U+XXXX, which CAD programs read in any code page
+const dxfText = (text) => String(text).replace(/[^\x20-\x7e]/g, (ch) => `\\U+${ch.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`);
+
+const pairs = (...items) => items.map(([code, value]) => `${code}\n${value}\n`).join('');
+
+function polyline(layer, points, closed = true) {
+  return pairs([0, 'POLYLINE'], [8, layer], [66, 1], [70, closed ? 1 : 0], [10, 0], [20, 0], [30, 0])
+    + points.map(([x, y]) => pairs([0, 'VERTEX'], [8, layer], [10, round(x)], [20, round(y)], [30, 0])).join('')
+    + pairs([0, 'SEQEND'], [8, layer]);
+}
+
+const line = (layer, [x1, y1], [x2, y2]) => pairs([0, 'LINE'], [8, layer], [10, round(x1)], [20, round(y1)], [30, 0], [11, round(x2)], [21, round(y2)], [31, 0]);
+
+// Text centered on [x, y], `height` meters tall
+const text = (layer, [x, y], height, value, rotation = 0) => pairs(
+  [0, 'TEXT'], [8, layer], [10, round(x)], [20, round(y)], [30, 0], [40, height], [1, dxfText(value)],
+  [50, rotation], [72, 1], [11, round(x)], [21, round(y)], [31, 0], [73, 2]
+);
+
+// A complete DXF file of `entities` on the DXF_LAYERS, in meters. R12 has no
+// header variable for the drawing units ($INSUNITS came with AC1015), so the
+// units are stated only by the dimension labels.
+function dxfDocument(entities) {
+  const layers = Object.values(DXF_LAYERS);
+  return pairs([0, 'SECTION'], [2, 'HEADER'], [9, '$ACADVER'], [1, 'AC1009'], [0, 'ENDSEC'])
+    + pairs([0, 'SECTION'], [2, 'TABLES'])
+    + pairs([0, 'TABLE'], [2, 'LTYPE'], [70, 1], [0, 'LTYPE'], [2, 'CONTINUOUS'], [70, 0], [3, 'Solid line'], [72, 65], [73, 0], [40, 0], [0, 'ENDTAB'])
+    + pairs([0, 'TABLE'], [2, 'LAYER'], [70, layers.length])
+    + layers.map(({ name, color }) => pairs([0, 'LAYER'], [2, name], [70, 0], [62, color], [6, 'CONTINUOUS'])).join('')
+    + pairs([0, 'ENDTAB'], [0, 'ENDSEC'])
+    + pairs([0, 'SECTION'], [2, 'ENTITIES'])
+    + entities.join('')
+    + pairs([0, 'ENDSEC'], [0, 'EOF']);
+}
+
+const corners = ({ x, y, width, depth }) => [[x, y], [x + width, y], [x + width, y + depth], [x, y + depth]];
+
+// Dimension line `offset` meters to the left of the edge from a to b (site
+// plan coordinates, so outside for edges running clockwise), with its length
+function dimension(at, a, b, offset) {
+  const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+  if (length === 0) return [];
+  const [nx, ny] = [(b[1] - a[1]) / length * offset, -(b[0] - a[0]) / length * offset];
+  const [p, q] = [[a[0] + nx, a[1] + ny], [b[0] + nx, b[1] + ny]];
+  const [tp, tq] = [at(p), at(q)];
+  // The label sits just outside the dimension line
+  const away = 0.6 / Math.abs(offset);
+  const mid = at([(p[0] + q[0]) / 2 + nx * away, (p[1] + q[1]) / 2 + ny * away]);
+  const rotation = (Math.atan2(tq[1] - tp[1], tq[0] - tp[0]) * 180) / Math.PI;
+  const layer = DXF_LAYERS.dimensions.name;
+  return [
+    line(layer, tp, tq),
+    line(layer, at(a), tp),
+    line(layer, at(b), tq),
+    text(layer, mid, 0.8, `${round(length)} m`, Math.abs(rotation) > 90 ? rotation - 180 : rotation)
+  ];
+}
+
+const SPACE_LAYERS = { unit: 'units', roof: 'units', corridor: 'corridors', core: 'building', service: 'building' };
+
+// Outlines and labels of a floor plan model's spaces on the building
+function spaceEntities(model, building, at) {
+  return model.spaces.flatMap((space) => {
+    const layer = DXF_LAYERS[SPACE_LAYERS[space.kind] || 'building'].name;
+    const points = space.points.map(([x, y]) => at([building.x + x, building.y + y]));
+    const label = space.label || space.unitType?.type || space.id;
+    return [
+      polyline(layer, points),
+      text(layer, at([building.x + space.centroid[0], building.y + space.centroid[1]]), 0.5, `${label} ${round(space.area)} m2`)
+    ];
+  });
+}
+
+// Site plan coordinates (y to the south) to DXF coordinates (y to the north)
+const dxfCoordinates = (layout) => ([x, y]) => [x, layout.land.depth - y];
+
+// DXF of the site plan: land, building, corridors, parking stalls and aisles,
+// the spaces of `floorModel` (the floor shown, or null) and the main dimensions
+export function siteDxf(project, floorModel) {
+  const layout = siteLayout(project);
+  const { land, building, northCorridor, southCorridor, parking, parkingLayout } = layout;
+  const at = dxfCoordinates(layout);
+  const rect = (layer, r) => polyline(DXF_LAYERS[layer].name, corners(r).map(at));
+
+  return dxfDocument([
+    rect('land', land),
+    rect('building', building),
+    ...[northCorridor, southCorridor].filter((r) => r.width > 0).map((r) => rect('corridors', r)),
+    ...(parking.depth > 0 ? [rect('parking', parking)] : []),
+    ...parkingLayout.aisles.map((aisle) => rect('parking', aisle)),
+    ...parkingLayout.stalls.map((stall) => polyline(DXF_LAYERS.parking.name, stall.points.map(at))),
+    ...(floorModel ? spaceEntities(floorModel, building, at) : []),
+    ...dimension(at, [0, 0], [land.width, 0], 3),
+    ...dimension(at, [0, land.depth], [0, 0], 3),
+    ...dimension(at, [building.x, building.y + building.depth], [building.x + building.width, building.y + building.depth], -1.5),
+    ...dimension(at, [building.x + building.width, building.y + building.depth], [building.x + building.width, building.y], -1.5)
+  ]);
+}
+
+// DXF of one floor plan model, placed on the building in site plan coordinates
+// so that every floor lines up with the site plan in CAD
+export function floorDxf(project, floorModel) {
+  const layout = siteLayout(project);
+  const { building } = layout;
+  const at = dxfCoordinates(layout);
+
+  return dxfDocument([
+    polyline(DXF_LAYERS.building.name, corners(building).map(at)),
+    ...spaceEntities(floorModel, building, at),
+    ...dimension(at, [building.x, building.y], [building.x + building.width, building.y], 1.5),
+    ...dimension(at, [building.x, building.y + building.depth], [building.x, building.y], 1.5)
+  ]);
+}
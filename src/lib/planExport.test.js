@@ -0,0 +1,83 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { floorPlanModel } from './floorPlan';
+import { parseProject } from './projectFile';
+import { DXF_LAYERS, floorDxf, siteDxf } from './planExport';
+import { siteLayout } from './sitePlan';
+
+const project = parseProject(JSON.parse(readFileSync(new URL('../../public/projects/office-a.json', import.meta.url), 'utf8')));
+const layerNames = Object.values(DXF_LAYERS).map((layer) => layer.name);
+
+// [code, value] pairs of a DXF file
+const groups = (dxf) => {
+  const lines = dxf.trimEnd().split('\n');
+  return Array.from({ length: lines.length / 2 }, (_, i) => [Number(lines[2 * i]), lines[2 * i + 1]]);
+};
+
+// Entities of the ENTITIES section: { type, layer, codes: [[code, value]] }
+const entities = (dxf) => {
+  const all = groups(dxf);
+  const start = all.findIndex(([code, value]) => code === 2 && value === 'ENTITIES') + 1;
+  const list = [];
+  all.slice(start).forEach(([code, value]) => {
+    if (code === 0) list.push({ type: value, codes: [] });
+    else list[list.length - 1].codes.push([code, value]);
+  });
+  return list.filter((e) => e.type !== 'ENDSEC' && e.type !== 'EOF')
+    .map((e) => ({ ...e, layer: e.codes.find(([code]) => code === 8)?.[1] }));
+};
+
+// Vertices [x, y] of each polyline, in file order
+const polylines = (list) => {
+  const result = [];
+  list.forEach((e) => {
+    if (e.type === 'POLYLINE') result.push({ layer: e.layer, points: [] });
+    if (e.type === 'VERTEX') result[result.length - 1].points.push([10, 20].map((c) => Number(e.codes.find(([code]) => code === c)[1])));
+  });
+  return result;
+};
+
+describe('siteDxf', () => {
+  it('writes an R12 header with only the variables R12 defines', () => {
+    const pairs = groups(siteDxf(project, null));
+    const header = pairs.slice(0, pairs.findIndex(([code, value]) => code === 0 && value === 'ENDSEC'));
+    expect(header.filter(([code]) => code === 9)).toEqual([[9, '$ACADVER']]);
+    expect(header).toContainEqual([1, 'AC1009']);
+    expect(pairs[pairs.length - 1]).toEqual([0, 'EOF']);
+  });
+
+  it('declares the layers and puts every entity on one of them', () => {
+    const dxf = siteDxf(project, null);
+    const pairs = groups(dxf);
+    const declared = pairs.filter(([code], i) => code === 2 && pairs[i - 1][0] === 0 && pairs[i - 1][1] === 'LAYER').map(([, name]) => name);
+    expect(declared).toEqual(layerNames);
+    const used = new Set(entities(dxf).map((e) => e.layer));
+    used.forEach((layer) => expect(layerNames).toContain(layer));
+    ['land', 'building', 'parking', 'dimensions'].forEach((kind) => expect(used).toContain(DXF_LAYERS[kind].name));
+  });
+
+  it('draws the land and building in meters with y pointing north', () => {
+    const { land, building } = siteLayout(project);
+    const outlines = polylines(entities(siteDxf(project, null)));
+    const flip = ([x, y]) => [x, land.depth - y];
+    const corners = ({ x, y, width, depth }) => [[x, y], [x + width, y], [x + width, y + depth], [x, y + depth]].map(flip);
+
+    const landOutline = outlines.find((p) => p.layer === DXF_LAYERS.land.name);
+    expect(landOutline.points).toEqual([[0, 50.44], [25, 50.44], [25, 0], [0, 0]]);
+    const buildingOutline = outlines.find((p) => p.layer === DXF_LAYERS.building.name);
+    buildingOutline.points.forEach(([x, y], i) => {
+      expect(x).toBeCloseTo(corners(building)[i][0], 4);
+      expect(y).toBeCloseTo(corners(building)[i][1], 4);
+    });
+  });
+});
+
+describe('floorDxf', () => {
+  it('writes Arabic labels as \\U+ escapes and nothing outside ASCII', () => {
+    const dxf = floorDxf(project, floorPlanModel(project, 'ground'));
+    expect(dxf).toMatch(/^[\x20-\x7e\n]*$/);
+    const labels = entities(dxf).filter((e) => e.type === 'TEXT').map((e) => e.codes.find(([code]) => code === 1)[1]);
+    // "محل 1" (shop 1) and its area
+    expect(labels.some((label) => /^\\U\+0645\\U\+062D\\U\+0644 1 \d+(\.\d+)? m2$/.test(label))).toBe(true);
+  });
+});
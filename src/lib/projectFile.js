@@ -0,0 +1,887 @@
+// Project file loading and validation
+// A project file describes one design option (land, building, floors, units,
+// costs and scenarios). The format is documented in docs/project-file.md.
+
+import { DEFAULT_CASHFLOW, MAX_HORIZON, MIN_HORIZON } from './cashflow';
+import { ENTRY_KINDS } from './costTracking';
+import { DEFAULT_FINANCING, FINANCING_TYPES, REPAYMENT_TYPES } from './financing';
+import { SPACE_KINDS } from './floorPlan';
+import { OPEX_BASES } from './opex';
+import { DEFAULT_AISLES, DEFAULT_PARKING_LAYOUT, PARKING_ANGLES } from './parking';
+import { RENT_BASES } from './projectModel';
+import { LEASE_STATUSES } from './rentRoll';
+import { DEFAULT_SHORT_STAY, MONTH_DAYS, RENTAL_STRATEGIES } from './shortStay';
+import { withParkingCapacity } from './sitePlan';
+import { ZONING_SIDES } from './zoning';
+
+export const SCHEMA_VERSION = 1;
+
+// Folder (under public/) that holds the project files bundled with the site
+export const PROJECTS_BASE_URL = '/projects/';
+
+// Error thrown when a project file cannot be read or fails validation.
+// `issues` holds every problem found, each with an Arabic and English message.
+export class ProjectFileError extends Error {
+  constructor(issues, source = '') {
+    super(issues.map((i) => (i.path ? `${i.path}: ${i.en}` : i.en)).join('\n'));
+    this.name = 'ProjectFileError';
+    this.issues = issues;
+    this.source = source;
+  }
+}
+
+const issue = (path, ar, en) => ({ path, ar, en });
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const isText = (v) => typeof v === 'string' && v.trim() !== '';
+
+// Tolerance used when comparing dimensions and totals given with decimals
+const EPSILON = 0.01;
+
+// Field checkers push an issue and return false when the value is invalid
+function checkText(issues, obj, key, path) {
+  if (!isText(obj[key])) {
+    issues.push(issue(`${path}.${key}`, 'حقل نصي مطلوب مفقود أو فارغ', 'Required text field is missing or empty'));
+    return false;
+  }
+  return true;
+}
+
+function checkNumber(issues, obj, key, path, { min = 0, allowZero = false, integer = false, max, optional = false } = {}) {
+  const value = obj[key];
+  const fullPath = `${path}.${key}`;
+  if (value === undefined && optional) return true;
+  if (!isNumber(value)) {
+    issues.push(issue(fullPath, 'قيمة رقمية مطلوبة مفقودة أو غير صالحة', 'Required number is missing or not a number'));
+    return false;
+  }
+  if (integer && !Number.isInteger(value)) {
+    issues.push(issue(fullPath, 'يجب أن تكون القيمة عدداً صحيحاً', 'Value must be a whole number'));
+    return false;
+  }
+  if (allowZero ? value < min : value <= min) {
+    issues.push(issue(
+      fullPath,
+      allowZero ? `يجب ألا تقل القيمة عن ${min}` : `يجب أن تكون القيمة أكبر من ${min}`,
+      allowZero ? `Value must be at least ${min}` : `Value must be greater than ${min}`
+    ));
+    return false;
+  }
+  if (max !== undefined && value > max) {
+    issues.push(issue(fullPath, `يجب ألا تتجاوز القيمة ${max}`, `Value must not exceed ${max}`));
+    return false;
+  }
+  return true;
+}
+
+function checkSection(issues, data, key) {
+  if (!isObject(data[key])) {
+    issues.push(issue(key, 'القسم مطلوب ومفقود', 'Required section is missing'));
+    return false;
+  }
+  return true;
+}
+
+function checkRates(issues, rates, path) {
+  checkNumber(issues, rates, 'occupancy', path, { allowZero: true, max: 100 });
+  checkNumber(issues, rates, 'commercialRate', path, { allowZero: true });
+  checkNumber(issues, rates, 'residentialRate', path, { allowZero: true });
+}
+
+function validateLand(issues, land) {
+  checkNumber(issues, land, 'width', 'land');
+  checkNumber(issues, land, 'depth', 'land');
+  checkNumber(issues, land, 'eastFrontage', 'land', { allowZero: true, optional: true });
+  checkNumber(issues, land, 'westFrontage', 'land', { allowZero: true, optional: true });
+  checkNumber(issues, land, 'value', 'land', { allowZero: true, optional: true });
+
+  if (!isObject(land.streets)) {
+    issues.push(issue('land.streets', 'بيانات الشوارع المحيطة مفقودة', 'Surrounding streets are missing'));
+    return;
+  }
+  ['north', 'south'].forEach((side) => {
+    const street = land.streets[side];
+    const path = `land.streets.${side}`;
+    if (!isObject(street)) {
+      issues.push(issue(path, 'بيانات الشارع مفقودة', 'Street is missing'));
+      return;
+    }
+    checkText(issues, street, 'name', path);
+    checkNumber(issues, street, 'width', path);
+  });
+}
+
+function validateBuilding(issues, building, land) {
+  const ok = [
+    checkNumber(issues, building, 'width', 'building'),
+    checkNumber(issues, building, 'depth', 'building'),
+    checkNumber(issues, building, 'northCorridor', 'building', { allowZero: true }),
+    checkNumber(issues, building, 'southCorridor', 'building', { allowZero: true }),
+    checkNumber(issues, building, 'rearSetback', 'building', { allowZero: true }),
+    checkNumber(issues, building, 'parking', 'building', { allowZero: true, integer: true, optional: true })
+  ].every(Boolean);
+
+  if (!ok || !isNumber(land?.width) || !isNumber(land?.depth)) return;
+
+  const usedWidth = building.northCorridor + building.width + building.southCorridor;
+  if (usedWidth > land.width + EPSILON) {
+    issues.push(issue(
+      'building.width',
+      `عرض العمارة مع الممرين (${usedWidth}م) أكبر من عرض الأرض (${land.width}م)`,
+      `Building width plus corridors (${usedWidth} m) exceeds the land width (${land.width} m)`
+    ));
+  }
+  const usedDepth = building.depth + building.rearSetback;
+  if (usedDepth > land.depth + EPSILON) {
+    issues.push(issue(
+      'building.depth',
+      `عمق العمارة مع الارتداد الخلفي (${usedDepth}م) أكبر من عمق الأرض (${land.depth}م)`,
+      `Building depth plus rear setback (${usedDepth} m) exceeds the land depth (${land.depth} m)`
+    ));
+  }
+}
+
+function validateFloors(issues, floors, building) {
+  if (!Array.isArray(floors) || floors.length === 0) {
+    issues.push(issue('floors', 'يجب تعريف دور واحد على الأقل', 'At least one floor must be defined'));
+    return;
+  }
+  const footprint = isNumber(building?.width) && isNumber(building?.depth) ? building.width * building.depth : null;
+  const seen = new Set();
+  floors.forEach((floor, i) => {
+    const path = `floors[${i}]`;
+    if (!isObject(floor)) {
+      issues.push(issue(path, 'تعريف الدور غير صالح', 'Floor entry is not an object'));
+      return;
+    }
+    if (checkText(issues, floor, 'id', path)) {
+      if (seen.has(floor.id)) {
+        issues.push(issue(`${path}.id`, `معرّف الدور "${floor.id}" مكرر`, `Floor id "${floor.id}" is used more than once`));
+      }
+      seen.add(floor.id);
+    }
+    checkText(issues, floor, 'name', path);
+    checkText(issues, floor, 'use', path);
+    if (checkNumber(issues, floor, 'area', path) && footprint !== null && floor.area > footprint + EPSILON) {
+      issues.push(issue(
+        `${path}.area`,
+        `مساحة الدور (${floor.area}م²) أكبر من مسطح العمارة (${footprint}م²)`,
+        `Floor area (${floor.area} m²) exceeds the building footprint (${footprint} m²)`
+      ));
+    }
+    if (floor.plan !== undefined) validatePlan(issues, floor.plan, `${path}.plan`, building);
+  });
+}
+
+// Floor plan geometry; which units the spaces refer to is checked against the
+// unit table when the plan is drawn (lib/floorPlan.js), not here
+function validatePlan(issues, plan, path, building) {
+  if (!isObject(plan) || !Array.isArray(plan.spaces) || plan.spaces.length === 0) {
+    issues.push(issue(path, 'المخطط يجب أن يحتوي على قائمة فراغات', 'A plan must contain a list of spaces'));
+    return;
+  }
+  const width = isNumber(building?.width) ? building.width : Infinity;
+  const depth = isNumber(building?.depth) ? building.depth : Infinity;
+  const seen = new Set();
+  plan.spaces.forEach((space, i) => {
+    const spacePath = `${path}.spaces[${i}]`;
+    if (!isObject(space)) {
+      issues.push(issue(spacePath, 'تعريف الفراغ غير صالح', 'Space entry is not an object'));
+      return;
+    }
+    if (checkText(issues, space, 'id', spacePath)) {
+      if (seen.has(space.id)) {
+        issues.push(issue(`${spacePath}.id`, `معرّف الفراغ "${space.id}" مكرر`, `Space id "${space.id}" is used more than once`));
+      }
+      seen.add(space.id);
+    }
+    if (space.kind !== undefined && !SPACE_KINDS.includes(space.kind)) {
+      issues.push(issue(
+        `${spacePath}.kind`,
+        `نوع الفراغ يجب أن يكون أحد: ${SPACE_KINDS.join('، ')}`,
+        `kind must be one of: ${SPACE_KINDS.join(', ')}`
+      ));
+    }
+    if (space.unit !== undefined && !isText(space.unit)) {
+      issues.push(issue(`${spacePath}.unit`, 'معرّف الوحدة غير صالح', 'unit must be a unit id'));
+    }
+    const points = space.points;
+    if (!Array.isArray(points) || points.length < 3 || !points.every((p) => Array.isArray(p) && p.length === 2 && p.every(isNumber))) {
+      issues.push(issue(
+        `${spacePath}.points`,
+        'الرؤوس يجب أن تكون ثلاث نقاط [x, y] على الأقل بالأمتار',
+        'points must be at least three [x, y] pairs in meters'
+      ));
+    } else if (points.some(([x, y]) => x < -EPSILON || y < -EPSILON || x > width + EPSILON || y > depth + EPSILON)) {
+      issues.push(issue(
+        `${spacePath}.points`,
+        `الفراغ يخرج عن حدود العمارة (${width}م × ${depth}م)`,
+        `Space lies outside the building footprint (${width} m × ${depth} m)`
+      ));
+    }
+  });
+}
+
+function validateUnits(issues, units, floors) {
+  const floorAreas = {};
+  (Array.isArray(floors) ? floors : []).forEach((f) => {
+    if (isObject(f) && isText(f.id)) floorAreas[f.id] = f.area;
+  });
+
+  const usedArea = {};
+  const seen = new Set();
+  let total = 0;
+
+  ['commercial', 'residential'].forEach((category) => {
+    const list = units[category];
+    if (!Array.isArray(list)) {
+      issues.push(issue(`units.${category}`, 'قائمة الوحدات مفقودة', 'Unit list is missing'));
+      return;
+    }
+    list.forEach((unit, i) => {
+      const path = `units.${category}[${i}]`;
+      if (!isObject(unit)) {
+        issues.push(issue(path, 'تعريف الوحدة غير صالح', 'Unit entry is not an object'));
+        return;
+      }
+      if (unit.id !== undefined) {
+        if (!isText(unit.id)) {
+          issues.push(issue(`${path}.id`, 'معرّف الوحدة غير صالح', 'Unit id must be a non-empty string'));
+        } else if (seen.has(unit.id)) {
+          issues.push(issue(`${path}.id`, `معرّف الوحدة "${unit.id}" مكرر`, `Unit id "${unit.id}" is used more than once`));
+        } else {
+          seen.add(unit.id);
+        }
+      }
+      checkText(issues, unit, 'type', path);
+      const countOk = checkNumber(issues, unit, 'count', path, { integer: true });
+      const areaOk = checkNumber(issues, unit, 'area', path);
+      checkNumber(issues, unit, 'depth', path, { optional: true });
+      checkNumber(issues, unit, 'rent', path, { allowZero: true, optional: true });
+      if (unit.rentBasis !== undefined && !RENT_BASES.includes(unit.rentBasis)) {
+        issues.push(issue(
+          `${path}.rentBasis`,
+          `أساس الإيجار يجب أن يكون أحد: ${RENT_BASES.join('، ')}`,
+          `rentBasis must be one of: ${RENT_BASES.join(', ')}`
+        ));
+      }
+      if (category === 'residential') {
+        const nightlyOk = checkNumber(issues, unit, 'nightlyRate', path, { optional: true });
+        if (unit.strategy !== undefined && !RENTAL_STRATEGIES.includes(unit.strategy)) {
+          issues.push(issue(
+            `${path}.strategy`,
+            `نمط التأجير يجب أن يكون أحد: ${RENTAL_STRATEGIES.join('، ')}`,
+            `strategy must be one of: ${RENTAL_STRATEGIES.join(', ')}`
+          ));
+        } else if (unit.strategy === 'daily' && nightlyOk && unit.nightlyRate === undefined) {
+          issues.push(issue(
+            `${path}.nightlyRate`,
+            'التأجير اليومي يتطلب تحديد السعر الليلي',
+            'Daily leasing requires a nightlyRate'
+          ));
+        }
+      }
+
+      if (checkText(issues, unit, 'floor', path)) {
+        if (!(unit.floor in floorAreas)) {
+          issues.push(issue(
+            `${path}.floor`,
+            `الدور "${unit.floor}" غير معرّف في قائمة الأدوار`,
+            `Floor "${unit.floor}" is not defined in floors`
+          ));
+        } else if (countOk && areaOk) {
+          usedArea[unit.floor] = (usedArea[unit.floor] || 0) + unit.count * unit.area;
+        }
+      }
+      if (countOk) total += unit.count;
+    });
+  });
+
+  if (total === 0 && issues.length === 0) {
+    issues.push(issue('units', 'يجب تعريف وحدة واحدة على الأقل', 'At least one unit must be defined'));
+  }
+
+  Object.entries(usedArea).forEach(([floorId, area]) => {
+    const floorArea = floorAreas[floorId];
+    if (isNumber(floorArea) && area > floorArea + EPSILON) {
+      issues.push(issue(
+        'units',
+        `مجموع مساحات الوحدات في الدور "${floorId}" (${area}م²) أكبر من مساحة الدور (${floorArea}م²)`,
+        `Units on floor "${floorId}" total ${area} m², more than the floor area (${floorArea} m²)`
+      ));
+    }
+  });
+}
+
+function validateCosts(issues, costs) {
+  if (!Array.isArray(costs.items) || costs.items.length === 0) {
+    issues.push(issue('costs.items', 'يجب تعريف بند تكلفة واحد على الأقل', 'At least one cost item must be defined'));
+    return;
+  }
+  let sum = 0;
+  let ok = true;
+  const names = new Set();
+  costs.items.forEach((row, i) => {
+    const path = `costs.items[${i}]`;
+    if (!isObject(row)) {
+      issues.push(issue(path, 'بند التكلفة غير صالح', 'Cost item is not an object'));
+      ok = false;
+      return;
+    }
+    // Schedule phases and actual costs refer to items by name
+    if (checkText(issues, row, 'item', path)) {
+      if (names.has(row.item)) {
+        issues.push(issue(`${path}.item`, `البند "${row.item}" مكرر`, `Cost item "${row.item}" is listed more than once`));
+      }
+      names.add(row.item);
+    }
+    if (checkNumber(issues, row, 'cost', path, { allowZero: true })) sum += row.cost;
+    else ok = false;
+    checkNumber(issues, row, 'percent', path, { allowZero: true, max: 100, optional: true });
+  });
+
+  if (costs.total !== undefined && checkNumber(issues, costs, 'total', 'costs') && ok && Math.abs(costs.total - sum) > EPSILON) {
+    issues.push(issue(
+      'costs.total',
+      `إجمالي التكلفة (${costs.total.toLocaleString()}) لا يساوي مجموع البنود (${sum.toLocaleString()})`,
+      `Total cost (${costs.total.toLocaleString()}) does not match the sum of cost items (${sum.toLocaleString()})`
+    ));
+  }
+}
+
+function validateScenarios(issues, scenarios) {
+  if (!Array.isArray(scenarios)) {
+    issues.push(issue('scenarios', 'السيناريوهات يجب أن تكون قائمة', 'Scenarios must be a list'));
+    return;
+  }
+  scenarios.forEach((scenario, i) => {
+    const path = `scenarios[${i}]`;
+    if (!isObject(scenario)) {
+      issues.push(issue(path, 'تعريف السيناريو غير صالح', 'Scenario entry is not an object'));
+      return;
+    }
+    checkText(issues, scenario, 'name', path);
+    checkRates(issues, scenario, path);
+  });
+}
+
+const isIsoDate = (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v));
+
+// Individual unit records; records are matched to units by id when loaded
+// (lib/rentRoll.js), so only their own fields are checked here
+function validateRentRoll(issues, rentRoll) {
+  if (!Array.isArray(rentRoll)) {
+    issues.push(issue('rentRoll', 'سجل الإيجارات يجب أن يكون قائمة', 'rentRoll must be a list'));
+    return;
+  }
+  const seen = new Set();
+  rentRoll.forEach((record, i) => {
+    const path = `rentRoll[${i}]`;
+    if (!isObject(record)) {
+      issues.push(issue(path, 'سجل الوحدة غير صالح', 'Rent roll entry is not an object'));
+      return;
+    }
+    if (checkText(issues, record, 'id', path)) {
+      if (seen.has(record.id)) {
+        issues.push(issue(`${path}.id`, `الوحدة "${record.id}" مكررة في سجل الإيجارات`, `Unit "${record.id}" appears more than once in the rent roll`));
+      }
+      seen.add(record.id);
+    }
+    if (!(record.status in LEASE_STATUSES)) {
+      issues.push(issue(
+        `${path}.status`,
+        `حالة الوحدة يجب أن تكون أحد: ${Object.keys(LEASE_STATUSES).join('، ')}`,
+        `status must be one of: ${Object.keys(LEASE_STATUSES).join(', ')}`
+      ));
+    }
+    if (record.tenant !== undefined && typeof record.tenant !== 'string') {
+      issues.push(issue(`${path}.tenant`, 'اسم المستأجر يجب أن يكون نصاً', 'tenant must be a string'));
+    }
+    const datesOk = ['leaseStart', 'leaseEnd'].every((key) => {
+      if (record[key] === undefined || record[key] === '' || isIsoDate(record[key])) return true;
+      issues.push(issue(`${path}.${key}`, 'التاريخ يجب أن يكون بصيغة YYYY-MM-DD', 'Date must be in YYYY-MM-DD format'));
+      return false;
+    });
+    if (datesOk && record.leaseStart && record.leaseEnd && record.leaseEnd < record.leaseStart) {
+      issues.push(issue(`${path}.leaseEnd`, 'نهاية العقد قبل بدايته', 'Lease ends before it starts'));
+    }
+    ['rent', 'deposit'].forEach((key) => {
+      if (record[key] !== null) checkNumber(issues, record, key, path, { allowZero: true, optional: true });
+    });
+  });
+}
+
+// Construction phases with finish-to-start dependencies; cost links name items
+// of the cost breakdown (unknown names are shown as unlinked, not rejected)
+function validateSchedule(issues, schedule) {
+  if (!isObject(schedule)) {
+    issues.push(issue('schedule', 'الجدول الزمني يجب أن يكون كائناً', 'schedule must be an object'));
+    return;
+  }
+  if (!isIsoDate(schedule.start)) {
+    issues.push(issue('schedule.start', 'تاريخ البدء يجب أن يكون بصيغة YYYY-MM-DD', 'Start date must be in YYYY-MM-DD format'));
+  }
+  if (!Array.isArray(schedule.phases) || schedule.phases.length === 0) {
+    issues.push(issue('schedule.phases', 'الجدول الزمني يحتاج مرحلة واحدة على الأقل', 'schedule needs at least one phase'));
+    return;
+  }
+
+  const ids = new Set();
+  schedule.phases.forEach((phase, i) => {
+    const path = `schedule.phases[${i}]`;
+    if (!isObject(phase)) {
+      issues.push(issue(path, 'المرحلة غير صالحة', 'Phase is not an object'));
+      return;
+    }
+    if (checkText(issues, phase, 'id', path)) {
+      if (ids.has(phase.id)) {
+        issues.push(issue(`${path}.id`, `المرحلة "${phase.id}" مكررة`, `Phase "${phase.id}" is defined more than once`));
+      }
+      ids.add(phase.id);
+    }
+    checkText(issues, phase, 'name', path);
+    checkNumber(issues, phase, 'weeks', path, { allowZero: true });
+    if (phase.costs !== undefined && (!Array.isArray(phase.costs) || !phase.costs.every(isText))) {
+      issues.push(issue(`${path}.costs`, 'بنود التكلفة يجب أن تكون قائمة أسماء', 'costs must be a list of cost item names'));
+    }
+  });
+
+  const phases = schedule.phases.filter(isObject);
+  phases.forEach((phase, i) => {
+    const path = `schedule.phases[${i}].dependsOn`;
+    if (phase.dependsOn === undefined) return;
+    if (!Array.isArray(phase.dependsOn)) {
+      issues.push(issue(path, 'الاعتماديات يجب أن تكون قائمة معرفات مراحل', 'dependsOn must be a list of phase ids'));
+      return;
+    }
+    phase.dependsOn.filter((id) => !ids.has(id) || id === phase.id).forEach((id) => {
+      issues.push(issue(path, `المرحلة "${phase.id}" تعتمد على مرحلة غير صالحة "${id}"`, `Phase "${phase.id}" depends on an invalid phase "${id}"`));
+    });
+  });
+
+  // Dependencies must not loop back to a phase (depth-first walk)
+  const byId = Object.fromEntries(phases.map((p) => [p.id, p]));
+  const state = {};
+  const visit = (id) => {
+    if (state[id] === 'done') return false;
+    if (state[id] === 'open') return true;
+    state[id] = 'open';
+    const looped = (Array.isArray(byId[id]?.dependsOn) ? byId[id].dependsOn : []).some((dep) => dep !== id && byId[dep] && visit(dep));
+    state[id] = 'done';
+    return looped;
+  };
+  if (phases.some((p) => visit(p.id))) {
+    issues.push(issue('schedule.phases', 'اعتماديات المراحل تشكل حلقة مغلقة', 'Phase dependencies form a cycle'));
+  }
+}
+
+// Commitments and payments against the cost items (lib/costTracking.js);
+// entries for items that are not in the cost breakdown are shown apart
+function validateActuals(issues, actuals) {
+  if (!isObject(actuals)) {
+    issues.push(issue('actuals', 'التكاليف الفعلية يجب أن تكون كائناً', 'actuals must be an object'));
+    return;
+  }
+  if (!Array.isArray(actuals.entries)) {
+    issues.push(issue('actuals.entries', 'القيود يجب أن تكون قائمة', 'actuals.entries must be a list'));
+  } else {
+    actuals.entries.forEach((entry, i) => {
+      const path = `actuals.entries[${i}]`;
+      if (!isObject(entry)) {
+        issues.push(issue(path, 'القيد غير صالح', 'Entry is not an object'));
+        return;
+      }
+      checkText(issues, entry, 'item', path);
+      if (!ENTRY_KINDS.includes(entry.kind)) {
+        issues.push(issue(
+          `${path}.kind`,
+          `نوع القيد يجب أن يكون أحد: ${ENTRY_KINDS.join('، ')}`,
+          `kind must be one of: ${ENTRY_KINDS.join(', ')}`
+        ));
+      }
+      if (!isIsoDate(entry.date)) {
+        issues.push(issue(`${path}.date`, 'التاريخ يجب أن يكون بصيغة YYYY-MM-DD', 'Date must be in YYYY-MM-DD format'));
+      }
+      checkNumber(issues, entry, 'amount', path);
+      ['supplier', 'description'].forEach((key) => {
+        if (entry[key] !== undefined && typeof entry[key] !== 'string') {
+          issues.push(issue(`${path}.${key}`, 'القيمة يجب أن تكون نصاً', `${key} must be a string`));
+        }
+      });
+    });
+  }
+  if (actuals.closed !== undefined && (!Array.isArray(actuals.closed) || !actuals.closed.every(isText))) {
+    issues.push(issue('actuals.closed', 'البنود المكتملة يجب أن تكون قائمة أسماء', 'closed must be a list of cost item names'));
+  }
+}
+
+function validateZoning(issues, zoning) {
+  if (!isObject(zoning)) {
+    issues.push(issue('zoning', 'اشتراطات البناء يجب أن تكون كائناً', 'zoning must be an object'));
+    return;
+  }
+  if (zoning.setbacks !== undefined) {
+    if (!isObject(zoning.setbacks)) {
+      issues.push(issue('zoning.setbacks', 'الارتدادات يجب أن تكون كائناً', 'setbacks must be an object'));
+    } else {
+      ZONING_SIDES.forEach((side) => checkNumber(issues, zoning.setbacks, side, 'zoning.setbacks', { allowZero: true, optional: true }));
+    }
+  }
+  checkNumber(issues, zoning, 'maxCoverage', 'zoning', { max: 100, optional: true });
+  checkNumber(issues, zoning, 'maxFar', 'zoning', { optional: true });
+  checkNumber(issues, zoning, 'maxFloors', 'zoning', { integer: true, optional: true });
+  if (zoning.parking !== undefined) {
+    if (!isObject(zoning.parking)) {
+      issues.push(issue('zoning.parking', 'اشتراطات المواقف يجب أن تكون كائناً', 'parking must be an object'));
+    } else {
+      checkNumber(issues, zoning.parking, 'perUnit', 'zoning.parking', { allowZero: true, optional: true });
+      checkNumber(issues, zoning.parking, 'retailAreaPerSpace', 'zoning.parking', { optional: true });
+    }
+  }
+}
+
+function validateParkingLayout(issues, layout) {
+  if (!isObject(layout)) {
+    issues.push(issue('parkingLayout', 'إعدادات المواقف يجب أن تكون كائناً', 'parkingLayout must be an object'));
+    return;
+  }
+  if (layout.angle !== undefined && !PARKING_ANGLES.includes(layout.angle)) {
+    issues.push(issue(
+      'parkingLayout.angle',
+      `زاوية المواقف يجب أن تكون إحدى: ${PARKING_ANGLES.join('، ')}`,
+      `Stall angle must be one of: ${PARKING_ANGLES.join(', ')}`
+    ));
+  }
+  ['stallWidth', 'stallDepth', 'aisleWidth'].forEach((key) => checkNumber(issues, layout, key, 'parkingLayout', { optional: true }));
+  checkNumber(issues, layout, 'accessiblePercent', 'parkingLayout', { allowZero: true, max: 100, optional: true });
+  checkNumber(issues, layout, 'accessibleMin', 'parkingLayout', { allowZero: true, integer: true, optional: true });
+  checkNumber(issues, layout, 'accessibleAisle', 'parkingLayout', { allowZero: true, optional: true });
+}
+
+function validateOpex(issues, opex) {
+  if (!Array.isArray(opex)) {
+    issues.push(issue('opex', 'المصاريف التشغيلية يجب أن تكون قائمة', 'Operating expenses must be a list'));
+    return;
+  }
+  opex.forEach((item, i) => {
+    const path = `opex[${i}]`;
+    if (!isObject(item)) {
+      issues.push(issue(path, 'بند المصروف غير صالح', 'Expense item is not an object'));
+      return;
+    }
+    checkText(issues, item, 'item', path);
+    if (!OPEX_BASES.includes(item.basis)) {
+      issues.push(issue(
+        `${path}.basis`,
+        `أساس الاحتساب يجب أن يكون أحد: ${OPEX_BASES.join('، ')}`,
+        `Basis must be one of: ${OPEX_BASES.join(', ')}`
+      ));
+    }
+    checkNumber(issues, item, 'amount', path, {
+      allowZero: true,
+      max: item.basis === 'percentOfRent' ? 100 : undefined
+    });
+  });
+}
+
+function validateFinancing(issues, financing, costs) {
+  if (!isObject(financing)) {
+    issues.push(issue('financing', 'بيانات التمويل غير صالحة', 'Financing must be an object'));
+    return;
+  }
+  const loanOk = checkNumber(issues, financing, 'loanAmount', 'financing', { allowZero: true });
+  checkNumber(issues, financing, 'annualRate', 'financing', { allowZero: true, max: 100 });
+  const tenorOk = checkNumber(issues, financing, 'tenorYears', 'financing', { integer: true });
+  const graceOk = checkNumber(issues, financing, 'graceMonths', 'financing', { allowZero: true, integer: true, optional: true });
+
+  if (financing.type !== undefined && !FINANCING_TYPES.includes(financing.type)) {
+    issues.push(issue(
+      'financing.type',
+      `نوع التمويل يجب أن يكون أحد: ${FINANCING_TYPES.join('، ')}`,
+      `Financing type must be one of: ${FINANCING_TYPES.join(', ')}`
+    ));
+  }
+  if (financing.repayment !== undefined && !REPAYMENT_TYPES.includes(financing.repayment)) {
+    issues.push(issue(
+      'financing.repayment',
+      `طريقة السداد يجب أن تكون إحدى: ${REPAYMENT_TYPES.join('، ')}`,
+      `Repayment must be one of: ${REPAYMENT_TYPES.join(', ')}`
+    ));
+  }
+  if (tenorOk && graceOk && financing.graceMonths >= financing.tenorYears * 12) {
+    issues.push(issue(
+      'financing.graceMonths',
+      'فترة السماح يجب أن تكون أقصر من مدة التمويل',
+      'The grace period must be shorter than the tenor'
+    ));
+  }
+
+  const total = isObject(costs) && Array.isArray(costs.items)
+    ? costs.items.reduce((sum, row) => sum + (isNumber(row?.cost) ? row.cost : 0), 0)
+    : null;
+  if (loanOk && total !== null && financing.loanAmount > total + EPSILON) {
+    issues.push(issue(
+      'financing.loanAmount',
+      `مبلغ التمويل (${financing.loanAmount.toLocaleString()}) أكبر من تكلفة التطوير (${total.toLocaleString()})`,
+      `Loan amount (${financing.loanAmount.toLocaleString()}) exceeds the development cost (${total.toLocaleString()})`
+    ));
+  }
+}
+
+function validateCashflow(issues, cashflow) {
+  if (!isObject(cashflow)) {
+    issues.push(issue('cashflow', 'افتراضات التدفق النقدي غير صالحة', 'Cash flow assumptions must be an object'));
+    return;
+  }
+  checkNumber(issues, cashflow, 'horizonYears', 'cashflow', { integer: true, min: MIN_HORIZON, allowZero: true, max: MAX_HORIZON, optional: true });
+  checkNumber(issues, cashflow, 'opexEscalation', 'cashflow', { min: -100, optional: true });
+  ['escalation', 'renewal'].forEach((key) => {
+    if (cashflow[key] !== undefined && !isObject(cashflow[key])) {
+      issues.push(issue(`cashflow.${key}`, 'القيمة يجب أن تكون كائناً', 'Value must be an object'));
+    }
+  });
+  if (isObject(cashflow.escalation)) {
+    checkNumber(issues, cashflow.escalation, 'commercial', 'cashflow.escalation', { min: -100, optional: true });
+    checkNumber(issues, cashflow.escalation, 'residential', 'cashflow.escalation', { min: -100, optional: true });
+  }
+  if (isObject(cashflow.renewal)) {
+    checkNumber(issues, cashflow.renewal, 'everyYears', 'cashflow.renewal', { integer: true, optional: true });
+    if (cashflow.renewal.step !== undefined) {
+      if (!isObject(cashflow.renewal.step)) {
+        issues.push(issue('cashflow.renewal.step', 'القيمة يجب أن تكون كائناً', 'Value must be an object'));
+      } else {
+        checkNumber(issues, cashflow.renewal.step, 'commercial', 'cashflow.renewal.step', { min: -100, optional: true });
+        checkNumber(issues, cashflow.renewal.step, 'residential', 'cashflow.renewal.step', { min: -100, optional: true });
+      }
+    }
+  }
+  if (cashflow.rampUp !== undefined && (!Array.isArray(cashflow.rampUp) || !cashflow.rampUp.every((v) => isNumber(v) && v >= 0 && v <= 100))) {
+    issues.push(issue('cashflow.rampUp', 'تدرج الإشغال يجب أن يكون قائمة نسب بين 0 و100', 'Occupancy ramp-up must be a list of percentages between 0 and 100'));
+  }
+}
+
+function validateShortStay(issues, shortStay) {
+  if (!isObject(shortStay)) {
+    issues.push(issue('shortStay', 'إعدادات التأجير اليومي غير صالحة', 'Short-stay settings must be an object'));
+    return;
+  }
+  checkNumber(issues, shortStay, 'commission', 'shortStay', { allowZero: true, max: 100, optional: true });
+  checkNumber(issues, shortStay, 'cleaningCost', 'shortStay', { allowZero: true, optional: true });
+  checkNumber(issues, shortStay, 'averageStay', 'shortStay', { optional: true });
+  if (shortStay.seasonality !== undefined && (
+    !Array.isArray(shortStay.seasonality)
+    || shortStay.seasonality.length !== MONTH_DAYS.length
+    || !shortStay.seasonality.every((v) => isNumber(v) && v >= 0 && v <= 100)
+  )) {
+    issues.push(issue(
+      'shortStay.seasonality',
+      'منحنى الموسمية يجب أن يكون 12 نسبة إشغال بين 0 و100',
+      'Seasonality must be 12 monthly occupancy percentages between 0 and 100'
+    ));
+  }
+}
+
+// Checks the assumptions of a saved scenario (see lib/scenarios.js) with the
+// rules of the matching project file sections; units are checked against the
+// floors and the loan against the costs of `project`
+export function validateAssumptions(assumptions, project) {
+  const issues = [];
+  if (checkSection(issues, assumptions, 'rates')) {
+    checkRates(issues, assumptions.rates, 'rates');
+    checkNumber(issues, assumptions.rates, 'discountRate', 'rates', { allowZero: true, max: 100 });
+    checkNumber(issues, assumptions.rates, 'roofPremium', 'rates', { allowZero: true });
+  }
+  if (checkSection(issues, assumptions, 'units')) validateUnits(issues, assumptions.units, project.floors);
+  validateOpex(issues, assumptions.opex);
+  validateCashflow(issues, assumptions.cashflow);
+  validateShortStay(issues, assumptions.shortStay);
+  validateFinancing(issues, assumptions.financing, project.costs);
+  if (isObject(assumptions.financing) && typeof assumptions.financing.enabled !== 'boolean') {
+    issues.push(issue('financing.enabled', 'القيمة يجب أن تكون true أو false', 'Value must be true or false'));
+  }
+  return issues;
+}
+
+// Checks the tables read back from a spreadsheet (see lib/projectSheets.js):
+// units against the project's floors, the cost breakdown and the rent roll
+export function validateSheetTables({ units, costs, rentRoll }, project) {
+  const issues = [];
+  if (units) validateUnits(issues, units, project.floors);
+  if (costs) validateCosts(issues, costs);
+  if (rentRoll) validateRentRoll(issues, rentRoll);
+  return issues;
+}
+
+// Checks a parsed project file and returns the list of issues (empty when valid)
+export function validateProject(data) {
+  const issues = [];
+
+  if (!isObject(data)) {
+    return [issue('', 'ملف المشروع يجب أن يكون كائن JSON', 'The project file must contain a JSON object')];
+  }
+
+  if (data.schemaVersion === undefined) {
+    issues.push(issue('schemaVersion', 'رقم إصدار المخطط مفقود', 'schemaVersion is missing'));
+  } else if (data.schemaVersion !== SCHEMA_VERSION) {
+    issues.push(issue(
+      'schemaVersion',
+      `إصدار المخطط ${data.schemaVersion} غير مدعوم (الإصدار المدعوم ${SCHEMA_VERSION})`,
+      `Schema version ${data.schemaVersion} is not supported (expected ${SCHEMA_VERSION})`
+    ));
+    return issues;
+  }
+
+  checkText(issues, data, 'id', '');
+  checkText(issues, data, 'name', '');
+
+  if (checkSection(issues, data, 'land')) validateLand(issues, data.land);
+  if (checkSection(issues, data, 'building')) validateBuilding(issues, data.building, data.land);
+  validateFloors(issues, data.floors, data.building);
+  if (checkSection(issues, data, 'units')) validateUnits(issues, data.units, data.floors);
+  if (checkSection(issues, data, 'costs')) validateCosts(issues, data.costs);
+  if (checkSection(issues, data, 'rates')) {
+    checkRates(issues, data.rates, 'rates');
+    checkNumber(issues, data.rates, 'discountRate', 'rates', { allowZero: true, max: 100, optional: true });
+    checkNumber(issues, data.rates, 'roofPremium', 'rates', { allowZero: true, optional: true });
+  }
+  if (data.opex !== undefined) validateOpex(issues, data.opex);
+  if (data.financing !== undefined) validateFinancing(issues, data.financing, data.costs);
+  if (data.cashflow !== undefined) validateCashflow(issues, data.cashflow);
+  if (data.shortStay !== undefined) validateShortStay(issues, data.shortStay);
+  if (data.scenarios !== undefined) validateScenarios(issues, data.scenarios);
+  if (data.rentRoll !== undefined) validateRentRoll(issues, data.rentRoll);
+  if (data.schedule !== undefined) validateSchedule(issues, data.schedule);
+  if (data.actuals !== undefined) validateActuals(issues, data.actuals);
+  if (data.zoning !== undefined) validateZoning(issues, data.zoning);
+  if (data.parkingLayout !== undefined) validateParkingLayout(issues, data.parkingLayout);
+
+  if (data.features !== undefined && (!Array.isArray(data.features) || !data.features.every(isText))) {
+    issues.push(issue('features', 'المميزات يجب أن تكون قائمة نصوص', 'Features must be a list of strings'));
+  }
+
+  // Paths are built as ".field" for top-level keys; drop the leading dot
+  return issues.map((i) => ({ ...i, path: i.path.replace(/^\./, '') }));
+}
+
+// Fills optional fields with their defaults so the dashboard can rely on them;
+// cost percentages and the total are always computed from the item costs, and
+// the parking spaces from the parking layout
+function normalizeProject(data) {
+  const total = data.costs.items.reduce((sum, row) => sum + row.cost, 0);
+  const withIds = (list, category) => list.map((unit, i) => ({
+    ...unit,
+    id: unit.id || `${category}-${i + 1}`,
+    hasRoof: Boolean(unit.hasRoof),
+    rentBasis: unit.rentBasis || (category === 'commercial' ? 'area' : 'unit'),
+    ...(category === 'residential' && { strategy: unit.strategy || 'monthly' })
+  }));
+
+  const angle = data.parkingLayout?.angle ?? DEFAULT_PARKING_LAYOUT.angle;
+
+  return withParkingCapacity({
+    ...data,
+    office: data.office || '',
+    land: { eastFrontage: 0, westFrontage: 0, value: 0, ...data.land },
+    building: { ...data.building, declaredParking: data.building.parking ?? null },
+    parkingLayout: { ...DEFAULT_PARKING_LAYOUT, aisleWidth: DEFAULT_AISLES[angle], ...data.parkingLayout },
+    floors: data.floors.map((floor) => ({
+      notes: '',
+      shortName: floor.name,
+      ...floor,
+      ...(floor.plan && {
+        plan: {
+          ...floor.plan,
+          spaces: floor.plan.spaces.map((space) => ({ ...space, kind: space.kind || (space.unit ? 'unit' : 'service') }))
+        }
+      })
+    })),
+    units: {
+      commercial: withIds(data.units.commercial, 'commercial'),
+      residential: withIds(data.units.residential, 'residential')
+    },
+    costs: {
+      items: data.costs.items.map((row) => ({ ...row, percent: total > 0 ? (row.cost / total) * 100 : 0 })),
+      total
+    },
+    opex: (data.opex || []).map((item, i) => ({ ...item, id: item.id || `opex-${i + 1}` })),
+    rates: { discountRate: 8, roofPremium: 0, ...data.rates },
+    cashflow: {
+      ...DEFAULT_CASHFLOW,
+      ...data.cashflow,
+      escalation: { ...DEFAULT_CASHFLOW.escalation, ...data.cashflow?.escalation },
+      renewal: {
+        ...DEFAULT_CASHFLOW.renewal,
+        ...data.cashflow?.renewal,
+        step: { ...DEFAULT_CASHFLOW.renewal.step, ...data.cashflow?.renewal?.step }
+      }
+    },
+    shortStay: { ...DEFAULT_SHORT_STAY, ...data.shortStay },
+    financing: data.financing ? { ...DEFAULT_FINANCING, ...data.financing, enabled: true } : null,
+    scenarios: data.scenarios || [],
+    rentRoll: data.rentRoll || [],
+    actuals: {
+      entries: (data.actuals?.entries || []).map((entry, i) => ({ id: `entry-${i + 1}`, supplier: '', description: '', ...entry })),
+      closed: data.actuals?.closed || []
+    },
+    schedule: data.schedule
+      ? { ...data.schedule, phases: data.schedule.phases.map((phase) => ({ dependsOn: [], costs: [], ...phase })) }
+      : null,
+    zoning: data.zoning || null,
+    features: data.features || []
+  });
+}
+
+// Parses raw JSON text (or an already parsed object) into a validated project
+export function parseProject(input, source = '') {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (err) {
+      throw new ProjectFileError([
+        issue('', `تعذر قراءة JSON: ${err.message}`, `Invalid JSON: ${err.message}`)
+      ], source);
+    }
+  }
+
+  const issues = validateProject(data);
+  if (issues.length > 0) throw new ProjectFileError(issues, source);
+  return normalizeProject(data);
+}
+
+// Downloads and parses a project file from a URL
+export async function fetchProject(url) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (err) {
+    throw new ProjectFileError([
+      issue('', `تعذر تحميل ملف المشروع: ${err.message}`, `Could not load the project file: ${err.message}`)
+    ], url);
+  }
+  if (!response.ok) {
+    throw new ProjectFileError([
+      issue('', `تعذر تحميل ملف المشروع (${response.status})`, `Could not load the project file (HTTP ${response.status})`)
+    ], url);
+  }
+  return parseProject(await response.text(), url);
+}
+
+// Lists the project files bundled under public/projects/ (see index.json there)
+export async function fetchProjectManifest() {
+  const url = `${PROJECTS_BASE_URL}index.json`;
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new ProjectFileError([
+      issue('', `تعذر تحميل قائمة المشاريع (${response.status})`, `Could not load the project list (HTTP ${response.status})`)
+    ], url);
+  }
+  const manifest = await response.json();
+  return (manifest.projects || []).map((file) => `${PROJECTS_BASE_URL}${file}`);
+}
+
+// Reads a project file chosen by the user with a file picker
+export async function readProjectFile(file) {
+  return parseProject(await file.text(), file.name);
+}
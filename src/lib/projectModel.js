@@ -0,0 +1,169 @@
+// Project calculations shared by the dashboard and the option comparison
+// All functions are pure: they take a loaded project (see projectFile.js) and the
+// simulator rates, and return plain numbers.
+
+import { computeOpex } from './opex';
+import { shortStayYear } from './shortStay';
+
+const sumBy = (list, fn) => list.reduce((sum, item) => sum + fn(item), 0);
+
+// Unit counts and areas
+export function summarizeUnits(project) {
+  const { commercial, residential } = project.units;
+  const totalCommercialUnits = sumBy(commercial, (u) => u.count);
+  const totalResidentialUnits = sumBy(residential, (u) => u.count);
+  const totalCommercialArea = sumBy(commercial, (u) => u.count * u.area);
+  const totalResidentialArea = sumBy(residential, (u) => u.count * u.area);
+
+  return {
+    totalCommercialUnits,
+    totalResidentialUnits,
+    totalUnits: totalCommercialUnits + totalResidentialUnits,
+    totalCommercialArea,
+    totalResidentialArea,
+    leasableArea: totalCommercialArea + totalResidentialArea,
+    totalArea: sumBy(project.floors, (f) => f.area)
+  };
+}
+
+// Rent bases for a unit type: per unit per month, or per m² per year
+export const RENT_BASES = ['unit', 'area'];
+
+// Multiplier applied to a unit type's own rent: the simulator rates act as a
+// market index, so each type's rent is scaled by the ratio of the simulator rate
+// to the project's reference rate for its category; units with a private roof
+// also get the roof premium.
+function rentFactor(unit, category, project, rates) {
+  const rateKey = category === 'commercial' ? 'commercialRate' : 'residentialRate';
+  const reference = project.rates[rateKey];
+  const scale = reference > 0 ? rates[rateKey] / reference : 1;
+  const roofPremium = unit.hasRoof ? 1 + (project.rates.roofPremium || 0) / 100 : 1;
+  return scale * roofPremium;
+}
+
+// Monthly rent of one unit of a type at full occupancy.
+// Types without a rent use the category rate directly.
+export function unitMonthlyRent(unit, category, project, rates) {
+  const rateKey = category === 'commercial' ? 'commercialRate' : 'residentialRate';
+  const basis = unit.rentBasis || (category === 'commercial' ? 'area' : 'unit');
+  const rent = unit.rent ?? project.rates[rateKey];
+
+  const base = basis === 'area' ? (rent * unit.area) / 12 : rent;
+  return base * rentFactor(unit, category, project, rates);
+}
+
+// Rental strategy actually used by a unit type: only residential types with a
+// nightly rate can be leased by the night
+export function unitStrategy(unit, category) {
+  return category === 'residential' && unit.strategy === 'daily' && unit.nightlyRate > 0 ? 'daily' : 'monthly';
+}
+
+// Monthly rent and income of every unit type.
+// Monthly types earn their rent at the simulator occupancy. Daily types follow
+// the seasonal curve in project.shortStay instead; their monthlyRent is the
+// average monthly booking revenue of one unit and their income is net of the
+// platform commission and cleaning (reported in `shortStay` per unit per year).
+export function unitTypeIncome(project, rates) {
+  const rows = [];
+  ['commercial', 'residential'].forEach((category) => {
+    project.units[category].forEach((unit) => {
+      const strategy = unitStrategy(unit, category);
+      if (strategy === 'daily') {
+        const year = shortStayYear(unit.nightlyRate * rentFactor(unit, category, project, rates), project.shortStay);
+        rows.push({
+          ...unit,
+          category,
+          strategy,
+          shortStay: year,
+          monthlyRent: year.revenue / 12,
+          monthlyIncome: (year.net / 12) * unit.count
+        });
+        return;
+      }
+
+      const monthlyRent = unitMonthlyRent(unit, category, project, rates);
+      rows.push({
+        ...unit,
+        category,
+        strategy,
+        shortStay: null,
+        monthlyRent,
+        monthlyIncome: monthlyRent * unit.count * (rates.occupancy / 100)
+      });
+    });
+  });
+  return rows;
+}
+
+// Gross income, operating expenses and net operating income (NOI) for the given
+// occupancy (%), commercial rate (SAR/m²/year) and residential rate (SAR/unit/month).
+// Income is summed from the rent of each unit type (see unitTypeIncome); for
+// short-stay types it is already net of the platform commission and cleaning.
+// Yield and payback are based on NOI; the gross figures are kept for comparison.
+export function computeIncome(project, rates, opexItems = project.opex) {
+  const { totalUnits, totalArea } = summarizeUnits(project);
+
+  const byType = unitTypeIncome(project, rates);
+  const monthlyCommercialIncome = sumBy(byType.filter((u) => u.category === 'commercial'), (u) => u.monthlyIncome);
+  const monthlyResidentialIncome = sumBy(byType.filter((u) => u.category === 'residential'), (u) => u.monthlyIncome);
+  const totalMonthlyIncome = monthlyCommercialIncome + monthlyResidentialIncome;
+  const annualIncome = totalMonthlyIncome * 12;
+
+  const opex = computeOpex(opexItems, { grossAnnualIncome: annualIncome, totalUnits, totalArea });
+  const annualNOI = annualIncome - opex.total;
+
+  const daily = byType.filter((u) => u.strategy === 'daily');
+  const shortStayCosts = {
+    commission: sumBy(daily, (u) => u.shortStay.commission * u.count),
+    cleaning: sumBy(daily, (u) => u.shortStay.cleaning * u.count)
+  };
+
+  return {
+    unitIncome: byType,
+    monthlyCommercialIncome,
+    monthlyResidentialIncome,
+    totalMonthlyIncome,
+    annualIncome,
+    shortStayCosts,
+    opexRows: opex.rows,
+    annualOpex: opex.total,
+    annualNOI,
+    monthlyNOI: annualNOI / 12,
+    grossYield: (annualIncome / project.costs.total) * 100,
+    annualYield: (annualNOI / project.costs.total) * 100,
+    paybackYears: annualNOI > 0 ? project.costs.total / annualNOI : Infinity
+  };
+}
+
+// Annual results of leasing every residential type by the month, every type by
+// the night, or each type as set in the project (mixed). Types without a
+// nightly rate stay monthly in the all-daily strategy.
+export function compareRentalStrategies(project, rates, opexItems = project.opex) {
+  const withStrategy = (strategy) => ({
+    ...project,
+    units: {
+      ...project.units,
+      residential: project.units.residential.map((unit) => ({ ...unit, strategy: strategy || unit.strategy }))
+    }
+  });
+
+  return [
+    { id: 'monthly', project: withStrategy('monthly') },
+    { id: 'daily', project: withStrategy('daily') },
+    { id: 'mixed', project: withStrategy(null) }
+  ].map(({ id, project: variant }) => {
+    const income = computeIncome(variant, rates, opexItems);
+    const { commission, cleaning } = income.shortStayCosts;
+    return {
+      id,
+      dailyUnits: sumBy(income.unitIncome.filter((u) => u.strategy === 'daily'), (u) => u.count),
+      residentialRevenue: income.monthlyResidentialIncome * 12 + commission + cleaning,
+      commission,
+      cleaning,
+      annualIncome: income.annualIncome,
+      annualOpex: income.annualOpex,
+      annualNOI: income.annualNOI,
+      annualYield: income.annualYield
+    };
+  });
+}
@@ -0,0 +1,302 @@
+// Dashboard tables as spreadsheets, and reading edited unit and cost sheets back
+// Sheet layouts are shared by XLSX and CSV; headers and the labels below are in
+// Arabic in both interface languages and are also how imported columns and
+// values are recognized.
+
+import { ProjectFileError, validateSheetTables } from './projectFile';
+import { parseCsv, parseXlsx, rowsToRecords } from './spreadsheet';
+
+const CATEGORIES = { commercial: 'تجاري', residential: 'سكني' };
+const RENT_BASES = { unit: 'ريال/وحدة شهرياً', area: 'ريال/م² سنوياً' };
+const STRATEGIES = { monthly: 'شهري', daily: 'يومي' };
+const STATUSES = { available: 'متاحة', reserved: 'محجوزة', leased: 'مؤجرة', maintenance: 'تحت الصيانة' };
+const YES = 'نعم';
+const NO = 'لا';
+
+// Columns marked `computed` are exported for reference and ignored on import
+export const UNIT_COLUMNS = [
+  { key: 'id', header: 'المعرف' },
+  { key: 'category', header: 'الفئة' },
+  { key: 'type', header: 'النوع' },
+  { key: 'floor', header: 'الدور' },
+  { key: 'count', header: 'العدد' },
+  { key: 'area', header: 'المساحة (م²)' },
+  { key: 'depth', header: 'العمق (م)' },
+  { key: 'rent', header: 'الإيجار الأساسي' },
+  { key: 'rentBasis', header: 'أساس الإيجار' },
+  { key: 'strategy', header: 'نمط التأجير' },
+  { key: 'nightlyRate', header: 'السعر الليلي' },
+  { key: 'hasRoof', header: 'سطح خاص' },
+  { key: 'monthlyRent', header: 'الإيجار الشهري الفعلي', computed: true },
+  { key: 'monthlyIncome', header: 'الدخل الشهري', computed: true }
+];
+
+export const COST_COLUMNS = [
+  { key: 'item', header: 'البند' },
+  { key: 'cost', header: 'التكلفة (ريال)' },
+  { key: 'percent', header: 'النسبة (%)', computed: true }
+];
+
+export const RENT_ROLL_COLUMNS = [
+  { key: 'id', header: 'رقم الوحدة' },
+  { key: 'label', header: 'الوحدة' },
+  { key: 'type', header: 'النوع', computed: true },
+  { key: 'floor', header: 'الدور', computed: true },
+  { key: 'status', header: 'الحالة' },
+  { key: 'tenant', header: 'المستأجر' },
+  { key: 'leaseStart', header: 'بداية العقد' },
+  { key: 'leaseEnd', header: 'نهاية العقد' },
+  { key: 'rent', header: 'الإيجار التعاقدي (شهري)' },
+  { key: 'deposit', header: 'مبلغ التأمين' }
+];
+
+const PROJECTION_COLUMNS = [
+  { key: 'year', header: 'السنة' },
+  { key: 'months', header: 'أشهر التشغيل' },
+  { key: 'occupancy', header: 'الإشغال (%)' },
+  { key: 'commercial', header: 'الدخل التجاري' },
+  { key: 'residential', header: 'الدخل السكني' },
+  { key: 'income', header: 'الدخل الإجمالي' },
+  { key: 'opex', header: 'المصاريف التشغيلية' },
+  { key: 'noi', header: 'صافي الدخل' },
+  { key: 'cumulative', header: 'التراكمي' }
+];
+
+const SCENARIO_COLUMNS = [
+  { key: 'name', header: 'السيناريو' },
+  { key: 'occupancy', header: 'الإشغال (%)' },
+  { key: 'commercialRate', header: 'إيجار المتر التجاري' },
+  { key: 'residentialRate', header: 'إيجار الوحدة السكنية' },
+  { key: 'monthlyIncome', header: 'الدخل الشهري' },
+  { key: 'annualNOI', header: 'صافي الدخل السنوي' },
+  { key: 'npv', header: 'صافي القيمة الحالية' },
+  { key: 'paybackYears', header: 'الاسترداد (سنة)' },
+  { key: 'annualYield', header: 'العائد الصافي (%)' }
+];
+
+export const SHEET_NAMES = {
+  units: 'الوحدات',
+  costs: 'التكاليف',
+  rentRoll: 'سجل الإيجارات',
+  projection: 'التوقعات',
+  scenarios: 'السيناريوهات'
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// income: computeIncome() result for the current state
+export function unitSheet(project, income) {
+  return {
+    name: SHEET_NAMES.units,
+    columns: UNIT_COLUMNS,
+    rows: income.unitIncome.map((u) => ({
+      id: u.id,
+      category: CATEGORIES[u.category],
+      type: u.type,
+      floor: project.floors.find((f) => f.id === u.floor)?.shortName || u.floor,
+      count: u.count,
+      area: u.area,
+      depth: u.depth,
+      rent: u.rent,
+      rentBasis: RENT_BASES[u.rentBasis],
+      strategy: u.category === 'residential' ? STRATEGIES[u.strategy] : undefined,
+      nightlyRate: u.nightlyRate,
+      hasRoof: u.hasRoof ? YES : NO,
+      monthlyRent: round(u.monthlyRent),
+      monthlyIncome: round(u.monthlyIncome)
+    }))
+  };
+}
+
+export function costSheet(project) {
+  return {
+    name: SHEET_NAMES.costs,
+    columns: COST_COLUMNS,
+    rows: project.costs.items.map((row) => ({
+      item: row.item,
+      cost: row.cost,
+      percent: round((row.cost / project.costs.total) * 100, 1)
+    }))
+  };
+}
+
+export function rentRollSheet(project) {
+  const allUnits = [...project.units.commercial, ...project.units.residential];
+  return {
+    name: SHEET_NAMES.rentRoll,
+    columns: RENT_ROLL_COLUMNS,
+    rows: project.rentRoll.map((record) => {
+      const unit = allUnits.find((u) => u.id === record.unitId);
+      return {
+        ...record,
+        type: unit?.type,
+        floor: project.floors.find((f) => f.id === unit?.floor)?.shortName,
+        status: STATUSES[record.status]
+      };
+    })
+  };
+}
+
+export function projectionSheet(projection) {
+  return {
+    name: SHEET_NAMES.projection,
+    columns: PROJECTION_COLUMNS,
+    rows: projection.map((row) => ({ ...row, year: row.calendarYear || row.year, occupancy: round(row.occupancy, 1) }))
+  };
+}
+
+// scenarios: [{ scenario, result }] with evaluateScenario() results
+export function scenarioSheet(scenarios) {
+  return {
+    name: SHEET_NAMES.scenarios,
+    columns: SCENARIO_COLUMNS,
+    rows: scenarios.map(({ scenario, result }) => ({
+      name: scenario.name,
+      occupancy: scenario.assumptions.rates.occupancy,
+      commercialRate: scenario.assumptions.rates.commercialRate,
+      residentialRate: scenario.assumptions.rates.residentialRate,
+      monthlyIncome: round(result.totalMonthlyIncome),
+      annualNOI: round(result.annualNOI),
+      npv: round(result.npv),
+      paybackYears: Number.isFinite(result.paybackYears) ? round(result.paybackYears) : null,
+      annualYield: round(result.annualYield)
+    }))
+  };
+}
+
+// Reverse lookup of an Arabic label (or the id itself) in a { id: label } map
+const idOf = (map, value) => Object.keys(map).find((id) => id === value || map[id] === value);
+
+// Numbers may arrive as text from CSV, possibly with thousands separators
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  const n = Number(String(value).replace(/[,٬\s]/g, ''));
+  return Number.isFinite(n) ? n : value;
+};
+
+// Excel stores edited dates as day numbers counted from 1899-12-30
+const toDate = (value) => {
+  if (typeof value === 'number') return new Date(Date.UTC(1899, 11, 30) + Math.round(value) * 86400000).toISOString().slice(0, 10);
+  return value === undefined ? '' : String(value);
+};
+
+// Rent roll records are matched to the current ones by unit number
+function rentRollFromRecords(records, project, issues) {
+  const rentRoll = project.rentRoll.map((r) => ({ ...r }));
+  records.forEach((record, i) => {
+    const path = `${SHEET_NAMES.rentRoll}:${i + 2}`;
+    const current = rentRoll.find((r) => r.id === String(record.id));
+    if (!current) {
+      issues.push({ path, ar: `الوحدة "${record.id ?? ''}" غير موجودة في سجل الإيجارات`, en: `Unit "${record.id ?? ''}" is not in the rent roll` });
+      return;
+    }
+    const status = idOf(STATUSES, record.status);
+    if (!status) {
+      issues.push({
+        path,
+        ar: `الحالة يجب أن تكون أحد: ${Object.values(STATUSES).join('، ')}`,
+        en: `Status must be one of: ${Object.keys(STATUSES).join(', ')}`
+      });
+      return;
+    }
+    Object.assign(current, {
+      label: record.label || current.label,
+      status,
+      tenant: record.tenant === undefined ? '' : String(record.tenant),
+      leaseStart: toDate(record.leaseStart),
+      leaseEnd: toDate(record.leaseEnd),
+      rent: record.rent === undefined ? null : toNumber(record.rent),
+      deposit: record.deposit === undefined ? null : toNumber(record.deposit)
+    });
+  });
+  return rentRoll;
+}
+
+// A sheet is recognized by the headers of the columns it cannot do without
+const hasHeaders = (rows, columns, keys) => rows.length > 0 && columns
+  .filter((col) => keys.includes(col.key))
+  .every((col) => rows[0].some((header) => String(header).trim() === col.header));
+
+function unitsFromRecords(records, project, issues) {
+  const units = { commercial: [], residential: [] };
+
+  records.forEach((record, i) => {
+    const category = idOf(CATEGORIES, record.category);
+    if (!category) {
+      issues.push({
+        path: `${SHEET_NAMES.units}:${i + 2}`,
+        ar: `الفئة يجب أن تكون "${CATEGORIES.commercial}" أو "${CATEGORIES.residential}"`,
+        en: 'Category must be commercial or residential'
+      });
+      return;
+    }
+    const floor = project.floors.find((f) => [f.id, f.shortName, f.name].includes(record.floor));
+    const unit = {
+      id: record.id || `${category}-${units[category].length + 1}`,
+      type: record.type,
+      floor: floor ? floor.id : record.floor,
+      count: toNumber(record.count),
+      area: toNumber(record.area),
+      hasRoof: record.hasRoof === YES || record.hasRoof === true,
+      rentBasis: idOf(RENT_BASES, record.rentBasis) || (category === 'commercial' ? 'area' : 'unit')
+    };
+    if (record.depth !== undefined) unit.depth = toNumber(record.depth);
+    if (record.rent !== undefined) unit.rent = toNumber(record.rent);
+    if (category === 'residential') {
+      unit.strategy = idOf(STRATEGIES, record.strategy) || 'monthly';
+      if (record.nightlyRate !== undefined) unit.nightlyRate = toNumber(record.nightlyRate);
+    }
+    units[category].push(unit);
+  });
+  return units;
+}
+
+const costsFromRecords = (records) => records.map((record) => ({ item: record.item, cost: toNumber(record.cost) }));
+
+// Reads an edited unit schedule, cost sheet and/or rent roll (.xlsx workbook or
+// .csv) back into dashboard data. Sheets are recognized by their headers, so any
+// exported file works. Returns { units?, costs?, rentRoll? } for the sheets found;
+// throws a ProjectFileError when nothing usable is found or the project would be invalid.
+export async function readSheetsFile(file, project) {
+  const fail = (issues) => {
+    throw new ProjectFileError(issues, file.name);
+  };
+
+  let sheets;
+  try {
+    sheets = /\.xlsx$/i.test(file.name)
+      ? await parseXlsx(await file.arrayBuffer())
+      : [{ name: file.name, rows: parseCsv(await file.text()) }];
+  } catch (err) {
+    fail([{ path: '', ar: `تعذر قراءة الملف: ${err.message}`, en: `Could not read the file: ${err.message}` }]);
+  }
+
+  const issues = [];
+  const result = {};
+  const unitRows = sheets.find((sheet) => hasHeaders(sheet.rows, UNIT_COLUMNS, ['category', 'type', 'floor', 'count', 'area']))?.rows;
+  const costRows = sheets.find((sheet) => hasHeaders(sheet.rows, COST_COLUMNS, ['item', 'cost']))?.rows;
+  const rentRollRows = sheets.find((sheet) => hasHeaders(sheet.rows, RENT_ROLL_COLUMNS, ['id', 'status']))?.rows;
+  if (unitRows) result.units = unitsFromRecords(rowsToRecords(unitRows, UNIT_COLUMNS), project, issues);
+  if (costRows) {
+    const items = costsFromRecords(rowsToRecords(costRows, COST_COLUMNS));
+    result.costs = { items, total: items.reduce((sum, row) => sum + (typeof row.cost === 'number' ? row.cost : 0), 0) };
+  }
+  if (rentRollRows) result.rentRoll = rentRollFromRecords(rowsToRecords(rentRollRows, RENT_ROLL_COLUMNS), project, issues);
+  if (!unitRows && !costRows && !rentRollRows) {
+    fail([{
+      path: '',
+      ar: `لم يتم العثور على جدول وحدات أو تكاليف أو سجل إيجارات بعناوين الأعمدة المصدّرة (مثل "${UNIT_COLUMNS[1].header}" أو "${COST_COLUMNS[0].header}" أو "${RENT_ROLL_COLUMNS[0].header}")`,
+      en: 'No unit schedule, cost sheet or rent roll with the exported column headers was found'
+    }]);
+  }
+  if (issues.length > 0) fail(issues);
+
+  // The imported tables must pass the project file checks of their sections
+  const problems = validateSheetTables(result, project);
+  if (problems.length > 0) fail(problems);
+
+  if (result.costs) {
+    result.costs.items = result.costs.items.map((row) => ({ ...row, percent: round((row.cost / result.costs.total) * 100, 1) }));
+  }
+  return result;
+}
@@ -0,0 +1,47 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { parseProject } from './projectFile';
+import { computeIncome } from './projectModel';
+import { costSheet, readSheetsFile, unitSheet } from './projectSheets';
+import { toCsv } from './spreadsheet';
+
+const sample = JSON.parse(readFileSync(new URL('../../public/projects/office-a.json', import.meta.url), 'utf8'));
+
+// The sample project without the sections a minimal project file leaves out
+const minimalProject = () => {
+  const { schedule, zoning, financing, scenarios, rentRoll, actuals, ...rest } = sample;
+  return parseProject(rest);
+};
+
+// An exported sheet saved as CSV (XLSX reading needs the browser's DOMParser)
+const csvFile = (sheet) => ({ name: 'export.csv', text: async () => toCsv(sheet) });
+
+describe('readSheetsFile', () => {
+  it('reads back the exported sheets of a project without a schedule or zoning', async () => {
+    const project = minimalProject();
+    expect(project.schedule).toBeNull();
+    expect(project.zoning).toBeNull();
+
+    const { units } = await readSheetsFile(csvFile(unitSheet(project, computeIncome(project, project.rates))), project);
+    const summary = (list) => list.map((u) => [u.id, u.count, u.area, u.rent, u.rentBasis, u.strategy]);
+    expect(summary(units.commercial)).toEqual(summary(project.units.commercial));
+    expect(summary(units.residential)).toEqual(summary(project.units.residential));
+
+    const { costs } = await readSheetsFile(csvFile(costSheet(project)), project);
+    expect(costs.items.map((row) => row.cost)).toEqual(project.costs.items.map((row) => row.cost));
+    expect(costs.total).toBe(project.costs.total);
+  });
+
+  it('rejects imported tables that break the project file rules', async () => {
+    const project = parseProject(sample);
+    const sheet = costSheet(project);
+    sheet.rows[0].cost = -5;
+    await expect(readSheetsFile(csvFile(sheet), project)).rejects.toThrow('costs.items[0].cost');
+  });
+
+  it('round-trips a project with a schedule and zoning', async () => {
+    const project = parseProject(sample);
+    const imported = await readSheetsFile(csvFile(costSheet(project)), project);
+    expect(imported.costs.total).toBe(project.costs.total);
+  });
+});
@@ -0,0 +1,98 @@
+// Rent roll: one record per individual unit for operating the building
+// Unit types in the project only carry counts; the rent roll lists each unit
+// with its leasing status, tenant, lease dates, contracted rent and deposit.
+// Records are kept per project in localStorage, seeded from the project file.
+
+import { unitSpaceSequence } from './floorPlan';
+
+const STORAGE_PREFIX = 'building-project-dashboard:rent-roll:';
+
+export const LEASE_STATUSES = {
+  available: { color: '#94a3b8' },
+  reserved: { color: '#f59e0b' },
+  leased: { color: '#22c55e' },
+  maintenance: { color: '#ef4444' }
+};
+
+export const DEFAULT_ALERT_DAYS = 60;
+
+// Dates are ISO "YYYY-MM-DD" strings, compared as text
+export const isoDate = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 10);
+};
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+
+const blankRecord = (id, unitId, label) => ({
+  id, unitId, label, status: 'available', tenant: '', leaseStart: '', leaseEnd: '', rent: null, deposit: null
+});
+
+// One available record per unit: drawn units take their plan space id and
+// label, units of a type beyond those drawn are numbered "<type id>-<n>"
+export function blankRentRoll(project) {
+  const drawn = unitSpaceSequence(project);
+  const labels = Object.fromEntries(project.floors.flatMap((f) => (f.plan?.spaces || []).map((s) => [s.id, s.label])));
+  return [...project.units.commercial, ...project.units.residential].flatMap((unit) => {
+    const spaces = drawn.filter((s) => s.unitId === unit.id).slice(0, unit.count);
+    return Array.from({ length: unit.count }, (_, i) => (spaces[i]
+      ? blankRecord(spaces[i].spaceId, unit.id, labels[spaces[i].spaceId] || `${unit.type} ${i + 1}`)
+      : blankRecord(`${unit.id}-${i + 1}`, unit.id, `${unit.type} ${i + 1}`)));
+  });
+}
+
+// The rent roll for the project's current units, keeping the details of
+// records whose id is still there; records of removed units are dropped
+export function reconcileRentRoll(records, project) {
+  const byId = Object.fromEntries((records || []).map((r) => [r.id, r]));
+  return blankRentRoll(project).map((blank) => (byId[blank.id]
+    ? { ...blank, ...byId[blank.id], unitId: blank.unitId, label: byId[blank.id].label || blank.label }
+    : blank));
+}
+
+// Saved rent roll of a project, or null when none was saved yet
+export function loadRentRoll(projectId) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_PREFIX + projectId));
+    return Array.isArray(saved) ? saved : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveRentRoll(projectId, records) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + projectId, JSON.stringify(records));
+  } catch {
+    // Storage full or disabled (private mode): the rent roll stays for this session only
+  }
+}
+
+// A leased unit earns its contracted rent while the lease runs
+export const isActiveLease = (record, today) => record.status === 'leased'
+  && (!record.leaseStart || record.leaseStart <= today)
+  && (!record.leaseEnd || record.leaseEnd >= today);
+
+// Actual occupancy and income from the rent roll, and lease alerts
+// Returns { total, counts by status, leased (active leases), occupancy (%),
+// monthlyIncome, deposits, expiring: [{ record, days }], expired: [records] }
+export function rentRollSummary(records, today, alertDays = DEFAULT_ALERT_DAYS) {
+  const counts = Object.fromEntries(Object.keys(LEASE_STATUSES).map((status) => [status, 0]));
+  records.forEach((r) => {
+    counts[r.status] += 1;
+  });
+  const active = records.filter((r) => isActiveLease(r, today));
+
+  return {
+    total: records.length,
+    counts,
+    leased: active.length,
+    occupancy: records.length > 0 ? (active.length / records.length) * 100 : 0,
+    monthlyIncome: active.reduce((sum, r) => sum + (r.rent || 0), 0),
+    deposits: records.filter((r) => r.status === 'leased').reduce((sum, r) => sum + (r.deposit || 0), 0),
+    expiring: active
+      .filter((r) => r.leaseEnd && daysBetween(today, r.leaseEnd) <= alertDays)
+      .map((record) => ({ record, days: daysBetween(today, record.leaseEnd) }))
+      .sort((a, b) => a.days - b.days),
+    expired: records.filter((r) => r.status === 'leased' && r.leaseEnd && r.leaseEnd < today)
+  };
+}
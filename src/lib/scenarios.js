@@ -0,0 +1,193 @@
+// Saved scenarios
+// A scenario is a named snapshot of every assumption the dashboard lets the user
+// change. Scenarios are kept per project in localStorage and can be exported to
+// and imported from JSON files.
+
+import { projectCashFlows } from './cashflow';
+import { investmentMetrics } from './finance';
+import { amortizationSchedule, leveredMetrics } from './financing';
+import { validateAssumptions } from './projectFile';
+import { computeIncome } from './projectModel';
+import { projectionTimeline } from './schedule';
+import { applyMassing, withParkingCapacity } from './sitePlan';
+
+const STORAGE_PREFIX = 'building-project-dashboard:scenarios:';
+const FILE_TYPE = 'building-project-scenarios';
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Invalid scenario file; like the project file issues it carries the message in
+// both interface languages ({ ar, en }), the English one as the Error message
+export class ScenarioFileError extends Error {
+  constructor(ar, en) {
+    super(en);
+    this.name = 'ScenarioFileError';
+    this.ar = ar;
+    this.en = en;
+  }
+}
+
+export const newScenarioId = () => `scenario-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+// Assumptions of a freshly loaded project; saved scenarios are merged onto these
+// so files that only set some of them (e.g. the three rates) stay usable.
+// Shape: { rates, units, opex, cashflow, shortStay, financing }
+export function baselineAssumptions(project, financing) {
+  return {
+    rates: {
+      occupancy: project.rates.occupancy,
+      commercialRate: project.rates.commercialRate,
+      residentialRate: project.rates.residentialRate,
+      discountRate: project.rates.discountRate,
+      roofPremium: project.rates.roofPremium
+    },
+    units: project.units,
+    opex: project.opex,
+    cashflow: project.cashflow,
+    shortStay: project.shortStay,
+    financing
+  };
+}
+
+// Fills a scenario's missing assumptions from the baseline
+export function normalizeScenario(raw, baseline) {
+  const assumptions = isObject(raw.assumptions) ? raw.assumptions : {};
+  return {
+    id: raw.id || newScenarioId(),
+    name: raw.name,
+    assumptions: {
+      ...baseline,
+      ...assumptions,
+      rates: { ...baseline.rates, ...assumptions.rates }
+    }
+  };
+}
+
+// Scenarios listed in the project file have only the three simulator rates
+export function projectFileScenarios(project, baseline) {
+  return project.scenarios.map(({ name, occupancy, commercialRate, residentialRate }, i) => normalizeScenario({
+    id: `${project.id}-scenario-${i + 1}`,
+    name,
+    assumptions: { rates: { occupancy, commercialRate, residentialRate } }
+  }, baseline));
+}
+
+// A stored or imported scenario without a name or with a malformed assumptions section
+const isMalformed = (s) => (
+  !isObject(s) || typeof s.name !== 'string' || s.name.trim() === ''
+  || (s.assumptions !== undefined && !isObject(s.assumptions))
+  || (s.assumptions?.rates !== undefined && !isObject(s.assumptions.rates))
+);
+
+// Saved scenarios of a project, or null when none were saved yet. Like imported
+// ones they are checked against `project`; those that no longer pass (e.g. units
+// on a floor the project file has since dropped) are left out.
+export function loadScenarios(projectId, baseline, project) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_PREFIX + projectId));
+    if (!Array.isArray(saved)) return null;
+    return saved
+      .filter((s) => !isMalformed(s))
+      .map((s) => normalizeScenario(s, baseline))
+      .filter((scenario) => validateAssumptions(scenario.assumptions, project).length === 0);
+  } catch {
+    return null;
+  }
+}
+
+export function saveScenarios(projectId, scenarios) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + projectId, JSON.stringify(scenarios));
+  } catch {
+    // Storage full or disabled (private mode): scenarios stay for this session only
+  }
+}
+
+export function exportScenarios(projectId, scenarios) {
+  return JSON.stringify({ type: FILE_TYPE, projectId, scenarios }, null, 2);
+}
+
+// Reads an exported scenario file; throws a ScenarioFileError when invalid.
+// Imported scenarios get new ids so they never replace existing ones. Their
+// assumptions, once merged onto the baseline, must pass the project file checks
+// against `project` (the floors and costs they will be applied to).
+export function parseScenarioFile(text, baseline, project) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new ScenarioFileError(`تعذر قراءة JSON: ${err.message}`, `Invalid JSON: ${err.message}`);
+  }
+  if (!isObject(data) || data.type !== FILE_TYPE || !Array.isArray(data.scenarios)) {
+    throw new ScenarioFileError('الملف ليس ملف سيناريوهات مُصدّراً من هذه اللوحة', 'The file is not a scenario file exported from this dashboard');
+  }
+  const invalid = data.scenarios.findIndex(isMalformed);
+  if (invalid !== -1) {
+    throw new ScenarioFileError(
+      `السيناريو رقم ${invalid + 1} بلا اسم أو غير صالح`,
+      `Scenario ${invalid + 1} has no name or is invalid`
+    );
+  }
+  const scenarios = data.scenarios.map((s) => normalizeScenario({ ...s, id: undefined }, baseline));
+  scenarios.forEach((scenario) => {
+    const [first] = validateAssumptions(scenario.assumptions, project);
+    if (first) {
+      throw new ScenarioFileError(
+        `السيناريو "${scenario.name}": ${first.path}: ${first.ar}`,
+        `Scenario "${scenario.name}": ${first.path}: ${first.en}`
+      );
+    }
+  });
+  return scenarios;
+}
+
+// The project and simulator rates described by a set of assumptions
+export function applyAssumptions(project, { rates, units, shortStay }) {
+  return {
+    project: { ...project, units, shortStay, rates: { ...project.rates, roofPremium: rates.roofPremium } },
+    rates: { occupancy: rates.occupancy, commercialRate: rates.commercialRate, residentialRate: rates.residentialRate }
+  };
+}
+
+// Headline results and the yearly projection of one scenario on the dashboard's
+// project before massing; its units are resized with `massing` (see applyMassing
+// in lib/sitePlan.js) as the dashboard's are. The scenario's loan is drawn and
+// repaid as on the dashboard: repayment starts after the grace period, counted
+// from the start of construction when the project has a schedule.
+export function evaluateScenario(unmassedProject, scenario, massing = null) {
+  const { assumptions } = scenario;
+  const { financing } = assumptions;
+  const applied = applyAssumptions(unmassedProject, assumptions);
+  const project = withParkingCapacity(applyMassing(applied.project, massing));
+  const { rates } = applied;
+  const income = computeIncome(project, rates, assumptions.opex);
+  const projection = projectCashFlows(project, rates, assumptions.opex, assumptions.cashflow);
+  const timeline = project.schedule ? projectionTimeline(project.schedule) : null;
+  const investment = project.costs.total + (project.land.value || 0);
+  const levered = leveredMetrics({
+    investment,
+    loanAmount: financing.enabled ? financing.loanAmount : 0,
+    schedule: financing.enabled ? amortizationSchedule(financing) : [],
+    yearlyIncome: projection.map((row) => row.noi),
+    repaymentStart: timeline ? timeline.constructionStart + financing.graceMonths : 0,
+    firstFullYear: projection.findIndex((row) => row.months === 12)
+  });
+  const metrics = investmentMetrics({
+    investment,
+    yearlyIncome: projection.map((row) => row.noi),
+    discountRate: assumptions.rates.discountRate / 100,
+    yearlyDebtService: levered.debtService
+  });
+
+  return {
+    totalMonthlyIncome: income.totalMonthlyIncome,
+    annualNOI: income.annualNOI,
+    annualYield: income.annualYield,
+    paybackYears: income.paybackYears,
+    npv: metrics.npv,
+    irr: metrics.irr,
+    leveredIrr: levered.leveredIrr,
+    dscr: metrics.dscr,
+    projection
+  };
+}
@@ -0,0 +1,83 @@
+import { readFileSync } from 'node:fs';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { DEFAULT_FINANCING } from './financing';
+import { parseProject } from './projectFile';
+import { computeIncome } from './projectModel';
+import {
+  ScenarioFileError, baselineAssumptions, evaluateScenario, exportScenarios, loadScenarios, parseScenarioFile, saveScenarios
+} from './scenarios';
+import { applyMassing, massingOf } from './sitePlan';
+
+const project = parseProject(JSON.parse(readFileSync(new URL('../../public/projects/office-a.json', import.meta.url), 'utf8')));
+// The dashboard's financing when the project file has none: half the cost, disabled
+const financing = { ...DEFAULT_FINANCING, loanAmount: Math.round(project.costs.total * 0.5) };
+const baseline = baselineAssumptions(project, financing);
+
+const scenarioFile = (assumptions) => exportScenarios(project.id, [{ name: 'Test', assumptions }]);
+
+describe('parseScenarioFile', () => {
+  it('fills the assumptions a scenario leaves out from the baseline', () => {
+    const [scenario] = parseScenarioFile(scenarioFile({ rates: { occupancy: 80 } }), baseline, project);
+    expect(scenario.assumptions.rates).toEqual({ ...baseline.rates, occupancy: 80 });
+    expect(scenario.assumptions.units).toBe(baseline.units);
+  });
+
+  it('rejects assumptions that fail the project file checks', () => {
+    const unit = project.units.commercial[0];
+    const invalid = [
+      { units: {} },
+      { units: { ...project.units, commercial: [{ ...unit, rent: 'high' }] } },
+      { rates: { occupancy: 150 } },
+      { opex: 'none' },
+      { financing: { ...financing, tenorYears: 'ten' } }
+    ];
+    invalid.forEach((assumptions) => {
+      expect(() => parseScenarioFile(scenarioFile(assumptions), baseline, project)).toThrow(ScenarioFileError);
+    });
+  });
+
+  it('names the scenario and the field in the error', () => {
+    expect(() => parseScenarioFile(scenarioFile({ units: {} }), baseline, project))
+      .toThrow('Scenario "Test": units.commercial: Unit list is missing');
+  });
+});
+
+describe('evaluateScenario', () => {
+  it('includes the debt service of the scenario financing', () => {
+    const withoutLoan = evaluateScenario(project, { assumptions: baseline });
+    expect(withoutLoan.dscr).toBeNull();
+    expect(withoutLoan.leveredIrr).toBeCloseTo(withoutLoan.irr, 10);
+
+    const withLoan = evaluateScenario(project, { assumptions: { ...baseline, financing: { ...financing, enabled: true } } });
+    expect(withLoan.npv).toBe(withoutLoan.npv);
+    expect(withLoan.dscr).toBeGreaterThan(0);
+    expect(withLoan.leveredIrr).not.toBeCloseTo(withoutLoan.irr, 4);
+  });
+});
+
+describe('loadScenarios', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('leaves out saved scenarios that fail the project file checks', () => {
+    const stored = new Map();
+    vi.stubGlobal('localStorage', { getItem: (key) => stored.get(key) ?? null, setItem: (key, value) => stored.set(key, value) });
+    saveScenarios(project.id, [
+      { id: 'a', name: 'Valid', assumptions: { rates: { occupancy: 80 } } },
+      { id: 'b', name: 'Occupancy', assumptions: { rates: { occupancy: 150 } } },
+      { id: 'c', name: 'Units', assumptions: { units: {} } },
+      { id: 'd', assumptions: {} }
+    ]);
+    expect(loadScenarios(project.id, baseline, project).map((s) => s.id)).toEqual(['a']);
+    expect(loadScenarios('other', baseline, project)).toBeNull();
+  });
+});
+
+describe('evaluateScenario with massing', () => {
+  it('resizes the scenario units and costs as the dashboard does', () => {
+    const massing = { ...massingOf(project.building), depth: project.building.depth * 0.5 };
+    const massed = applyMassing(project, massing);
+    const result = evaluateScenario(project, { assumptions: baseline }, massing);
+    expect(result.annualNOI).toBeCloseTo(computeIncome(massed, massed.rates).annualNOI, 6);
+    expect(result.annualNOI).toBeLessThan(evaluateScenario(project, { assumptions: baseline }).annualNOI);
+  });
+});
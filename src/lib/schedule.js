@@ -0,0 +1,181 @@
+// Construction schedule: the phases from design to handover, each starting
+// when the phases it depends on have finished. Phases are linked to items of
+// the cost breakdown to spread the development cost over time (S-curve), and
+// the handover date tells the cash flow projection when income starts.
+// Durations are in weeks; dates are ISO "YYYY-MM-DD" strings (UTC).
+
+const STORAGE_PREFIX = 'building-project-dashboard:schedule:';
+
+const DAY = 86400000;
+
+// The default phases have no name: the interface shows them by id in its own
+// language until the user renames them
+export const DEFAULT_PHASES = [
+  { id: 'design', weeks: 8, dependsOn: [], costs: [] },
+  { id: 'permits', weeks: 6, dependsOn: ['design'], costs: [] },
+  { id: 'excavation', weeks: 8, dependsOn: ['permits'], costs: [] },
+  { id: 'structure', weeks: 24, dependsOn: ['excavation'], costs: [] },
+  { id: 'finishing', weeks: 20, dependsOn: ['structure'], costs: [] },
+  { id: 'handover', weeks: 2, dependsOn: ['finishing'], costs: [] }
+];
+
+export const addDays = (date, days) => new Date(Date.parse(date) + days * DAY).toISOString().slice(0, 10);
+
+export const monthIndex = (date) => Number(date.slice(0, 4)) * 12 + Number(date.slice(5, 7)) - 1;
+export const monthStart = (index) => `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}-01`;
+export const monthLabel = (index) => `${(index % 12) + 1}/${Math.floor(index / 12)}`;
+
+// A schedule with the default phases starting on the first day of next month
+export function defaultSchedule(today) {
+  return { start: monthStart(monthIndex(today) + 1), phases: DEFAULT_PHASES };
+}
+
+// Saved schedule of a project, or null when none was saved yet
+export function loadSchedule(projectId) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_PREFIX + projectId));
+    return saved && Array.isArray(saved.phases) ? saved : null;
+  } catch {
+    return null;
+  }
+}
+
+// Saving null forgets the edits so the project file's schedule is used again
+export function saveSchedule(projectId, schedule) {
+  try {
+    if (schedule) localStorage.setItem(STORAGE_PREFIX + projectId, JSON.stringify(schedule));
+    else localStorage.removeItem(STORAGE_PREFIX + projectId);
+  } catch {
+    // Storage full or disabled (private mode): the schedule stays for this session only
+  }
+}
+
+// Ids of the phases that depend on `id`, directly or through other phases;
+// a phase cannot depend on any of them without creating a cycle
+export function dependentPhases(phases, id) {
+  const found = new Set();
+  const visit = (target) => phases.forEach((p) => {
+    if (p.dependsOn.includes(target) && !found.has(p.id)) {
+      found.add(p.id);
+      visit(p.id);
+    }
+  });
+  visit(id);
+  return found;
+}
+
+// Start and end of every phase, the critical path and the handover date
+// Returns { phases: [{ ...phase, startWeek, endWeek, startDate, endDate, slack,
+// critical }], totalWeeks, handover }
+export function scheduleModel(schedule) {
+  const byId = Object.fromEntries(schedule.phases.map((p) => [p.id, p]));
+  const starts = {};
+  const startOf = (phase, path = []) => {
+    if (phase.id in starts) return starts[phase.id];
+    // A dependency cycle (rejected when the file is loaded) starts at week 0
+    if (path.includes(phase.id)) return 0;
+    const deps = phase.dependsOn.filter((id) => byId[id]);
+    starts[phase.id] = Math.max(0, ...deps.map((id) => startOf(byId[id], [...path, phase.id]) + byId[id].weeks));
+    return starts[phase.id];
+  };
+  schedule.phases.forEach((phase) => startOf(phase));
+
+  const totalWeeks = Math.max(0, ...schedule.phases.map((p) => starts[p.id] + p.weeks));
+
+  // Latest finish that does not delay the handover; phases without slack are critical
+  const latestFinish = {};
+  const finishOf = (phase, path = []) => {
+    if (phase.id in latestFinish) return latestFinish[phase.id];
+    const successors = schedule.phases.filter((p) => p.dependsOn.includes(phase.id) && !path.includes(p.id));
+    latestFinish[phase.id] = Math.min(totalWeeks, ...successors.map((s) => finishOf(s, [...path, phase.id]) - s.weeks));
+    return latestFinish[phase.id];
+  };
+
+  const phases = schedule.phases.map((phase) => {
+    const startWeek = starts[phase.id];
+    const endWeek = startWeek + phase.weeks;
+    const slack = finishOf(phase) - endWeek;
+    return {
+      ...phase,
+      startWeek,
+      endWeek,
+      startDate: addDays(schedule.start, startWeek * 7),
+      endDate: addDays(schedule.start, endWeek * 7),
+      slack,
+      critical: slack <= 0
+    };
+  });
+
+  return { phases, totalWeeks, handover: addDays(schedule.start, totalWeeks * 7) };
+}
+
+// Months counted from January of the schedule's first year: when construction
+// starts and the first month with income (the month after handover, or the
+// handover month when it falls on the 1st)
+export function projectionTimeline(schedule) {
+  const { handover } = scheduleModel(schedule);
+  const firstYear = Number(schedule.start.slice(0, 4));
+  return {
+    firstYear,
+    constructionStart: monthIndex(schedule.start) - firstYear * 12,
+    incomeStart: monthIndex(handover) - firstYear * 12 + (handover.endsWith('-01') ? 0 : 1)
+  };
+}
+
+// Development cost spent per month from the start of construction to handover.
+// Each cost item is split equally between the phases linked to it and spent
+// evenly over their duration; items not linked to any phase are spread over
+// the whole schedule.
+// Returns { months: [{ month, label, spend, cumulative, percent }],
+// phaseCosts: { [phase id]: cost }, unlinked: [cost item names] }
+export function spendCurve(schedule, costs) {
+  const model = scheduleModel(schedule);
+  const totalDays = model.totalWeeks * 7;
+  const phaseCosts = Object.fromEntries(model.phases.map((p) => [p.id, 0]));
+  const spans = [];
+  const unlinked = [];
+
+  costs.items.forEach((item) => {
+    const linked = model.phases.filter((p) => p.costs.includes(item.item));
+    if (linked.length === 0) {
+      unlinked.push(item.item);
+      spans.push({ from: 0, to: totalDays, cost: item.cost });
+      return;
+    }
+    linked.forEach((phase) => {
+      phaseCosts[phase.id] += item.cost / linked.length;
+      spans.push({ from: phase.startWeek * 7, to: phase.endWeek * 7, cost: item.cost / linked.length });
+    });
+  });
+
+  // Day offset of each month's first day from the start of the schedule
+  const first = monthIndex(schedule.start);
+  const last = monthIndex(addDays(schedule.start, Math.max(totalDays - 1, 0)));
+  const dayOf = (index) => Math.round((Date.parse(monthStart(index)) - Date.parse(schedule.start)) / DAY);
+
+  let cumulative = 0;
+  const months = Array.from({ length: last - first + 1 }, (_, i) => {
+    const from = Math.max(0, dayOf(first + i));
+    const to = dayOf(first + i + 1);
+    const spend = spans.reduce((sum, span) => {
+      // A phase without duration spends its share on the day it starts (or the
+      // last day of the schedule for a milestone at handover)
+      if (span.to === span.from) {
+        const day = Math.min(span.from, Math.max(totalDays - 1, 0));
+        return sum + (day >= from && day < to ? span.cost : 0);
+      }
+      const overlap = Math.min(to, span.to) - Math.max(from, span.from);
+      return sum + (overlap > 0 ? (span.cost * overlap) / (span.to - span.from) : 0);
+    }, 0);
+    cumulative += spend;
+    return {
+      month: monthStart(first + i).slice(0, 7),
+      label: monthLabel(first + i),
+      spend: Math.round(spend),
+      cumulative: Math.round(cumulative),
+      percent: costs.total > 0 ? (cumulative / costs.total) * 100 : 0
+    };
+  });
+
+  return { months, phaseCosts, unlinked };
+}
@@ -0,0 +1,152 @@
+// Sensitivity analysis
+// Each driver scales one input by a factor (1.1 = +10%) around the current
+// simulator state; the results show how far yield, NPV and payback move.
+// Metrics, drivers and variables are named in the interface dictionaries by id.
+
+import { projectCashFlows } from './cashflow';
+import { npv } from './finance';
+import { computeIncome } from './projectModel';
+
+export const SENSITIVITY_METRICS = ['annualYield', 'npv', 'paybackYears'];
+
+// Yield, NPV and simple payback for one set of inputs
+// state: { project, rates, opexItems, cashflow, discountRate (%) }
+export function evaluate({ project, rates, opexItems, cashflow, discountRate }) {
+  const { annualYield, paybackYears } = computeIncome(project, rates, opexItems);
+  const rows = projectCashFlows(project, rates, opexItems, cashflow);
+  const investment = project.costs.total + (project.land.value || 0);
+  return {
+    annualYield,
+    paybackYears,
+    npv: npv(discountRate / 100, [-investment, ...rows.map((row) => row.noi)])
+  };
+}
+
+const withUnit = (project, category, id, changes) => ({
+  ...project,
+  units: {
+    ...project.units,
+    [category]: project.units[category].map((u) => (u.id === id ? { ...u, ...changes(u) } : u))
+  }
+});
+
+const withCost = (project, extra) => ({
+  ...project,
+  costs: { ...project.costs, total: project.costs.total + extra }
+});
+
+// Inputs that can be perturbed: { id, kind, name?, apply(state, factor) => state }
+// kind is the driver type ('rent', 'costItem', ...); name the unit type or cost
+// item it applies to
+export function sensitivityDrivers({ project }) {
+  const unitRent = (category) => project.units[category].map((unit) => ({
+    id: `rent-${unit.id}`,
+    kind: 'rent',
+    name: unit.type,
+    apply: (state, f) => {
+      const rateKey = category === 'commercial' ? 'commercialRate' : 'residentialRate';
+      return {
+        ...state,
+        project: withUnit(state.project, category, unit.id, (u) => ({
+          rent: (u.rent ?? state.project.rates[rateKey]) * f,
+          ...(u.nightlyRate !== undefined && { nightlyRate: u.nightlyRate * f })
+        }))
+      };
+    }
+  }));
+
+  return [
+    {
+      id: 'occupancy',
+      kind: 'occupancy',
+      apply: (state, f) => ({ ...state, rates: { ...state.rates, occupancy: Math.min(100, state.rates.occupancy * f) } })
+    },
+    ...unitRent('commercial'),
+    ...unitRent('residential'),
+    {
+      id: 'cost-total',
+      kind: 'totalCost',
+      apply: (state, f) => ({ ...state, project: withCost(state.project, state.project.costs.total * (f - 1)) })
+    },
+    ...project.costs.items.map((item, i) => ({
+      id: `cost-${i}`,
+      kind: 'costItem',
+      name: item.item,
+      apply: (state, f) => ({ ...state, project: withCost(state.project, item.cost * (f - 1)) })
+    })),
+    {
+      id: 'growth',
+      kind: 'growth',
+      apply: (state, f) => ({
+        ...state,
+        cashflow: {
+          ...state.cashflow,
+          escalation: {
+            commercial: state.cashflow.escalation.commercial * f,
+            residential: state.cashflow.escalation.residential * f
+          }
+        }
+      })
+    },
+    {
+      id: 'opex',
+      kind: 'opex',
+      apply: (state, f) => ({ ...state, opexItems: state.opexItems.map((item) => ({ ...item, amount: item.amount * f })) })
+    }
+  ];
+}
+
+// Metrics with every driver moved down and up by `percent`
+// Returns { base, rows: [{ id, kind, name, low, high }] } where low/high are evaluate() results
+export function sensitivityAnalysis(state, percent) {
+  const down = 1 - percent / 100;
+  const up = 1 + percent / 100;
+  return {
+    base: evaluate(state),
+    rows: sensitivityDrivers(state).map(({ id, kind, name, apply }) => ({
+      id,
+      kind,
+      name,
+      low: evaluate(apply(state, down)),
+      high: evaluate(apply(state, up))
+    }))
+  };
+}
+
+// Variables available for the two-way table; `apply` sets an absolute value
+export const TWO_WAY_VARIABLES = {
+  occupancy: {
+    value: (state) => state.rates.occupancy,
+    apply: (state, v) => ({ ...state, rates: { ...state.rates, occupancy: Math.min(100, v) } })
+  },
+  commercialRate: {
+    value: (state) => state.rates.commercialRate,
+    apply: (state, v) => ({ ...state, rates: { ...state.rates, commercialRate: v } })
+  },
+  residentialRate: {
+    value: (state) => state.rates.residentialRate,
+    apply: (state, v) => ({ ...state, rates: { ...state.rates, residentialRate: v } })
+  }
+};
+
+// Yield grid for two variables, each at -2, -1, 0, +1 and +2 steps of `percent`
+// around its current value. Returns { rowValues, colValues, cells[row][col] }
+export function twoWayTable(state, rowKey, colKey, percent) {
+  const steps = [-2, -1, 0, 1, 2];
+  const valuesOf = (key) => {
+    const current = TWO_WAY_VARIABLES[key].value(state);
+    const values = steps.map((s) => current * (1 + (s * percent) / 100));
+    return key === 'occupancy' ? [...new Set(values.map((v) => Math.min(100, v)))] : values;
+  };
+  const rowValues = valuesOf(rowKey);
+  const colValues = valuesOf(colKey);
+
+  return {
+    rowValues,
+    colValues,
+    cells: rowValues.map((rowValue) => colValues.map((colValue) => {
+      const moved = TWO_WAY_VARIABLES[colKey].apply(TWO_WAY_VARIABLES[rowKey].apply(state, rowValue), colValue);
+      return computeIncome(moved.project, moved.rates, moved.opexItems).annualYield;
+    }))
+  };
+}
@@ -0,0 +1,64 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { parseProject } from './projectFile';
+import { computeIncome } from './projectModel';
+import { sensitivityAnalysis, sensitivityDrivers, twoWayTable } from './sensitivity';
+
+const project = parseProject(JSON.parse(readFileSync(new URL('../../public/projects/office-a.json', import.meta.url), 'utf8')));
+// The simulator state the dashboard passes in for the project file as loaded
+const state = {
+  project,
+  rates: project.rates,
+  opexItems: project.opex,
+  cashflow: project.cashflow,
+  discountRate: project.rates.discountRate
+};
+const noi = (s) => computeIncome(s.project, s.rates, s.opexItems).annualNOI;
+const driver = (id) => sensitivityDrivers(state).find((d) => d.id === id);
+
+describe('sensitivityDrivers', () => {
+  it('moves NOI with occupancy and against operating expenses', () => {
+    const base = noi(state);
+    const occupancy = driver('occupancy');
+    expect(noi(occupancy.apply(state, 0.9))).toBeLessThan(base);
+    expect(noi(occupancy.apply(state, 1.1))).toBeGreaterThan(base);
+
+    const opex = driver('opex');
+    expect(noi(opex.apply(state, 0.9))).toBeGreaterThan(base);
+    expect(noi(opex.apply(state, 1.1))).toBeLessThan(base);
+  });
+
+  it('leaves NOI alone when only the development cost moves', () => {
+    const moved = driver('cost-total').apply(state, 1.1);
+    expect(noi(moved)).toBe(noi(state));
+    expect(moved.project.costs.total).toBeCloseTo(project.costs.total * 1.1, 6);
+  });
+});
+
+describe('sensitivityAnalysis', () => {
+  it('swings the yield around the base case in the direction of each driver', () => {
+    const { base, rows } = sensitivityAnalysis(state, 10);
+    const row = (id) => rows.find((r) => r.id === id);
+    expect(row('occupancy').low.annualYield).toBeLessThan(base.annualYield);
+    expect(row('occupancy').high.annualYield).toBeGreaterThan(base.annualYield);
+    expect(row('cost-total').low.annualYield).toBeGreaterThan(base.annualYield);
+    expect(row('cost-total').high.paybackYears).toBeGreaterThan(base.paybackYears);
+  });
+});
+
+describe('twoWayTable', () => {
+  it('has the base case in its centre cell and rises along both rent axes', () => {
+    const { rowValues, colValues, cells } = twoWayTable(state, 'commercialRate', 'residentialRate', 10);
+    expect(rowValues[2]).toBe(project.rates.commercialRate);
+    expect(colValues[2]).toBe(project.rates.residentialRate);
+    expect(cells[2][2]).toBeCloseTo(computeIncome(project, project.rates, project.opex).annualYield, 10);
+    expect(cells[0][2]).toBeLessThan(cells[4][2]);
+    expect(cells[2][0]).toBeLessThan(cells[2][4]);
+  });
+
+  it('caps occupancy at 100% and drops the repeated steps', () => {
+    const full = { ...state, rates: { ...state.rates, occupancy: 95 } };
+    const { rowValues } = twoWayTable(full, 'occupancy', 'commercialRate', 10);
+    expect(rowValues).toEqual([76, 85.5, 95, 100]);
+  });
+});
@@ -0,0 +1,35 @@
+// Short-stay (daily) rental model for residential units
+// A unit type leased by the night earns its nightly rate on the booked nights,
+// which follow a seasonal occupancy curve, less the booking platform commission
+// and a cleaning/turnover cost per stay.
+
+export const RENTAL_STRATEGIES = ['monthly', 'daily'];
+
+// Days in each month, January to December
+export const MONTH_DAYS = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+export const DEFAULT_SHORT_STAY = {
+  seasonality: [55, 55, 60, 65, 60, 70, 85, 85, 60, 55, 55, 65],  // % of nights booked, January to December
+  commission: 15,     // % of booking revenue kept by the platform
+  cleaningCost: 60,   // SAR per stay
+  averageStay: 3      // nights per stay
+};
+
+// Yearly figures for one unit at the given nightly rate
+// Returns { nights, occupancy (%), revenue, commission, cleaning, net }
+export function shortStayYear(nightlyRate, { seasonality, commission, cleaningCost, averageStay }) {
+  const nights = MONTH_DAYS.reduce((sum, days, i) => sum + days * (seasonality[i] || 0) / 100, 0);
+  const revenue = nightlyRate * nights;
+  const platform = revenue * commission / 100;
+  const stays = averageStay > 0 ? nights / averageStay : 0;
+  const cleaning = stays * cleaningCost;
+
+  return {
+    nights,
+    occupancy: (nights / 365) * 100,
+    revenue,
+    commission: platform,
+    cleaning,
+    net: revenue - platform - cleaning
+  };
+}
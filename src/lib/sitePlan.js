@@ -0,0 +1,136 @@
+// Site plan geometry computed from the land and building dimensions
+// Everything is in meters from the land's top-left (north-west) corner, x
+// along the land width and y along its depth. Along the width: the north
+// corridor, the building and the south corridor; behind the building the rear
+// setback, which holds the parking (see lib/parking.js).
+
+import { layoutParking } from './parking';
+
+const rect = (x, y, width, depth) => ({ x, y, width: Math.max(0, width), depth: Math.max(0, depth) });
+
+// Rectangles of the land, building, corridors and parking, the parking layout
+// packed with the project's `parkingLayout` settings, and the building's
+// distance to each side of the land (its setbacks)
+export function siteLayout(project) {
+  const { land, building } = project;
+  const buildingRect = rect(building.northCorridor, 0, building.width, building.depth);
+  const parking = rect(0, buildingRect.depth, land.width, Math.min(building.rearSetback, land.depth - buildingRect.depth));
+
+  return {
+    land: rect(0, 0, land.width, land.depth),
+    building: buildingRect,
+    northCorridor: rect(0, 0, building.northCorridor, building.depth),
+    southCorridor: rect(buildingRect.x + buildingRect.width, 0, building.southCorridor, building.depth),
+    parking,
+    parkingLayout: layoutParking(parking, project.parkingLayout),
+    setbacks: {
+      north: buildingRect.y,
+      south: land.depth - buildingRect.y - buildingRect.depth,
+      west: buildingRect.x,
+      east: land.width - buildingRect.x - buildingRect.width
+    }
+  };
+}
+
+// Massing edits
+// The site plan editor changes the building footprint, both corridors and the
+// rear setback: { northCorridor, width, southCorridor, depth, rearSetback }.
+// Edges snap to a 0.5 m grid and stay inside the land.
+export const SITE_GRID = 0.5;
+const MIN_BUILDING_SIZE = 2;
+
+export const snapToGrid = (value) => Math.round(value / SITE_GRID) * SITE_GRID;
+const clamp = (value, min, max) => Math.min(Math.max(value, min), Math.max(min, max));
+
+export const massingOf = ({ northCorridor, width, southCorridor, depth, rearSetback }) => (
+  { northCorridor, width, southCorridor, depth, rearSetback }
+);
+
+// Edges the editor can drag and the axis each moves along
+export const SITE_HANDLES = {
+  building: 'x',        // the whole building, sliding along the width
+  buildingWest: 'x',    // between the north corridor and the building
+  buildingEast: 'x',    // between the building and the south corridor
+  southCorridor: 'x',   // outer edge of the south corridor
+  buildingSouth: 'y',   // back of the building
+  parkingSouth: 'y'     // back of the rear setback
+};
+
+// The massing after dragging `handle` by `delta` meters from `start`
+export function moveSiteHandle(start, handle, delta, land) {
+  const { northCorridor, width, southCorridor, depth, rearSetback } = start;
+  const free = land.width - northCorridor - width - southCorridor;
+  switch (handle) {
+    case 'building':
+      return { ...start, northCorridor: clamp(snapToGrid(northCorridor + delta), 0, northCorridor + free) };
+    case 'buildingWest': {
+      const west = clamp(snapToGrid(northCorridor + delta), 0, northCorridor + width - MIN_BUILDING_SIZE);
+      return { ...start, northCorridor: west, width: northCorridor + width - west };
+    }
+    case 'buildingEast':
+      return { ...start, width: clamp(snapToGrid(width + delta), MIN_BUILDING_SIZE, width + free) };
+    case 'southCorridor':
+      return { ...start, southCorridor: clamp(snapToGrid(southCorridor + delta), 0, southCorridor + free) };
+    case 'buildingSouth':
+      return { ...start, depth: clamp(snapToGrid(depth + delta), MIN_BUILDING_SIZE, land.depth - rearSetback) };
+    case 'parkingSouth':
+      return { ...start, rearSetback: clamp(snapToGrid(rearSetback + delta), 0, land.depth - depth) };
+    default:
+      return start;
+  }
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// The project with an edited massing. Floors keep their share of the footprint
+// and so does each unit type's leasable area on its floor: the count becomes
+// the whole units of the declared size that fit in the resized area. Plans are
+// stretched to the new building as a sketch and marked `stretched`, so they
+// are not checked against the recounted unit table (see lib/floorPlan.js).
+// Costs scale with the built area; parking follows from the layout (see
+// withParkingCapacity).
+export function applyMassing(project, massing) {
+  if (!massing) return project;
+  const { building } = project;
+  const footprint = building.width * building.depth;
+  const ratio = footprint > 0 ? (massing.width * massing.depth) / footprint : 1;
+  const scaleX = massing.width / building.width;
+  const scaleY = massing.depth / building.depth;
+  // A type's leasable area (count × area) scales with the footprint; the small
+  // margin keeps an unchanged area from losing a unit to rounding
+  const recount = (list) => list.map((unit) => ({ ...unit, count: Math.floor(unit.count * ratio + 1e-9) }));
+
+  const items = project.costs.items.map((row) => ({ ...row, cost: Math.round(row.cost * ratio) }));
+  const total = items.reduce((sum, row) => sum + row.cost, 0);
+
+  return {
+    ...project,
+    building: { ...building, ...massing },
+    floors: project.floors.map((floor) => ({
+      ...floor,
+      area: round2(floor.area * ratio),
+      ...(floor.plan && {
+        plan: {
+          ...floor.plan,
+          stretched: true,
+          spaces: floor.plan.spaces.map((space) => ({
+            ...space,
+            points: space.points.map(([x, y]) => [round2(x * scaleX), round2(y * scaleY)])
+          }))
+        }
+      })
+    })),
+    units: { commercial: recount(project.units.commercial), residential: recount(project.units.residential) },
+    costs: {
+      items: items.map((row) => ({ ...row, percent: total > 0 ? (row.cost / total) * 100 : 0 })),
+      total
+    }
+  };
+}
+
+// The project with `building.parking` set to the capacity of its parking
+// layout (the number stated in the project file is `building.declaredParking`)
+export function withParkingCapacity(project) {
+  const { capacity } = siteLayout(project).parkingLayout;
+  return { ...project, building: { ...project.building, parking: capacity } };
+}
@@ -0,0 +1,45 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { floorPlanModel } from './floorPlan';
+import { parseProject } from './projectFile';
+import { computeIncome } from './projectModel';
+import { applyMassing, massingOf } from './sitePlan';
+
+const project = parseProject(JSON.parse(readFileSync(new URL('../../public/projects/office-a.json', import.meta.url), 'utf8')));
+const units = (p) => [...p.units.commercial, ...p.units.residential];
+const income = (p) => computeIncome(p, p.rates);
+// The file's massing with the building `factor` times as deep
+const deeper = (factor) => ({ ...massingOf(project.building), depth: project.building.depth * factor });
+
+describe('applyMassing', () => {
+  it('changes nothing at the file dimensions', () => {
+    const massed = applyMassing(project, massingOf(project.building));
+    expect(units(massed).map((u) => u.count)).toEqual(units(project).map((u) => u.count));
+    expect(income(massed).annualNOI).toBeCloseTo(income(project).annualNOI, 6);
+  });
+
+  it('fits fewer units of the declared size in a smaller footprint', () => {
+    const massed = applyMassing(project, deeper(0.5));
+    units(massed).forEach((unit, i) => {
+      const declared = units(project)[i];
+      expect(unit.area).toBe(declared.area);
+      expect(unit.count).toBe(Math.floor(declared.count * 0.5));
+    });
+    expect(income(massed).monthlyResidentialIncome).toBeLessThan(income(project).monthlyResidentialIncome);
+    expect(income(massed).annualNOI).toBeLessThan(income(project).annualNOI);
+  });
+
+  it('fits more units in a larger footprint', () => {
+    const massed = applyMassing(project, deeper(1.5));
+    units(massed).forEach((unit, i) => expect(unit.count).toBe(Math.floor(units(project)[i].count * 1.5)));
+    expect(income(massed).monthlyResidentialIncome).toBeGreaterThan(income(project).monthlyResidentialIncome);
+    expect(massed.costs.total / project.costs.total).toBeCloseTo(1.5, 3);
+  });
+
+  it('does not flag the stretched plans against the recounted units', () => {
+    const massed = applyMassing(project, deeper(0.5));
+    project.floors.filter((floor) => floor.plan).forEach((floor) => {
+      expect(floorPlanModel(massed, floor.id).issues).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,209 @@
+// XLSX and CSV reading and writing for plain tables
+// A sheet is { name, columns: [{ key, header }], rows: [{ [key]: value }] };
+// numbers are written as numeric cells and everything else as text.
+
+import { createZip, readZip } from './zip';
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+};
+
+const columnIndex = (ref) => ref.replace(/[0-9]/g, '').split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+
+const isNumeric = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Excel limits sheet names to 31 characters without []:*?/\
+const sheetName = (name) => name.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+
+function cellXml(value, ref, style = 0) {
+  const s = style ? ` s="${style}"` : '';
+  if (isNumeric(value)) return `<c r="${ref}"${s}><v>${value}</v></c>`;
+  if (value === null || value === undefined || value === '') return '';
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function sheetXml({ columns, rows }) {
+  const header = columns.map((col, c) => cellXml(col.header, `${columnName(c)}1`, 1)).join('');
+  const body = rows.map((row, r) => {
+    const cells = columns.map((col, c) => cellXml(row[col.key], `${columnName(c)}${r + 2}`)).join('');
+    return `<row r="${r + 2}">${cells}</row>`;
+  }).join('');
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0" rightToLeft="1"/></sheetViews>'
+    + `<cols><col min="1" max="${columns.length}" width="18" customWidth="1"/></cols>`
+    + `<sheetData><row r="1">${header}</row>${body}</sheetData>`
+    + '</worksheet>';
+}
+
+// Workbook (.xlsx) bytes for one or more sheets; sheets are shown right-to-left
+export function toXlsx(sheets) {
+  const main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+  const rels = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  const pkgRels = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+        + '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="${pkgRels}">`
+        + `<Relationship Id="rId1" Type="${rels}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><workbook xmlns="${main}" xmlns:r="${rels}"><sheets>`
+        + sheets.map((sheet, i) => `<sheet name="${escapeXml(sheetName(sheet.name))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+        + '</sheets></workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="${pkgRels}">`
+        + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${rels}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+        + `<Relationship Id="rId${sheets.length + 1}" Type="${rels}/styles" Target="styles.xml"/>`
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/styles.xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><styleSheet xmlns="${main}">`
+        + '<fonts count="2"><font><sz val="11"/><name val="Arial"/></font><font><b/><sz val="11"/><name val="Arial"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+        + '</styleSheet>'
+    },
+    ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: sheetXml(sheet) }))
+  ]);
+}
+
+// CSV text of one sheet, with a byte order mark so Excel reads Arabic as UTF-8
+export function toCsv({ columns, rows }) {
+  const field = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [
+    columns.map((col) => field(col.header)).join(','),
+    ...rows.map((row) => columns.map((col) => field(row[col.key])).join(','))
+  ];
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+// Rows (arrays of strings) of a CSV text; handles quoted fields and line breaks
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+  // Excel uses semicolons in locales where the comma is the decimal separator
+  const firstLine = input.split(/\r?\n/, 1)[0];
+  const separator = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === separator) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+}
+
+const elements = (node, name) => Array.from(node.getElementsByTagNameNS('*', name));
+const textOf = (node) => elements(node, 't').map((t) => t.textContent).join('');
+
+// Sheets of an .xlsx file as [{ name, rows }] where rows are arrays of cell
+// values (numbers for numeric cells, strings otherwise)
+export async function parseXlsx(buffer) {
+  const files = await readZip(buffer);
+  const decoder = new TextDecoder();
+  const xml = (name) => (files[name] ? new DOMParser().parseFromString(decoder.decode(files[name]), 'application/xml') : null);
+
+  const workbook = xml('xl/workbook.xml');
+  if (!workbook) throw new Error('The file is not an Excel workbook');
+  const rels = xml('xl/_rels/workbook.xml.rels');
+  const targets = Object.fromEntries(elements(rels, 'Relationship').map((r) => [r.getAttribute('Id'), r.getAttribute('Target')]));
+  const sharedDoc = xml('xl/sharedStrings.xml');
+  const shared = sharedDoc ? elements(sharedDoc, 'si').map(textOf) : [];
+
+  return elements(workbook, 'sheet').map((sheet) => {
+    const id = sheet.getAttribute('r:id') || sheet.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id');
+    const target = targets[id].replace(/^\/?(xl\/)?/, '');
+    const doc = xml(`xl/${target}`);
+    const rows = elements(doc, 'row').map((row) => {
+      const values = [];
+      elements(row, 'c').forEach((cell, i) => {
+        const ref = cell.getAttribute('r');
+        const col = ref ? columnIndex(ref) : i;
+        const type = cell.getAttribute('t');
+        const v = elements(cell, 'v')[0]?.textContent;
+        let value = '';
+        if (type === 's') value = shared[parseInt(v, 10)] ?? '';
+        else if (type === 'inlineStr') value = textOf(cell);
+        else if (type === 'str' || type === 'e') value = v ?? '';
+        else if (type === 'b') value = v === '1';
+        else if (v !== undefined) value = parseFloat(v);
+        values[col] = value;
+      });
+      return Array.from(values, (value) => value ?? '');
+    });
+    return { name: sheet.getAttribute('name'), rows: rows.filter((r) => r.some((cell) => cell !== '')) };
+  });
+}
+
+// Turns table rows into records using the header row: each column whose header
+// matches one of `columns` is read into that column's key
+export function rowsToRecords(rows, columns) {
+  if (rows.length === 0) return [];
+  const keys = rows[0].map((header) => columns.find((col) => col.header === String(header).trim())?.key);
+  return rows.slice(1).map((row) => {
+    const record = {};
+    keys.forEach((key, i) => {
+      if (key && row[i] !== undefined && row[i] !== '') record[key] = typeof row[i] === 'string' ? row[i].trim() : row[i];
+    });
+    return record;
+  });
+}
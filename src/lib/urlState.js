@@ -0,0 +1,50 @@
+// View state kept in the address bar so a view can be reloaded, shared and
+// navigated with back/forward.
+// The tab is the path (/simulator, /floors…; the first tab is /) and the rest is
+// in the query string next to ?project=. Any path is served by index.html (see
+// the redirect in netlify.toml).
+
+// Query keys of the simulator values and their allowed range
+const RATE_PARAMS = {
+  occupancy: { key: 'occupancy', min: 0, max: 100 },
+  commercialRate: { key: 'commercial', min: 0 },
+  residentialRate: { key: 'residential', min: 0 }
+};
+
+// Reads { tab, floor, occupancy, commercialRate, residentialRate } from a location.
+// Values that are missing or invalid are left out.
+// tabs: valid tab ids (the first is the default), floors: valid floor ids
+export function readViewState(location, { tabs, floors }) {
+  const params = new URLSearchParams(location.search);
+  const state = {};
+
+  const tab = location.pathname.replace(/^\/+|\/+$/g, '');
+  if (tabs.includes(tab)) state.tab = tab;
+
+  const floor = params.get('floor');
+  if (floors.includes(floor)) state.floor = floor;
+
+  Object.entries(RATE_PARAMS).forEach(([name, { key, min, max = Infinity }]) => {
+    const value = parseFloat(params.get(key));
+    if (Number.isFinite(value) && value >= min && value <= max) state[name] = value;
+  });
+  return state;
+}
+
+// Path and query string for a view; values equal to the defaults are omitted
+// so links stay short. Other query parameters (e.g. project) are kept.
+export function viewUrl(state, defaults, location) {
+  const params = new URLSearchParams(location.search);
+
+  if (state.floor !== defaults.floor) params.set('floor', state.floor);
+  else params.delete('floor');
+
+  Object.entries(RATE_PARAMS).forEach(([name, { key }]) => {
+    if (state[name] !== defaults[name]) params.set(key, state[name]);
+    else params.delete(key);
+  });
+
+  const query = params.toString();
+  const path = state.tab === defaults.tab ? '/' : `/${state.tab}`;
+  return `${path}${query ? `?${query}` : ''}${location.hash}`;
+}
@@ -0,0 +1,55 @@
+// Municipal zoning rules checked against the design
+// `project.zoning` sets the limits; only the rules it lists are checked:
+//   setbacks: minimum distance (m) from the building to each side of the land
+//   maxCoverage: building footprint as % of the land area
+//   maxFar: floor area ratio, total floor area / land area
+//   maxFloors: number of floors
+//   parking: spaces per residential unit and m² of commercial area per space,
+//     checked against the capacity of the parking layout
+
+import { requiredParking } from './parking';
+import { summarizeUnits } from './projectModel';
+
+export const ZONING_SIDES = ['north', 'south', 'east', 'west'];
+
+// Checks the design laid out by siteLayout() against the project's zoning.
+// Returns [{ id, rule, side?, actual, limit, pass, element }], where
+// `element` is the part of the site plan to highlight when the rule fails:
+// 'building', 'parking' or 'setback-<side>'
+export function evaluateZoning(project, layout) {
+  const zoning = project.zoning;
+  if (!zoning) return [];
+  const checks = [];
+  const landArea = layout.land.width * layout.land.depth;
+  const atMost = (actual, limit) => actual <= limit + 1e-9;
+
+  ZONING_SIDES.forEach((side) => {
+    const limit = zoning.setbacks?.[side];
+    if (limit === undefined) return;
+    const actual = layout.setbacks[side];
+    checks.push({ id: `setback-${side}`, rule: 'setback', side, actual, limit, pass: actual >= limit - 1e-9, element: `setback-${side}` });
+  });
+
+  if (zoning.maxCoverage !== undefined) {
+    const actual = landArea > 0 ? (layout.building.width * layout.building.depth / landArea) * 100 : 0;
+    checks.push({ id: 'coverage', rule: 'coverage', actual, limit: zoning.maxCoverage, pass: atMost(actual, zoning.maxCoverage), element: 'building' });
+  }
+
+  if (zoning.maxFar !== undefined) {
+    const actual = landArea > 0 ? summarizeUnits(project).totalArea / landArea : 0;
+    checks.push({ id: 'far', rule: 'far', actual, limit: zoning.maxFar, pass: atMost(actual, zoning.maxFar), element: 'building' });
+  }
+
+  if (zoning.maxFloors !== undefined) {
+    const actual = project.floors.length;
+    checks.push({ id: 'floors', rule: 'floors', actual, limit: zoning.maxFloors, pass: actual <= zoning.maxFloors, element: 'building' });
+  }
+
+  if (zoning.parking) {
+    const required = requiredParking(summarizeUnits(project), zoning.parking);
+    const actual = layout.parkingLayout.capacity;
+    checks.push({ id: 'parking', rule: 'parking', actual, limit: required, pass: actual >= required, element: 'parking' });
+  }
+
+  return checks;
+}
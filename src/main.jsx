@@ -1,12 +1,18 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import { I18nProvider } from './i18n'
+import '@fontsource/tajawal/400.css'
+import '@fontsource/tajawal/500.css'
+import '@fontsource/tajawal/700.css'
 import './index.css'
 
 // This is the entry point of the React application
 // It renders the App component into the DOM element with id="root"
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <I18nProvider>
+      <App />
+    </I18nProvider>
   </React.StrictMode>,
 )
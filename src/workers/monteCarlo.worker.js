@@ -0,0 +1,16 @@
+// Runs the Monte Carlo simulation off the main thread
+// Receives the runMonteCarlo() inputs; posts { type: 'progress', done } while
+// running and { type: 'done', result } at the end.
+
+import { runMonteCarlo } from '../lib/monteCarlo';
+
+self.onmessage = (event) => {
+  try {
+    const result = runMonteCarlo(event.data, {
+      onProgress: (done) => self.postMessage({ type: 'progress', done })
+    });
+    self.postMessage({ type: 'done', result });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};